@@ -0,0 +1,11 @@
+/**
+ * 애플리케이션 설정
+ * 환경 변수 기반 경로 및 런타임 설정
+ */
+
+const path = require('path');
+
+module.exports = {
+  // 로컬 저장소 루트 (규칙 세트, 학습 데이터 등)
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+};
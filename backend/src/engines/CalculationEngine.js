@@ -4,20 +4,36 @@
  * 월별/계정별 집계 로직 및 다중 조건 처리
  */
 
+const DependencyGraph = require('../utils/DependencyGraph');
+const FormulaParser = require('../utils/FormulaParser');
+const SumifsIndex = require('../utils/SumifsIndex');
+const WorkbookNames = require('../utils/WorkbookNames');
+
 class CalculationEngine {
   constructor() {
     this.formulaCache = new Map(); // 수식 결과 캐싱
     this.sheetData = new Map(); // 시트별 데이터 저장
     this.calculationOrder = []; // 계산 순서 (의존성 기반)
+    this.formulaParser = new FormulaParser();
+    this.compiledFormulas = new Map(); // 수식 문자열 → 컴파일된 함수
+    this.sumifsIndexes = new Map(); // 합계/조건 범위 묶음 → { sources, index } (SUMIFS 집계 색인)
+    this.names = new WorkbookNames({ parser: this.formulaParser }); // 정의된 이름과 표
   }
 
   /**
    * 메인 계산 실행 함수
    * @param {Object} classifiedData - 분류된 거래 데이터
    * @param {Array} formulas - Excel에서 추출된 수식 목록
+   * @param {Object|WorkbookNames} workbookNames - 수식이 쓰는 정의된 이름과 표 (ExcelService 분석 결과의 workbookNames)
+   * @param {Object} options - 실행 옵션
+   * @param {Function} options.onProgress - 50수식마다(마지막 수식 포함) 호출되는 진행률 콜백 ({ processed, total })
    * @returns {Object} 계산 결과
    */
-  async executeCalculations(classifiedData, formulas) {
+  async executeCalculations(classifiedData, formulas, workbookNames = null, options = {}) {
+    this.names = workbookNames instanceof WorkbookNames
+      ? workbookNames
+      : WorkbookNames.fromSummary(workbookNames || {}, { parser: this.formulaParser });
+
     const results = {
       calculationResults: {},
       processingTime: 0,
@@ -37,9 +53,18 @@ class CalculationEngine {
       // 2. 사업장요약현황 시트의 계정과목 매핑 생성
       await this.createAccountMappings();
 
-      // 3. SUMIFS 전용 수식 처리
-      const sumifs_formulas = formulas.filter(f => f.formula && f.formula.includes('SUMIFS'));
-      results.totalFormulas = sumifs_formulas.length;
+      // 3. SUMIFS 전용 수식 처리 (셀 의존성 순서로 정렬, 순환 참조 수식은 오류로 기록)
+      const sumifsCandidates = formulas.filter(f => f.formula && f.formula.includes('SUMIFS'));
+      const sumifs_formulas = this.analyzeDependencies(sumifsCandidates);
+      results.totalFormulas = sumifsCandidates.length;
+      this.dependencyReport.excluded.forEach(formula => {
+        results.errors.push({
+          sheet: formula.sheet,
+          cell: formula.cell,
+          formula: formula.formula,
+          error: '순환 참조로 계산할 수 없습니다'
+        });
+      });
 
       console.log(`SUMIFS 수식 ${sumifs_formulas.length}개 처리 시작...`);
 
@@ -72,6 +97,10 @@ class CalculationEngine {
           });
           console.error(`SUMIFS 오류 [${formula.sheet}!${formula.cell}]:`, error.message);
         }
+
+        if (options.onProgress && ((i + 1) % 50 === 0 || i === sumifs_formulas.length - 1)) {
+          options.onProgress({ processed: i + 1, total: sumifs_formulas.length });
+        }
       }
 
       // 5. 정확도 계산
@@ -147,63 +176,68 @@ class CalculationEngine {
 
   /**
    * 향상된 SUMIFS 함수 실행 (Excel 100% 호환)
+   * 같은 합계/조건 범위를 쓰는 수식은 SUMIFS 집계 색인 하나를 공유하므로 행을 다시 훑지 않음
    * @param {Object} formula - SUMIFS 수식 객체
    * @returns {number} 합계 결과
    */
   executeSUMIFS_Enhanced(formula) {
     try {
-      const parsed = this.parseSUMIFS_Enhanced(formula.formula);
+      const links = [];
+      const parsed = this.parseSUMIFS_Enhanced(this.names.resolve(formula.formula, { sheet: formula.sheet, address: formula.cell, links }));
+      const unresolved = links.find(link => !link.resolved);
+      if (unresolved) {
+        // 찾지 못한 외부 통합문서 범위를 0으로 합산하지 않고 오류로 보고
+        throw new Error(`외부 참조 ${WorkbookNames.formatLink(unresolved)}: ${unresolved.message}`);
+      }
       if (!parsed) {
         throw new Error('SUMIFS 수식 파싱 실패');
       }
 
       const { sumRange, conditions } = parsed;
-      
-      // 합계 범위 데이터 가져오기
-      const sumData = this.getExcelRangeData(sumRange);
-      if (!sumData || sumData.length === 0) {
+      const index = this.getSumifsIndex(sumRange, conditions.map(condition => condition.range));
+      if (!index) {
         return 0;
       }
 
-      let total = 0;
-      const dataLength = sumData.length;
-      
-      // 각 행에 대해 모든 조건 검사
-      for (let i = 0; i < dataLength; i++) {
-        let matchesAllCriteria = true;
-        
-        // 모든 조건을 확인
-        for (const condition of conditions) {
-          const criteriaData = this.getExcelRangeData(condition.range);
-          
-          if (!criteriaData || i >= criteriaData.length) {
-            matchesAllCriteria = false;
-            break;
-          }
-          
-          const criteriaValue = this.resolveExcelCellReference(condition.criteria, formula.sheet);
-          
-          if (!this.matchesExcelCriteria(criteriaData[i], criteriaValue)) {
-            matchesAllCriteria = false;
-            break;
-          }
-        }
-        
-        if (matchesAllCriteria) {
-          const value = this.parseExcelNumericValue(sumData[i]);
-          if (!isNaN(value)) {
-            total += value;
-          }
-        }
-      }
-      
-      return total;
+      return index.aggregate(conditions.map(condition => {
+        const criteriaValue = this.resolveExcelCellReference(condition.criteria, formula.sheet);
+        return {
+          key: SumifsIndex.valueKey(criteriaValue),
+          test: value => this.matchesExcelCriteria(value, criteriaValue)
+        };
+      })).total;
       
     } catch (error) {
       throw new Error(`SUMIFS 실행 오류: ${error.message}`);
     }
   }
 
+  /**
+   * SUMIFS 집계 색인 조회 (범위를 읽은 시트 데이터가 바뀌었으면 다시 만듦)
+   * @param {string} sumRange - 합계 범위
+   * @param {Array} criteriaRanges - 조건 범위 목록
+   * @returns {SumifsIndex|null} 색인 (합계 범위가 비어 있으면 null)
+   */
+  getSumifsIndex(sumRange, criteriaRanges) {
+    const ranges = [sumRange, ...criteriaRanges];
+    const key = ranges.map(range => range.replace(/\$/g, '')).join('|');
+    const sources = ranges.map(range => this.sheetData.get(this.parseExcelRange(range).sheetName));
+
+    const cached = this.sumifsIndexes.get(key);
+    if (cached && cached.sources.every((source, i) => source === sources[i])) {
+      return cached.index;
+    }
+
+    const sumData = this.getExcelRangeData(sumRange);
+    const index = sumData && sumData.length > 0
+      ? new SumifsIndex(sumData, criteriaRanges.map(range => this.getExcelRangeData(range) || []), {
+        toNumber: value => this.parseExcelNumericValue(value)
+      })
+      : null;
+    this.sumifsIndexes.set(key, { sources, index });
+    return index;
+  }
+
   /**
    * SUMIFS 함수 실행 (레거시)
    */
@@ -404,27 +438,12 @@ class CalculationEngine {
 
   /**
    * INDEX/MATCH 함수 실행
-   * @param {Object} formula - INDEX/MATCH 수식 객체
+   * 배열 수식으로 계산하므로 MATCH(출!C5&출!I5,분!$C$5:$C$900&분!$I$5:$I$900,0) 같은 복합 키 조회도 Excel과 같은 결과
+   * @param {Object} formula - INDEX/MATCH 수식 객체 ({ sheet, formula })
    * @returns {any} 조회 결과
    */
   executeINDEXMATCH(formula) {
-    // Excel: INDEX(array, MATCH(lookup_value, lookup_array, match_type))
-    const { indexArray, lookupValue, lookupArray, matchType } = this.parseINDEXMATCH(formula);
-    
-    // MATCH 부분 실행
-    const matchIndex = this.executeMATCH(lookupValue, lookupArray, matchType);
-    
-    if (matchIndex === '#N/A') {
-      return '#N/A';
-    }
-    
-    // INDEX 부분 실행
-    const arrayData = this.getRangeData(indexArray);
-    if (matchIndex > 0 && matchIndex <= arrayData.length) {
-      return arrayData[matchIndex - 1]; // Excel은 1-based 인덱스
-    }
-    
-    return '#REF!';
+    return this.evaluateSheetFormula(formula.sheet, formula.formula);
   }
 
   /**
@@ -481,6 +500,15 @@ class CalculationEngine {
     }
   }
 
+  /**
+   * 전용 실행기가 없는 수식 실행 (산술, 문자열 연결, 비교, 일반 함수)
+   * @param {Object} formula - 수식 객체 ({ sheet, formula })
+   * @returns {any} 계산 결과
+   */
+  executeGenericFormula(formula) {
+    return this.evaluateSheetFormula(formula.sheet, formula.formula);
+  }
+
   /**
    * 조건 평가
    * @param {string} condition - 조건식
@@ -534,7 +562,7 @@ class CalculationEngine {
    */
   getExcelRangeData(range) {
     try {
-      const { sheetName, startCell, endCell, isWholeColumn } = this.parseExcelRange(range);
+      const { sheetName, startCell, endCell, isWholeColumn, isWholeRow } = this.parseExcelRange(range);
       
       // 시트 데이터 가져오기
       const sheetData = this.sheetData.get(sheetName) || [];
@@ -542,40 +570,35 @@ class CalculationEngine {
         console.warn(`시트 '${sheetName}' 데이터가 비어있음`);
         return [];
       }
+
+      // 수식 셀 (G열의 =E4+F4 등)은 수식 파서로 계산
+      const cellValueAt = (rowIndex, col) => {
+        const value = (sheetData[rowIndex] || [])[col];
+        if (typeof value === 'string' && value.startsWith('=')) {
+          return this.evaluateFormulaCell(sheetName, value.substring(1), undefined, `${this.formulaParser.columnToLetters(col)}${rowIndex + 1}`);
+        }
+        return value !== undefined ? value : null;
+      };
       
       if (isWholeColumn) {
         // 전체 열 참조 (예: A:A, $G:$G)
-        const columnLetter = range.split(':')[0].replace(/.*!/, '').replace(/\$/g, '');
-        const columnIndex = this.getExcelColumnIndex(columnLetter);
+        const columnIndex = this.getExcelColumnIndex(startCell);
         
         const result = [];
         // 매출내역total과 출 시트는 4행부터 데이터 (헤더 3행)
         const startDataRow = (sheetName === '매출내역total' || sheetName === '출') ? 3 : 0;
         
         for (let i = startDataRow; i < sheetData.length; i++) {
-          const rowData = sheetData[i] || [];
-          let cellValue = rowData[columnIndex] !== undefined ? rowData[columnIndex] : null;
-          
-          // 수식 처리 (G열의 =E4+F4 같은 간단한 수식)
-          if (typeof cellValue === 'string' && cellValue.startsWith('=')) {
-            const formula = cellValue.substring(1);
-            // E4+F4 같은 간단한 수식 처리
-            if (formula.match(/^[A-Z]+\d+\+[A-Z]+\d+$/)) {
-              const [leftCell, rightCell] = formula.split('+');
-              const leftCol = this.getExcelColumnIndex(leftCell);
-              const rightCol = this.getExcelColumnIndex(rightCell);
-              const leftVal = this.parseExcelNumericValue(rowData[leftCol] || 0);
-              const rightVal = this.parseExcelNumericValue(rowData[rightCol] || 0);
-              cellValue = leftVal + rightVal;
-            } else {
-              cellValue = 0; // 복잡한 수식은 0으로 처리
-            }
-          }
-          
-          result.push(cellValue);
+          result.push(cellValueAt(i, columnIndex));
         }
         return result;
       }
+
+      if (isWholeRow) {
+        // 전체 행 참조 (예: 3:3, 이름이 가리키는 행 포함)
+        const rowIndex = parseInt(startCell) - 1;
+        return (sheetData[rowIndex] || []).map((value, col) => cellValueAt(rowIndex, col));
+      }
       
       // 특정 범위 데이터 추출
       const result = [];
@@ -585,15 +608,14 @@ class CalculationEngine {
       const endCol = endCell ? this.getExcelColumnIndex(endCell) : startCol;
       
       for (let row = startRow; row <= endRow && row <= sheetData.length; row++) {
-        const rowData = sheetData[row - 1] || [];
         if (startCol === endCol) {
           // 단일 열
-          result.push(rowData[startCol] !== undefined ? rowData[startCol] : null);
+          result.push(cellValueAt(row - 1, startCol));
         } else {
           // 다중 열
           const rangeRow = [];
           for (let col = startCol; col <= endCol; col++) {
-            rangeRow.push(rowData[col] !== undefined ? rowData[col] : null);
+            rangeRow.push(cellValueAt(row - 1, col));
           }
           result.push(rangeRow);
         }
@@ -607,6 +629,84 @@ class CalculationEngine {
     }
   }
 
+  /**
+   * 시트 데이터 위에서 수식 계산 (참조한 셀이 수식이면 재귀적으로 계산)
+   * @param {string} sheetName - 수식이 있는 시트
+   * @param {string} formula - 수식 (= 생략 가능)
+   * @param {Set} visiting - 계산 중인 셀 (순환 참조 방지)
+   * @param {string|null} address - 수식이 있는 셀 (표의 [@열] 참조용)
+   * @returns {any} 계산 결과 (Excel 오류 값 포함, 배열 결과는 왼쪽 위 값)
+   */
+  evaluateSheetFormula(sheetName, formula, visiting = new Set(), address = null) {
+    formula = this.names.resolve(formula, { sheet: sheetName, address });
+    if (!this.compiledFormulas.has(formula)) {
+      this.compiledFormulas.set(formula, this.formulaParser.compileFormula(formula));
+    }
+
+    const parser = this.formulaParser;
+    const readCell = (sheet, row, col) => {
+      const value = (this.sheetData.get(sheet) || [])[row]?.[col];
+      if (typeof value === 'string' && value.startsWith('=')) {
+        const key = `${sheet}!${row}:${col}`;
+        if (visiting.has(key)) {
+          return 0; // 순환 참조는 Excel처럼 0으로 계산
+        }
+        visiting.add(key);
+        const result = this.evaluateFormulaCell(sheet, value.substring(1), visiting, `${parser.columnToLetters(col)}${row + 1}`);
+        visiting.delete(key);
+        return result;
+      }
+      return value !== undefined ? value : null;
+    };
+
+    return parser.toScalar(this.compiledFormulas.get(formula)({
+      sheet: sheetName,
+
+      getCellValue: (cellRef, refSheet) => {
+        const { row, col } = parser.parseCellReference(cellRef);
+        return readCell(refSheet || sheetName, row, col);
+      },
+
+      getRangeValues: (start, end, refSheet) => {
+        const sheet = refSheet || sheetName;
+        const sheetData = this.sheetData.get(sheet) || [];
+        const bounds = parser.getRangeBounds(start, end);
+        const lastRow = Math.min(bounds.endRow, sheetData.length - 1);
+        const lastCol = Math.min(bounds.endCol, sheetData.reduce((max, row) => Math.max(max, (row || []).length), 0) - 1);
+
+        const rows = [];
+        for (let row = bounds.startRow; row <= lastRow; row++) {
+          const values = [];
+          for (let col = bounds.startCol; col <= lastCol; col++) {
+            values.push(readCell(sheet, row, col));
+          }
+          rows.push(values);
+        }
+
+        if (lastCol === bounds.startCol) {
+          return rows.map(row => row[0]);
+        }
+        return rows.length === 1 ? rows[0] : rows;
+      }
+    }));
+  }
+
+  /**
+   * 셀에 저장된 수식 계산 (파싱할 수 없거나 알 수 없는 함수를 쓰는 수식은 오류 값이 셀 값이 됨)
+   * @param {string} sheetName - 시트명
+   * @param {string} formula - 수식
+   * @param {Set} visiting - 계산 중인 셀
+   * @param {string|null} address - 셀 주소
+   * @returns {any} 계산 결과
+   */
+  evaluateFormulaCell(sheetName, formula, visiting, address = null) {
+    try {
+      return this.evaluateSheetFormula(sheetName, formula, visiting, address);
+    } catch (error) {
+      return error.code || '#VALUE!';
+    }
+  }
+
   /**
    * 범위 데이터 가져오기 (레거시)
    */
@@ -616,19 +716,21 @@ class CalculationEngine {
 
   /**
    * Excel 범위 파싱 (향상된 버전)
-   * @param {string} range - Excel 범위
+   * 정의된 이름과 표의 구조적 참조(매출[금액])는 범위로 바꾼 뒤 파싱
+   * @param {string} range - Excel 범위 (예: A1:B10, '매출 시트'!C:C, 3:3, 금액합)
    * @param {string} defaultSheet - 기본 시트명
    * @returns {Object} 파싱된 범위 정보
    */
   parseExcelRange(range, defaultSheet = 'Sheet1') {
+    const resolved = this.names.resolve(range.trim(), { sheet: defaultSheet }).replace(/^\((.*)\)$/, '$1');
     let sheetName = defaultSheet;
-    let rangeStr = range.replace(/\$/g, ''); // $ 기호 제거
+    let rangeStr = resolved.replace(/\$/g, ''); // $ 기호 제거
     
-    // 시트명 분리
-    if (range.includes('!')) {
-      const parts = range.split('!');
-      sheetName = parts[0];
-      rangeStr = parts[1].replace(/\$/g, '');
+    // 시트명 분리 (따옴표로 묶은 시트명 포함)
+    const separator = resolved.lastIndexOf('!');
+    if (separator > 0) {
+      sheetName = resolved.substring(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+      rangeStr = resolved.substring(separator + 1).replace(/\$/g, '');
     }
     
     // 전체 열 참조 확인 (예: A:A, G:G)
@@ -639,7 +741,19 @@ class CalculationEngine {
         sheetName,
         startCell: rangeStr.split(':')[0],
         endCell: null,
-        isWholeColumn: true
+        isWholeColumn: true,
+        isWholeRow: false
+      };
+    }
+
+    // 전체 행 참조 확인 (예: 3:3)
+    if (/^\d+:\d+$/.test(rangeStr)) {
+      return {
+        sheetName,
+        startCell: rangeStr.split(':')[0],
+        endCell: null,
+        isWholeColumn: false,
+        isWholeRow: true
       };
     }
     
@@ -650,7 +764,8 @@ class CalculationEngine {
       sheetName,
       startCell,
       endCell: endCell || null,
-      isWholeColumn: false
+      isWholeColumn: false,
+      isWholeRow: false
     };
   }
 
@@ -1310,54 +1425,38 @@ class CalculationEngine {
   }
 
   /**
-   * 의존성 분석
-   * @param {Array} formulas - 수식 목록
-   * @returns {Array} 계산 순서
+   * 의존성 분석 (셀 단위 의존성 그래프의 위상 정렬)
+   * 순환 참조에 걸린 수식은 순서에서 빠지고 this.dependencyReport에 기록됨
+   * @param {Array} formulas - 수식 목록 ({ sheet, cell, formula })
+   * @returns {Array} 계산 순서대로 정렬된 수식 (시트/셀 정보가 없는 수식은 맨 뒤)
    */
   analyzeDependencies(formulas) {
-    // 간단한 토폴로지 정렬
-    const dependencies = new Map();
-    const inDegree = new Map();
-    
-    formulas.forEach(formula => {
-      dependencies.set(formula.id, []);
-      inDegree.set(formula.id, 0);
-    });
-    
-    // 의존성 찾기
+    const graph = new DependencyGraph();
+    const formulasByKey = new Map();
+    const unplaced = [];
+
     formulas.forEach(formula => {
-      const refs = this.findCellReferences(formula.formula);
-      refs.forEach(ref => {
-        if (dependencies.has(ref)) {
-          dependencies.get(ref).push(formula.id);
-          inDegree.set(formula.id, inDegree.get(formula.id) + 1);
-        }
-      });
-    });
-    
-    // 토폴로지 정렬
-    const queue = [];
-    const result = [];
-    
-    inDegree.forEach((degree, id) => {
-      if (degree === 0) {
-        queue.push(id);
+      if (formula.sheet && formula.cell && formulasByKey.has(DependencyGraph.key(formula.sheet, formula.cell))) {
+        unplaced.push(formula);
+        return;
+      }
+      try {
+        const node = graph.setFormula(formula.sheet, formula.cell, formula.formula);
+        formulasByKey.set(node.key, formula);
+      } catch {
+        unplaced.push(formula);
       }
     });
-    
-    while (queue.length > 0) {
-      const current = queue.shift();
-      result.push(formulas.find(f => f.id === current));
-      
-      dependencies.get(current).forEach(dependent => {
-        inDegree.set(dependent, inDegree.get(dependent) - 1);
-        if (inDegree.get(dependent) === 0) {
-          queue.push(dependent);
-        }
-      });
-    }
-    
-    return result;
+
+    const { order, cycles, blocked } = graph.getEvaluationOrder();
+    this.calculationOrder = order;
+    this.dependencyReport = {
+      cycles: cycles,
+      blocked: blocked,
+      excluded: cycles.flatMap(cycle => cycle.cells).concat(blocked).map(key => formulasByKey.get(key))
+    };
+
+    return order.map(key => formulasByKey.get(key)).concat(unplaced);
   }
 
   /**
@@ -4,25 +4,89 @@
  * 24개 계정과목별 분류 규칙 및 신뢰도 계산
  */
 
+const ClassificationRuleSet = require('../models/ClassificationRuleSet');
+const ChartOfAccounts = require('../models/ChartOfAccounts');
+
 class ClassificationEngine {
-  constructor() {
+  /**
+   * @param {Object} options - 엔진 옵션
+   * @param {ClassificationRuleSet} options.ruleSet - 사용할 규칙 세트 (기본: config/rules/default.json)
+   * @param {Array} options.learnedRules - 사용자 정정에서 도출한 학습 규칙
+   * @param {NaiveBayesClassifier} options.statisticalClassifier - 규칙 신뢰도가 낮을 때 사용할 통계 분류기
+   * @param {ChartOfAccounts} options.chartOfAccounts - 말단 계정 매핑에 사용할 계정과목표
+   */
+  constructor(options = {}) {
+    this.ruleSet = options.ruleSet || ClassificationRuleSet.loadDefault();
     this.classificationRules = this.initializeRules();
+    this.learnedRules = options.learnedRules || [];
+    this.statisticalClassifier = options.statisticalClassifier || null;
+    this.chartOfAccounts = options.chartOfAccounts || ChartOfAccounts.standard();
     this.confidenceThreshold = 0.8; // 신뢰도 임계값
   }
 
+  /**
+   * 규칙 세트 전환 (런타임)
+   * @param {ClassificationRuleSet} ruleSet - 새 규칙 세트
+   */
+  setRuleSet(ruleSet) {
+    this.ruleSet = ruleSet;
+    this.classificationRules = this.initializeRules();
+  }
+
+  /**
+   * 학습 규칙 교체 (정정 내역 갱신 시)
+   * @param {Array} learnedRules - CorrectionService에서 도출한 학습 규칙
+   */
+  setLearnedRules(learnedRules) {
+    this.learnedRules = learnedRules || [];
+  }
+
+  /**
+   * 통계 분류기 교체 (확정 거래 학습 결과 갱신 시)
+   * @param {NaiveBayesClassifier} classifier - 학습된 분류기
+   */
+  setStatisticalClassifier(classifier) {
+    this.statisticalClassifier = classifier || null;
+  }
+
+  /**
+   * 계정과목표 교체 (병원별 계정과목 편집 시)
+   * @param {ChartOfAccounts} chartOfAccounts - 말단 계정 매핑에 사용할 계정과목표
+   */
+  setChartOfAccounts(chartOfAccounts) {
+    this.chartOfAccounts = chartOfAccounts || ChartOfAccounts.standard();
+  }
+
+  /**
+   * 현재 규칙 세트 버전 정보
+   * @returns {Object} { id, version }
+   */
+  getRuleSetVersion() {
+    return {
+      id: this.ruleSet.id,
+      version: this.ruleSet.version
+    };
+  }
+
   /**
    * 메인 분류 함수: 로우데이터를 계정과목별로 자동 분류
    * @param {Array} rawData - 병원 시스템에서 받은 원시 데이터
+   * @param {Object} options - 분류 옵션
+   * @param {boolean} options.split - 복합 거래를 분할 규칙에 따라 여러 계정 라인으로 분할
+   * @param {Function} options.onProgress - 100행마다(마지막 행 포함) 호출되는 진행률 콜백 ({ processed, total })
    * @returns {Object} 분류 결과 및 통계
    */
-  async classifyTransactions(rawData) {
+  async classifyTransactions(rawData, options = {}) {
     const results = {
       totalRows: rawData.length,
       classified: [],
       uncertain: [],
       failed: [],
       statistics: {},
-      processingTime: 0
+      processingTime: 0,
+      ruleSet: this.getRuleSetVersion(),
+      learnedRuleReport: [],
+      splits: []
     };
 
     const startTime = Date.now();
@@ -31,11 +95,26 @@ class ClassificationEngine {
       const row = rawData[i];
       try {
         const classificationResult = await this.classifyTransaction(row, i);
+        const lines = options.split && classificationResult.confidence >= 0.5
+          ? this.splitClassification(row, classificationResult)
+          : [classificationResult];
+
+        if (lines.length > 1) {
+          results.splits.push({
+            sourceRowIndex: i,
+            ruleId: lines[0].split.ruleId,
+            sourceAmount: lines[0].split.sourceAmount,
+            // 잔액 라인은 배분 금액이 아닌 미배분 차액
+            allocatedAmount: lines.filter(line => !line.split.residual).reduce((sum, line) => sum + line.amount, 0),
+            residualAmount: lines.filter(line => line.split.residual).reduce((sum, line) => sum + line.amount, 0),
+            lineCount: lines.length
+          });
+        }
         
         if (classificationResult.confidence >= this.confidenceThreshold) {
-          results.classified.push(classificationResult);
+          results.classified.push(...lines);
         } else if (classificationResult.confidence >= 0.5) {
-          results.uncertain.push(classificationResult);
+          results.uncertain.push(...lines);
         } else {
           results.failed.push({
             row: row,
@@ -56,10 +135,15 @@ class ClassificationEngine {
           reason: error.message
         });
       }
+
+      if (options.onProgress && ((i + 1) % 100 === 0 || i === rawData.length - 1)) {
+        options.onProgress({ processed: i + 1, total: rawData.length });
+      }
     }
 
     results.processingTime = Date.now() - startTime;
     results.statistics = this.calculateStatistics(results);
+    results.learnedRuleReport = this.summarizeLearnedRules(results);
 
     return results;
   }
@@ -68,7 +152,7 @@ class ClassificationEngine {
    * 개별 거래내역 분류
    * @param {Object} row - 개별 거래 데이터
    * @param {number} index - 행 번호
-   * @returns {Object} 분류 결과
+   * @returns {Object} 분류 결과 (explanation: 규칙 평가 순서, 매칭 필드, 신뢰도 변화)
    */
   async classifyTransaction(row, index) {
     // 1단계: 기본 데이터 검증
@@ -77,21 +161,23 @@ class ClassificationEngine {
       throw new Error(`데이터 검증 실패: ${validationResult.errors.join(', ')}`);
     }
 
-    // 2단계: 수익/비용 구분
-    const transactionType = this.determineTransactionType(row);
+    // 2단계: 수익/비용 구분 (학습 규칙에 거래 유형이 있으면 우선)
+    const learnedRule = this.findLearnedRule(row);
+    let transactionType = (learnedRule && learnedRule.transactionType) || this.determineTransactionType(row);
     
     // 3단계: 카테고리별 분류
     let classification;
     let confidence = 0;
     let appliedRules = [];
+    const trace = [];
 
     if (transactionType === 'revenue') {
-      const result = this.classifyRevenue(row);
+      const result = this.classifyRevenue(row, trace);
       classification = result.account;
       confidence = result.confidence;
       appliedRules = result.rules;
     } else if (transactionType === 'expense') {
-      const result = this.classifyExpense(row);
+      const result = this.classifyExpense(row, trace);
       classification = result.account;
       confidence = result.confidence;
       appliedRules = result.rules;
@@ -99,16 +185,64 @@ class ClassificationEngine {
       throw new Error('거래 유형 판단 실패');
     }
 
+    // 사용자 정정에서 학습한 규칙은 기본 규칙보다 우선
+    if (learnedRule) {
+      const learnedConfidence = Math.max(confidence, learnedRule.confidence);
+      trace.push({
+        ruleId: learnedRule.id,
+        ruleName: learnedRule.name,
+        group: 'learned',
+        matched: true,
+        // 거래처 규칙은 거래처 전체와 같을 때, 키워드 규칙은 항목의 단어로 들어 있을 때 매칭 (findLearnedRule)
+        matchedFields: [learnedRule.type === 'keyword'
+          ? { field: learnedRule.field, operator: 'contains', value: learnedRule.value, actual: String(row.항목 || row.item || '') }
+          : { field: learnedRule.field, operator: 'equals', value: learnedRule.value, actual: String(this.extractVendor(row)).trim() }],
+        confidenceDelta: learnedConfidence - confidence
+      });
+      classification = learnedRule.account;
+      confidence = learnedConfidence;
+      appliedRules = [...appliedRules, learnedRule.name];
+    }
+
     // 4단계: 세부 분류 및 검증
-    const finalClassification = this.refineClassification(row, classification, confidence);
+    const finalClassification = this.refineClassification(row, classification, confidence, trace);
+    let account = finalClassification.account;
+    let finalConfidence = finalClassification.confidence;
+    let classificationMethod = learnedRule ? 'learned' : 'rule';
+
+    // 5단계: 규칙 신뢰도가 임계값 미만이면 통계 분류기로 보완
+    const statisticalPrediction = finalConfidence < this.confidenceThreshold
+      ? this.predictStatistically(row)
+      : null;
+    if (statisticalPrediction && statisticalPrediction.probability > finalConfidence) {
+      trace.push({
+        ruleId: 'statistical.naiveBayes',
+        ruleName: '통계 분류기',
+        group: 'statistical',
+        matched: true,
+        matchedFields: [],
+        confidenceDelta: statisticalPrediction.probability - finalConfidence
+      });
+      account = statisticalPrediction.account;
+      finalConfidence = statisticalPrediction.probability;
+      transactionType = statisticalPrediction.transactionType || transactionType;
+      classificationMethod = 'statistical';
+    }
 
     return {
       originalData: row,
       rowIndex: index,
-      account: finalClassification.account,
-      confidence: finalClassification.confidence,
+      account: account,
+      confidence: finalConfidence,
+      ruleConfidence: finalClassification.confidence,
+      statisticalPrediction: statisticalPrediction,
+      classificationMethod: classificationMethod,
       transactionType: transactionType,
       appliedRules: appliedRules,
+      learnedRules: learnedRule ? [learnedRule.id] : [],
+      leafAccount: this.resolveLeafAccount(account, row),
+      ruleSet: this.getRuleSetVersion(),
+      explanation: this.buildExplanation(trace, account, finalConfidence),
       metadata: {
         patientType: this.extractPatientType(row),
         department: this.extractDepartment(row),
@@ -118,34 +252,126 @@ class ClassificationEngine {
     };
   }
 
+  /**
+   * 복합 거래 분할 (본인/공단부담금, 의약품/의료재료 혼합 청구 등)
+   * 규칙 세트의 분할 규칙에 따라 컬럼 값 또는 비율로 금액을 배분하며,
+   * 배분 합계가 원 거래 금액과 다르면 차액을 원 분류 계정의 '잔액' 라인(split.residual)으로 남김
+   * 합계 컬럼이 비어 있으면 거래 금액을, 그것도 없으면 배분 합계를 원 거래 금액으로 봄
+   * @param {Object} row - 거래 데이터
+   * @param {Object} result - classifyTransaction 결과
+   * @returns {Array} 분할 라인 (분할 규칙이 없으면 [result])
+   */
+  splitClassification(row, result) {
+    const splitRule = (this.classificationRules.splits || []).find(rule => rule.condition(row));
+    if (!splitRule) {
+      return [result];
+    }
+
+    const parseAmount = (value) => parseFloat(String(value === undefined ? 0 : value).replace(/,/g, '')) || 0;
+    const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+    let sourceAmount = null;
+    if (splitRule.totalColumn) {
+      sourceAmount = isBlank(row[splitRule.totalColumn])
+        ? this.extractAmount(row) || null
+        : parseAmount(row[splitRule.totalColumn]);
+    } else if (splitRule.allocation === 'ratio') {
+      sourceAmount = this.extractAmount(row);
+    }
+
+    const allocations = splitRule.lines.map(line => ({
+      label: line.label,
+      account: line.account || result.account,
+      amount: splitRule.allocation === 'column'
+        ? parseAmount(row[line.column])
+        : Math.round(sourceAmount * line.ratio)
+    }));
+
+    // 비율 배분의 반올림 차액은 마지막 라인에 반영
+    if (splitRule.allocation === 'ratio') {
+      const others = allocations.slice(0, -1).reduce((sum, line) => sum + line.amount, 0);
+      allocations[allocations.length - 1].amount = sourceAmount - others;
+    }
+
+    const allocated = allocations.reduce((sum, line) => sum + line.amount, 0);
+    if (sourceAmount === null) {
+      sourceAmount = allocated;
+    } else if (Math.abs(sourceAmount - allocated) >= 1) {
+      allocations.push({ label: '잔액', account: result.account, amount: sourceAmount - allocated, residual: true });
+    }
+
+    return allocations.map((line, lineIndex) => ({
+      ...result,
+      account: line.account,
+      leafAccount: this.resolveLeafAccount(line.account, row),
+      amount: line.amount,
+      split: {
+        ruleId: splitRule.id,
+        ruleName: splitRule.name,
+        allocation: splitRule.allocation,
+        label: line.label,
+        lineIndex: lineIndex,
+        lineCount: allocations.length,
+        sourceRowIndex: result.rowIndex,
+        sourceAmount: sourceAmount,
+        residual: Boolean(line.residual)
+      }
+    }));
+  }
+
+  /**
+   * 분류 계정을 계정과목표의 말단 계정으로 매핑
+   * (예: 건보수익 + 입원 → 4110 건보입원수익)
+   * @param {string} account - 분류 계정명
+   * @param {Object} row - 거래 데이터
+   * @returns {Object|null} { code, name, path }
+   */
+  resolveLeafAccount(account, row) {
+    if (!account) {
+      return null;
+    }
+
+    const leaf = this.chartOfAccounts.resolveLeaf(account, { serviceType: this.extractServiceType(row) });
+    if (!leaf) {
+      return null;
+    }
+
+    return {
+      code: leaf.code,
+      name: leaf.name,
+      path: this.chartOfAccounts.getPath(leaf.code)
+    };
+  }
+
   /**
    * 수익 계정 분류
    * @param {Object} row - 거래 데이터
+   * @param {Array} trace - 규칙 평가 기록 (설명용, 선택)
    * @returns {Object} 분류 결과
    */
-  classifyRevenue(row) {
+  classifyRevenue(row, trace = []) {
     const rules = this.classificationRules.revenue;
     let bestMatch = { account: null, confidence: 0, rules: [] };
 
     // 환자 유형별 수익 분류 (최우선)
     const patientType = this.extractPatientType(row);
-    if (patientType) {
-      const patientRule = rules.patientType[patientType];
-      if (patientRule && patientRule.condition(row)) {
-        bestMatch = {
-          account: patientRule.account,
-          confidence: patientRule.baseConfidence,
-          rules: [patientRule.name]
-        };
-      }
+    const patientRule = this.findMatchingRule(rules.patientType, patientType, row, trace, 'patientType');
+    if (patientRule) {
+      bestMatch = {
+        account: patientRule.account,
+        confidence: patientRule.baseConfidence,
+        rules: [patientRule.name]
+      };
+      this.setConfidenceDelta(trace, patientRule, patientRule.baseConfidence);
     }
 
     // 진료과별 분류로 보완
     const department = this.extractDepartment(row);
     if (department && rules.department[department]) {
       const deptRule = rules.department[department];
-      if (deptRule.condition(row)) {
-        bestMatch.confidence += 0.1; // 부가 신뢰도
+      const step = this.traceRule(trace, deptRule, 'department', row);
+      if (step.matched) {
+        step.confidenceDelta = deptRule.confidenceBoost || 0.1; // 부가 신뢰도
+        bestMatch.confidence += step.confidenceDelta;
         bestMatch.rules.push(deptRule.name);
       }
     }
@@ -155,7 +381,9 @@ class ClassificationEngine {
     keywords.forEach(keyword => {
       if (rules.keywords[keyword]) {
         const keywordRule = rules.keywords[keyword];
-        if (keywordRule.condition(row)) {
+        const step = this.traceRule(trace, keywordRule, 'keywords', row);
+        if (step.matched) {
+          step.confidenceDelta = keywordRule.confidenceBoost;
           bestMatch.confidence += keywordRule.confidenceBoost;
           bestMatch.rules.push(keywordRule.name);
         }
@@ -163,7 +391,7 @@ class ClassificationEngine {
     });
 
     // 최종 신뢰도 조정 (최대 1.0)
-    bestMatch.confidence = Math.min(bestMatch.confidence, 1.0);
+    bestMatch.confidence = this.capConfidence(bestMatch.confidence, trace);
 
     return bestMatch;
   }
@@ -171,31 +399,33 @@ class ClassificationEngine {
   /**
    * 비용 계정 분류
    * @param {Object} row - 거래 데이터
+   * @param {Array} trace - 규칙 평가 기록 (설명용, 선택)
    * @returns {Object} 분류 결과
    */
-  classifyExpense(row) {
+  classifyExpense(row, trace = []) {
     const rules = this.classificationRules.expense;
     let bestMatch = { account: null, confidence: 0, rules: [] };
 
     // 비용 항목별 분류
     const expenseType = this.extractExpenseType(row);
-    if (expenseType && rules.expenseType[expenseType]) {
-      const expenseRule = rules.expenseType[expenseType];
-      if (expenseRule.condition(row)) {
-        bestMatch = {
-          account: expenseRule.account,
-          confidence: expenseRule.baseConfidence,
-          rules: [expenseRule.name]
-        };
-      }
+    const expenseRule = this.findMatchingRule(rules.expenseType, expenseType, row, trace, 'expenseType');
+    if (expenseRule) {
+      bestMatch = {
+        account: expenseRule.account,
+        confidence: expenseRule.baseConfidence,
+        rules: [expenseRule.name]
+      };
+      this.setConfidenceDelta(trace, expenseRule, expenseRule.baseConfidence);
     }
 
     // 공급업체별 분류로 보완
     const vendor = this.extractVendor(row);
     if (vendor && rules.vendor[vendor]) {
       const vendorRule = rules.vendor[vendor];
-      if (vendorRule.condition(row)) {
-        bestMatch.confidence += 0.15; // 부가 신뢰도
+      const step = this.traceRule(trace, vendorRule, 'vendor', row);
+      if (step.matched) {
+        step.confidenceDelta = vendorRule.confidenceBoost || 0.15; // 부가 신뢰도
+        bestMatch.confidence += step.confidenceDelta;
         bestMatch.rules.push(vendorRule.name);
       }
     }
@@ -205,194 +435,224 @@ class ClassificationEngine {
     keywords.forEach(keyword => {
       if (rules.keywords[keyword]) {
         const keywordRule = rules.keywords[keyword];
-        if (keywordRule.condition(row)) {
+        const step = this.traceRule(trace, keywordRule, 'keywords', row);
+        if (step.matched) {
+          step.confidenceDelta = keywordRule.confidenceBoost;
           bestMatch.confidence += keywordRule.confidenceBoost;
           bestMatch.rules.push(keywordRule.name);
         }
       }
     });
 
-    bestMatch.confidence = Math.min(bestMatch.confidence, 1.0);
+    bestMatch.confidence = this.capConfidence(bestMatch.confidence, trace);
 
     return bestMatch;
   }
 
   /**
-   * 분류 규칙 초기화 (24개 계정과목)
+   * 규칙 그룹에서 매칭 규칙 검색
+   * 데이터에서 추출한 키의 규칙만 평가 (다른 키의 규칙으로 대신 분류하지 않음)
+   * @param {Object} group - 규칙 그룹 (예: revenue.patientType)
+   * @param {string} key - 데이터에서 추출한 규칙 키
+   * @param {Object} row - 거래 데이터
+   * @param {Array} trace - 규칙 평가 기록 (설명용, 선택)
+   * @param {string} groupName - 기록에 남길 그룹 이름
+   * @returns {Object|null} 매칭된 규칙
+   */
+  findMatchingRule(group, key, row, trace = [], groupName = null) {
+    const rule = key && group[key] ? group[key] : null;
+    if (!rule) {
+      return null;
+    }
+
+    return this.traceRule(trace, rule, groupName, row).matched ? rule : null;
+  }
+
+  /**
+   * 규칙 평가 및 기록
+   * @param {Array} trace - 규칙 평가 기록
+   * @param {Object} rule - 컴파일된 규칙
+   * @param {string} groupName - 규칙 그룹 이름
+   * @param {Object} row - 거래 데이터
+   * @returns {Object} 기록된 평가 단계 ({ ruleId, matched, matchedFields, confidenceDelta, ... })
    */
-  initializeRules() {
+  traceRule(trace, rule, groupName, row) {
+    const explanation = rule.explain(row);
+    const step = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      group: groupName,
+      matched: explanation.matched,
+      matchedFields: explanation.matchedFields,
+      confidenceDelta: 0
+    };
+
+    trace.push(step);
+    return step;
+  }
+
+  /**
+   * 매칭된 규칙의 신뢰도 기여분 기록
+   */
+  setConfidenceDelta(trace, rule, delta) {
+    const step = trace.find(entry => entry.ruleId === rule.id && entry.matched);
+    if (step) {
+      step.confidenceDelta = delta;
+    }
+  }
+
+  /**
+   * 신뢰도 상한(1.0) 적용 및 기록
+   */
+  capConfidence(confidence, trace = []) {
+    if (confidence <= 1.0) {
+      return confidence;
+    }
+
+    trace.push({
+      ruleId: 'system.confidenceCap',
+      ruleName: '신뢰도 상한',
+      group: 'system',
+      matched: true,
+      matchedFields: [],
+      confidenceDelta: 1.0 - confidence
+    });
+
+    return 1.0;
+  }
+
+  /**
+   * 분류 설명 객체 생성
+   * @param {Array} trace - 규칙 평가 기록
+   * @param {string} account - 최종 계정과목
+   * @param {number} confidence - 최종 신뢰도
+   * @returns {Object} { ruleIds, failedRules, steps, account, confidence }
+   */
+  buildExplanation(trace, account, confidence) {
+    const steps = trace.map((step, index) => ({
+      order: index + 1,
+      ...step,
+      confidenceDelta: Number(step.confidenceDelta.toFixed(4))
+    }));
+
     return {
-      revenue: {
-        // 환자 유형별 수익 분류 규칙
-        patientType: {
-          '건강보험': {
-            name: '건보수익분류',
-            account: '건보수익',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return row.보험유형 === '건강보험' || 
-                     row.보험종류 === '건강보험' ||
-                     row.환자유형 === '건보' ||
-                     (row.항목 && row.항목.includes('건강보험'));
-            }
-          },
-          '의료보험': {
-            name: '의보수익분류',
-            account: '의보수익',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return row.보험유형 === '의료보험' || 
-                     row.보험종류 === '의료보험' ||
-                     row.보험종류 === '의료급여' ||
-                     row.환자유형 === '의보' ||
-                     (row.항목 && row.항목.includes('의료'));
-            }
-          },
-          '일반환자': {
-            name: '일반수익분류',
-            account: '일반수익',
-            baseConfidence: 0.85,
-            condition: (row) => {
-              return (!row.보험유형 && !row.보험종류 && row.금액 > 0) ||
-                     row.환자유형 === '일반' ||
-                     (row.항목 && row.항목.includes('자비'));
-            }
-          },
-          '산재보험': {
-            name: '산재수익분류',
-            account: '산재수익',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return row.보험유형 === '산재보험' || 
-                     row.환자유형 === '산재' ||
-                     (row.항목 && row.항목.includes('산재'));
-            }
-          },
-          '자동차보험': {
-            name: '자보수익분류',
-            account: '자보수익',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return row.보험유형 === '자동차보험' || 
-                     row.환자유형 === '자보' ||
-                     (row.항목 && row.항목.includes('자동차'));
-            }
-          }
-        },
-
-        // 진료과별 분류 규칙
-        department: {
-          '내과': {
-            name: '내과수익분류',
-            account: '내과수익',
-            baseConfidence: 0.8,
-            condition: (row) => row.진료과 === '내과' || (row.부서 && row.부서.includes('내과'))
-          },
-          '외과': {
-            name: '외과수익분류',
-            account: '외과수익',
-            baseConfidence: 0.8,
-            condition: (row) => row.진료과 === '외과' || (row.부서 && row.부서.includes('외과'))
-          },
-          '소아과': {
-            name: '소아과수익분류',
-            account: '소아과수익',
-            baseConfidence: 0.8,
-            condition: (row) => row.진료과 === '소아과' || (row.부서 && row.부서.includes('소아'))
-          }
-        },
-
-        // 키워드 기반 분류 규칙
-        keywords: {
-          '외래': {
-            name: '외래수익키워드',
-            confidenceBoost: 0.1,
-            condition: (row) => row.항목 && row.항목.includes('외래')
-          },
-          '입원': {
-            name: '입원수익키워드',
-            confidenceBoost: 0.1,
-            condition: (row) => row.항목 && row.항목.includes('입원')
-          },
-          '응급': {
-            name: '응급수익키워드',
-            confidenceBoost: 0.1,
-            condition: (row) => row.항목 && row.항목.includes('응급')
-          }
-        }
-      },
-
-      expense: {
-        // 비용 항목별 분류 규칙
-        expenseType: {
-          '의약품': {
-            name: '의약품비분류',
-            account: '의약품비',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return (row.항목 && (row.항목.includes('약품') || row.항목.includes('의약'))) ||
-                     (row.거래처 && row.거래처.includes('제약'));
-            }
-          },
-          '의료재료': {
-            name: '의료재료비분류',
-            account: '의료재료비',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return (row.항목 && (row.항목.includes('재료') || row.항목.includes('소모품'))) ||
-                     (row.거래처 && row.거래처.includes('메디컬'));
-            }
-          },
-          '인건비': {
-            name: '급여분류',
-            account: '급여',
-            baseConfidence: 0.95,
-            condition: (row) => {
-              return (row.항목 && (row.항목.includes('인건비') || row.항목.includes('급여') || row.항목.includes('임금'))) ||
-                     row.금액 < 0; // 일반적으로 급여는 지출
-            }
-          },
-          '임대료': {
-            name: '임차료분류',
-            account: '임차료',
-            baseConfidence: 0.9,
-            condition: (row) => {
-              return row.항목 && (row.항목.includes('임대') || row.항목.includes('임차') || row.항목.includes('렌트'));
-            }
-          }
-        },
-
-        // 공급업체별 분류 규칙
-        vendor: {
-          '제약회사': {
-            name: '제약업체분류',
-            confidenceBoost: 0.15,
-            condition: (row) => row.거래처 && (row.거래처.includes('제약') || row.거래처.includes('팜'))
-          },
-          '의료기기': {
-            name: '의료기기업체분류',
-            confidenceBoost: 0.15,
-            condition: (row) => row.거래처 && (row.거래처.includes('메디') || row.거래처.includes('기기'))
-          }
-        },
-
-        // 키워드 기반 분류 규칙
-        keywords: {
-          '유지보수': {
-            name: '유지보수비키워드',
-            confidenceBoost: 0.1,
-            condition: (row) => row.항목 && row.항목.includes('유지보수')
-          },
-          '전기': {
-            name: '전기료키워드',
-            confidenceBoost: 0.1,
-            condition: (row) => row.항목 && row.항목.includes('전기')
-          }
-        }
-      }
+      account: account,
+      confidence: confidence,
+      ruleIds: steps.filter(step => step.matched).map(step => step.ruleId),
+      failedRules: steps.filter(step => !step.matched).map(step => step.ruleId),
+      steps: steps
     };
   }
 
+  /**
+   * 분류 설명을 사람이 읽을 수 있는 문장 목록으로 변환
+   * @param {Object} explanation - buildExplanation 결과
+   * @returns {Array} 설명 문장
+   */
+  formatExplanation(explanation) {
+    const lines = explanation.steps.map(step => {
+      const status = step.matched ? '적용' : '불일치';
+      const fields = step.matchedFields
+        .map(field => `${field.field}=${field.actual === undefined ? '(없음)' : field.actual}`)
+        .join(', ');
+      const delta = step.confidenceDelta >= 0 ? `+${step.confidenceDelta}` : `${step.confidenceDelta}`;
+
+      return `${step.order}. [${status}] ${step.ruleName} (${step.ruleId})${fields ? ` ${fields}` : ''} 신뢰도 ${delta}`;
+    });
+
+    lines.push(`→ ${explanation.account || '미분류'} (신뢰도 ${Number(explanation.confidence).toFixed(2)})`);
+    return lines;
+  }
+
+  /**
+   * 거래에 적용할 학습 규칙 검색
+   * 거래처 규칙(정확히 일치)을 먼저 찾고, 없으면 항목 키워드 규칙
+   * @param {Object} row - 거래 데이터
+   * @returns {Object|null} 학습 규칙
+   */
+  findLearnedRule(row) {
+    if (this.learnedRules.length === 0) {
+      return null;
+    }
+
+    const vendor = this.extractVendor(row);
+    const vendorRule = vendor && this.learnedRules.find(rule =>
+      rule.type === 'vendor' && rule.value === String(vendor).trim()
+    );
+    if (vendorRule) {
+      return vendorRule;
+    }
+
+    const itemWords = String(row.항목 || row.item || '').split(' ');
+    return this.learnedRules.find(rule =>
+      rule.type === 'keyword' && itemWords.includes(rule.value)
+    ) || null;
+  }
+
+  /**
+   * 통계 분류기 예측 (분류기가 없거나 학습 전이면 null)
+   * @param {Object} row - 거래 데이터
+   * @returns {Object|null} { account, probability, transactionType }
+   */
+  predictStatistically(row) {
+    if (!this.statisticalClassifier) {
+      return null;
+    }
+
+    const prediction = this.statisticalClassifier.predict(row);
+    if (!prediction) {
+      return null;
+    }
+
+    return {
+      account: prediction.account,
+      probability: Number(prediction.probability.toFixed(4)),
+      transactionType: prediction.transactionType
+    };
+  }
+
+  /**
+   * 학습 규칙 적용 현황 집계
+   * @param {Object} results - 분류 결과
+   * @returns {Array} [{ id, name, account, firedCount, rowIndexes }]
+   */
+  summarizeLearnedRules(results) {
+    const report = new Map();
+
+    [...results.classified, ...results.uncertain].forEach(item => {
+      // 분할 라인은 원 거래 기준으로 한 번만 집계
+      if (item.split && item.split.lineIndex > 0) {
+        return;
+      }
+
+      (item.learnedRules || []).forEach(ruleId => {
+        if (!report.has(ruleId)) {
+          const rule = this.learnedRules.find(learned => learned.id === ruleId);
+          report.set(ruleId, {
+            id: ruleId,
+            name: rule.name,
+            account: rule.account,
+            firedCount: 0,
+            rowIndexes: []
+          });
+        }
+
+        const entry = report.get(ruleId);
+        entry.firedCount++;
+        entry.rowIndexes.push(item.rowIndex);
+      });
+    });
+
+    return Array.from(report.values());
+  }
+
+  /**
+   * 분류 규칙 초기화 (규칙 세트 컴파일)
+   */
+  initializeRules() {
+    return this.ruleSet.compile();
+  }
+
   /**
    * 거래 유형 판단 (수익/비용)
    */
@@ -484,6 +744,13 @@ class ClassificationEngine {
     return null;
   }
 
+  extractServiceType(row) {
+    const text = [row.외래입원구분, row.진료구분, row.구분, row.항목].filter(Boolean).join(' ');
+    if (text.includes('입원')) return '입원';
+    if (text.includes('응급')) return '응급';
+    return '외래';
+  }
+
   extractVendor(row) {
     return row.거래처 || row.vendor || row.supplier;
   }
@@ -531,13 +798,22 @@ class ClassificationEngine {
   /**
    * 분류 결과 개선 및 검증
    */
-  refineClassification(row, account, confidence) {
+  refineClassification(row, account, confidence, trace = []) {
     // 특수 케이스 처리
     if (account === '일반수익' && confidence < 0.7) {
       // 일반수익으로 분류되었지만 신뢰도가 낮은 경우
       const keywords = this.extractKeywords(row);
-      if (keywords.some(k => ['검사', '처치', '수술'].includes(k))) {
+      const medicalKeyword = keywords.find(k => ['검사', '처치', '수술'].includes(k));
+      if (medicalKeyword) {
         confidence += 0.1; // 의료 행위 키워드로 신뢰도 상승
+        trace.push({
+          ruleId: 'refinement.medicalKeyword',
+          ruleName: '의료행위 키워드 보정',
+          group: 'refinement',
+          matched: true,
+          matchedFields: [{ field: '항목', operator: 'contains', value: medicalKeyword, actual: row.항목 }],
+          confidenceDelta: 0.1
+        });
       }
     }
 
@@ -545,21 +821,32 @@ class ClassificationEngine {
     const amount = this.extractAmount(row);
     if (Math.abs(amount) > 1000000) { // 100만원 초과
       confidence += 0.05; // 고액 거래는 보통 분류가 명확함
+      trace.push({
+        ruleId: 'refinement.highAmount',
+        ruleName: '고액 거래 보정',
+        group: 'refinement',
+        matched: true,
+        matchedFields: [{ field: '금액', operator: 'greaterThan', value: 1000000, actual: amount }],
+        confidenceDelta: 0.05
+      });
     }
 
     return {
       account: account,
-      confidence: Math.min(confidence, 1.0)
+      confidence: this.capConfidence(confidence, trace)
     };
   }
 
+
   /**
    * 분류 결과 통계 계산
    */
   calculateStatistics(results) {
+    // 분할 라인은 원 거래 행 기준으로 집계
+    const countRows = (items) => new Set(items.map(item => item.rowIndex)).size;
     const stats = {
-      successRate: (results.classified.length / results.totalRows * 100).toFixed(2) + '%',
-      uncertainRate: (results.uncertain.length / results.totalRows * 100).toFixed(2) + '%',
+      successRate: (countRows(results.classified) / results.totalRows * 100).toFixed(2) + '%',
+      uncertainRate: (countRows(results.uncertain) / results.totalRows * 100).toFixed(2) + '%',
       failureRate: (results.failed.length / results.totalRows * 100).toFixed(2) + '%',
       avgConfidence: 0,
       accountDistribution: {}
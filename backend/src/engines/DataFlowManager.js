@@ -1,10 +1,33 @@
 /**
  * 데이터 플로우 관리자
  * 시트간 의존성 처리, 계산 순서 관리, 실시간 업데이트
+ * 실행 단계는 파이프라인 정의(PipelineDefinition)에서 읽고, 의존 단계가 끝난 단계부터 병렬로 실행
  */
 
+const PipelineDefinition = require('../models/PipelineDefinition');
+
+// 내장 단계 타입 (그 밖의 타입은 registerStepType으로 등록한 플러그인)
+const BUILT_IN_STEP_TYPES = ['validation', 'preprocessing', 'classification', 'preparation', 'calculation', 'reporting'];
+
 class DataFlowManager {
-  constructor() {
+  /**
+   * @param {Object} options - 관리자 옵션
+   * @param {FinancialStatementService} options.financialStatementService - 재무상태표 작성 서비스
+   * @param {Array} options.stepTypes - 플러그인 단계 타입 목록 ([{ type, execute }])
+   * @param {number} options.maxParallelSteps - 동시에 실행할 최대 단계 수
+   */
+  constructor(options = {}) {
+    this.financialStatementService = options.financialStatementService || null;
+    this.maxParallelSteps = options.maxParallelSteps || 4;
+    this.defaultPipeline = PipelineDefinition.loadDefault();
+    this.stepTypes = new Map(); // 단계 타입 → async (step, context) => 결과
+    this.registerStepType('validation', (step, context) => this.executeValidationStep(step, context));
+    this.registerStepType('preprocessing', (step, context) => this.executePreprocessingStep(step, context));
+    this.registerStepType('classification', (step, context) => this.executeClassificationStep(step, context));
+    this.registerStepType('preparation', (step, context) => this.executePreparationStep(step, context));
+    this.registerStepType('calculation', (step, context) => this.executeCalculationStep(step, context));
+    this.registerStepType('reporting', (step, context) => this.executeReportingStep(step, context));
+    (options.stepTypes || []).forEach(plugin => this.registerStepType(plugin.type, plugin.execute));
     this.dependencyGraph = new Map(); // 시트간 의존성 그래프
     this.executionQueue = []; // 실행 대기열
     this.sheetStatus = new Map(); // 시트별 상태
@@ -12,71 +35,169 @@ class DataFlowManager {
     this.processingStats = {
       totalSteps: 0,
       completedSteps: 0,
+      skippedSteps: [],
       errors: [],
       startTime: null,
       endTime: null
     };
   }
 
+  /**
+   * 단계 타입 등록 (파이프라인 정의의 step.type으로 사용)
+   * 실행 함수는 (step, context)를 받아 결과 객체를 반환
+   * context: { rawData, classificationEngine, calculationEngine, options, previousResults, reportProgress }
+   * previousResults에는 의존 단계를 포함해 먼저 끝난 단계의 결과가 단계 ID별로 들어 있음
+   * @param {string} type - 단계 타입
+   * @param {Function} execute - async (step, context) => 결과
+   */
+  registerStepType(type, execute) {
+    if (!type || typeof execute !== 'function') {
+      throw new Error('단계 타입과 실행 함수가 필요합니다');
+    }
+    if (this.stepTypes.has(type)) {
+      throw new Error(`이미 등록된 단계 타입입니다: ${type}`);
+    }
+
+    this.stepTypes.set(type, execute);
+  }
+
+  /**
+   * 등록된 단계 타입 목록
+   * @returns {Array} [{ type, builtIn }]
+   */
+  getStepTypes() {
+    return Array.from(this.stepTypes.keys()).map(type => ({
+      type: type,
+      builtIn: BUILT_IN_STEP_TYPES.includes(type)
+    }));
+  }
+
   /**
    * 데이터 플로우 초기화 및 실행
    * @param {Object} rawData - 원시 데이터
    * @param {Object} classificationEngine - 분류 엔진
    * @param {Object} calculationEngine - 계산 엔진
+   * @param {Object} options - 실행 옵션 ({ hospitalId, pipeline: PipelineDefinition (없으면 기본 파이프라인) })
+   * @param {Object} hooks - 작업 실행기 연결 (없으면 처음부터 끝까지 실행)
+   * @param {Object} hooks.completedResults - 이전 실행에서 완료한 단계별 결과 (해당 단계는 건너뜀)
+   * @param {Function} hooks.onPlan - 실행 계획 수립 후 호출 (steps)
+   * @param {Function} hooks.onStepUpdate - 단계 상태 변경 시 호출 (step, { status, result, error })
+   *                                        실패한 단계에 (직간접으로) 의존하는 단계는 실행하지 않고 status 'skipped'로 알림
+   * @param {Function} hooks.isCancelled - 단계를 시작하기 전마다 확인하는 취소 요청 여부 (실행 중인 단계는 끝까지 실행)
+   * @param {Function} hooks.onProgress - 단계 안의 진행률 (step, { type, processed, total }), 분류 100행/계산 50수식마다
    * @returns {Object} 실행 결과
    */
-  async executeDataFlow(rawData, classificationEngine, calculationEngine) {
-    this.processingStats.startTime = Date.now();
+  async executeDataFlow(rawData, classificationEngine, calculationEngine, options = {}, hooks = {}) {
+    this.processingStats = {
+      totalSteps: 0,
+      completedSteps: 0,
+      skippedSteps: [],
+      errors: [],
+      startTime: Date.now(),
+      endTime: null
+    };
     
     try {
       // 1. 데이터 플로우 계획 수립
-      const executionPlan = await this.createExecutionPlan(rawData);
+      const executionPlan = await this.createExecutionPlan(rawData, options.pipeline);
       this.processingStats.totalSteps = executionPlan.steps.length;
+      if (hooks.onPlan) {
+        await hooks.onPlan(executionPlan.steps);
+      }
 
-      console.log(`📊 데이터 플로우 시작: ${this.processingStats.totalSteps}개 단계`);
+      console.log(`📊 데이터 플로우 시작: ${this.processingStats.totalSteps}개 단계 (${executionPlan.pipelineId})`);
 
-      // 2. 단계별 실행
-      const results = {};
-      
-      for (const step of executionPlan.steps) {
-        console.log(`🔄 실행 중: ${step.name} (${this.processingStats.completedSteps + 1}/${this.processingStats.totalSteps})`);
-        
-        try {
-          const stepResult = await this.executeStep(step, {
-            rawData,
-            classificationEngine,
-            calculationEngine,
-            previousResults: results
-          });
-          
-          results[step.id] = stepResult;
-          this.processingStats.completedSteps++;
-          
-          // 실시간 진행률 알림
-          this.notifyProgress({
-            step: step.name,
-            progress: (this.processingStats.completedSteps / this.processingStats.totalSteps) * 100,
-            result: stepResult
-          });
-          
-        } catch (error) {
-          this.processingStats.errors.push({
-            step: step.id,
-            error: error.message,
-            timestamp: Date.now()
+      // 2. 의존 단계가 모두 끝난 단계부터 병렬 실행 (이전 실행에서 완료한 단계는 저장된 결과를 사용)
+      const results = { ...(hooks.completedResults || {}) };
+      const finished = new Set();
+      const unavailable = new Map(); // 실패하거나 건너뛴 단계 ID → 단계 이름 (의존 단계 건너뜀 사유)
+      const pending = executionPlan.steps.filter(step => {
+        if (!results[step.id]) {
+          return true;
+        }
+        console.log(`⏭️ 완료된 단계 건너뜀: ${step.name}`);
+        this.processingStats.completedSteps++;
+        finished.add(step.id);
+        return false;
+      });
+      const running = new Map(); // 단계 ID → 실행 Promise
+      const settled = []; // 끝났지만 아직 처리하지 않은 단계 ({ step, error })
+      const context = {
+        rawData,
+        classificationEngine,
+        calculationEngine,
+        options,
+        previousResults: results
+      };
+      let cancelled = false;
+      let criticalFailure = null;
+
+      while (pending.length > 0 || running.size > 0) {
+        const ready = criticalFailure || cancelled
+          ? []
+          : pending.filter(step => step.dependencies.every(dependency => finished.has(dependency)));
+
+        if (ready.length > 0 && hooks.isCancelled && hooks.isCancelled()) {
+          cancelled = true;
+        } else {
+          ready.slice(0, Math.max(0, this.maxParallelSteps - running.size)).forEach(step => {
+            pending.splice(pending.indexOf(step), 1);
+            running.set(step.id, this.runStep(step, context, hooks).then(outcome => settled.push(outcome)));
           });
-          
-          // 중요 단계 실패 시 전체 프로세스 중단
-          if (step.critical) {
-            throw new Error(`중요 단계 실패: ${step.name} - ${error.message}`);
+        }
+
+        if (running.size === 0) {
+          break;
+        }
+
+        await Promise.race(running.values());
+        settled.splice(0).forEach(({ step, error }) => {
+          running.delete(step.id);
+          if (error) {
+            unavailable.set(step.id, step.name);
+          } else {
+            finished.add(step.id);
+          }
+
+          // 중요 단계 실패 시 새 단계를 시작하지 않고 실행 중인 단계가 끝나면 전체 프로세스 중단
+          if (error && step.critical && !criticalFailure) {
+            criticalFailure = new Error(`중요 단계 실패: ${step.name} - ${error.message}`);
+          }
+        });
+
+        // 실패한 선택 단계의 결과 없이는 실행할 수 없으므로 의존 단계는 (연쇄적으로) 건너뜀
+        let blocked;
+        while ((blocked = pending.find(step => step.dependencies.some(dependency => unavailable.has(dependency))))) {
+          const reason = `선행 단계 실패: ${unavailable.get(blocked.dependencies.find(dependency => unavailable.has(dependency)))}`;
+          pending.splice(pending.indexOf(blocked), 1);
+          unavailable.set(blocked.id, blocked.name);
+          this.processingStats.skippedSteps.push(blocked.id);
+          console.warn(`⏭️ 단계 건너뜀: ${blocked.name} - ${reason}`);
+          if (hooks.onStepUpdate) {
+            await hooks.onStepUpdate(blocked, { status: 'skipped', error: reason });
+          }
+          if (blocked.critical && !criticalFailure) {
+            criticalFailure = new Error(`중요 단계 실패: ${blocked.name} - ${reason}`);
           }
-          
-          console.warn(`⚠️ 단계 실패 (계속 진행): ${step.name} - ${error.message}`);
         }
       }
 
+      if (cancelled) {
+        this.processingStats.endTime = Date.now();
+        return {
+          success: false,
+          cancelled: true,
+          error: '작업이 취소되었습니다',
+          statistics: this.getProcessingStatistics(),
+          errors: this.processingStats.errors
+        };
+      }
+      if (criticalFailure) {
+        throw criticalFailure;
+      }
+
       // 3. 최종 검증 및 결과 집계
-      const finalResults = await this.validateAndAggregateResults(results);
+      const finalResults = await this.validateAndAggregateResults(results, executionPlan.steps);
       
       this.processingStats.endTime = Date.now();
       
@@ -99,81 +220,89 @@ class DataFlowManager {
     }
   }
 
+  /**
+   * 단계 실행 (상태 알림과 오류 기록 포함, 실패해도 reject하지 않음)
+   * @param {Object} step - 실행할 단계
+   * @param {Object} context - 실행 컨텍스트 (previousResults에 결과 추가)
+   * @param {Object} hooks - executeDataFlow의 hooks
+   * @returns {Object} { step, error }
+   */
+  async runStep(step, context, hooks) {
+    console.log(`🔄 실행 중: ${step.name} (${this.processingStats.completedSteps + 1}/${this.processingStats.totalSteps})`);
+
+    try {
+      if (hooks.onStepUpdate) {
+        await hooks.onStepUpdate(step, { status: 'running' });
+      }
+
+      const stepResult = await this.executeStep(step, {
+        ...context,
+        reportProgress: hooks.onProgress ? progress => hooks.onProgress(step, progress) : null
+      });
+
+      context.previousResults[step.id] = stepResult;
+      this.processingStats.completedSteps++;
+      if (hooks.onStepUpdate) {
+        await hooks.onStepUpdate(step, { status: 'completed', result: stepResult });
+      }
+
+      // 실시간 진행률 알림
+      this.notifyProgress({
+        step: step.name,
+        progress: (this.processingStats.completedSteps / this.processingStats.totalSteps) * 100,
+        result: stepResult
+      });
+
+      return { step, error: null };
+    } catch (error) {
+      this.processingStats.errors.push({
+        step: step.id,
+        error: error.message,
+        timestamp: Date.now()
+      });
+      if (hooks.onStepUpdate) {
+        await hooks.onStepUpdate(step, { status: 'failed', error: error.message });
+      }
+
+      if (!step.critical) {
+        console.warn(`⚠️ 단계 실패 (계속 진행): ${step.name} - ${error.message}`);
+      }
+      return { step, error };
+    }
+  }
+
   /**
    * 실행 계획 수립
    * @param {Object} rawData - 원시 데이터
-   * @returns {Object} 실행 계획
+   * @param {PipelineDefinition} pipeline - 파이프라인 정의 (없으면 기본 파이프라인)
+   * @returns {Object} 실행 계획 ({ pipelineId, steps, estimatedTime })
    */
-  async createExecutionPlan(rawData) {
+  async createExecutionPlan(rawData, pipeline = null) {
+    const definition = pipeline || this.defaultPipeline;
+    const steps = definition.getSteps();
+
+    const unknownTypes = Array.from(new Set(steps.map(step => step.type)))
+      .filter(type => !this.stepTypes.has(type));
+    if (unknownTypes.length > 0) {
+      throw new Error(`알 수 없는 단계 타입: ${unknownTypes.join(', ')}`);
+    }
+
     const plan = {
-      steps: [],
-      dependencies: {},
+      pipelineId: definition.id,
+      steps: this.topologicalSort(steps), // 의존성 순서로 정렬
       estimatedTime: 0
     };
+    if (plan.steps.length !== steps.length) {
+      throw new Error(`${definition.id}: 단계 의존성에 순환이 있습니다`);
+    }
 
-    // 단계별 실행 계획
-    const steps = [
-      {
-        id: 'data_validation',
-        name: '데이터 검증',
-        type: 'validation',
-        critical: true,
-        estimatedTime: 5000, // 5초
-        dependencies: []
-      },
-      {
-        id: 'data_preprocessing',
-        name: '데이터 전처리',
-        type: 'preprocessing',
-        critical: true,
-        estimatedTime: 10000, // 10초
-        dependencies: ['data_validation']
-      },
-      {
-        id: 'account_classification',
-        name: '계정과목 자동분류',
-        type: 'classification',
-        critical: true,
-        estimatedTime: 30000, // 30초
-        dependencies: ['data_preprocessing']
-      },
-      {
-        id: 'sheet_preparation',
-        name: '시트 데이터 준비',
-        type: 'preparation',
-        critical: true,
-        estimatedTime: 15000, // 15초
-        dependencies: ['account_classification']
-      },
-      {
-        id: 'formula_execution',
-        name: 'Excel 수식 실행',
-        type: 'calculation',
-        critical: true,
-        estimatedTime: 60000, // 60초
-        dependencies: ['sheet_preparation']
-      },
-      {
-        id: 'result_validation',
-        name: '결과 검증',
-        type: 'validation',
-        critical: false,
-        estimatedTime: 20000, // 20초
-        dependencies: ['formula_execution']
-      },
-      {
-        id: 'report_generation',
-        name: '리포트 생성',
-        type: 'reporting',
-        critical: false,
-        estimatedTime: 25000, // 25초
-        dependencies: ['result_validation']
-      }
-    ];
-
-    // 의존성 순서로 정렬
-    plan.steps = this.topologicalSort(steps);
-    plan.estimatedTime = steps.reduce((sum, step) => sum + step.estimatedTime, 0);
+    // 병렬 실행 기준 예상 시간 (가장 오래 걸리는 의존 경로)
+    const finishTimes = new Map();
+    plan.steps.forEach(step => {
+      const start = Math.max(0, ...step.dependencies.map(dependency => finishTimes.get(dependency) || 0));
+      finishTimes.set(step.id, start + step.estimatedTime);
+    });
+    plan.estimatedTime = Math.max(0, ...finishTimes.values());
 
     return plan;
   }
@@ -187,30 +316,12 @@ class DataFlowManager {
   async executeStep(step, context) {
     const stepStartTime = Date.now();
     
-    let result;
-    
-    switch (step.type) {
-      case 'validation':
-        result = await this.executeValidationStep(step, context);
-        break;
-      case 'preprocessing':
-        result = await this.executePreprocessingStep(step, context);
-        break;
-      case 'classification':
-        result = await this.executeClassificationStep(step, context);
-        break;
-      case 'preparation':
-        result = await this.executePreparationStep(step, context);
-        break;
-      case 'calculation':
-        result = await this.executeCalculationStep(step, context);
-        break;
-      case 'reporting':
-        result = await this.executeReportingStep(step, context);
-        break;
-      default:
-        throw new Error(`알 수 없는 단계 타입: ${step.type}`);
+    const execute = this.stepTypes.get(step.type);
+    if (!execute) {
+      throw new Error(`알 수 없는 단계 타입: ${step.type}`);
     }
+
+    const result = await execute(step, context);
     
     const executionTime = Date.now() - stepStartTime;
     
@@ -372,7 +483,11 @@ class DataFlowManager {
     console.log(`📊 분류 시작: ${preprocessedData?.length || 0}개 전처리된 데이터`);
     
     // 분류 엔진을 통한 자동 분류
-    const classificationResult = await classificationEngine.classifyTransactions(preprocessedData);
+    const classificationResult = await classificationEngine.classifyTransactions(preprocessedData, {
+      onProgress: context.reportProgress
+        ? progress => context.reportProgress({ type: 'classification_progress', ...progress })
+        : null
+    });
     
     console.log(`✅ 분류 완료: 성공 ${classificationResult.classified?.length || 0}건, 실패 ${classificationResult.failed?.length || 0}건`);
     
@@ -422,7 +537,11 @@ class DataFlowManager {
     const formulas = this.generateStandardFormulas();
     
     // 수식 실행
-    const calculationResult = await calculationEngine.executeCalculations(classificationResult, formulas);
+    const calculationResult = await calculationEngine.executeCalculations(classificationResult, formulas, null, {
+      onProgress: context.reportProgress
+        ? progress => context.reportProgress({ type: 'calculation_progress', ...progress })
+        : null
+    });
     
     return calculationResult;
   }
@@ -434,11 +553,13 @@ class DataFlowManager {
    * @returns {Object} 리포트 결과
    */
   async executeReportingStep(step, context) {
-    const { previousResults } = context;
+    const { previousResults, options = {} } = context;
     
+    const incomeStatement = this.generateIncomeStatement(previousResults);
     const reports = {
-      incomeStatement: this.generateIncomeStatement(previousResults),
-      balanceSheet: this.generateBalanceSheet(previousResults),
+      incomeStatement: incomeStatement,
+      balanceSheet: this.generateBalanceSheet(previousResults, options),
+      cashFlowStatement: this.generateCashFlowStatement(previousResults, options, incomeStatement.netIncome),
       analysisReport: this.generateAnalysisReport(previousResults),
       classificationSummary: this.generateClassificationSummary(previousResults)
     };
@@ -594,21 +715,83 @@ class DataFlowManager {
    * @returns {Object} 손익계산서
    */
   generateIncomeStatement(results) {
-    const calculationResults = results.formula_execution.calculationResults;
-    
+    const transactions = results.account_classification.classifiedTransactions;
+    const revenue = {};
+    const expenses = {};
+
+    transactions.forEach(t => {
+      const amount = (t.metadata && t.metadata.amount) || 0;
+      const target = t.transactionType === 'expense' ? expenses : revenue;
+      target[t.account] = (target[t.account] || 0) + amount;
+    });
+
+    const sum = (group) => Object.values(group).reduce((total, amount) => total + amount, 0);
+
     return {
-      revenue: {
-        외래수익: this.sumByAccount(results, '외래수익'),
-        입원수익: this.sumByAccount(results, '입원수익'),
-        기타수익: this.sumByAccount(results, '기타수익')
-      },
-      expenses: {
-        의약품비: this.sumByAccount(results, '의약품비'),
-        의료재료비: this.sumByAccount(results, '의료재료비'),
-        급여: this.sumByAccount(results, '급여'),
-        기타비용: this.sumByAccount(results, '기타비용')
-      },
-      netIncome: 0 // 계산 로직 추가 필요
+      revenue: revenue,
+      expenses: expenses,
+      netIncome: sum(revenue) - sum(expenses)
+    };
+  }
+
+  /**
+   * 재무상태표 생성 (기초 잔액 + 분개장 + 이번 실행의 분류 거래)
+   * @param {Object} results - 결과 데이터
+   * @param {Object} options - 실행 옵션 ({ hospitalId })
+   * @returns {Object|null} 재무상태표 (재무제표 서비스가 없으면 null)
+   */
+  generateBalanceSheet(results, options = {}) {
+    if (!this.financialStatementService) {
+      return null;
+    }
+
+    return this.financialStatementService.buildBalanceSheet(options.hospitalId, {
+      transactions: results.account_classification.classifiedTransactions
+    });
+  }
+
+  /**
+   * 현금흐름표 생성 (간접법, 손익계산서의 당기순이익에서 출발)
+   * @param {Object} results - 결과 데이터
+   * @param {Object} options - 실행 옵션 ({ hospitalId, from })
+   * @param {number} netIncome - 리포트 단계에서 계산한 당기순이익
+   * @returns {Object|null} 현금흐름표 (재무제표 서비스가 없으면 null)
+   */
+  generateCashFlowStatement(results, options = {}, netIncome) {
+    if (!this.financialStatementService) {
+      return null;
+    }
+
+    return this.financialStatementService.buildCashFlowStatement(options.hospitalId, {
+      from: options.from,
+      transactions: results.account_classification.classifiedTransactions,
+      netIncome: netIncome
+    });
+  }
+
+  /**
+   * 분석 리포트 생성 (데이터 품질 및 분포)
+   * @param {Object} results - 결과 데이터
+   * @returns {Object} 분석 리포트
+   */
+  generateAnalysisReport(results) {
+    return {
+      dataQuality: this.assessDataQuality(results),
+      distribution: this.analyzeDataDistribution(results.account_classification.classifiedTransactions)
+    };
+  }
+
+  /**
+   * 분류 요약 생성
+   * @param {Object} results - 결과 데이터
+   * @returns {Object} 분류 요약
+   */
+  generateClassificationSummary(results) {
+    const classification = results.account_classification;
+    return {
+      statistics: classification.statistics,
+      uncertainCount: classification.uncertainCases.length,
+      failedCount: classification.failedCases.length
     };
   }
 
@@ -716,6 +899,7 @@ class DataFlowManager {
     return {
       totalSteps: this.processingStats.totalSteps,
       completedSteps: this.processingStats.completedSteps,
+      skippedSteps: this.processingStats.skippedSteps,
       successRate: ((this.processingStats.completedSteps / this.processingStats.totalSteps) * 100).toFixed(2) + '%',
       totalProcessingTime: totalTime,
       averageStepTime: totalTime / this.processingStats.completedSteps,
@@ -727,9 +911,17 @@ class DataFlowManager {
   /**
    * 결과 검증 및 집계
    * @param {Object} results - 단계별 결과
+   * @param {Array} steps - 실행한 단계 목록 (플러그인 단계 결과는 additionalSteps로 전달)
    * @returns {Object} 최종 결과
    */
-  async validateAndAggregateResults(results) {
+  async validateAndAggregateResults(results, steps = []) {
+    const additionalSteps = {};
+    steps
+      .filter(step => !BUILT_IN_STEP_TYPES.includes(step.type) && results[step.id])
+      .forEach(step => {
+        additionalSteps[step.id] = results[step.id];
+      });
+
     const finalResults = {
       summary: {
         dataProcessed: results.data_preprocessing?.processedCount || 0,
@@ -740,6 +932,7 @@ class DataFlowManager {
       classification: results.account_classification,
       calculations: results.formula_execution,
       reports: results.report_generation?.reports,
+      additionalSteps: additionalSteps,
       validation: {
         dataQuality: this.assessDataQuality(results),
         accuracyScore: this.calculateAccuracyScore(results),
@@ -868,4 +1061,6 @@ class DataFlowManager {
   }
 }
 
+DataFlowManager.BUILT_IN_STEP_TYPES = BUILT_IN_STEP_TYPES;
+
 module.exports = DataFlowManager;
\ No newline at end of file
@@ -6,11 +6,16 @@
 
 const XLSX = require('xlsx');
 const path = require('path');
+const fs = require('fs');
+const SumifsIndex = require('../utils/SumifsIndex');
+const WorkbookNames = require('../utils/WorkbookNames');
 
 class EnhancedCalculationEngine {
   constructor() {
     this.workbook = null;
     this.formulaCache = new Map();
+    this.sumifsIndexes = new Map(); // 합계/조건 범위 묶음 → { workbook, index } (SUMIFS 집계 색인)
+    this.names = new WorkbookNames(); // 정의된 이름 (SheetJS는 표 정의를 읽지 않음)
   }
 
   /**
@@ -19,11 +24,14 @@ class EnhancedCalculationEngine {
    */
   async loadExcelFile(filePath) {
     try {
-      this.workbook = XLSX.readFile(filePath, { 
+      const buffer = fs.readFileSync(filePath);
+      this.workbook = XLSX.read(buffer, {
+        type: 'buffer',
         cellFormula: true,
         cellText: false,
         cellDates: false
       });
+      this.names = WorkbookNames.fromSheetJS(this.workbook).addExternalLinks(buffer);
       
       console.log(`✅ Excel 파일 로드 완료: ${this.workbook.SheetNames.length}개 시트`);
       return true;
@@ -125,7 +133,14 @@ class EnhancedCalculationEngine {
         return this.formulaCache.get(cacheKey);
       }
 
-      const parsed = this.parseSUMIFS(formula.formula);
+      const links = [];
+      const resolved = this.names.resolve(formula.formula, { sheet: formula.sheet, address: formula.cell, links });
+      const parsed = this.parseSUMIFS(resolved);
+      const unresolved = links.find((link) => !link.resolved);
+      if (unresolved) {
+        // 이 엔진은 통합문서 하나만 읽으므로 외부 통합문서 범위는 오류로 보고
+        throw new Error(`외부 참조 ${WorkbookNames.formatLink(unresolved)}: ${unresolved.message}`);
+      }
       if (!parsed) {
         throw new Error('SUMIFS 수식 파싱 실패');
       }
@@ -149,41 +164,14 @@ class EnhancedCalculationEngine {
         range: this.adjustRangeForSheet(condition.range, targetSheet)
       }));
       
-      // 합계 범위 데이터 가져오기
-      const sumData = this.getRangeValues(actualSumRange);
-      if (!sumData || sumData.length === 0) {
-        return 0;
-      }
-
-      let total = 0;
-      const dataLength = sumData.length;
-      
-      // 각 행에 대해 모든 조건 검사
-      for (let i = 0; i < dataLength; i++) {
-        let matchesAllCriteria = true;
-        
-        // 모든 조건을 확인
-        for (const condition of actualConditions) {
-          const criteriaData = this.getRangeValues(condition.range);
-          
-          if (!criteriaData || i >= criteriaData.length) {
-            matchesAllCriteria = false;
-            break;
-          }
-          
-          if (!this.matchesCriteria(criteriaData[i], condition.value)) {
-            matchesAllCriteria = false;
-            break;
-          }
-        }
-        
-        if (matchesAllCriteria) {
-          const value = this.parseNumericValue(sumData[i]);
-          if (!isNaN(value)) {
-            total += value;
-          }
-        }
-      }
+      // 같은 범위를 쓰는 수식끼리 공유하는 집계 색인에서 합계 조회
+      const index = this.getSumifsIndex(actualSumRange, actualConditions.map((condition) => condition.range));
+      const total = index
+        ? index.aggregate(actualConditions.map((condition) => ({
+          key: SumifsIndex.valueKey(condition.value),
+          test: (value) => this.matchesCriteria(value, condition.value),
+        }))).total
+        : 0;
       
       // 결과 캐싱
       this.formulaCache.set(cacheKey, total);
@@ -195,6 +183,29 @@ class EnhancedCalculationEngine {
     }
   }
   
+  /**
+   * SUMIFS 집계 색인 조회 (합계/조건 범위 묶음마다 한 번 만들고, 다른 통합문서를 로드하면 다시 만듦)
+   * @param {string} sumRange - 합계 범위
+   * @param {Array} criteriaRanges - 조건 범위 목록
+   * @returns {SumifsIndex|null} 색인 (합계 범위가 비어 있으면 null)
+   */
+  getSumifsIndex(sumRange, criteriaRanges) {
+    const key = [sumRange, ...criteriaRanges].map((range) => range.replace(/\$/g, '')).join('|');
+    const cached = this.sumifsIndexes.get(key);
+    if (cached && cached.workbook === this.workbook) {
+      return cached.index;
+    }
+
+    const sumData = this.getRangeValues(sumRange);
+    const index = sumData && sumData.length > 0
+      ? new SumifsIndex(sumData, criteriaRanges.map((range) => this.getRangeValues(range) || []), {
+        toNumber: (value) => this.parseNumericValue(value),
+      })
+      : null;
+    this.sumifsIndexes.set(key, { workbook: this.workbook, index });
+    return index;
+  }
+
   /**
    * 조건 값에 따라 대상 시트 결정
    * @param {Array} conditions - 해결된 조건들
@@ -324,7 +335,9 @@ class EnhancedCalculationEngine {
    */
   getRangeValues(range) {
     try {
-      const { sheetName, columnLetter } = this.parseRange(range);
+      const {
+        sheetName, columnLetter, bounds, isWholeColumn, isWholeRow,
+      } = this.parseRange(range);
       
       const sheet = this.workbook.Sheets[sheetName];
       if (!sheet) {
@@ -332,35 +345,37 @@ class EnhancedCalculationEngine {
       }
 
       const values = [];
+      const used = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).e : { r: -1, c: -1 };
+      const cellValue = (row, col) => {
+        const cell = sheet[XLSX.utils.encode_cell({ r: row, c: col })];
+        return cell ? cell.v : null;
+      };
       
       // 전체 열 참조인 경우 ($G:$G, $A:$A 등)
-      if (range.includes(':')) {
-        // 시트에서 해당 열의 모든 값을 수집
-        let row = 4; // 데이터는 4행부터 시작
-        while (true) {
-          const cellAddress = `${columnLetter}${row}`;
-          const cell = sheet[cellAddress];
-          
-          if (!cell) {
-            // 빈 셀이 나오면 종료
-            break;
-          }
-          
-          let cellValue = cell.v;
-          
-          // 수식인 경우 (G열의 E4+F4 같은)
-          if (cell.f && cell.f.match(/^[A-Z]+\d+\+[A-Z]+\d+$/)) {
-            // 이미 계산된 값(cell.v)을 사용
-            cellValue = cell.v;
+      if (isWholeColumn) {
+        // 데이터는 4행부터 시트 사용 범위의 마지막 행까지 (빈 셀은 null, 수식 셀은 저장된 계산 값)
+        const lastRow = used.r + 1;
+        for (let row = 4; row <= lastRow; row += 1) {
+          const cell = sheet[`${columnLetter}${row}`];
+          values.push(cell ? cell.v : null);
+        }
+        return values;
+      }
+
+      // 전체 행 참조 (3:3) 또는 지정 범위 (A4:A100, 이름/표가 가리키는 범위 포함)
+      const lastRow = isWholeRow ? bounds.endRow : Math.min(bounds.endRow, used.r);
+      const lastCol = isWholeRow ? used.c : bounds.endCol;
+      for (let row = bounds.startRow; row <= lastRow; row += 1) {
+        if (bounds.startCol === lastCol || isWholeRow) {
+          for (let col = bounds.startCol; col <= lastCol; col += 1) {
+            values.push(cellValue(row, col));
           }
-          
-          values.push(cellValue);
-          row++;
-          
-          // 안전장치 (1000행까지만)
-          if (row > 1000) {
-            break;
+        } else {
+          const rowValues = [];
+          for (let col = bounds.startCol; col <= lastCol; col += 1) {
+            rowValues.push(cellValue(row, col));
           }
+          values.push(rowValues);
         }
       }
       
@@ -428,29 +443,53 @@ class EnhancedCalculationEngine {
   }
 
   /**
-   * 범위 파싱
-   * @param {string} range - Excel 범위
-   * @returns {Object} 파싱된 범위 정보
+   * 범위 파싱 (정의된 이름은 범위로 바꾼 뒤 파싱)
+   * @param {string} range - Excel 범위 (예: 출!$G:$G, '매출 시트'!A4:A100, 3:3, 금액합)
+   * @returns {Object} 파싱된 범위 정보 { sheetName, columnLetter | cellAddress, bounds: 0-based 경계, isWholeColumn, isWholeRow }
    */
   parseRange(range) {
+    const resolved = this.names.resolve(range.trim()).replace(/^\((.*)\)$/, '$1');
     let sheetName = 'Sheet1';
-    let rangeStr = range.replace(/\$/g, '');
+    let rangeStr = resolved.replace(/\$/g, '');
     
-    if (range.includes('!')) {
-      [sheetName, rangeStr] = range.split('!');
-      rangeStr = rangeStr.replace(/\$/g, '');
+    const separator = resolved.lastIndexOf('!');
+    if (separator > 0) {
+      sheetName = resolved.substring(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+      rangeStr = resolved.substring(separator + 1).replace(/\$/g, '');
     }
+
+    const [start, end = start] = rangeStr.split(':');
+    const decode = (part) => {
+      if (/^[A-Z]+$/.test(part)) {
+        return { r: null, c: XLSX.utils.decode_col(part) };
+      }
+      if (/^\d+$/.test(part)) {
+        return { r: parseInt(part, 10) - 1, c: null };
+      }
+      return XLSX.utils.decode_cell(part);
+    };
+    const from = decode(start);
+    const to = decode(end);
+    const isWholeColumn = from.r === null;
+    const isWholeRow = from.c === null;
+    const bounds = {
+      startRow: isWholeColumn ? 0 : Math.min(from.r, to.r),
+      endRow: isWholeColumn ? Infinity : Math.max(from.r, to.r),
+      startCol: isWholeRow ? 0 : Math.min(from.c, to.c),
+      endCol: isWholeRow ? Infinity : Math.max(from.c, to.c),
+    };
     
     // 전체 열 참조인 경우 (A:A, G:G)
-    if (rangeStr.includes(':')) {
-      let columnLetter = rangeStr.split(':')[0];
-      // $ 기호 제거
-      columnLetter = columnLetter.replace(/\$/g, '');
-      return { sheetName, columnLetter };
+    if (isWholeColumn) {
+      return {
+        sheetName, columnLetter: start, bounds, isWholeColumn, isWholeRow,
+      };
     }
     
-    // 단일 셀 참조
-    return { sheetName, cellAddress: rangeStr };
+    // 셀 또는 범위 참조
+    return {
+      sheetName, cellAddress: start, bounds, isWholeColumn, isWholeRow,
+    };
   }
 
   /**
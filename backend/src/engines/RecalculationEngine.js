@@ -0,0 +1,697 @@
+/**
+ * 재계산 엔진
+ * 통합문서의 값/수식 셀을 보관하고, 셀 의존성 그래프의 위상 순서로 수식을 계산하며
+ * 입력 셀이 바뀌면 영향을 받는 수식 셀(dirty)만 다시 계산
+ * 배열 수식(CSE)은 결과를 지정된 범위에 나눠 담고, 일반 수식의 배열 결과는 왼쪽 위 값을 셀 값으로 사용
+ * 정의된 이름과 표의 구조적 참조는 그래프에 넣기 전에 셀/범위 참조로 바꿈 (WorkbookNames)
+ * 다른 통합문서를 참조하는 수식은 함께 로드한 외부 통합문서의 '[파일명]시트' 시트에서 값을 읽음
+ */
+
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const FormulaParser = require('../utils/FormulaParser');
+const DependencyGraph = require('../utils/DependencyGraph');
+const WorkbookNames = require('../utils/WorkbookNames');
+
+const ERROR_VALUE = '#ERROR!';
+
+class RecalculationEngine {
+  /**
+   * @param {Object} options - 엔진 옵션
+   * @param {FormulaParser} options.parser - 수식 파서
+   * @param {WorkbookNames} options.names - 정의된 이름과 표
+   */
+  constructor(options = {}) {
+    this.parser = options.parser || new FormulaParser();
+    this.names = options.names || new WorkbookNames({ parser: this.parser });
+    this.graph = new DependencyGraph({ parser: this.parser });
+    this.values = new Map(); // 시트 → Map(주소 → 값)
+    this.dimensions = new Map(); // 시트 → { rowCount, columnCount }
+    this.compiled = new Map(); // 셀 키 → 컴파일된 수식
+    this.errors = new Map(); // 셀 키 → 오류 메시지
+    this.arrayFormulas = new Map(); // 배열 수식 기준 셀 키 → { sheet, cells: [구성 셀 키] }
+    this.arrayMembers = new Map(); // 배열 수식 구성 셀 키 → { anchor, row, col }
+    this.arrayResults = new Map(); // 배열 수식 기준 셀 키 → 결과 행 배열
+    this.arrayCache = new Map(); // 계산 패스 안에서 공유하는 범위 배열 (수식 텍스트 → 값)
+    this.cachedValues = new Map(); // 셀 키 → 통합문서에 저장된 수식 결과 (로드 시점의 Excel 계산 값)
+    this.sourceFormulas = new Map(); // 셀 키 → 이름을 바꾸기 전의 원래 수식
+    this.externalLinks = new Map(); // 셀 키 → 수식의 다른 통합문서 참조 목록 (WorkbookNames.resolveExternal)
+  }
+
+  /**
+   * Excel 통합문서 로드 (값 셀과 수식 셀, 수식의 캐시된 결과, 정의된 이름과 표 포함)
+   * ExcelJS가 읽지 않는 상수/수식 이름과 시트 범위 이름은 SheetJS로 보충
+   * 외부 통합문서를 함께 주면 '[파일명]시트' 시트로 로드해 통합문서 사이의 참조를 계산함
+   * @param {Buffer|string} source - xlsx 데이터 또는 파일 경로
+   * @param {Object} options - 옵션
+   * @param {string} options.filename - 기본 통합문서 파일명 (외부 통합문서가 이 파일을 참조할 때 사용)
+   * @param {Array} options.externalWorkbooks - 외부 통합문서 [{ filename, source: Buffer 또는 파일 경로 }]
+   * @returns {Promise<Object>} { sheets, formulaCount, cellCount, names, tables, externalWorkbooks, unresolvedLinks }
+   */
+  async loadWorkbook(source, options = {}) {
+    const main = await this.readWorkbook(source);
+    const externals = await Promise.all((options.externalWorkbooks || []).map(async (external) => ({
+      filename: external.filename,
+      ...(await this.readWorkbook(external.source, external.filename)),
+    })));
+
+    // 묶음의 모든 통합문서가 같은 목록으로 서로의 시트와 이름을 찾음
+    const workbooks = new Map();
+    const register = (filename, { workbook, names }, isMain) => {
+      if (filename) {
+        workbooks.set(WorkbookNames.fileName(filename).toLowerCase(), {
+          name: WorkbookNames.fileName(filename),
+          sheets: new Set(workbook.worksheets.map((worksheet) => worksheet.name)),
+          names,
+          main: isMain,
+        });
+      }
+      names.linkWorkbooks(workbooks);
+    };
+    register(options.filename, main, true);
+    externals.forEach((external) => register(external.filename, external, false));
+
+    this.names = main.names;
+    externals.forEach((external) => this.loadSheets(external.workbook, external.names));
+    const result = this.loadWorksheets(main.workbook, main.names);
+
+    return {
+      ...result,
+      externalWorkbooks: externals.map((external) => ({
+        name: WorkbookNames.fileName(external.filename),
+        sheets: external.workbook.worksheets.map((worksheet) => worksheet.name),
+      })),
+      unresolvedLinks: this.getUnresolvedLinks(),
+    };
+  }
+
+  /**
+   * xlsx 읽기 (ExcelJS 통합문서와 이름 정의, 표, 외부 통합문서 링크 목록)
+   * @param {Buffer|string} source - xlsx 데이터 또는 파일 경로
+   * @param {string|null} book - 외부 통합문서로 읽을 때의 파일명
+   * @returns {Promise<Object>} { workbook, names }
+   */
+  async readWorkbook(source, book = null) {
+    const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const names = WorkbookNames.fromExcelJS(workbook, {
+      parser: this.parser,
+      book: book ? WorkbookNames.fileName(book) : null,
+    });
+    names.addSheetJSNames(XLSX.read(buffer, { type: 'buffer', sheetRows: 1 }));
+    names.addExternalLinks(buffer);
+    return { workbook, names };
+  }
+
+  /**
+   * 이미 읽은 ExcelJS 통합문서 로드 (파일로 다시 저장하지 않고 수정한 통합문서를 계산할 때 사용)
+   * @param {ExcelJS.Workbook} workbook - ExcelJS 통합문서
+   * @param {WorkbookNames} names - 정의된 이름과 표 (생략하면 ExcelJS가 읽은 것만 사용)
+   * @returns {Object} { sheets, formulaCount, cellCount, names, tables }
+   */
+  loadWorksheets(workbook, names = WorkbookNames.fromExcelJS(workbook, { parser: this.parser })) {
+    this.names = names;
+    const cellCount = this.loadSheets(workbook, names);
+
+    return {
+      sheets: workbook.worksheets.map((worksheet) => worksheet.name),
+      formulaCount: this.graph.formulas.size,
+      cellCount,
+      ...this.names.getSummary(),
+    };
+  }
+
+  /**
+   * 통합문서의 셀을 엔진 시트에 로드 (외부 통합문서 시트는 '[파일명]시트'로)
+   * @param {ExcelJS.Workbook} workbook - ExcelJS 통합문서
+   * @param {WorkbookNames} names - 통합문서의 이름 목록
+   * @returns {number} 셀 수
+   */
+  loadSheets(workbook, names) {
+    let cellCount = 0;
+    workbook.eachSheet((worksheet) => {
+      const sheet = names.qualifySheet(worksheet.name);
+      // 값이 없는 시트도 참조할 수 있는 시트로 등록
+      this.addSheet(sheet);
+      worksheet.eachRow((row) => {
+        row.eachCell((cell) => {
+          cellCount += 1;
+          const key = DependencyGraph.key(sheet, cell.address);
+          if (cell.formula) {
+            const arrayRange = cell.value.shareType === 'array' ? cell.value.ref : null;
+            const cachedValue = this.normalizeValue(cell.result);
+            this.setFormula(sheet, cell.address, cell.formula, cachedValue, { arrayRange });
+            this.cachedValues.set(key, cachedValue);
+          } else if (this.arrayMembers.has(key)) {
+            // 배열 수식 범위의 나머지 셀은 캐시된 결과만 보관
+            this.store(sheet, cell.address, this.normalizeValue(cell.value));
+            this.cachedValues.set(key, this.normalizeValue(cell.value));
+          } else {
+            this.setValue(sheet, cell.address, this.normalizeValue(cell.value));
+          }
+        });
+      });
+    });
+    return cellCount;
+  }
+
+  /**
+   * 수식 셀 설정
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @param {string} formula - Excel 수식
+   * @param {any} cachedValue - 마지막 계산 결과 (Excel에 저장된 값)
+   * @param {Object} options - { arrayRange: 배열 수식(CSE)이 결과를 담는 범위 (예: 'J5:J7') }
+   */
+  setFormula(sheet, address, formula, cachedValue = null, options = {}) {
+    this.clearArrayFormula(DependencyGraph.key(sheet, address));
+    const links = [];
+    const node = this.graph.setFormula(sheet, address, this.resolveFormula(sheet, address, formula, links));
+    this.sourceFormulas.set(node.key, formula);
+    if (links.length > 0) {
+      this.externalLinks.set(node.key, links);
+    } else {
+      this.externalLinks.delete(node.key);
+    }
+    this.compiled.delete(node.key);
+    this.errors.delete(node.key);
+    this.cachedValues.delete(node.key);
+    this.arrayCache.clear();
+    this.store(sheet, node.address, cachedValue);
+
+    if (options.arrayRange) {
+      this.setArrayRange(node, options.arrayRange);
+    }
+  }
+
+  /**
+   * 수식의 이름, 구조적 참조, 다른 통합문서 참조를 셀/범위 참조로 바꿈
+   * 외부 통합문서 시트('[파일명]시트')의 수식은 그 통합문서의 이름 목록으로 바꿈
+   * @param {string} sheet - 엔진 시트명
+   * @param {string|null} address - 셀 주소
+   * @param {string} formula - 수식
+   * @param {Array} links - 다른 통합문서 참조를 모을 배열
+   * @returns {string} 바꾼 수식
+   */
+  resolveFormula(sheet, address, formula, links = []) {
+    const external = sheet.match(/^\[([^\]]+)\](.*)$/);
+    const workbook = external ? this.names.getWorkbook(external[1]) : null;
+    if (workbook && !workbook.main) {
+      return workbook.names.resolve(formula, { sheet: external[2], address, links });
+    }
+    return this.names.resolve(formula, { sheet, address, links });
+  }
+
+  /**
+   * 배열 수식 범위 등록
+   * 나머지 셀은 기준 셀을 참조하는 수식으로 그래프에 넣어 기준 셀 다음에 계산되도록 함
+   * @param {Object} node - 기준 셀 수식 노드
+   * @param {string} range - 결과 범위 (예: 'J5:J7')
+   */
+  setArrayRange(node, range) {
+    const [start, end = start] = String(range).replace(/\$/g, '').split(':');
+    const bounds = this.parser.getRangeBounds(start, end);
+    const origin = this.parser.parseCellReference(node.address);
+    const cells = [];
+
+    for (let row = bounds.startRow; row <= bounds.endRow; row += 1) {
+      for (let col = bounds.startCol; col <= bounds.endCol; col += 1) {
+        const address = `${this.parser.columnToLetters(col)}${row + 1}`;
+        if (address !== node.address) {
+          const member = this.graph.setFormula(node.sheet, address, node.address);
+          this.compiled.delete(member.key);
+          this.arrayMembers.set(member.key, { anchor: node.key, row: row - origin.row, col: col - origin.col });
+          cells.push(member.key);
+        }
+      }
+    }
+    this.arrayFormulas.set(node.key, { sheet: node.sheet, cells });
+  }
+
+  /**
+   * 배열 수식 등록 해제 (구성 셀은 마지막 값을 가진 값 셀이 됨)
+   * @param {string} key - 셀 키
+   */
+  clearArrayFormula(key) {
+    const member = this.arrayMembers.get(key);
+    const anchorKey = member ? member.anchor : key;
+    const arrayFormula = this.arrayFormulas.get(anchorKey);
+    if (!arrayFormula) {
+      return;
+    }
+
+    arrayFormula.cells.forEach((cellKey) => {
+      const { sheet, address } = DependencyGraph.parseKey(cellKey);
+      this.graph.removeFormula(sheet, address);
+      this.compiled.delete(cellKey);
+      this.errors.delete(cellKey);
+      this.cachedValues.delete(cellKey);
+      this.sourceFormulas.delete(cellKey);
+      this.externalLinks.delete(cellKey);
+      this.arrayMembers.delete(cellKey);
+    });
+    this.arrayFormulas.delete(anchorKey);
+    this.arrayResults.delete(anchorKey);
+  }
+
+  /**
+   * 값 셀 설정 (재계산하지 않음, 수식 셀이었다면 값 셀로 바뀜)
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @param {any} value - 값
+   */
+  setValue(sheet, address, value) {
+    this.clearArrayFormula(DependencyGraph.key(sheet, address));
+    this.arrayCache.clear();
+    if (this.graph.removeFormula(sheet, address)) {
+      const key = DependencyGraph.key(sheet, address);
+      this.compiled.delete(key);
+      this.errors.delete(key);
+      this.cachedValues.delete(key);
+      this.sourceFormulas.delete(key);
+      this.externalLinks.delete(key);
+    }
+    this.store(sheet, DependencyGraph.parseKey(DependencyGraph.key(sheet, address)).address, value);
+  }
+
+  /**
+   * 셀 값 조회
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @returns {any} 값 (없으면 null)
+   */
+  getValue(sheet, address) {
+    const cells = this.values.get(sheet);
+    if (!cells) {
+      return null;
+    }
+
+    const value = cells.get(String(address).replace(/\$/g, ''));
+    return value !== undefined ? value : null;
+  }
+
+  /**
+   * 전체 수식을 의존성 순서대로 계산
+   * @returns {Object} { evaluated, errors, cycles, blocked, processingTime }
+   */
+  calculate() {
+    const startTime = Date.now();
+    const { order, cycles, blocked } = this.graph.getEvaluationOrder();
+
+    this.arrayCache.clear();
+    order.forEach((key) => this.evaluate(key));
+
+    return {
+      evaluated: order.length,
+      errors: this.getErrors(),
+      cycles,
+      blocked,
+      processingTime: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * 입력 셀 변경 후 영향을 받는 수식 셀만 다시 계산
+   * @param {Array} changes - [{ sheet, address, value }]
+   * @returns {Object} { recalculated: 다시 계산한 셀, changed: 값이 바뀐 셀 [{ cell, previous, value }],
+   *                     cycles, blocked, processingTime }
+   */
+  setCellValues(changes) {
+    const startTime = Date.now();
+    const keys = changes.map((change) => {
+      this.setValue(change.sheet, change.address, change.value);
+      return DependencyGraph.key(change.sheet, change.address);
+    });
+
+    const dirty = this.graph.collectDirty(keys);
+    const { order, cycles, blocked } = this.graph.getEvaluationOrder(dirty);
+    const changed = [];
+    this.arrayCache.clear();
+
+    order.forEach((key) => {
+      const { sheet, address } = DependencyGraph.parseKey(key);
+      const previous = this.getValue(sheet, address);
+      const value = this.evaluate(key);
+      if (!this.isSameValue(previous, value)) {
+        changed.push({ cell: key, previous, value });
+      }
+    });
+
+    return {
+      recalculated: order,
+      changed,
+      cycles,
+      blocked,
+      processingTime: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * 입력 행 하나의 값 변경 후 재계산
+   * @param {string} sheet - 시트명
+   * @param {number} rowNumber - 1-based 행 번호
+   * @param {Object} values - { 열 문자: 값 } (예: { E: 120000, F: 12000 })
+   * @returns {Object} setCellValues 결과
+   */
+  updateRow(sheet, rowNumber, values) {
+    return this.setCellValues(Object.entries(values).map(([column, value]) => ({
+      sheet,
+      address: `${column}${rowNumber}`,
+      value,
+    })));
+  }
+
+  /**
+   * 수식 셀 하나 계산 (오류는 셀 단위로 기록, 알 수 없는 함수는 #NAME? 등 오류 코드가 값이 됨)
+   * @param {string} key - 셀 키
+   * @returns {any} 계산 결과
+   */
+  evaluate(key) {
+    const node = this.graph.formulas.get(key);
+    let value;
+
+    try {
+      const member = this.arrayMembers.get(key);
+      if (member) {
+        value = this.getArrayElement(member);
+      } else {
+        if (!this.compiled.has(key)) {
+          this.compiled.set(key, this.parser.compileFormula(node.formula));
+        }
+        const result = this.compiled.get(key)(this.createContext(node.sheet));
+        if (this.arrayFormulas.has(key)) {
+          this.arrayResults.set(key, this.parser.toMatrix(result));
+        }
+        value = this.parser.toScalar(result);
+      }
+      this.errors.delete(key);
+    } catch (error) {
+      value = error.code || ERROR_VALUE;
+      this.errors.set(key, error.message);
+      if (this.arrayFormulas.has(key)) {
+        this.arrayResults.set(key, [[value]]);
+      }
+    }
+
+    this.store(node.sheet, node.address, value);
+    return value;
+  }
+
+  /**
+   * 배열 수식 결과에서 구성 셀 위치의 값 (1행/1열 결과는 반복, 결과보다 큰 범위는 #N/A)
+   * @param {Object} member - { anchor, row, col }
+   * @returns {any} 값
+   */
+  getArrayElement(member) {
+    const matrix = this.arrayResults.get(member.anchor) || [];
+    const row = matrix.length === 1 ? 0 : member.row;
+    if (row >= matrix.length) {
+      return '#N/A';
+    }
+    const col = matrix[row].length === 1 ? 0 : member.col;
+    return col < matrix[row].length ? matrix[row][col] : '#N/A';
+  }
+
+  /**
+   * 수식 실행 컨텍스트 (시트 지정 참조, 전체 열/행 범위 지원)
+   * @param {string} sheet - 수식이 있는 시트
+   * @returns {Object} 실행 컨텍스트
+   */
+  createContext(sheet) {
+    return {
+      sheet,
+
+      arrayCache: this.arrayCache,
+
+      // 없는 시트를 가리키는 참조는 #REF! (getUnresolvedLinks로 보고)
+      getCellValue: (cellRef, refSheet) => (
+        this.values.has(refSheet || sheet) ? this.getValue(refSheet || sheet, cellRef) : '#REF!'
+      ),
+
+      getRangeValues: (start, end, refSheet) => (
+        this.values.has(refSheet || sheet) ? this.getRangeValues(refSheet || sheet, start, end) : '#REF!'
+      ),
+    };
+  }
+
+  /**
+   * 통합문서의 현재 값으로 수식을 계산하며 단계별 평가 과정 기록 (셀 값은 바꾸지 않음)
+   * @param {string} sheet - 수식을 계산할 시트
+   * @param {string} formula - Excel 수식
+   * @returns {Object} FormulaParser.traceFormula 결과
+   */
+  traceFormula(sheet, formula) {
+    return this.parser.traceFormula(this.resolveFormula(sheet, null, formula), this.createContext(sheet));
+  }
+
+  /**
+   * 범위 값 조회 (전체 열/행은 시트의 사용 범위까지)
+   * 요청한 범위가 한 열 또는 한 행이면 1차원 배열, 그 외에는 행 배열의 배열
+   * (사용 범위로 잘라 한 행만 남은 분!A:B도 행 배열의 배열이어야 열 번호가 맞음)
+   * @param {string} sheet - 시트명
+   * @param {string} start - 시작 (A1, G, 3)
+   * @param {string} end - 끝
+   * @returns {Array} 범위 값
+   */
+  getRangeValues(sheet, start, end) {
+    const bounds = this.parser.getRangeBounds(start, end);
+    const dimension = this.dimensions.get(sheet) || { rowCount: 0, columnCount: 0 };
+    const lastRow = Math.min(bounds.endRow, dimension.rowCount - 1);
+    const lastCol = Math.min(bounds.endCol, dimension.columnCount - 1);
+    const columns = [];
+    for (let col = bounds.startCol; col <= lastCol; col += 1) {
+      columns.push(this.parser.columnToLetters(col));
+    }
+
+    const cells = this.values.get(sheet) || new Map();
+    const read = (address) => (cells.has(address) ? cells.get(address) : null);
+    const rows = [];
+    for (let row = bounds.startRow; row <= lastRow; row += 1) {
+      rows.push(columns.map((column) => read(`${column}${row + 1}`)));
+    }
+
+    if (bounds.startCol === bounds.endCol) {
+      return rows.map((row) => row[0]);
+    }
+    if (bounds.startRow === bounds.endRow) {
+      return rows.length > 0 ? rows[0] : [];
+    }
+    return rows;
+  }
+
+  /**
+   * 계산 결과와 통합문서에 저장된 Excel 계산 값(캐시된 결과) 비교 (calculate 후 호출)
+   * 불일치 셀마다 직접 참조하는 셀/범위 안에서 역시 불일치한 수식 셀을 함께 보고하므로,
+   * differingPrecedents가 비어 있는 셀이 불일치가 시작된 셀(rootCause)임
+   * @param {Object} options - 비교 옵션
+   * @param {number} options.tolerance - 숫자 허용 오차 (절대값, 기본 1e-6)
+   * @param {number} options.relativeTolerance - 숫자 허용 오차 (두 값 중 큰 절대값에 대한 비율, 기본 0)
+   * @returns {Object} { compared, matched, uncached, sheets: { 시트명: { compared, mismatched } }, mismatches }
+   */
+  compareCachedValues(options = {}) {
+    const tolerance = options.tolerance !== undefined ? Number(options.tolerance) : 1e-6;
+    const relativeTolerance = Number(options.relativeTolerance) || 0;
+    const result = {
+      compared: 0, matched: 0, uncached: 0, sheets: {}, mismatches: [],
+    };
+    const mismatched = new Map(); // 셀 키 → 불일치 항목
+
+    this.graph.formulas.forEach((node, key) => {
+      const cachedValue = this.cachedValues.has(key) ? this.cachedValues.get(key) : null;
+      if (cachedValue === null) {
+        result.uncached += 1;
+        return;
+      }
+
+      const value = this.getValue(node.sheet, node.address);
+      if (!result.sheets[node.sheet]) {
+        result.sheets[node.sheet] = { compared: 0, mismatched: 0 };
+      }
+      result.compared += 1;
+      result.sheets[node.sheet].compared += 1;
+
+      const comparison = this.compareValue(value, cachedValue, tolerance, relativeTolerance);
+      if (comparison.matches) {
+        result.matched += 1;
+        return;
+      }
+
+      const member = this.arrayMembers.get(key);
+      result.sheets[node.sheet].mismatched += 1;
+      mismatched.set(key, {
+        cell: key,
+        sheet: node.sheet,
+        address: node.address,
+        formula: this.getFormula(member ? member.anchor : key),
+        value,
+        cachedValue,
+        difference: comparison.difference,
+        error: this.errors.get(member ? member.anchor : key) || null,
+      });
+    });
+
+    mismatched.forEach((mismatch, key) => {
+      const { references } = this.graph.formulas.get(key);
+      mismatch.differingPrecedents = [];
+      mismatched.forEach((other, otherKey) => {
+        if (otherKey === key) {
+          return;
+        }
+        const { row, col } = this.graph.formulas.get(otherKey);
+        const feeds = references
+          .some((reference) => reference.sheet === other.sheet && this.graph.contains(reference.bounds, row, col));
+        if (feeds) {
+          mismatch.differingPrecedents.push({ cell: otherKey, value: other.value, cachedValue: other.cachedValue });
+        }
+      });
+      mismatch.rootCause = mismatch.differingPrecedents.length === 0;
+      result.mismatches.push(mismatch);
+    });
+
+    return result;
+  }
+
+  /**
+   * 계산 값과 캐시된 값 비교 (날짜는 일련번호, 빈 값과 빈 문자열은 같은 값)
+   * @returns {Object} { matches, difference: 숫자끼리면 계산 값 - 캐시 값, 아니면 null }
+   */
+  compareValue(value, cachedValue, tolerance, relativeTolerance) {
+    const normalize = (item) => {
+      if (item instanceof Date) {
+        return this.parser.dateToSerial(item);
+      }
+      return item === null || item === undefined ? '' : item;
+    };
+    const a = normalize(value);
+    const b = normalize(cachedValue);
+
+    if (typeof a === 'number' && typeof b === 'number') {
+      const difference = a - b;
+      const allowed = Math.max(tolerance, relativeTolerance * Math.max(Math.abs(a), Math.abs(b)));
+      return { matches: Math.abs(difference) <= allowed, difference };
+    }
+    return { matches: a === b, difference: null };
+  }
+
+  /**
+   * 셀별 계산 오류 목록
+   * @returns {Array} [{ cell, formula, error }]
+   */
+  getErrors() {
+    return Array.from(this.errors.entries()).map(([key, error]) => ({
+      cell: key,
+      formula: this.getFormula(key),
+      error,
+    }));
+  }
+
+  /**
+   * 함께 로드하지 않았거나 시트/이름을 찾지 못한 다른 통합문서 참조와 없는 시트를 가리키는 참조 (해당 참조는 #REF!로 계산됨)
+   * 없는 시트 참조는 book이 null이고 reason이 'sheet'
+   * @returns {Array} [{ cell, formula, book, sheet, reference, reason, message }]
+   */
+  getUnresolvedLinks() {
+    const unresolved = [];
+    this.graph.formulas.forEach((node, key) => {
+      const reported = new Set();
+      node.references.filter((reference) => !this.values.has(reference.sheet)).forEach((reference) => {
+        const text = reference.label.substring(reference.sheet.length + 1);
+        if (reported.has(`${reference.sheet}!${text}`)) {
+          return;
+        }
+        reported.add(`${reference.sheet}!${text}`);
+        unresolved.push({
+          cell: key,
+          formula: this.getFormula(key),
+          book: null,
+          sheet: reference.sheet,
+          reference: text,
+          reason: 'sheet',
+          message: WorkbookNames.LINK_ERRORS.sheet,
+        });
+      });
+    });
+    this.externalLinks.forEach((links, key) => {
+      links.filter((link) => !link.resolved).forEach((link) => {
+        unresolved.push({
+          cell: key,
+          formula: this.getFormula(key),
+          book: link.book,
+          sheet: link.sheet,
+          reference: link.reference,
+          reason: link.reason,
+          message: link.message,
+        });
+      });
+    });
+    return unresolved;
+  }
+
+  /**
+   * 셀에 입력된 원래 수식 (이름과 구조적 참조를 바꾸기 전)
+   * @param {string} key - 셀 키
+   * @returns {string} 수식
+   */
+  getFormula(key) {
+    return this.sourceFormulas.has(key) ? this.sourceFormulas.get(key) : this.graph.formulas.get(key).formula;
+  }
+
+  addSheet(sheet) {
+    if (!this.values.has(sheet)) {
+      this.values.set(sheet, new Map());
+      this.dimensions.set(sheet, { rowCount: 0, columnCount: 0 });
+    }
+  }
+
+  store(sheet, address, value) {
+    this.addSheet(sheet);
+
+    this.values.get(sheet).set(address, value);
+
+    const { row, col } = this.parser.parseCellReference(address);
+    const dimension = this.dimensions.get(sheet);
+    dimension.rowCount = Math.max(dimension.rowCount, row + 1);
+    dimension.columnCount = Math.max(dimension.columnCount, col + 1);
+  }
+
+  /**
+   * ExcelJS 셀 값을 계산용 값으로 변환 (서식 있는 텍스트, 하이퍼링크, 오류 값 등)
+   * @param {any} value - ExcelJS 셀 값
+   * @returns {any} 값
+   */
+  normalizeValue(value) {
+    if (value === undefined) {
+      return null;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      if (value.richText) {
+        return value.richText.map((part) => part.text).join('');
+      }
+      if ('error' in value) {
+        return value.error;
+      }
+      if ('text' in value) {
+        return value.text;
+      }
+      if ('result' in value) {
+        return this.normalizeValue(value.result);
+      }
+      return null;
+    }
+    return value;
+  }
+
+  isSameValue(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    return a === b;
+  }
+}
+
+RecalculationEngine.ERROR_VALUE = ERROR_VALUE;
+
+module.exports = RecalculationEngine;
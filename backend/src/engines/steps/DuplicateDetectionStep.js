@@ -0,0 +1,62 @@
+/**
+ * 중복 거래 탐지 단계 (DataFlowManager 단계 타입 플러그인)
+ * 전처리한 거래 중 지정한 필드 값이 모두 같은 거래를 묶어 보고 (데이터는 변경하지 않음)
+ *
+ * 파이프라인 예: { "id": "duplicate_detection", "name": "중복 거래 탐지", "type": "duplicate_detection",
+ *                  "dependencies": ["data_preprocessing"], "options": { "fields": ["날짜", "항목", "금액"] } }
+ */
+
+// 비교 필드 기본값
+const DEFAULT_FIELDS = ['날짜', '항목', '금액', '거래처'];
+
+// 결과에 포함할 최대 중복 묶음 수
+const MAX_GROUPS = 200;
+
+/**
+ * 중복 거래 탐지
+ * @param {Object} step - 단계 정보 (step.options.fields: 비교 필드)
+ * @param {Object} context - 실행 컨텍스트
+ * @returns {Object} { fields, checkedRows, duplicateGroupCount, duplicateRowCount, duplicateGroups, truncated }
+ */
+async function execute(step, context) {
+  const fields = (step.options && step.options.fields) || DEFAULT_FIELDS;
+  const preprocessing = context.previousResults.data_preprocessing;
+  const rows = preprocessing ? preprocessing.processedData : context.rawData;
+
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const values = fields.map((field) => (row[field] === undefined || row[field] === null ? '' : row[field]));
+    if (values.every((value) => value === '')) {
+      return;
+    }
+
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) {
+      groups.set(key, { values, rowIndexes: [] });
+    }
+    groups.get(key).rowIndexes.push(index);
+  });
+
+  const duplicates = Array.from(groups.values())
+    .filter((group) => group.rowIndexes.length > 1)
+    .map((group) => ({
+      fields: Object.fromEntries(fields.map((field, i) => [field, group.values[i]])),
+      rowIndexes: group.rowIndexes,
+      count: group.rowIndexes.length,
+    }));
+
+  return {
+    fields,
+    checkedRows: rows.length,
+    duplicateGroupCount: duplicates.length,
+    duplicateRowCount: duplicates.reduce((sum, group) => sum + group.count, 0),
+    duplicateGroups: duplicates.slice(0, MAX_GROUPS),
+    truncated: duplicates.length > MAX_GROUPS,
+  };
+}
+
+module.exports = {
+  type: 'duplicate_detection',
+  name: '중복 거래 탐지',
+  execute,
+};
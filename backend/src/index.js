@@ -12,10 +12,24 @@ const path = require('path');
 
 // 핵심 엔진 및 서비스 임포트
 const ClassificationEngine = require('./engines/ClassificationEngine');
+const ClassificationRuleSet = require('./models/ClassificationRuleSet');
+const PipelineDefinition = require('./models/PipelineDefinition');
 const CalculationEngine = require('./engines/CalculationEngine');
+const RecalculationEngine = require('./engines/RecalculationEngine');
 const DataFlowManager = require('./engines/DataFlowManager');
+const DuplicateDetectionStep = require('./engines/steps/DuplicateDetectionStep');
 const ExcelService = require('./services/ExcelService');
 const ValidationService = require('./services/ValidationService');
+const RuleSetService = require('./services/RuleSetService');
+const PipelineService = require('./services/PipelineService');
+const CorrectionService = require('./services/CorrectionService');
+const AccountService = require('./services/AccountService');
+const JournalService = require('./services/JournalService');
+const FinancialStatementService = require('./services/FinancialStatementService');
+const FiscalPeriodService = require('./services/FiscalPeriodService');
+const ComparativeStatementService = require('./services/ComparativeStatementService');
+const WorkflowJobService = require('./services/WorkflowJobService');
+const ProgressHub = require('./services/ProgressHub');
 const FormulaParser = require('./utils/FormulaParser');
 const DataProcessor = require('./utils/DataProcessor');
 
@@ -27,12 +41,43 @@ class MediFinanceProApp {
     // 핵심 엔진 초기화
     this.classificationEngine = new ClassificationEngine();
     this.calculationEngine = new CalculationEngine();
-    this.dataFlowManager = new DataFlowManager();
     this.excelService = new ExcelService();
     this.validationService = new ValidationService();
     this.formulaParser = new FormulaParser();
     this.dataProcessor = new DataProcessor();
+    this.ruleSetService = new RuleSetService();
+    this.correctionService = new CorrectionService();
+    this.accountService = new AccountService();
+    this.journalService = new JournalService({
+      accountService: this.accountService,
+      periodLock: (hospitalId, date) => this.fiscalPeriodService.findClosedPeriod(hospitalId, date)
+    });
+    this.financialStatementService = new FinancialStatementService({
+      accountService: this.accountService,
+      journalService: this.journalService
+    });
+    this.fiscalPeriodService = new FiscalPeriodService({
+      journalService: this.journalService,
+      financialStatementService: this.financialStatementService
+    });
+    this.comparativeStatementService = new ComparativeStatementService({
+      fiscalPeriodService: this.fiscalPeriodService
+    });
+    this.dataFlowManager = new DataFlowManager({
+      financialStatementService: this.financialStatementService,
+      stepTypes: [DuplicateDetectionStep]
+    });
+    this.pipelineService = new PipelineService();
+    this.progressHub = new ProgressHub({
+      snapshot: jobId => this.workflowJobService.getProgress(jobId)
+    });
+    this.workflowJobService = new WorkflowJobService({
+      runner: (input, hooks) => this.runExcelWorkflow(input, hooks),
+      progressHub: this.progressHub
+    });
+    this.hospitalEngines = new Map(); // 병원별 분류 엔진 (규칙 세트별)
     
+    this.registerAccountReferences();
     this.initializeMiddleware();
     this.initializeRoutes();
     this.initializeErrorHandling();
@@ -98,7 +143,10 @@ class MediFinanceProApp {
           calculation: '/api/calculation',
           dataflow: '/api/dataflow',
           validation: '/api/validation',
-          excel: '/api/excel'
+          excel: '/api/excel',
+          accounts: '/api/accounts',
+          journal: '/api/journal',
+          statements: '/api/statements'
         }
       });
     });
@@ -106,6 +154,18 @@ class MediFinanceProApp {
     // 계정 분류 API
     this.setupClassificationRoutes();
     
+    // 계정과목 API
+    this.setupAccountRoutes();
+    
+    // 분개장 API
+    this.setupJournalRoutes();
+    
+    // 재무제표 API
+    this.setupStatementRoutes();
+    
+    // 회계기간 API
+    this.setupPeriodRoutes();
+    
     // 계산 엔진 API
     this.setupCalculationRoutes();
     
@@ -140,7 +200,8 @@ class MediFinanceProApp {
           });
         }
 
-        const result = await this.classificationEngine.classifyTransactions(transactions);
+        const engine = this.getClassificationEngine(options.hospitalId);
+        const result = await engine.classifyTransactions(transactions, options);
         
         res.json({
           success: true,
@@ -159,32 +220,1088 @@ class MediFinanceProApp {
     // 단일 거래내역 분류
     this.app.post('/api/classification/classify-single', async (req, res) => {
       try {
-        const { transaction } = req.body;
-        
-        const result = await this.classificationEngine.classifyTransaction(transaction, 0);
-        
+        const { transaction, options = {} } = req.body;
+        
+        const engine = this.getClassificationEngine(options.hospitalId);
+        const result = await engine.classifyTransaction(transaction, 0);
+        
+        if (options.split) {
+          result.lines = engine.splitClassification(transaction, result);
+        }
+
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Single classification error:', error);
+        res.status(500).json({
+          error: '단일 거래 분류 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 단일 거래 분류 근거 설명 (감사용)
+    this.app.post('/api/classification/explain', async (req, res) => {
+      try {
+        const { transaction, options = {} } = req.body;
+        
+        if (!transaction || typeof transaction !== 'object') {
+          return res.status(400).json({
+            error: 'transaction 객체가 필요합니다'
+          });
+        }
+
+        const engine = this.getClassificationEngine(options.hospitalId);
+        const result = await engine.classifyTransaction(transaction, 0);
+        
+        res.json({
+          success: true,
+          data: {
+            account: result.account,
+            confidence: result.confidence,
+            transactionType: result.transactionType,
+            classificationMethod: result.classificationMethod,
+            ruleSet: result.ruleSet,
+            explanation: result.explanation,
+            summary: engine.formatExplanation(result.explanation)
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Classification explain error:', error);
+        res.status(500).json({
+          error: '분류 근거 설명 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 분류 규칙 조회 (병원에 지정된 규칙 세트)
+    this.app.get('/api/classification/rules', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.getClassificationEngine(hospitalId).ruleSet.toJSON(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Classification rules error:', error);
+        res.status(500).json({
+          error: '분류 규칙 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 규칙 세트 목록 조회
+    this.app.get('/api/classification/rule-sets', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: {
+            ruleSets: this.ruleSetService.listRuleSets(),
+            assignments: this.ruleSetService.loadAssignments()
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Rule set list error:', error);
+        res.status(500).json({
+          error: '규칙 세트 목록 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 규칙 세트 상세 조회
+    this.app.get('/api/classification/rule-sets/:ruleSetId', (req, res) => {
+      try {
+        const ruleSet = this.ruleSetService.findRuleSet(req.params.ruleSetId);
+        
+        if (!ruleSet) {
+          return res.status(404).json({
+            error: `규칙 세트를 찾을 수 없습니다: ${req.params.ruleSetId}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: ruleSet.toJSON(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Rule set detail error:', error);
+        res.status(500).json({
+          error: '규칙 세트 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 규칙 세트 스키마 검증
+    this.app.post('/api/classification/rule-sets/validate', (req, res) => {
+      const { ruleSet } = req.body;
+      const validation = ClassificationRuleSet.validate(ruleSet);
+
+      res.json({
+        success: true,
+        data: {
+          isValid: validation.isValid,
+          errors: validation.errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // 규칙 세트 등록 (JSON 객체 또는 JSON/YAML 파일 내용)
+    this.app.post('/api/classification/rule-sets', (req, res) => {
+      try {
+        const { ruleSet, content, format = 'json' } = req.body;
+        
+        if (!ruleSet && !content) {
+          return res.status(400).json({
+            error: 'ruleSet 객체 또는 content 문자열이 필요합니다'
+          });
+        }
+
+        const saved = content
+          ? this.ruleSetService.importRuleSet(content, format)
+          : this.ruleSetService.saveRuleSet(ruleSet);
+        
+        res.json({
+          success: true,
+          data: saved.getSummary(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Rule set save error:', error);
+        res.status(400).json({
+          error: '규칙 세트 등록 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 병원별 규칙 세트 지정
+    this.app.put('/api/classification/hospitals/:hospitalId/rule-set', (req, res) => {
+      try {
+        const { ruleSetId } = req.body;
+        
+        if (!ruleSetId) {
+          return res.status(400).json({
+            error: 'ruleSetId가 필요합니다'
+          });
+        }
+
+        const assignment = this.ruleSetService.assignRuleSet(req.params.hospitalId, ruleSetId);
+        
+        res.json({
+          success: true,
+          data: assignment,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Rule set assignment error:', error);
+        res.status(400).json({
+          error: '규칙 세트 지정 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 분류 정정 저장 (학습 규칙 갱신)
+    this.app.post('/api/classification/corrections', (req, res) => {
+      try {
+        const { corrections, hospitalId } = req.body;
+        
+        if (!Array.isArray(corrections)) {
+          return res.status(400).json({
+            error: 'corrections 배열이 필요합니다'
+          });
+        }
+
+        const result = this.correctionService.recordCorrections(hospitalId, corrections);
+        
+        res.json({
+          success: true,
+          data: {
+            savedCount: result.saved.length,
+            corrections: result.saved,
+            learnedRules: result.learnedRules
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Classification correction error:', error);
+        res.status(400).json({
+          error: '분류 정정 저장 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 분류 정정 내역 조회
+    this.app.get('/api/classification/corrections', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.correctionService.loadCorrections(hospitalId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Correction list error:', error);
+        res.status(500).json({
+          error: '분류 정정 내역 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 분류 정정 취소
+    this.app.delete('/api/classification/corrections/:correctionId', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        const deleted = this.correctionService.deleteCorrection(hospitalId, req.params.correctionId);
+        
+        if (!deleted) {
+          return res.status(404).json({
+            error: `정정 내역을 찾을 수 없습니다: ${req.params.correctionId}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            correctionId: req.params.correctionId,
+            learnedRules: this.correctionService.getLearnedRules(hospitalId)
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Correction delete error:', error);
+        res.status(500).json({
+          error: '분류 정정 취소 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 통계 분류기 학습 현황 조회
+    this.app.get('/api/classification/statistical-model', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.correctionService.getStatisticalClassifier(hospitalId).getSummary(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Statistical model error:', error);
+        res.status(500).json({
+          error: '통계 분류기 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 학습 규칙 조회
+    this.app.get('/api/classification/learned-rules', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.correctionService.getLearnedRules(hospitalId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Learned rules error:', error);
+        res.status(500).json({
+          error: '학습 규칙 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 병원별 분류 엔진 조회
+   * 병원에 지정된 규칙 세트가 바뀌면 엔진을 새로 생성하고, 최신 학습 규칙과 통계 분류기를 적용
+   * @param {string} hospitalId - 병원 ID (없으면 기본 엔진)
+   * @returns {ClassificationEngine} 분류 엔진
+   */
+  getClassificationEngine(hospitalId) {
+    const engine = this.resolveClassificationEngine(hospitalId);
+    engine.setLearnedRules(this.correctionService.getLearnedRules(hospitalId));
+    engine.setStatisticalClassifier(this.correctionService.getStatisticalClassifier(hospitalId));
+    engine.setChartOfAccounts(this.accountService.getChart(hospitalId));
+    return engine;
+  }
+
+  resolveClassificationEngine(hospitalId) {
+    if (!hospitalId) {
+      return this.classificationEngine;
+    }
+
+    const ruleSet = this.ruleSetService.getRuleSetForHospital(hospitalId);
+    const cached = this.hospitalEngines.get(hospitalId);
+    
+    if (cached && cached.ruleSet.id === ruleSet.id && cached.ruleSet.version === ruleSet.version) {
+      return cached;
+    }
+
+    const engine = new ClassificationEngine({ ruleSet });
+    this.hospitalEngines.set(hospitalId, engine);
+    return engine;
+  }
+
+  /**
+   * 실행할 파이프라인 (pipelineId 지정 시 해당 파이프라인, 아니면 병원에 지정된 파이프라인)
+   * @param {Object} options - 실행 옵션 ({ hospitalId, pipelineId })
+   * @returns {PipelineDefinition} 파이프라인
+   */
+  resolvePipeline(options = {}) {
+    return options.pipelineId
+      ? this.pipelineService.getPipeline(options.pipelineId)
+      : this.pipelineService.getPipelineForHospital(options.hospitalId);
+  }
+
+  /**
+   * 계정과목 참조 조회 등록 (참조 중인 계정은 삭제 불가)
+   * 규칙 세트, 분류 정정 이력, 회계기간 분류 거래(마감된 기간 포함)의 계정은 계정과목명/별칭 기준,
+   * 분개장과 기초 잔액은 계정 코드 기준으로 확인
+   */
+  registerAccountReferences() {
+    const accountNames = (account) => new Set([account.name, ...account.aliases.map(alias => alias.name)]);
+
+    this.accountService.registerReferenceProvider((hospitalId, account) => {
+      const names = accountNames(account);
+      const ruleSet = this.ruleSetService.getRuleSetForHospital(hospitalId);
+      const ruleIds = Object.entries(ruleSet.getAccountReferences())
+        .filter(([name]) => names.has(name))
+        .reduce((ids, [, refs]) => ids.concat(refs), []);
+
+      return [{ source: `규칙 세트 ${ruleSet.id} v${ruleSet.version}`, count: ruleIds.length, details: ruleIds }];
+    });
+
+    this.accountService.registerReferenceProvider((hospitalId, account) => {
+      const names = accountNames(account);
+      const corrections = this.correctionService.loadCorrections(hospitalId)
+        .filter(correction => names.has(correction.correctedAccount) || names.has(correction.originalAccount));
+
+      return [{ source: '분류 정정 이력', count: corrections.length, details: corrections.map(correction => correction.id) }];
+    });
+
+    this.accountService.registerReferenceProvider((hospitalId, account) => {
+      const { count, periods } = this.fiscalPeriodService.countAccountTransactions(hospitalId, accountNames(account));
+      return [{ source: '회계기간 분류 거래', count: count, details: periods }];
+    });
+
+    this.accountService.registerReferenceProvider((hospitalId, account) => [{
+      source: '분개장',
+      count: this.journalService.countAccountLines(hospitalId, account.code)
+    }]);
+
+    this.accountService.registerReferenceProvider((hospitalId, account) => [{
+      source: '기초 잔액',
+      count: this.financialStatementService.hasOpeningBalance(hospitalId, account.code) ? 1 : 0
+    }]);
+  }
+
+  /**
+   * 계정과목 라우트 설정
+   */
+  setupAccountRoutes() {
+    // 계정 목록 조회
+    this.app.get('/api/accounts', (req, res) => {
+      try {
+        const { hospitalId, includeInactive } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.accountService.listAccounts(hospitalId, { includeInactive: includeInactive === 'true' }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account list error:', error);
+        res.status(500).json({
+          error: '계정과목 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 계층 트리 조회
+    this.app.get('/api/accounts/tree', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.accountService.getChart(hospitalId).toTree(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account tree error:', error);
+        res.status(500).json({
+          error: '계정과목 트리 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정과목표 Excel 내보내기
+    this.app.get('/api/accounts/export', async (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        const buffer = await this.accountService.exportToExcel(hospitalId);
+        const filename = encodeURIComponent(`계정과목표_${hospitalId || 'default'}.xlsx`);
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${filename}`);
+        res.send(buffer);
+      } catch (error) {
+        console.error('Account export error:', error);
+        res.status(500).json({
+          error: '계정과목표 내보내기 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정과목표 Excel 가져오기 (Base64)
+    this.app.post('/api/accounts/import', async (req, res) => {
+      try {
+        const { hospitalId, fileData } = req.body;
+        
+        if (!fileData) {
+          return res.status(400).json({
+            error: 'fileData가 필요합니다 (Base64 인코딩)'
+          });
+        }
+
+        const result = await this.accountService.importFromExcel(hospitalId, Buffer.from(fileData, 'base64'));
+        
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account import error:', error);
+        res.status(400).json({
+          error: '계정과목표 가져오기 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 조회 (참조 현황 포함)
+    this.app.get('/api/accounts/:code', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        const account = this.accountService.getAccount(hospitalId, req.params.code);
+        
+        if (!account) {
+          return res.status(404).json({
+            error: `계정과목을 찾을 수 없습니다: ${req.params.code}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            ...account.toJSON(),
+            references: this.accountService.findReferences(hospitalId, account.code)
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account get error:', error);
+        res.status(500).json({
+          error: '계정과목 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 추가
+    this.app.post('/api/accounts', (req, res) => {
+      try {
+        const { hospitalId, account } = req.body;
+        
+        if (!account) {
+          return res.status(400).json({
+            error: 'account 데이터가 필요합니다'
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          data: this.accountService.createAccount(hospitalId, account),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account create error:', error);
+        res.status(400).json({
+          error: '계정과목 추가 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 수정 (이름 변경 시 이전 이름은 별칭으로 유지)
+    this.app.put('/api/accounts/:code', (req, res) => {
+      try {
+        const { hospitalId, changes } = req.body;
+        
+        const account = this.accountService.getAccount(hospitalId, req.params.code);
+        
+        if (!account) {
+          return res.status(404).json({
+            error: `계정과목을 찾을 수 없습니다: ${req.params.code}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.accountService.updateAccount(hospitalId, account.code, changes || {}),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account update error:', error);
+        res.status(400).json({
+          error: '계정과목 수정 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 비활성화
+    this.app.post('/api/accounts/:code/deactivate', (req, res) => {
+      try {
+        const { hospitalId } = req.body;
+        
+        const account = this.accountService.getAccount(hospitalId, req.params.code);
+        
+        if (!account) {
+          return res.status(404).json({
+            error: `계정과목을 찾을 수 없습니다: ${req.params.code}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.accountService.deactivateAccount(hospitalId, account.code),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account deactivate error:', error);
+        res.status(400).json({
+          error: '계정과목 비활성화 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 통합
+    this.app.post('/api/accounts/:code/merge', (req, res) => {
+      try {
+        const { hospitalId, targetCode } = req.body;
+        
+        if (!targetCode) {
+          return res.status(400).json({
+            error: 'targetCode가 필요합니다'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.accountService.mergeAccounts(hospitalId, req.params.code, targetCode),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account merge error:', error);
+        res.status(400).json({
+          error: '계정과목 통합 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 계정 삭제 (규칙/분류 이력에서 참조 중이면 409)
+    this.app.delete('/api/accounts/:code', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        const account = this.accountService.getAccount(hospitalId, req.params.code);
+        
+        if (!account) {
+          return res.status(404).json({
+            error: `계정과목을 찾을 수 없습니다: ${req.params.code}`
+          });
+        }
+
+        const references = this.accountService.findReferences(hospitalId, account.code);
+        if (references.length > 0) {
+          return res.status(409).json({
+            error: '사용 중인 계정은 삭제할 수 없습니다. 비활성화 또는 통합을 사용하세요',
+            references: references
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.accountService.deleteAccount(hospitalId, account.code),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Account delete error:', error);
+        res.status(400).json({
+          error: '계정과목 삭제 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 분개장 라우트 설정
+   */
+  setupJournalRoutes() {
+    // 분류된 거래에서 분개 생성 및 전기
+    this.app.post('/api/journal/generate', (req, res) => {
+      try {
+        const { hospitalId, classifiedTransactions, options = {} } = req.body;
+        
+        if (!Array.isArray(classifiedTransactions)) {
+          return res.status(400).json({
+            error: 'classifiedTransactions 배열이 필요합니다'
+          });
+        }
+
+        const result = this.journalService.generateEntries(hospitalId, classifiedTransactions, options);
+        
+        res.json({
+          success: true,
+          data: {
+            entries: result.entries.map(entry => entry.toJSON()),
+            skipped: result.skipped,
+            duplicates: result.duplicates,
+            posted: options.post !== false
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Journal generation error:', error);
+        res.status(500).json({
+          error: '분개 생성 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 분개 조회
+    this.app.get('/api/journal/entries', (req, res) => {
+      try {
+        const { hospitalId, from, to, type, accountCode } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.journalService.listEntries(hospitalId, { from, to, type, accountCode }).map(entry => entry.toJSON()),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Journal list error:', error);
+        res.status(500).json({
+          error: '분개 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 수정분개 등록
+    this.app.post('/api/journal/entries', (req, res) => {
+      try {
+        const { hospitalId, entry } = req.body;
+        
+        if (!entry) {
+          return res.status(400).json({
+            error: 'entry 데이터가 필요합니다'
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          data: this.journalService.addAdjustingEntry(hospitalId, entry).toJSON(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Adjusting entry error:', error);
+        res.status(400).json({
+          error: '수정분개 등록 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 분개 취소 (역분개)
+    this.app.post('/api/journal/entries/:entryId/reverse', (req, res) => {
+      try {
+        const { hospitalId, date, reason, createdBy } = req.body;
+        const reversal = this.journalService.reverseEntry(hospitalId, req.params.entryId, { date, reason, createdBy });
+        
+        res.json({
+          success: true,
+          data: reversal.toJSON(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Journal reversal error:', error);
+        res.status(400).json({
+          error: '분개 취소 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 총계정원장
+    this.app.get('/api/journal/ledger', (req, res) => {
+      try {
+        const { hospitalId, accountCode, from, to } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.journalService.getGeneralLedger(hospitalId, { accountCode, from, to }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('General ledger error:', error);
+        res.status(500).json({
+          error: '총계정원장 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 시산표
+    this.app.get('/api/journal/trial-balance', (req, res) => {
+      try {
+        const { hospitalId, from, to } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.journalService.getTrialBalance(hospitalId, { from, to }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Trial balance error:', error);
+        res.status(500).json({
+          error: '시산표 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 재무제표 라우트 설정
+   */
+  setupStatementRoutes() {
+    // 기초 잔액 조회
+    this.app.get('/api/statements/opening-balances', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.financialStatementService.getOpeningBalances(hospitalId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Opening balances error:', error);
+        res.status(500).json({
+          error: '기초 잔액 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 기초 잔액 저장 (JSON)
+    this.app.put('/api/statements/opening-balances', (req, res) => {
+      try {
+        const { hospitalId, asOf, balances } = req.body;
+        
+        res.json({
+          success: true,
+          data: this.financialStatementService.setOpeningBalances(hospitalId, { asOf, balances, source: 'api' }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Opening balances save error:', error);
+        res.status(400).json({
+          error: '기초 잔액 저장 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 기초 잔액 Excel 가져오기 (Base64)
+    this.app.post('/api/statements/opening-balances/import', async (req, res) => {
+      try {
+        const { hospitalId, asOf, fileData, filename } = req.body;
+        
+        if (!fileData) {
+          return res.status(400).json({
+            error: 'fileData가 필요합니다 (Base64 인코딩)'
+          });
+        }
+
+        const result = await this.financialStatementService.importOpeningBalances(
+          hospitalId,
+          Buffer.from(fileData, 'base64'),
+          { asOf, filename }
+        );
+        
+        res.json({
+          success: true,
+          data: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Opening balances import error:', error);
+        res.status(400).json({
+          error: '기초 잔액 가져오기 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 재무상태표
+    this.app.get('/api/statements/balance-sheet', (req, res) => {
+      try {
+        const { hospitalId, asOf } = req.query;
+        
+        res.json({
+          success: true,
+          data: this.financialStatementService.buildBalanceSheet(hospitalId, { asOf }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Balance sheet error:', error);
+        res.status(500).json({
+          error: '재무상태표 작성 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 현금흐름표 (간접법)
+    this.app.get('/api/statements/cash-flow', (req, res) => {
+      try {
+        const { hospitalId, from, asOf, netIncome } = req.query;
+
+        res.json({
+          success: true,
+          data: this.financialStatementService.buildCashFlowStatement(hospitalId, {
+            from,
+            asOf,
+            netIncome: netIncome !== undefined ? Number(netIncome) : undefined
+          }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Cash flow statement error:', error);
+        res.status(500).json({
+          error: '현금흐름표 작성 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 회계기간 라우트 설정
+   */
+  setupPeriodRoutes() {
+    // 회계기간 목록과 설정
+    this.app.get('/api/periods', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+
+        res.json({
+          success: true,
+          data: {
+            settings: this.fiscalPeriodService.getSettings(hospitalId),
+            periods: this.fiscalPeriodService.listPeriods(hospitalId)
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Periods error:', error);
+        res.status(500).json({
+          error: '회계기간 목록 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 회계연도 시작 월 설정
+    this.app.put('/api/periods/settings', (req, res) => {
+      try {
+        const { hospitalId, fiscalYearStartMonth } = req.body;
+
+        res.json({
+          success: true,
+          data: this.fiscalPeriodService.updateSettings(hospitalId, { fiscalYearStartMonth }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Period settings error:', error);
+        res.status(400).json({
+          error: '회계기간 설정 저장 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 회계기간 조회 (실행 기록, 마감 이력 포함)
+    this.app.get('/api/periods/:period', (req, res) => {
+      try {
+        const { hospitalId, includeTransactions } = req.query;
+
+        res.json({
+          success: true,
+          data: {
+            ...this.fiscalPeriodService.describePeriod(hospitalId, req.params.period),
+            ...this.fiscalPeriodService.getPeriod(hospitalId, req.params.period, {
+              includeTransactions: includeTransactions === 'true'
+            })
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Period error:', error);
+        res.status(400).json({
+          error: '회계기간 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 회계기간 재무제표 (마감된 기간은 고정된 값)
+    this.app.get('/api/periods/:period/statements', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+
+        res.json({
+          success: true,
+          data: this.fiscalPeriodService.getStatements(hospitalId, req.params.period),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Period statements error:', error);
+        res.status(400).json({
+          error: '회계기간 재무제표 작성 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 비교 손익계산서 (전월, 전년 동월, 당기 누적 대비 증감)
+    this.app.get('/api/periods/:period/comparative', (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+
+        res.json({
+          success: true,
+          data: this.comparativeStatementService.buildComparativeIncomeStatement(hospitalId, req.params.period),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Comparative statement error:', error);
+        res.status(400).json({
+          error: '비교 손익계산서 작성 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 비교 손익계산서 Excel 내보내기
+    this.app.get('/api/periods/:period/comparative/export', async (req, res) => {
+      try {
+        const { hospitalId } = req.query;
+        const statement = this.comparativeStatementService.buildComparativeIncomeStatement(hospitalId, req.params.period);
+        const buffer = await this.excelService.createExcelBuffer({ comparativeIncomeStatement: statement });
+        const filename = encodeURIComponent(`비교손익계산서_${hospitalId || 'default'}_${req.params.period}.xlsx`);
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${filename}`);
+        res.send(buffer);
+      } catch (error) {
+        console.error('Comparative statement export error:', error);
+        res.status(400).json({
+          error: '비교 손익계산서 내보내기 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 월 마감
+    this.app.post('/api/periods/:period/close', (req, res) => {
+      try {
+        const { hospitalId, closedBy, note } = req.body;
+        const period = this.fiscalPeriodService.closePeriod(hospitalId, req.params.period, { closedBy, note });
+        console.log(`🔒 회계기간 마감: ${req.params.period}`);
+
+        res.json({
+          success: true,
+          data: period,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Period close error:', error);
+        res.status(400).json({
+          error: '월 마감 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 마감 해제 (사유 필수)
+    this.app.post('/api/periods/:period/reopen', (req, res) => {
+      try {
+        const { hospitalId, reason, reopenedBy } = req.body;
+
+        if (!reason) {
+          return res.status(400).json({
+            error: '마감 해제 사유(reason)가 필요합니다'
+          });
+        }
+
+        const period = this.fiscalPeriodService.reopenPeriod(hospitalId, req.params.period, { reason, reopenedBy });
+        console.log(`🔓 회계기간 마감 해제: ${req.params.period} (${reason})`);
+
         res.json({
           success: true,
-          data: result,
+          data: period,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
-        console.error('Single classification error:', error);
-        res.status(500).json({
-          error: '단일 거래 분류 중 오류가 발생했습니다',
+        console.error('Period reopen error:', error);
+        res.status(400).json({
+          error: '마감 해제 중 오류가 발생했습니다',
           details: error.message
         });
       }
     });
-
-    // 분류 규칙 조회
-    this.app.get('/api/classification/rules', (req, res) => {
-      res.json({
-        success: true,
-        data: this.classificationEngine.classificationRules,
-        timestamp: new Date().toISOString()
-      });
-    });
   }
 
   /**
@@ -194,9 +1311,9 @@ class MediFinanceProApp {
     // 수식 실행
     this.app.post('/api/calculation/execute', async (req, res) => {
       try {
-        const { classifiedData, formulas } = req.body;
+        const { classifiedData, formulas, workbookNames } = req.body;
         
-        const result = await this.calculationEngine.executeCalculations(classifiedData, formulas);
+        const result = await this.calculationEngine.executeCalculations(classifiedData, formulas, workbookNames);
         
         res.json({
           success: true,
@@ -213,9 +1330,39 @@ class MediFinanceProApp {
     });
 
     // 단일 수식 실행
+    // formula가 문자열이면 AST 해석기로 계산하고 단계별 평가 과정과 오류 발생 지점을 함께 반환
+    // (fileData 통합문서와 cells { 시트명: { 주소: 값 } }의 값을 참조)
     this.app.post('/api/calculation/execute-formula', async (req, res) => {
       try {
-        const { formula } = req.body;
+        const { formula, sheet = 'Sheet1', cells = {}, fileData } = req.body;
+        if (!formula) {
+          return res.status(400).json({ error: 'formula가 필요합니다' });
+        }
+        
+        if (typeof formula === 'string') {
+          const engine = new RecalculationEngine();
+          try {
+            engine.parser.parseAST(formula);
+          } catch (error) {
+            return res.status(400).json({ error: '수식을 해석할 수 없습니다', details: error.message });
+          }
+          
+          if (fileData) {
+            await engine.loadWorkbook(Buffer.from(fileData, 'base64'));
+          }
+          Object.entries(cells).forEach(([sheetName, values]) => {
+            Object.entries(values || {}).forEach(([address, value]) => engine.setValue(sheetName, address, value));
+          });
+          if (fileData) {
+            engine.calculate();
+          }
+          
+          return res.json({
+            success: true,
+            data: { sheet, ...engine.traceFormula(sheet, formula) },
+            timestamp: new Date().toISOString()
+          });
+        }
         
         const result = await this.calculationEngine.executeFormula(formula);
         
@@ -232,6 +1379,112 @@ class MediFinanceProApp {
         });
       }
     });
+
+    // 통합문서 셀 의존성 분석 및 재계산 (changes가 있으면 변경 셀의 영향 범위만 다시 계산)
+    // externalWorkbooks로 참조하는 다른 통합문서를 함께 보내면 통합문서 사이의 참조도 계산
+    this.app.post('/api/calculation/recalculate', async (req, res) => {
+      try {
+        const { fileData, changes = [] } = req.body;
+        if (!fileData) {
+          return res.status(400).json({ error: 'fileData(Base64)가 필요합니다' });
+        }
+        const loadOptions = this.getWorkbookLoadOptions(req.body);
+        if (!loadOptions) {
+          return res.status(400).json({ error: 'externalWorkbooks의 각 항목에는 filename과 fileData(Base64)가 필요합니다' });
+        }
+
+        const engine = new RecalculationEngine();
+        const workbook = await engine.loadWorkbook(Buffer.from(fileData, 'base64'), loadOptions);
+        const dependencies = engine.graph.getSummary();
+        const calculation = engine.calculate();
+        const recalculation = changes.length > 0 ? engine.setCellValues(changes) : null;
+
+        res.json({
+          success: true,
+          data: {
+            workbook,
+            dependencies,
+            calculation,
+            recalculation
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Recalculation error:', error);
+        res.status(500).json({
+          error: '재계산 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 통합문서의 모든 수식을 계산해 Excel에 저장된 값(캐시된 결과)과 셀 단위로 비교
+    this.app.post('/api/calculation/diff', async (req, res) => {
+      try {
+        const { fileData, tolerance, relativeTolerance, limit = 500 } = req.body;
+        if (!fileData) {
+          return res.status(400).json({ error: 'fileData(Base64)가 필요합니다' });
+        }
+        if ((tolerance !== undefined && !(Number(tolerance) >= 0)) || (relativeTolerance !== undefined && !(Number(relativeTolerance) >= 0))) {
+          return res.status(400).json({ error: 'tolerance와 relativeTolerance는 0 이상의 숫자여야 합니다' });
+        }
+        const loadOptions = this.getWorkbookLoadOptions(req.body);
+        if (!loadOptions) {
+          return res.status(400).json({ error: 'externalWorkbooks의 각 항목에는 filename과 fileData(Base64)가 필요합니다' });
+        }
+
+        const engine = new RecalculationEngine();
+        const workbook = await engine.loadWorkbook(Buffer.from(fileData, 'base64'), loadOptions);
+        const calculation = engine.calculate();
+        const diff = engine.compareCachedValues({ tolerance, relativeTolerance });
+
+        // 불일치가 시작된 셀을 먼저 보여 줌
+        diff.mismatches.sort((a, b) => Number(b.rootCause) - Number(a.rootCause));
+
+        res.json({
+          success: true,
+          data: {
+            workbook,
+            calculation: {
+              evaluated: calculation.evaluated,
+              cycles: calculation.cycles,
+              processingTime: calculation.processingTime
+            },
+            ...diff,
+            mismatchCount: diff.mismatches.length,
+            mismatches: diff.mismatches.slice(0, limit),
+            truncated: diff.mismatches.length > limit
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Workbook diff error:', error);
+        res.status(500).json({
+          error: '캐시된 값 비교 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 요청 본문의 통합문서 묶음을 RecalculationEngine.loadWorkbook 옵션으로 변환
+   * @param {Object} body - { filename, externalWorkbooks: [{ filename, fileData }] }
+   * @returns {Object|null} { filename, externalWorkbooks: [{ filename, source }] } (항목이 잘못되면 null)
+   */
+  getWorkbookLoadOptions(body) {
+    const externalWorkbooks = body.externalWorkbooks || [];
+    if (!Array.isArray(externalWorkbooks) || externalWorkbooks.some(workbook => !workbook || !workbook.filename || !workbook.fileData)) {
+      return null;
+    }
+
+    return {
+      filename: body.filename,
+      externalWorkbooks: externalWorkbooks.map(workbook => ({
+        filename: workbook.filename,
+        source: Buffer.from(workbook.fileData, 'base64')
+      }))
+    };
   }
 
   /**
@@ -242,16 +1495,19 @@ class MediFinanceProApp {
     this.app.post('/api/dataflow/execute', async (req, res) => {
       try {
         const { rawData, options = {} } = req.body;
+        // 마감된 월의 거래는 제외
+        const { accepted, rejected } = this.fiscalPeriodService.checkImport(options.hospitalId, rawData || [], options);
         
         const result = await this.dataFlowManager.executeDataFlow(
-          rawData, 
-          this.classificationEngine, 
-          this.calculationEngine
+          accepted, 
+          this.getClassificationEngine(options.hospitalId), 
+          this.calculationEngine,
+          { ...options, pipeline: this.resolvePipeline(options) }
         );
         
         res.json({
           success: true,
-          data: result,
+          data: { ...result, rejectedRows: rejected },
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -364,6 +1620,42 @@ class MediFinanceProApp {
         });
       }
     });
+
+    // 자동화 Excel 양식에 분류 결과와 계산 값을 기록해 내려받기 (Base64)
+    this.app.post('/api/excel/export-automation', async (req, res) => {
+      try {
+        const { fileData, classifiedTransactions, keepFormulas, filename } = req.body;
+
+        if (!fileData) {
+          return res.status(400).json({
+            error: 'fileData가 필요합니다 (Base64 인코딩된 자동화 Excel)'
+          });
+        }
+        if (!Array.isArray(classifiedTransactions)) {
+          return res.status(400).json({
+            error: 'classifiedTransactions 배열이 필요합니다'
+          });
+        }
+
+        const { buffer, report } = await this.excelService.exportAutomationWorkbook(
+          Buffer.from(fileData, 'base64'),
+          classifiedTransactions,
+          { keepFormulas: keepFormulas !== false }
+        );
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename || '자동화_결과.xlsx')}`);
+        res.setHeader('X-Formula-Cells', String(report.formulaCells));
+        res.setHeader('X-Formula-Errors', String(report.errors.length));
+        res.send(buffer);
+      } catch (error) {
+        console.error('Automation workbook export error:', error);
+        res.status(500).json({
+          error: '자동화 Excel 내보내기 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
   }
 
   /**
@@ -436,78 +1728,275 @@ class MediFinanceProApp {
    * 통합 워크플로우 라우트 설정
    */
   setupIntegratedWorkflowRoutes() {
-    // 전체 프로세스 실행 (Excel 파일 입력 → 최종 결과)
-    this.app.post('/api/workflow/process-excel', async (req, res) => {
+    // 전체 프로세스 실행 작업 접수 (Excel 파일 입력 → 최종 결과는 작업 조회로 확인)
+    this.app.post('/api/workflow/process-excel', (req, res) => {
       try {
         const { rawDataFilePath, automationExcelPath, options = {} } = req.body;
-        
-        console.log('🚀 전체 워크플로우 시작');
-        console.log('📁 로우데이터 파일:', rawDataFilePath);
-        console.log('📊 자동화 Excel 파일:', automationExcelPath);
 
-        // 1. 로우 데이터 파싱
-        console.log('📄 1단계: 로우 데이터 파싱 중...');
-        const rawTransactions = await this.excelService.parseRawDataFile(rawDataFilePath);
-        console.log(`✅ ${rawTransactions.length}개 거래내역 파싱 완료`);
+        if (!rawDataFilePath) {
+          return res.status(400).json({
+            error: 'rawDataFilePath가 필요합니다'
+          });
+        }
 
-        // 2. 자동화 Excel 분석 (선택사항)
-        let excelAnalysis = null;
-        if (automationExcelPath) {
-          console.log('🔍 2단계: 자동화 Excel 분석 중...');
-          excelAnalysis = await this.excelService.analyzeExcelFile(automationExcelPath);
-          console.log(`✅ ${excelAnalysis.totalFormulas}개 수식 분석 완료`);
+        if (options.period) {
+          try {
+            this.fiscalPeriodService.parsePeriod(options.period);
+            this.fiscalPeriodService.assertOpen(options.hospitalId, options.period);
+          } catch (error) {
+            return res.status(400).json({
+              error: '실행할 회계기간을 확인해 주세요',
+              details: error.message
+            });
+          }
         }
 
-        // 3. 전체 데이터 플로우 실행
-        console.log('⚡ 3단계: 데이터 플로우 실행 중...');
-        const dataFlowResult = await this.dataFlowManager.executeDataFlow(
-          rawTransactions,
-          this.classificationEngine,
-          this.calculationEngine
-        );
+        const job = this.workflowJobService.submit({ rawDataFilePath, automationExcelPath, options });
+        console.log(`📥 워크플로우 작업 접수: ${job.id}`);
 
-        // 4. 결과 집계 및 반환
-        // 디버깅: 데이터 구조 확인
-        console.log('🔍 dataFlowResult 구조:', Object.keys(dataFlowResult));
-        if (dataFlowResult.results) {
-          console.log('🔍 results 구조:', Object.keys(dataFlowResult.results));
-          if (dataFlowResult.results.account_classification) {
-            console.log('🔍 account_classification 구조:', Object.keys(dataFlowResult.results.account_classification));
-            console.log('🔍 분류된 거래내역 수:', dataFlowResult.results.account_classification?.classifiedTransactions?.length || 0);
-          }
-          if (dataFlowResult.results.formula_execution) {
-            console.log('🔍 formula_execution 구조:', Object.keys(dataFlowResult.results.formula_execution));
-          }
+        res.status(202).json({
+          success: true,
+          data: job,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Workflow submit error:', error);
+        res.status(500).json({
+          error: '워크플로우 작업 접수 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 워크플로우 작업 목록
+    this.app.get('/api/workflow/jobs', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: this.workflowJobService.listJobs({ status: req.query.status }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Workflow job list error:', error);
+        res.status(500).json({
+          error: '워크플로우 작업 목록 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 워크플로우 작업 상태 및 결과 조회
+    this.app.get('/api/workflow/jobs/:jobId', (req, res) => {
+      try {
+        const job = this.workflowJobService.getJob(req.params.jobId);
+
+        if (!job) {
+          return res.status(404).json({
+            error: `워크플로우 작업을 찾을 수 없습니다: ${req.params.jobId}`
+          });
         }
-        
-        const finalResult = {
-          summary: {
-            inputTransactions: rawTransactions.length,
-            classifiedTransactions: dataFlowResult.results?.account_classification?.classifiedTransactions?.length || 0,
-            formulasExecuted: dataFlowResult.results?.formula_execution?.formulasExecuted || 0,
-            processingTime: dataFlowResult.results?.processingTime || 0,
-            successRate: dataFlowResult.success ? '100%' : '실패'
-          },
-          classification: dataFlowResult.results?.account_classification,
-          calculations: dataFlowResult.results?.formula_execution,
-          reports: dataFlowResult.results?.report_generation?.reports,
-          excelAnalysis: excelAnalysis,
-          statistics: dataFlowResult.statistics,
-          errors: dataFlowResult.errors || []
-        };
 
-        console.log('🎉 전체 워크플로우 완료');
-        
         res.json({
-          success: dataFlowResult.success,
-          data: finalResult,
+          success: true,
+          data: job,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Workflow job error:', error);
+        res.status(400).json({
+          error: '워크플로우 작업 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 워크플로우 작업 진행률 스트림 (Server-Sent Events, Last-Event-ID 이후 이벤트 재전송)
+    this.app.get('/api/workflow/jobs/:jobId/events', (req, res) => {
+      try {
+        if (!this.workflowJobService.getProgress(req.params.jobId)) {
+          return res.status(404).json({
+            error: `워크플로우 작업을 찾을 수 없습니다: ${req.params.jobId}`
+          });
+        }
+
+        this.progressHub.streamEvents(req, res, req.params.jobId);
+      } catch (error) {
+        console.error('Workflow job events error:', error);
+        res.status(400).json({
+          error: '워크플로우 작업 진행률 구독 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 워크플로우 작업 취소 (실행 중이면 지금 단계가 끝난 뒤 멈춤)
+    this.app.post('/api/workflow/jobs/:jobId/cancel', (req, res) => {
+      try {
+        const job = this.workflowJobService.cancel(req.params.jobId);
+
+        if (!job) {
+          return res.status(404).json({
+            error: `워크플로우 작업을 찾을 수 없습니다: ${req.params.jobId}`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: job,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Workflow job cancel error:', error);
+        res.status(400).json({
+          error: '워크플로우 작업 취소 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 실패하거나 취소된 작업을 마지막 완료 단계 다음부터 다시 실행
+    this.app.post('/api/workflow/jobs/:jobId/retry', (req, res) => {
+      try {
+        const job = this.workflowJobService.retry(req.params.jobId);
+
+        if (!job) {
+          return res.status(404).json({
+            error: `워크플로우 작업을 찾을 수 없습니다: ${req.params.jobId}`
+          });
+        }
+
+        res.status(202).json({
+          success: true,
+          data: job,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Workflow job retry error:', error);
+        res.status(400).json({
+          error: '워크플로우 작업 재실행 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 파이프라인 목록과 병원별 지정 현황
+    this.app.get('/api/workflow/pipelines', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: {
+            pipelines: this.pipelineService.listPipelines(),
+            assignments: this.pipelineService.loadAssignments(),
+            stepTypes: this.dataFlowManager.getStepTypes()
+          },
           timestamp: new Date().toISOString()
         });
+      } catch (error) {
+        console.error('Pipeline list error:', error);
+        res.status(500).json({
+          error: '파이프라인 목록 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 파이프라인 상세 조회 (상속을 적용한 실행 단계 포함)
+    this.app.get('/api/workflow/pipelines/:pipelineId', async (req, res) => {
+      try {
+        const pipeline = this.pipelineService.findPipeline(req.params.pipelineId);
+
+        if (!pipeline) {
+          return res.status(404).json({
+            error: `파이프라인을 찾을 수 없습니다: ${req.params.pipelineId}`
+          });
+        }
+
+        const plan = await this.dataFlowManager.createExecutionPlan(null, pipeline);
 
+        res.json({
+          success: true,
+          data: { ...pipeline.toJSON(), steps: plan.steps, estimatedTime: plan.estimatedTime },
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
-        console.error('❌ 통합 워크플로우 오류:', error);
+        console.error('Pipeline detail error:', error);
         res.status(500).json({
-          error: '통합 워크플로우 실행 중 오류가 발생했습니다',
+          error: '파이프라인 조회 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 파이프라인 스키마 검증
+    this.app.post('/api/workflow/pipelines/validate', (req, res) => {
+      const { pipeline } = req.body;
+      const validation = PipelineDefinition.validate(pipeline);
+
+      res.json({
+        success: true,
+        data: {
+          isValid: validation.isValid,
+          errors: validation.errors
+        },
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // 파이프라인 등록 (JSON 객체 또는 JSON/YAML 파일 내용)
+    this.app.post('/api/workflow/pipelines', async (req, res) => {
+      try {
+        const { pipeline, content, format = 'json' } = req.body;
+
+        if (!pipeline && !content) {
+          return res.status(400).json({
+            error: 'pipeline 객체 또는 content 문자열이 필요합니다'
+          });
+        }
+
+        // 등록되지 않은 단계 타입은 저장 전에 거부
+        const candidate = content ? PipelineDefinition.parse(content, format) : PipelineDefinition.fromJSON(pipeline);
+        await this.dataFlowManager.createExecutionPlan(null, candidate.extends
+          ? candidate.resolve(this.pipelineService.getPipeline(candidate.extends))
+          : candidate);
+
+        const saved = this.pipelineService.savePipeline(candidate.toJSON());
+
+        res.json({
+          success: true,
+          data: saved.getSummary(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Pipeline save error:', error);
+        res.status(400).json({
+          error: '파이프라인 등록 중 오류가 발생했습니다',
+          details: error.message
+        });
+      }
+    });
+
+    // 병원별 파이프라인 지정
+    this.app.put('/api/workflow/hospitals/:hospitalId/pipeline', (req, res) => {
+      try {
+        const { pipelineId } = req.body;
+
+        if (!pipelineId) {
+          return res.status(400).json({
+            error: 'pipelineId가 필요합니다'
+          });
+        }
+
+        const assignment = this.pipelineService.assignPipeline(req.params.hospitalId, pipelineId);
+
+        res.json({
+          success: true,
+          data: assignment,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Pipeline assignment error:', error);
+        res.status(400).json({
+          error: '파이프라인 지정 중 오류가 발생했습니다',
           details: error.message
         });
       }
@@ -548,6 +2037,95 @@ class MediFinanceProApp {
     });
   }
 
+  /**
+   * 전체 워크플로우 실행 (워크플로우 작업자가 호출)
+   * @param {Object} input - { rawDataFilePath, automationExcelPath, options } (options.period: 연결할 회계기간 YYYY-MM)
+   * @param {Object} hooks - 단계별 상태 저장과 재개에 쓰는 DataFlowManager.executeDataFlow hooks
+   * @returns {Object} 워크플로우 결과 ({ success, cancelled, error, summary, classification, ... })
+   */
+  async runExcelWorkflow(input, hooks = {}) {
+    const { rawDataFilePath, automationExcelPath, options = {} } = input;
+
+    console.log('🚀 전체 워크플로우 시작');
+    console.log('📁 로우데이터 파일:', rawDataFilePath);
+    console.log('📊 자동화 Excel 파일:', automationExcelPath);
+
+    // 1. 로우 데이터 파싱
+    console.log('📄 1단계: 로우 데이터 파싱 중...');
+    const rawTransactions = await this.excelService.parseRawDataFile(rawDataFilePath);
+    console.log(`✅ ${rawTransactions.length}개 거래내역 파싱 완료`);
+
+    // 마감된 월(과 지정한 회계기간 밖)의 행 제외
+    // 재개한 작업은 첫 실행의 결정을 그대로 써서 저장된 단계 결과(분류 등)와 가져온 행이 어긋나지 않게 함
+    const remember = hooks.remember || ((key, decide) => decide());
+    const rejected = remember('rejectedRows', () =>
+      this.fiscalPeriodService.checkImport(options.hospitalId, rawTransactions, options).rejected);
+    const rejectedIndexes = new Set(rejected.map(row => row.rowIndex));
+    const accepted = rawTransactions.filter((row, rowIndex) => !rejectedIndexes.has(rowIndex));
+    if (rejected.length > 0) {
+      console.log(`⛔ ${rejected.length}개 행 제외 (마감된 월 또는 다른 회계기간)`);
+    }
+    if (rawTransactions.length > 0 && accepted.length === 0) {
+      throw new Error(`가져올 수 있는 거래가 없습니다: ${rejected[0].reason}`);
+    }
+
+    // 2. 자동화 Excel 분석 (선택사항)
+    let excelAnalysis = null;
+    if (automationExcelPath) {
+      console.log('🔍 2단계: 자동화 Excel 분석 중...');
+      excelAnalysis = await this.excelService.analyzeExcelFile(automationExcelPath);
+      console.log(`✅ ${excelAnalysis.totalFormulas}개 수식 분석 완료`);
+    }
+
+    // 3. 전체 데이터 플로우 실행 (병원 파이프라인 기준, 완료한 단계는 저장된 결과로 건너뜀)
+    console.log('⚡ 3단계: 데이터 플로우 실행 중...');
+    const dataFlowResult = await this.dataFlowManager.executeDataFlow(
+      accepted,
+      this.getClassificationEngine(options.hospitalId),
+      this.calculationEngine,
+      { ...options, pipeline: this.resolvePipeline(options) },
+      hooks
+    );
+
+    // 4. 회계기간에 분류 거래 누적 (이미 가져온 행은 한 번만, 같은 작업을 다시 기록하면 처음 기록을 사용)
+    let periodRun = null;
+    if (dataFlowResult.success && options.period) {
+      periodRun = this.fiscalPeriodService.recordRun(options.hospitalId, options.period, {
+        runId: hooks.jobId,
+        source: rawDataFilePath,
+        classifiedTransactions: dataFlowResult.results?.classification?.classifiedTransactions || [],
+        rejectedRows: rejected
+      });
+      console.log(`📅 회계기간 ${options.period}: ${periodRun.added}개 추가, ${periodRun.duplicates}개 중복`);
+    }
+
+    // 5. 결과 집계
+    console.log(dataFlowResult.success ? '🎉 전체 워크플로우 완료' : `⚠️ 워크플로우 중단: ${dataFlowResult.error}`);
+
+    return {
+      success: dataFlowResult.success,
+      cancelled: dataFlowResult.cancelled || false,
+      error: dataFlowResult.error || null,
+      summary: {
+        inputTransactions: rawTransactions.length,
+        rejectedTransactions: rejected.length,
+        classifiedTransactions: dataFlowResult.results?.classification?.classifiedTransactions?.length || 0,
+        formulasExecuted: dataFlowResult.results?.calculations?.formulasExecuted || 0,
+        processingTime: dataFlowResult.statistics?.totalProcessingTime || 0,
+        successRate: dataFlowResult.success ? '100%' : '실패'
+      },
+      classification: dataFlowResult.results?.classification,
+      calculations: dataFlowResult.results?.calculations,
+      reports: dataFlowResult.results?.reports,
+      additionalSteps: dataFlowResult.results?.additionalSteps || {},
+      period: options.period ? { period: options.period, run: periodRun } : null,
+      rejectedRows: rejected,
+      excelAnalysis: excelAnalysis,
+      statistics: dataFlowResult.statistics,
+      errors: dataFlowResult.errors || []
+    };
+  }
+
   /**
    * Vercel 최적화 라우트 설정
    */
@@ -656,6 +2234,9 @@ class MediFinanceProApp {
           'POST /api/calculation/execute',
           'POST /api/dataflow/execute',
           'POST /api/workflow/process-excel',
+          'GET /api/workflow/jobs/:jobId',
+          'GET /api/workflow/pipelines',
+          'GET /api/periods',
           'POST /api/workflow/demo'
         ]
       });
@@ -677,7 +2258,10 @@ class MediFinanceProApp {
    * 서버 시작
    */
   start() {
-    this.app.listen(this.port, () => {
+    // 서버가 멈춘 동안 끝나지 않은 워크플로우 작업 재개
+    this.workflowJobService.resumePendingJobs();
+
+    this.server = this.app.listen(this.port, () => {
       console.log('🏥 MediFinance Pro v2 Backend Server Started');
       console.log(`🚀 Server running on port ${this.port}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -689,8 +2273,12 @@ class MediFinanceProApp {
       console.log('   ✅ Validation Service');
       console.log(`📡 Health Check: http://localhost:${this.port}/health`);
       console.log(`🎯 Demo Workflow: http://localhost:${this.port}/api/workflow/demo`);
+      console.log(`📶 Workflow Progress: ws://localhost:${this.port}/api/workflow/progress`);
       console.log('==========================================');
     });
+
+    // 워크플로우 진행률 WebSocket (SSE와 같은 이벤트)
+    this.progressHub.attachWebSocket(this.server, { path: '/api/workflow/progress' });
   }
 }
 
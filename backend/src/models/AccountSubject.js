@@ -1,94 +1,491 @@
 /**
  * AccountSubject 모델
  * 계정과목 정의 및 관리
+ * 의료기관 회계기준 재무제표 항목에 매핑되는 계층형 계정과목 코드 체계
+ * (1xxx 자산, 2xxx 부채, 3xxx 자본, 4xxx 수익, 5xxx 비용)
  */
 
+// 카테고리별 정상 잔액 방향
+const NORMAL_BALANCE = {
+  asset: 'debit',
+  expense: 'debit',
+  liability: 'credit',
+  equity: 'credit',
+  revenue: 'credit'
+};
+
 class AccountSubject {
   constructor(data) {
     this.code = data.code;
     this.name = data.name;
     this.category = data.category; // 'revenue' | 'expense' | 'asset' | 'liability' | 'equity'
     this.subcategory = data.subcategory;
+    this.parentCode = data.parentCode || null; // 상위 계정 코드 (최상위는 null)
+    this.normalBalance = data.normalBalance || NORMAL_BALANCE[data.category]; // 'debit' | 'credit'
+    this.statementLine = data.statementLine || null; // 의료기관 회계기준 재무제표 항목 코드
     this.description = data.description;
     this.keywords = data.keywords || [];
     this.rules = data.rules || [];
+    this.aliases = data.aliases || []; // 분류 엔진 계정명 → 말단 계정 매핑 ({ name, serviceType, isDefault })
     this.isActive = data.isActive !== false; // 기본값 true
+    this.mergedInto = data.mergedInto || null; // 통합된 경우 대상 계정 코드
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
 
   /**
-   * 표준 계정과목 목록 생성
+   * 표준 계정과목 목록 생성 (계층 구조, 상위 계정 포함)
    * @returns {Array} 계정과목 배열
    */
   static getStandardAccountSubjects() {
     return [
-      // 수익 계정
+      // 재무상태표 - 자산
+      new AccountSubject({
+        code: '1000',
+        name: '자산',
+        category: 'asset',
+        subcategory: '자산',
+        statementLine: 'BS.A',
+        description: '자산 총계'
+      }),
+      new AccountSubject({
+        code: '1100',
+        name: '유동자산',
+        category: 'asset',
+        subcategory: '유동자산',
+        parentCode: '1000',
+        statementLine: 'BS.A.I',
+        description: '1년 이내 현금화 가능 자산'
+      }),
+      new AccountSubject({
+        code: '1110',
+        name: '현금및현금성자산',
+        category: 'asset',
+        subcategory: '당좌자산',
+        parentCode: '1100',
+        statementLine: 'BS.A.I.1',
+        description: '현금, 보통예금 및 현금성자산',
+        keywords: ['현금', '보통예금', '예금']
+      }),
+      new AccountSubject({
+        code: '1120',
+        name: '의료미수금',
+        category: 'asset',
+        subcategory: '당좌자산',
+        parentCode: '1100',
+        statementLine: 'BS.A.I.1',
+        description: '공단/보험사 청구 및 환자 미수 진료비',
+        keywords: ['미수금', '청구', '공단']
+      }),
+      new AccountSubject({
+        code: '1130',
+        name: '미수금',
+        category: 'asset',
+        subcategory: '당좌자산',
+        parentCode: '1100',
+        statementLine: 'BS.A.I.1',
+        description: '의료 외 미수금',
+        keywords: ['미수']
+      }),
+      new AccountSubject({
+        code: '1140',
+        name: '약품',
+        category: 'asset',
+        subcategory: '재고자산',
+        parentCode: '1100',
+        statementLine: 'BS.A.I.2',
+        description: '의약품 재고',
+        keywords: ['약품재고']
+      }),
+      new AccountSubject({
+        code: '1150',
+        name: '진료재료',
+        category: 'asset',
+        subcategory: '재고자산',
+        parentCode: '1100',
+        statementLine: 'BS.A.I.2',
+        description: '진료재료 재고',
+        keywords: ['재료재고']
+      }),
+      new AccountSubject({
+        code: '1200',
+        name: '비유동자산',
+        category: 'asset',
+        subcategory: '비유동자산',
+        parentCode: '1000',
+        statementLine: 'BS.A.II',
+        description: '1년 이후 현금화 자산'
+      }),
+      new AccountSubject({
+        code: '1210',
+        name: '건물',
+        category: 'asset',
+        subcategory: '유형자산',
+        parentCode: '1200',
+        statementLine: 'BS.A.II.2',
+        description: '병원 건물',
+        keywords: ['건물']
+      }),
+      new AccountSubject({
+        code: '1220',
+        name: '의료장비',
+        category: 'asset',
+        subcategory: '유형자산',
+        parentCode: '1200',
+        statementLine: 'BS.A.II.2',
+        description: '의료장비 및 기기',
+        keywords: ['장비', '의료기기']
+      }),
+      new AccountSubject({
+        code: '1290',
+        name: '감가상각누계액',
+        category: 'asset',
+        subcategory: '유형자산',
+        parentCode: '1200',
+        normalBalance: 'credit',
+        statementLine: 'BS.A.II.2',
+        description: '유형자산 감가상각누계액 (차감계정)',
+        keywords: ['감가상각']
+      }),
+
+      // 재무상태표 - 부채
+      new AccountSubject({
+        code: '2000',
+        name: '부채',
+        category: 'liability',
+        subcategory: '부채',
+        statementLine: 'BS.L',
+        description: '부채 총계'
+      }),
+      new AccountSubject({
+        code: '2100',
+        name: '유동부채',
+        category: 'liability',
+        subcategory: '유동부채',
+        parentCode: '2000',
+        statementLine: 'BS.L.I',
+        description: '1년 이내 상환 부채'
+      }),
+      new AccountSubject({
+        code: '2110',
+        name: '매입채무',
+        category: 'liability',
+        subcategory: '유동부채',
+        parentCode: '2100',
+        statementLine: 'BS.L.I',
+        description: '의약품/재료 외상 매입',
+        keywords: ['외상매입', '매입채무']
+      }),
+      new AccountSubject({
+        code: '2120',
+        name: '미지급금',
+        category: 'liability',
+        subcategory: '유동부채',
+        parentCode: '2100',
+        statementLine: 'BS.L.I',
+        description: '의료 외 미지급금',
+        keywords: ['미지급']
+      }),
+      new AccountSubject({
+        code: '2130',
+        name: '예수금',
+        category: 'liability',
+        subcategory: '유동부채',
+        parentCode: '2100',
+        statementLine: 'BS.L.I',
+        description: '원천징수 등 예수금',
+        keywords: ['예수금', '원천세']
+      }),
+      new AccountSubject({
+        code: '2140',
+        name: '미지급비용',
+        category: 'liability',
+        subcategory: '유동부채',
+        parentCode: '2100',
+        statementLine: 'BS.L.I',
+        description: '발생 미지급 비용',
+        keywords: ['미지급비용']
+      }),
+      new AccountSubject({
+        code: '2200',
+        name: '비유동부채',
+        category: 'liability',
+        subcategory: '비유동부채',
+        parentCode: '2000',
+        statementLine: 'BS.L.II',
+        description: '1년 이후 상환 부채'
+      }),
+      new AccountSubject({
+        code: '2210',
+        name: '장기차입금',
+        category: 'liability',
+        subcategory: '비유동부채',
+        parentCode: '2200',
+        statementLine: 'BS.L.II',
+        description: '장기 차입금',
+        keywords: ['차입금', '대출']
+      }),
+      new AccountSubject({
+        code: '2220',
+        name: '퇴직급여충당부채',
+        category: 'liability',
+        subcategory: '비유동부채',
+        parentCode: '2200',
+        statementLine: 'BS.L.II',
+        description: '퇴직급여 충당부채',
+        keywords: ['퇴직급여']
+      }),
+
+      // 재무상태표 - 자본
+      new AccountSubject({
+        code: '3000',
+        name: '자본',
+        category: 'equity',
+        subcategory: '자본',
+        statementLine: 'BS.E',
+        description: '자본(순자산) 총계'
+      }),
+      new AccountSubject({
+        code: '3100',
+        name: '기본금',
+        category: 'equity',
+        subcategory: '기본금',
+        parentCode: '3000',
+        statementLine: 'BS.E.I',
+        description: '출연금 및 기본금',
+        keywords: ['기본금', '출자금']
+      }),
       new AccountSubject({
-        code: 'REV001',
-        name: '건보수익',
+        code: '3200',
+        name: '이익잉여금',
+        category: 'equity',
+        subcategory: '이익잉여금',
+        parentCode: '3000',
+        statementLine: 'BS.E.III',
+        description: '이익잉여금(결손금)',
+        keywords: ['잉여금']
+      }),
+
+      // 손익계산서 - 의료수익
+      new AccountSubject({
+        code: '4000',
+        name: '의료수익',
+        category: 'revenue',
+        subcategory: '의료수익',
+        statementLine: 'IS.I',
+        description: '의료 활동 수익 총계'
+      }),
+      new AccountSubject({
+        code: '4100',
+        name: '입원수익',
+        category: 'revenue',
+        subcategory: '진료형태별수익',
+        parentCode: '4000',
+        statementLine: 'IS.I.1',
+        description: '입원 진료 수익',
+        keywords: ['입원', 'inpatient'],
+        rules: [
+          { type: 'service_type', value: '입원' }
+        ]
+      }),
+      new AccountSubject({
+        code: '4110',
+        name: '건보입원수익',
         category: 'revenue',
         subcategory: '환자유형별수익',
-        description: '건강보험 환자 수익',
+        parentCode: '4100',
+        statementLine: 'IS.I.1',
+        description: '건강보험 환자 입원 수익',
         keywords: ['건강보험', '건보', 'NHI'],
         rules: [
           { type: 'patient_type', value: '건강보험' },
-          { type: 'insurance_type', value: '건보' }
+          { type: 'service_type', value: '입원' }
+        ],
+        aliases: [
+          { name: '건보수익', serviceType: '입원' }
         ]
       }),
       new AccountSubject({
-        code: 'REV002',
-        name: '의보수익',
+        code: '4120',
+        name: '의보입원수익',
         category: 'revenue',
         subcategory: '환자유형별수익',
-        description: '의료보험 환자 수익',
+        parentCode: '4100',
+        statementLine: 'IS.I.1',
+        description: '의료보험 환자 입원 수익',
         keywords: ['의료보험', '의보'],
         rules: [
           { type: 'patient_type', value: '의료보험' },
-          { type: 'insurance_type', value: '의보' }
+          { type: 'service_type', value: '입원' }
+        ],
+        aliases: [
+          { name: '의보수익', serviceType: '입원' }
         ]
       }),
       new AccountSubject({
-        code: 'REV003',
-        name: '일반수익',
+        code: '4130',
+        name: '일반입원수익',
         category: 'revenue',
         subcategory: '환자유형별수익',
-        description: '일반환자(자비) 수익',
+        parentCode: '4100',
+        statementLine: 'IS.I.1',
+        description: '일반환자(자비) 환자 입원 수익',
         keywords: ['일반', '자비', '무보험'],
         rules: [
-          { type: 'patient_type', value: '일반' },
-          { type: 'no_insurance', value: true }
+          { type: 'no_insurance', value: true },
+          { type: 'service_type', value: '입원' }
+        ],
+        aliases: [
+          { name: '일반수익', serviceType: '입원' }
         ]
       }),
       new AccountSubject({
-        code: 'REV004',
-        name: '산재수익',
+        code: '4140',
+        name: '산재입원수익',
         category: 'revenue',
         subcategory: '환자유형별수익',
-        description: '산재보험 환자 수익',
+        parentCode: '4100',
+        statementLine: 'IS.I.1',
+        description: '산재보험 환자 입원 수익',
         keywords: ['산재보험', '산재', '근로복지공단'],
         rules: [
           { type: 'patient_type', value: '산재보험' },
-          { type: 'insurance_type', value: '산재' }
+          { type: 'service_type', value: '입원' }
+        ],
+        aliases: [
+          { name: '산재수익', serviceType: '입원' }
         ]
       }),
       new AccountSubject({
-        code: 'REV005',
-        name: '자보수익',
+        code: '4150',
+        name: '자보입원수익',
         category: 'revenue',
         subcategory: '환자유형별수익',
-        description: '자동차보험 환자 수익',
+        parentCode: '4100',
+        statementLine: 'IS.I.1',
+        description: '자동차보험 환자 입원 수익',
         keywords: ['자동차보험', '자보', '교통사고'],
         rules: [
           { type: 'patient_type', value: '자동차보험' },
-          { type: 'insurance_type', value: '자보' }
+          { type: 'service_type', value: '입원' }
+        ],
+        aliases: [
+          { name: '자보수익', serviceType: '입원' }
+        ]
+      }),
+      new AccountSubject({
+        code: '4200',
+        name: '외래수익',
+        category: 'revenue',
+        subcategory: '진료형태별수익',
+        parentCode: '4000',
+        statementLine: 'IS.I.2',
+        description: '외래 진료 수익',
+        keywords: ['외래', 'outpatient'],
+        rules: [
+          { type: 'service_type', value: '외래' }
+        ]
+      }),
+      new AccountSubject({
+        code: '4210',
+        name: '건보외래수익',
+        category: 'revenue',
+        subcategory: '환자유형별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
+        description: '건강보험 환자 외래 수익',
+        keywords: ['건강보험', '건보', 'NHI'],
+        rules: [
+          { type: 'patient_type', value: '건강보험' }
+        ],
+        aliases: [
+          { name: '건보수익', serviceType: '외래', isDefault: true }
+        ]
+      }),
+      new AccountSubject({
+        code: '4220',
+        name: '의보외래수익',
+        category: 'revenue',
+        subcategory: '환자유형별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
+        description: '의료보험 환자 외래 수익',
+        keywords: ['의료보험', '의보'],
+        rules: [
+          { type: 'patient_type', value: '의료보험' }
+        ],
+        aliases: [
+          { name: '의보수익', serviceType: '외래', isDefault: true }
         ]
       }),
       new AccountSubject({
-        code: 'REV006',
+        code: '4230',
+        name: '일반외래수익',
+        category: 'revenue',
+        subcategory: '환자유형별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
+        description: '일반환자(자비) 환자 외래 수익',
+        keywords: ['일반', '자비', '무보험'],
+        rules: [
+          { type: 'no_insurance', value: true }
+        ],
+        aliases: [
+          { name: '일반수익', serviceType: '외래', isDefault: true }
+        ]
+      }),
+      new AccountSubject({
+        code: '4240',
+        name: '산재외래수익',
+        category: 'revenue',
+        subcategory: '환자유형별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
+        description: '산재보험 환자 외래 수익',
+        keywords: ['산재보험', '산재', '근로복지공단'],
+        rules: [
+          { type: 'patient_type', value: '산재보험' }
+        ],
+        aliases: [
+          { name: '산재수익', serviceType: '외래', isDefault: true }
+        ]
+      }),
+      new AccountSubject({
+        code: '4250',
+        name: '자보외래수익',
+        category: 'revenue',
+        subcategory: '환자유형별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
+        description: '자동차보험 환자 외래 수익',
+        keywords: ['자동차보험', '자보', '교통사고'],
+        rules: [
+          { type: 'patient_type', value: '자동차보험' }
+        ],
+        aliases: [
+          { name: '자보수익', serviceType: '외래', isDefault: true }
+        ]
+      }),
+      new AccountSubject({
+        code: '4260',
+        name: '응급수익',
+        category: 'revenue',
+        subcategory: '진료형태별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
+        description: '응급실 진료 수익',
+        keywords: ['응급', '응급실', 'emergency'],
+        rules: [
+          { type: 'service_type', value: '응급' }
+        ]
+      }),
+      new AccountSubject({
+        code: '4270',
         name: '내과수익',
         category: 'revenue',
         subcategory: '진료과별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
         description: '내과 진료 수익',
         keywords: ['내과', 'internal medicine'],
         rules: [
@@ -96,10 +493,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'REV007',
+        code: '4280',
         name: '외과수익',
         category: 'revenue',
         subcategory: '진료과별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
         description: '외과 진료 수익',
         keywords: ['외과', 'surgery'],
         rules: [
@@ -107,10 +506,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'REV008',
+        code: '4290',
         name: '소아과수익',
         category: 'revenue',
         subcategory: '진료과별수익',
+        parentCode: '4200',
+        statementLine: 'IS.I.2',
         description: '소아과 진료 수익',
         keywords: ['소아과', 'pediatrics'],
         rules: [
@@ -118,43 +519,32 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'REV009',
-        name: '외래수익',
+        code: '4300',
+        name: '기타의료수익',
         category: 'revenue',
-        subcategory: '진료형태별수익',
-        description: '외래 진료 수익',
-        keywords: ['외래', 'outpatient'],
-        rules: [
-          { type: 'service_type', value: '외래' }
-        ]
-      }),
-      new AccountSubject({
-        code: 'REV010',
-        name: '입원수익',
-        category: 'revenue',
-        subcategory: '진료형태별수익',
-        description: '입원 진료 수익',
-        keywords: ['입원', 'inpatient'],
-        rules: [
-          { type: 'service_type', value: '입원' }
-        ]
+        subcategory: '기타의료수익',
+        parentCode: '4000',
+        statementLine: 'IS.I.3',
+        description: '건강검진, 제증명 등 기타 의료수익',
+        keywords: ['건강검진', '검진', '제증명', '증명서']
       }),
+
+      // 손익계산서 - 의료외수익
       new AccountSubject({
-        code: 'REV011',
-        name: '응급수익',
+        code: '4900',
+        name: '의료외수익',
         category: 'revenue',
-        subcategory: '진료형태별수익',
-        description: '응급실 진료 수익',
-        keywords: ['응급', '응급실', 'emergency'],
-        rules: [
-          { type: 'service_type', value: '응급' }
-        ]
+        subcategory: '의료외수익',
+        statementLine: 'IS.IV',
+        description: '의료 활동 외 수익 총계'
       }),
       new AccountSubject({
-        code: 'REV012',
+        code: '4910',
         name: '기타수익',
         category: 'revenue',
         subcategory: '기타수익',
+        parentCode: '4900',
+        statementLine: 'IS.IV',
         description: '기타 병원 수익',
         keywords: ['기타', '부대수익', '잡수익'],
         rules: [
@@ -162,12 +552,54 @@ class AccountSubject {
         ]
       }),
 
-      // 비용 계정
+      // 손익계산서 - 의료비용
+      new AccountSubject({
+        code: '5000',
+        name: '의료비용',
+        category: 'expense',
+        subcategory: '의료비용',
+        statementLine: 'IS.II',
+        description: '의료 활동 비용 총계'
+      }),
+      new AccountSubject({
+        code: '5100',
+        name: '인건비',
+        category: 'expense',
+        subcategory: '인건비',
+        parentCode: '5000',
+        statementLine: 'IS.II.1',
+        description: '인건비 합계'
+      }),
+      new AccountSubject({
+        code: '5110',
+        name: '급여',
+        category: 'expense',
+        subcategory: '인건비',
+        parentCode: '5100',
+        statementLine: 'IS.II.1',
+        description: '직원 급여',
+        keywords: ['급여', '임금', '인건비', '보수'],
+        rules: [
+          { type: 'item_category', value: '인건비' },
+          { type: 'expense_type', value: '급여' }
+        ]
+      }),
+      new AccountSubject({
+        code: '5200',
+        name: '재료비',
+        category: 'expense',
+        subcategory: '재료비',
+        parentCode: '5000',
+        statementLine: 'IS.II.2',
+        description: '재료비 합계'
+      }),
       new AccountSubject({
-        code: 'EXP001',
+        code: '5210',
         name: '의약품비',
         category: 'expense',
         subcategory: '재료비',
+        parentCode: '5200',
+        statementLine: 'IS.II.2',
         description: '의약품 구입비',
         keywords: ['의약품', '약품', '약물', '제약'],
         rules: [
@@ -176,10 +608,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP002',
+        code: '5220',
         name: '의료재료비',
         category: 'expense',
         subcategory: '재료비',
+        parentCode: '5200',
+        statementLine: 'IS.II.2',
         description: '의료재료 구입비',
         keywords: ['의료재료', '재료', '소모품', '일회용'],
         rules: [
@@ -188,22 +622,21 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP003',
-        name: '급여',
+        code: '5300',
+        name: '관리운영비',
         category: 'expense',
-        subcategory: '인건비',
-        description: '직원 급여',
-        keywords: ['급여', '임금', '인건비', '보수'],
-        rules: [
-          { type: 'item_category', value: '인건비' },
-          { type: 'expense_type', value: '급여' }
-        ]
+        subcategory: '관리비',
+        parentCode: '5000',
+        statementLine: 'IS.II.3',
+        description: '관리운영비 합계'
       }),
       new AccountSubject({
-        code: 'EXP004',
+        code: '5310',
         name: '임차료',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '건물 임차료',
         keywords: ['임차료', '임대료', '렌트', '월세'],
         rules: [
@@ -211,10 +644,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP005',
+        code: '5320',
         name: '전기료',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '전기 사용료',
         keywords: ['전기료', '전력', '전기'],
         rules: [
@@ -223,10 +658,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP006',
+        code: '5330',
         name: '통신료',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '통신 사용료',
         keywords: ['통신료', '전화료', '인터넷'],
         rules: [
@@ -235,10 +672,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP007',
+        code: '5340',
         name: '수도료',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '상하수도 사용료',
         keywords: ['수도료', '상하수도', '물'],
         rules: [
@@ -246,10 +685,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP008',
+        code: '5350',
         name: '유지보수비',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '장비 유지보수비',
         keywords: ['유지보수', '수리비', '정비'],
         rules: [
@@ -257,10 +698,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP009',
+        code: '5360',
         name: '소모품비',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '일반 소모품비',
         keywords: ['소모품', '사무용품', '잡품'],
         rules: [
@@ -268,10 +711,12 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP010',
+        code: '5370',
         name: '교육훈련비',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '직원 교육훈련비',
         keywords: ['교육', '훈련', '연수', '세미나'],
         rules: [
@@ -279,21 +724,35 @@ class AccountSubject {
         ]
       }),
       new AccountSubject({
-        code: 'EXP011',
+        code: '5380',
         name: '접대비',
         category: 'expense',
         subcategory: '관리비',
+        parentCode: '5300',
+        statementLine: 'IS.II.3',
         description: '접대 및 회의비',
         keywords: ['접대비', '회의비', '식사'],
         rules: [
           { type: 'item_category', value: '접대' }
         ]
       }),
+
+      // 손익계산서 - 의료외비용
       new AccountSubject({
-        code: 'EXP012',
+        code: '5900',
+        name: '의료외비용',
+        category: 'expense',
+        subcategory: '의료외비용',
+        statementLine: 'IS.V',
+        description: '의료 활동 외 비용 총계'
+      }),
+      new AccountSubject({
+        code: '5910',
         name: '기타비용',
         category: 'expense',
         subcategory: '기타비용',
+        parentCode: '5900',
+        statementLine: 'IS.V',
         description: '기타 병원 비용',
         keywords: ['기타', '잡비용'],
         rules: [
@@ -554,10 +1013,15 @@ class AccountSubject {
       name: this.name,
       category: this.category,
       subcategory: this.subcategory,
+      parentCode: this.parentCode,
+      normalBalance: this.normalBalance,
+      statementLine: this.statementLine,
       description: this.description,
       keywords: this.keywords,
       rules: this.rules,
+      aliases: this.aliases,
       isActive: this.isActive,
+      mergedInto: this.mergedInto,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -574,14 +1038,21 @@ class AccountSubject {
       name: json.name,
       category: json.category,
       subcategory: json.subcategory,
+      parentCode: json.parentCode,
+      normalBalance: json.normalBalance,
+      statementLine: json.statementLine,
       description: json.description,
       keywords: json.keywords || [],
       rules: json.rules || [],
+      aliases: json.aliases || [],
       isActive: json.isActive,
+      mergedInto: json.mergedInto,
       createdAt: new Date(json.createdAt),
       updatedAt: new Date(json.updatedAt)
     });
   }
 }
 
+AccountSubject.NORMAL_BALANCE = NORMAL_BALANCE;
+
 module.exports = AccountSubject;
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * ChartOfAccounts 모델
+ * 계층형 계정과목표 (상위/하위 관계, 정상 잔액 방향, 재무제표 항목 매핑, 금액 집계)
+ */
+
+const AccountSubject = require('./AccountSubject');
+
+// 의료기관 회계기준 재무제표 항목 (재무상태표/손익계산서)
+const STATEMENT_LINES = [
+  {
+    code: 'BS.A', name: '자산총계', statement: 'balanceSheet', parent: null,
+  },
+  {
+    code: 'BS.A.I', name: 'Ⅰ. 유동자산', statement: 'balanceSheet', parent: 'BS.A',
+  },
+  {
+    code: 'BS.A.I.1', name: '1. 당좌자산', statement: 'balanceSheet', parent: 'BS.A.I',
+  },
+  {
+    code: 'BS.A.I.2', name: '2. 재고자산', statement: 'balanceSheet', parent: 'BS.A.I',
+  },
+  {
+    code: 'BS.A.II', name: 'Ⅱ. 비유동자산', statement: 'balanceSheet', parent: 'BS.A',
+  },
+  {
+    code: 'BS.A.II.1', name: '1. 투자자산', statement: 'balanceSheet', parent: 'BS.A.II',
+  },
+  {
+    code: 'BS.A.II.2', name: '2. 유형자산', statement: 'balanceSheet', parent: 'BS.A.II',
+  },
+  {
+    code: 'BS.A.II.3', name: '3. 무형자산', statement: 'balanceSheet', parent: 'BS.A.II',
+  },
+  {
+    code: 'BS.L', name: '부채총계', statement: 'balanceSheet', parent: null,
+  },
+  {
+    code: 'BS.L.I', name: 'Ⅰ. 유동부채', statement: 'balanceSheet', parent: 'BS.L',
+  },
+  {
+    code: 'BS.L.II', name: 'Ⅱ. 비유동부채', statement: 'balanceSheet', parent: 'BS.L',
+  },
+  {
+    code: 'BS.E', name: '자본총계', statement: 'balanceSheet', parent: null,
+  },
+  {
+    code: 'BS.E.I', name: 'Ⅰ. 기본금', statement: 'balanceSheet', parent: 'BS.E',
+  },
+  {
+    code: 'BS.E.II', name: 'Ⅱ. 자본잉여금', statement: 'balanceSheet', parent: 'BS.E',
+  },
+  {
+    code: 'BS.E.III', name: 'Ⅲ. 이익잉여금(결손금)', statement: 'balanceSheet', parent: 'BS.E',
+  },
+  {
+    code: 'IS.I', name: 'Ⅰ. 의료수익', statement: 'incomeStatement', parent: null,
+  },
+  {
+    code: 'IS.I.1', name: '1. 입원수익', statement: 'incomeStatement', parent: 'IS.I',
+  },
+  {
+    code: 'IS.I.2', name: '2. 외래수익', statement: 'incomeStatement', parent: 'IS.I',
+  },
+  {
+    code: 'IS.I.3', name: '3. 기타의료수익', statement: 'incomeStatement', parent: 'IS.I',
+  },
+  {
+    code: 'IS.II', name: 'Ⅱ. 의료비용', statement: 'incomeStatement', parent: null,
+  },
+  {
+    code: 'IS.II.1', name: '1. 인건비', statement: 'incomeStatement', parent: 'IS.II',
+  },
+  {
+    code: 'IS.II.2', name: '2. 재료비', statement: 'incomeStatement', parent: 'IS.II',
+  },
+  {
+    code: 'IS.II.3', name: '3. 관리운영비', statement: 'incomeStatement', parent: 'IS.II',
+  },
+  {
+    code: 'IS.IV', name: 'Ⅳ. 의료외수익', statement: 'incomeStatement', parent: null,
+  },
+  {
+    code: 'IS.V', name: 'Ⅴ. 의료외비용', statement: 'incomeStatement', parent: null,
+  },
+];
+
+class ChartOfAccounts {
+  /**
+   * @param {Array} accounts - AccountSubject 목록 (기본: 표준 계정과목)
+   */
+  constructor(accounts = AccountSubject.getStandardAccountSubjects()) {
+    this.accounts = new Map();
+    this.nameIndex = new Map();
+    this.childIndex = new Map();
+
+    accounts.forEach((data) => {
+      const account = data instanceof AccountSubject ? data : new AccountSubject(data);
+      if (this.accounts.has(account.code)) {
+        throw new Error(`중복된 계정 코드입니다: ${account.code}`);
+      }
+      if (this.nameIndex.has(account.name)) {
+        throw new Error(`중복된 계정과목명입니다: ${account.name}`);
+      }
+
+      this.accounts.set(account.code, account);
+      this.nameIndex.set(account.name, account.code);
+    });
+
+    this.buildHierarchy();
+  }
+
+  /**
+   * 표준 계정과목표 생성
+   * @returns {ChartOfAccounts} 표준 계정과목표
+   */
+  static standard() {
+    return new ChartOfAccounts();
+  }
+
+  /**
+   * 상위/하위 관계 색인 생성 및 순환 참조 검증
+   */
+  buildHierarchy() {
+    this.accounts.forEach((account) => {
+      if (!account.parentCode) {
+        return;
+      }
+      if (!this.accounts.has(account.parentCode)) {
+        throw new Error(`상위 계정을 찾을 수 없습니다: ${account.code} → ${account.parentCode}`);
+      }
+      if (!this.childIndex.has(account.parentCode)) {
+        this.childIndex.set(account.parentCode, []);
+      }
+      this.childIndex.get(account.parentCode).push(account.code);
+    });
+
+    this.accounts.forEach((account) => {
+      const visited = new Set([account.code]);
+      let { parentCode } = account;
+      while (parentCode) {
+        if (visited.has(parentCode)) {
+          throw new Error(`계정 계층에 순환 참조가 있습니다: ${account.code}`);
+        }
+        visited.add(parentCode);
+        parentCode = this.accounts.get(parentCode).parentCode;
+      }
+    });
+  }
+
+  /**
+   * 계정 조회 (코드 또는 계정과목명)
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {AccountSubject|null} 계정과목
+   */
+  getAccount(codeOrName) {
+    if (this.accounts.has(codeOrName)) {
+      return this.accounts.get(codeOrName);
+    }
+
+    const code = this.nameIndex.get(codeOrName);
+    return code ? this.accounts.get(code) : null;
+  }
+
+  /**
+   * 전체 계정 목록 (코드 순)
+   * @returns {Array} 계정과목 배열
+   */
+  getAccounts() {
+    return Array.from(this.accounts.values()).sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * 최상위 계정 목록
+   * @returns {Array} 계정과목 배열
+   */
+  getRoots() {
+    return this.getAccounts().filter((account) => !account.parentCode);
+  }
+
+  /**
+   * 하위 계정 목록
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {Array} 직접 하위 계정
+   */
+  getChildren(codeOrName) {
+    const account = this.requireAccount(codeOrName);
+    return (this.childIndex.get(account.code) || [])
+      .map((code) => this.accounts.get(code))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * 상위 계정 경로 (최상위부터)
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {Array} 상위 계정 배열 (자기 자신 제외)
+   */
+  getAncestors(codeOrName) {
+    const ancestors = [];
+    let { parentCode } = this.requireAccount(codeOrName);
+
+    while (parentCode) {
+      const parent = this.accounts.get(parentCode);
+      ancestors.unshift(parent);
+      parentCode = parent.parentCode;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * 모든 하위 계정 (깊이 우선)
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {Array} 하위 계정 배열
+   */
+  getDescendants(codeOrName) {
+    return this.getChildren(codeOrName).flatMap((child) => [child, ...this.getDescendants(child.code)]);
+  }
+
+  /**
+   * 계정 경로 (예: ['의료수익', '입원수익', '건보입원수익'])
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {Array} 계정명 경로
+   */
+  getPath(codeOrName) {
+    const account = this.requireAccount(codeOrName);
+    return [...this.getAncestors(account.code).map((ancestor) => ancestor.name), account.name];
+  }
+
+  /**
+   * 계층 깊이 (최상위 = 1)
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {number} 계층 깊이
+   */
+  getLevel(codeOrName) {
+    return this.getAncestors(codeOrName).length + 1;
+  }
+
+  /**
+   * 말단(전기 가능) 계정 여부
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {boolean}
+   */
+  isLeaf(codeOrName) {
+    return !this.childIndex.has(this.requireAccount(codeOrName).code);
+  }
+
+  /**
+   * 말단 계정 목록
+   * @param {string} codeOrName - 기준 계정 (생략 시 전체)
+   * @returns {Array} 말단 계정 배열
+   */
+  getLeaves(codeOrName = null) {
+    const accounts = codeOrName ? this.getDescendants(codeOrName) : this.getAccounts();
+    return accounts.filter((account) => this.isLeaf(account.code));
+  }
+
+  /**
+   * 분류 결과 계정명을 말단 계정으로 변환
+   * 말단 계정명이면 그대로, 별칭(예: 건보수익)이면 진료형태(입원/외래)에 맞는 말단 계정으로 매핑
+   * 다른 계정으로 통합된 계정은 통합 대상 계정으로 매핑
+   * @param {string} accountName - 분류 엔진이 결정한 계정명
+   * @param {Object} context - 매핑 조건 ({ serviceType })
+   * @returns {AccountSubject|null} 말단 계정 (매핑 불가 시 null)
+   */
+  resolveLeaf(accountName, context = {}) {
+    const account = this.getAccount(accountName);
+    if (account) {
+      if (account.mergedInto && this.accounts.has(account.mergedInto)) {
+        return this.resolveLeaf(account.mergedInto, context);
+      }
+      return this.isLeaf(account.code) ? account : null;
+    }
+
+    const candidates = [];
+    this.accounts.forEach((leaf) => {
+      if (leaf.mergedInto) {
+        return;
+      }
+      leaf.aliases
+        .filter((alias) => alias.name === accountName)
+        .forEach((alias) => candidates.push({ leaf, alias }));
+    });
+
+    const match = candidates.find(({ alias }) => alias.serviceType && alias.serviceType === context.serviceType)
+      || candidates.find(({ alias }) => alias.isDefault);
+
+    return match ? match.leaf : null;
+  }
+
+  /**
+   * 계정별 금액을 모든 상위 계정으로 집계
+   * 금액은 각 계정의 정상 잔액 방향 기준이며, 방향이 다른 하위 계정(차감계정)은 차감
+   * @param {Object} balances - { 계정코드 또는 계정명: 금액 }
+   * @returns {Object} { 계정코드: { code, name, level, normalBalance, amount } }
+   */
+  rollUp(balances) {
+    const debitTotals = new Map(); // 차변(+) 기준 누계
+
+    Object.entries(balances).forEach(([codeOrName, amount]) => {
+      const account = this.requireAccount(codeOrName);
+      const debitAmount = account.normalBalance === 'debit' ? amount : -amount;
+
+      [account, ...this.getAncestors(account.code)].forEach((node) => {
+        debitTotals.set(node.code, (debitTotals.get(node.code) || 0) + debitAmount);
+      });
+    });
+
+    const result = {};
+    this.getAccounts().forEach((account) => {
+      const debitTotal = debitTotals.get(account.code) || 0;
+      result[account.code] = {
+        code: account.code,
+        name: account.name,
+        level: this.getLevel(account.code),
+        normalBalance: account.normalBalance,
+        amount: account.normalBalance === 'debit' ? debitTotal : -debitTotal,
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * 지정 계층 깊이로 집계
+   * @param {Object} balances - { 계정코드 또는 계정명: 금액 }
+   * @param {number} level - 계층 깊이 (1 = 최상위)
+   * @returns {Array} 해당 깊이 계정의 집계 금액
+   */
+  rollUpToLevel(balances, level) {
+    const totals = this.rollUp(balances);
+    return Object.values(totals).filter((total) => total.level === level);
+  }
+
+  /**
+   * 재무제표 항목별 집계 (의료기관 회계기준)
+   * 각 계정 금액은 매핑된 항목과 그 상위 항목에 합산
+   * @param {Object} balances - { 계정코드 또는 계정명: 금액 }
+   * @returns {Object} { 항목코드: { code, name, statement, amount } }
+   */
+  rollUpByStatementLine(balances) {
+    const lines = {};
+    STATEMENT_LINES.forEach((line) => {
+      lines[line.code] = {
+        code: line.code, name: line.name, statement: line.statement, amount: 0,
+      };
+    });
+
+    Object.entries(balances).forEach(([codeOrName, balance]) => {
+      const account = this.requireAccount(codeOrName);
+      if (!account.statementLine || !lines[account.statementLine]) {
+        return;
+      }
+
+      // 항목 방향은 최상위 계정 기준 (차감계정은 음수로 반영)
+      const root = this.getAncestors(account.code)[0] || account;
+      const amount = account.normalBalance === root.normalBalance ? balance : -balance;
+
+      let lineCode = account.statementLine;
+      while (lineCode) {
+        const current = lineCode;
+        lines[current].amount += amount;
+        lineCode = STATEMENT_LINES.find((line) => line.code === current).parent;
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * 계층 트리 JSON
+   * @returns {Array} [{ code, name, normalBalance, statementLine, isLeaf, children }]
+   */
+  toTree() {
+    const buildNode = (account) => ({
+      code: account.code,
+      name: account.name,
+      category: account.category,
+      normalBalance: account.normalBalance,
+      statementLine: account.statementLine,
+      isLeaf: this.isLeaf(account.code),
+      children: this.getChildren(account.code).map(buildNode),
+    });
+
+    return this.getRoots().map(buildNode);
+  }
+
+  /**
+   * 계정 조회 (없으면 오류)
+   */
+  requireAccount(codeOrName) {
+    const account = this.getAccount(codeOrName);
+    if (!account) {
+      throw new Error(`계정과목을 찾을 수 없습니다: ${codeOrName}`);
+    }
+    return account;
+  }
+}
+
+ChartOfAccounts.STATEMENT_LINES = STATEMENT_LINES;
+
+module.exports = ChartOfAccounts;
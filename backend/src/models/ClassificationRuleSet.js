@@ -0,0 +1,380 @@
+/**
+ * ClassificationRuleSet 모델
+ * 선언형(JSON/YAML) 분류 규칙 세트 정의, 스키마 검증 및 실행 규칙 컴파일
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+
+// 규칙 그룹 구조 (카테고리 → 그룹 목록)
+const RULE_GROUPS = {
+  revenue: ['patientType', 'department', 'keywords'],
+  expense: ['expenseType', 'vendor', 'keywords'],
+};
+
+// 지원하는 조건 연산자
+const OPERATORS = [
+  'equals',
+  'notEquals',
+  'contains',
+  'in',
+  'isEmpty',
+  'isNotEmpty',
+  'greaterThan',
+  'lessThan',
+];
+
+// 값이 필요 없는 연산자
+const UNARY_OPERATORS = ['isEmpty', 'isNotEmpty'];
+
+const scalarSchema = Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean());
+
+const conditionSchema = Joi.alternatives().try(
+  Joi.object({
+    field: Joi.string().required(),
+    operator: Joi.string().valid(...OPERATORS).required(),
+    value: Joi.when('operator', {
+      is: Joi.valid(...UNARY_OPERATORS),
+      then: Joi.forbidden(),
+      otherwise: Joi.alternatives().try(scalarSchema, Joi.array().items(scalarSchema).min(1)).required(),
+    }),
+  }),
+  Joi.object({
+    match: Joi.string().valid('any', 'all').default('any'),
+    conditions: Joi.array().items(Joi.link('#condition')).min(1).required(),
+  }),
+).id('condition');
+
+const ruleSchema = Joi.object({
+  id: Joi.string(),
+  name: Joi.string().required(),
+  account: Joi.string(),
+  baseConfidence: Joi.number().min(0).max(1),
+  confidenceBoost: Joi.number().min(0).max(1),
+  match: Joi.string().valid('any', 'all').default('any'),
+  conditions: Joi.array().items(conditionSchema).min(1).required(),
+}).or('account', 'confidenceBoost');
+
+const groupSchema = Joi.object().pattern(Joi.string(), ruleSchema);
+
+// 복합 거래 분할 규칙 (한 행을 여러 계정 라인으로 배분)
+const splitLineSchema = Joi.object({
+  label: Joi.string().required(),
+  account: Joi.string(), // 생략 시 원 거래의 분류 계정 사용
+  column: Joi.string(),
+  ratio: Joi.number().min(0).max(1),
+});
+
+const splitSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().required(),
+  allocation: Joi.string().valid('column', 'ratio').required(),
+  totalColumn: Joi.string(),
+  match: Joi.string().valid('any', 'all').default('all'),
+  conditions: Joi.array().items(conditionSchema).min(1).required(),
+  lines: Joi.array().items(splitLineSchema).min(2).required(),
+}).custom((split, helpers) => {
+  if (split.allocation === 'column' && split.lines.some((line) => !line.column)) {
+    return helpers.message({ custom: `${split.id}: column 배분 라인에는 column이 필요합니다` });
+  }
+  if (split.allocation === 'ratio') {
+    const totalRatio = split.lines.reduce((sum, line) => sum + (line.ratio || 0), 0);
+    if (split.lines.some((line) => line.ratio === undefined) || Math.abs(totalRatio - 1) > 0.0001) {
+      return helpers.message({ custom: `${split.id}: ratio 배분 라인의 비율 합계는 1이어야 합니다` });
+    }
+  }
+  return split;
+});
+
+const ruleSetSchema = Joi.object({
+  id: Joi.string().pattern(/^[\w-]+$/).required(),
+  version: Joi.number().integer().min(1).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  revenue: Joi.object({
+    patientType: groupSchema.default({}),
+    department: groupSchema.default({}),
+    keywords: groupSchema.default({}),
+  }).required(),
+  expense: Joi.object({
+    expenseType: groupSchema.default({}),
+    vendor: groupSchema.default({}),
+    keywords: groupSchema.default({}),
+  }).required(),
+  splits: Joi.array().items(splitSchema).default([]),
+  createdAt: Joi.alternatives().try(Joi.date(), Joi.string()),
+  updatedAt: Joi.alternatives().try(Joi.date(), Joi.string()),
+});
+
+class ClassificationRuleSet {
+  constructor(data) {
+    this.id = data.id;
+    this.version = data.version;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.revenue = data.revenue;
+    this.expense = data.expense;
+    this.splits = data.splits || [];
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * 규칙 세트 스키마 검증
+   * @param {Object} data - 규칙 세트 원본 데이터
+   * @returns {Object} 검증 결과 ({ isValid, errors, value })
+   */
+  static validate(data) {
+    const { error, value } = ruleSetSchema.validate(data, { abortEarly: false });
+
+    return {
+      isValid: !error,
+      errors: error ? error.details.map((detail) => `${detail.path.join('.')}: ${detail.message}`) : [],
+      value,
+    };
+  }
+
+  /**
+   * 원본 데이터에서 규칙 세트 생성 (검증 포함)
+   * @param {Object} data - 규칙 세트 원본 데이터
+   * @returns {ClassificationRuleSet} 규칙 세트
+   */
+  static fromJSON(data) {
+    const validation = this.validate(data);
+    if (!validation.isValid) {
+      throw new Error(`분류 규칙 세트 검증 실패: ${validation.errors.join(', ')}`);
+    }
+
+    return new ClassificationRuleSet(validation.value);
+  }
+
+  /**
+   * 규칙 파일(JSON/YAML) 파싱
+   * @param {string} content - 파일 내용
+   * @param {string} format - 'json' | 'yaml'
+   * @returns {ClassificationRuleSet} 규칙 세트
+   */
+  static parse(content, format = 'json') {
+    const data = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+    return this.fromJSON(data);
+  }
+
+  /**
+   * 규칙 파일 로드
+   * @param {string} filePath - 규칙 파일 경로 (.json, .yaml, .yml)
+   * @returns {ClassificationRuleSet} 규칙 세트
+   */
+  static fromFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const format = extension === '.yaml' || extension === '.yml' ? 'yaml' : 'json';
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    return this.parse(content, format);
+  }
+
+  /**
+   * 기본 규칙 세트 로드
+   * @returns {ClassificationRuleSet} 기본 규칙 세트
+   */
+  static loadDefault() {
+    return this.fromFile(path.join(__dirname, '../config/rules/default.json'));
+  }
+
+  /**
+   * 엔진에서 사용하는 실행 규칙으로 컴파일
+   * @returns {Object} 카테고리/그룹별 실행 규칙 (condition/explain 함수 포함) 및 분할 규칙
+   */
+  compile() {
+    const compiled = {};
+
+    Object.entries(RULE_GROUPS).forEach(([category, groups]) => {
+      compiled[category] = {};
+
+      groups.forEach((group) => {
+        compiled[category][group] = {};
+
+        Object.entries(this[category][group] || {}).forEach(([key, rule]) => {
+          compiled[category][group][key] = {
+            id: rule.id || `${category}.${group}.${key}`,
+            name: rule.name,
+            account: rule.account,
+            baseConfidence: rule.baseConfidence,
+            confidenceBoost: rule.confidenceBoost,
+            condition: (row) => ClassificationRuleSet.evaluateGroup(row, rule.match, rule.conditions),
+            explain: (row) => ClassificationRuleSet.explainGroup(row, rule.match, rule.conditions),
+          };
+        });
+      });
+    });
+
+    compiled.splits = this.splits.map((split) => ({
+      ...split,
+      condition: (row) => ClassificationRuleSet.evaluateGroup(row, split.match, split.conditions),
+    }));
+
+    return compiled;
+  }
+
+  /**
+   * 조건 그룹 평가
+   * @param {Object} row - 거래 데이터
+   * @param {string} match - 'any' | 'all'
+   * @param {Array} conditions - 조건 목록
+   * @returns {boolean} 매칭 여부
+   */
+  static evaluateGroup(row, match, conditions) {
+    const evaluate = (condition) => {
+      if (condition.conditions) {
+        return ClassificationRuleSet.evaluateGroup(row, condition.match, condition.conditions);
+      }
+      return ClassificationRuleSet.evaluateCondition(row, condition);
+    };
+
+    return match === 'all' ? conditions.every(evaluate) : conditions.some(evaluate);
+  }
+
+  /**
+   * 조건 그룹 평가 및 매칭 필드 추적 (감사용 설명)
+   * @param {Object} row - 거래 데이터
+   * @param {string} match - 'any' | 'all'
+   * @param {Array} conditions - 조건 목록
+   * @returns {Object} { matched, matchedFields: [{ field, operator, value, actual }] }
+   */
+  static explainGroup(row, match, conditions) {
+    const results = conditions.map((condition) => {
+      if (condition.conditions) {
+        return ClassificationRuleSet.explainGroup(row, condition.match, condition.conditions);
+      }
+
+      const matched = ClassificationRuleSet.evaluateCondition(row, condition);
+      return {
+        matched,
+        matchedFields: matched ? [{
+          field: condition.field,
+          operator: condition.operator,
+          value: condition.value,
+          actual: row[condition.field],
+        }] : [],
+      };
+    });
+
+    const isMatched = (result) => result.matched;
+    const matched = match === 'all' ? results.every(isMatched) : results.some(isMatched);
+
+    return {
+      matched,
+      matchedFields: matched
+        ? results.filter((result) => result.matched).flatMap((result) => result.matchedFields)
+        : [],
+    };
+  }
+
+  /**
+   * 단일 조건 평가
+   * @param {Object} row - 거래 데이터
+   * @param {Object} condition - 조건 ({ field, operator, value })
+   * @returns {boolean} 매칭 여부
+   */
+  static evaluateCondition(row, condition) {
+    const fieldValue = row[condition.field];
+    const values = Array.isArray(condition.value) ? condition.value : [condition.value];
+    const isEmpty = fieldValue === undefined || fieldValue === null || fieldValue === '';
+
+    switch (condition.operator) {
+      case 'equals':
+        return values.some((value) => fieldValue === value);
+      case 'notEquals':
+        return values.every((value) => fieldValue !== value);
+      case 'contains':
+        return typeof fieldValue === 'string' && values.some((value) => fieldValue.includes(String(value)));
+      case 'in':
+        return values.includes(fieldValue);
+      case 'isEmpty':
+        return isEmpty;
+      case 'isNotEmpty':
+        return !isEmpty;
+      case 'greaterThan':
+        return !isEmpty && Number(fieldValue) > Number(values[0]);
+      case 'lessThan':
+        return !isEmpty && Number(fieldValue) < Number(values[0]);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 규칙이 참조하는 계정명 목록
+   * @returns {Object} { 계정명: [규칙 ID] } (분할 라인은 '분할규칙ID:라벨')
+   */
+  getAccountReferences() {
+    const references = {};
+    const add = (account, ruleId) => {
+      references[account] = references[account] || [];
+      references[account].push(ruleId);
+    };
+
+    Object.entries(RULE_GROUPS).forEach(([category, groups]) => {
+      groups.forEach((group) => {
+        Object.entries(this[category][group] || {}).forEach(([key, rule]) => {
+          if (rule.account) {
+            add(rule.account, rule.id || `${category}.${group}.${key}`);
+          }
+        });
+      });
+    });
+
+    this.splits.forEach((split) => {
+      split.lines
+        .filter((line) => line.account)
+        .forEach((line) => add(line.account, `${split.id}:${line.label}`));
+    });
+
+    return references;
+  }
+
+  /**
+   * 규칙 세트 요약 정보
+   * @returns {Object} 요약 정보
+   */
+  getSummary() {
+    const ruleCounts = {};
+    Object.entries(RULE_GROUPS).forEach(([category, groups]) => {
+      ruleCounts[category] = groups.reduce((sum, group) => sum + Object.keys(this[category][group] || {}).length, 0);
+    });
+    ruleCounts.splits = this.splits.length;
+
+    return {
+      id: this.id,
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      ruleCounts,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * JSON 직렬화
+   * @returns {Object} JSON 객체
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      revenue: this.revenue,
+      expense: this.expense,
+      splits: this.splits,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+ClassificationRuleSet.RULE_GROUPS = RULE_GROUPS;
+ClassificationRuleSet.OPERATORS = OPERATORS;
+
+module.exports = ClassificationRuleSet;
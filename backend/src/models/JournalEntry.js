@@ -0,0 +1,168 @@
+/**
+ * JournalEntry 모델
+ * 복식부기 분개 (차변 합계 = 대변 합계)
+ */
+
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+// 분개 유형
+const ENTRY_TYPES = ['classification', 'adjustment', 'reversal'];
+
+const lineSchema = Joi.object({
+  accountCode: Joi.string().required(),
+  accountName: Joi.string(),
+  debit: Joi.number().min(0).default(0),
+  credit: Joi.number().min(0).default(0),
+  memo: Joi.string().allow('', null),
+}).custom((line, helpers) => {
+  if ((line.debit > 0) === (line.credit > 0)) {
+    return helpers.message({ custom: `${line.accountCode}: 분개 라인은 차변 또는 대변 중 하나에만 금액이 있어야 합니다` });
+  }
+  return line;
+});
+
+const entrySchema = Joi.object({
+  id: Joi.string(),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  description: Joi.string().allow('').default(''),
+  type: Joi.string().valid(...ENTRY_TYPES).default('adjustment'),
+  lines: Joi.array().items(lineSchema).min(2).required(),
+  source: Joi.object().allow(null).default(null),
+  reason: Joi.string().allow('', null),
+  createdBy: Joi.string().allow('', null),
+  reversalOf: Joi.string().allow(null),
+  createdAt: Joi.alternatives().try(Joi.date(), Joi.string()),
+});
+
+class JournalEntry {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.date = data.date; // YYYY-MM-DD
+    this.description = data.description || '';
+    this.type = data.type || 'adjustment';
+    this.lines = data.lines; // [{ accountCode, accountName, debit, credit, memo }]
+    this.source = data.source || null; // 자동 분개의 원 거래 정보 ({ sourceKey, rowIndex, account, ruleIds, ... })
+    this.reason = data.reason || null;
+    this.createdBy = data.createdBy || null;
+    this.reversalOf = data.reversalOf || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * 분개 데이터 검증 (스키마 및 대차 일치)
+   * @param {Object} data - 분개 데이터
+   * @returns {Object} { isValid, errors, value }
+   */
+  static validate(data) {
+    const { error, value } = entrySchema.validate(data, { abortEarly: false });
+    const errors = error ? error.details.map((detail) => detail.message) : [];
+
+    if (!error) {
+      const totals = JournalEntry.sumLines(value.lines);
+      if (totals.debit !== totals.credit) {
+        errors.push(`차변 합계(${totals.debit})와 대변 합계(${totals.credit})가 일치하지 않습니다`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      value,
+    };
+  }
+
+  /**
+   * 검증된 분개 생성
+   * @param {Object} data - 분개 데이터
+   * @returns {JournalEntry} 분개
+   */
+  static create(data) {
+    const validation = JournalEntry.validate(data);
+    if (!validation.isValid) {
+      throw new Error(`분개 검증 실패: ${validation.errors.join(', ')}`);
+    }
+
+    return new JournalEntry(validation.value);
+  }
+
+  /**
+   * 라인 합계 (원 단위 이하 부동소수 오차 제거)
+   * @param {Array} lines - 분개 라인
+   * @returns {Object} { debit, credit }
+   */
+  static sumLines(lines) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      debit: round(lines.reduce((sum, line) => sum + (line.debit || 0), 0)),
+      credit: round(lines.reduce((sum, line) => sum + (line.credit || 0), 0)),
+    };
+  }
+
+  /**
+   * 차변/대변 합계
+   * @returns {Object} { debit, credit }
+   */
+  getTotals() {
+    return JournalEntry.sumLines(this.lines);
+  }
+
+  /**
+   * 역분개 생성 (차변/대변을 바꾼 분개)
+   * @param {Object} options - { date, reason, createdBy }
+   * @returns {JournalEntry} 역분개
+   */
+  reverse(options = {}) {
+    return JournalEntry.create({
+      date: options.date || this.date,
+      description: `역분개: ${this.description}`,
+      type: 'reversal',
+      lines: this.lines.map((line) => ({
+        accountCode: line.accountCode,
+        accountName: line.accountName,
+        debit: line.credit,
+        credit: line.debit,
+        memo: line.memo,
+      })),
+      reason: options.reason || null,
+      createdBy: options.createdBy || null,
+      reversalOf: this.id,
+    });
+  }
+
+  /**
+   * JSON 직렬화
+   * @returns {Object} JSON 객체
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      date: this.date,
+      description: this.description,
+      type: this.type,
+      lines: this.lines,
+      totals: this.getTotals(),
+      source: this.source,
+      reason: this.reason,
+      createdBy: this.createdBy,
+      reversalOf: this.reversalOf,
+      createdAt: this.createdAt,
+    };
+  }
+
+  /**
+   * JSON에서 복원
+   * @param {Object} json - JSON 객체
+   * @returns {JournalEntry} 분개
+   */
+  static fromJSON(json) {
+    return new JournalEntry({
+      ...json,
+      createdAt: new Date(json.createdAt),
+    });
+  }
+}
+
+JournalEntry.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = JournalEntry;
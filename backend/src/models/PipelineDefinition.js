@@ -0,0 +1,273 @@
+/**
+ * PipelineDefinition 모델
+ * 선언형(JSON/YAML) 워크플로우 파이프라인 정의, 스키마 검증 및 기본 파이프라인 확장(extends/skip/add/override)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+
+const ID_PATTERN = /^[\w-]+$/;
+
+const stepSchema = Joi.object({
+  id: Joi.string().pattern(ID_PATTERN).required(),
+  name: Joi.string().required(),
+  type: Joi.string().required(), // 내장 단계 타입 또는 DataFlowManager에 등록한 플러그인 타입
+  critical: Joi.boolean().default(false),
+  estimatedTime: Joi.number().min(0).default(0), // ms
+  dependencies: Joi.array().items(Joi.string()).default([]),
+  options: Joi.object().default({}), // 단계 실행 시 step.options로 전달
+});
+
+// 상속한 단계의 일부 속성만 변경 (id/type은 변경 불가)
+const stepOverrideSchema = Joi.object({
+  name: Joi.string(),
+  critical: Joi.boolean(),
+  estimatedTime: Joi.number().min(0),
+  dependencies: Joi.array().items(Joi.string()),
+  options: Joi.object(),
+});
+
+const pipelineSchema = Joi.object({
+  id: Joi.string().pattern(ID_PATTERN).required(),
+  version: Joi.number().integer().min(1).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  extends: Joi.string().pattern(ID_PATTERN),
+  steps: Joi.array().items(stepSchema).min(1),
+  skip: Joi.array().items(Joi.string()).default([]),
+  add: Joi.array().items(stepSchema).default([]),
+  override: Joi.object().pattern(Joi.string(), stepOverrideSchema).default({}),
+  createdAt: Joi.alternatives().try(Joi.date(), Joi.string()),
+  updatedAt: Joi.alternatives().try(Joi.date(), Joi.string()),
+}).xor('steps', 'extends');
+
+class PipelineDefinition {
+  constructor(data) {
+    this.id = data.id;
+    this.version = data.version;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.extends = data.extends || null;
+    this.steps = data.steps || null; // extends인 경우 resolve() 전까지 null
+    this.skip = data.skip || [];
+    this.add = data.add || [];
+    this.override = data.override || {};
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * 파이프라인 스키마 검증
+   * @param {Object} data - 파이프라인 원본 데이터
+   * @returns {Object} 검증 결과 ({ isValid, errors, value })
+   */
+  static validate(data) {
+    const { error, value } = pipelineSchema.validate(data, { abortEarly: false });
+    const errors = error ? error.details.map((detail) => `${detail.path.join('.')}: ${detail.message}`) : [];
+
+    if (!error && value.steps) {
+      errors.push(...this.validateSteps(value.steps));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      value,
+    };
+  }
+
+  /**
+   * 단계 구성 검증 (중복 ID, 없는 단계 의존, 순환 의존)
+   * @param {Array} steps - 단계 목록
+   * @returns {Array} 오류 메시지 목록
+   */
+  static validateSteps(steps) {
+    const errors = [];
+    const ids = new Set();
+
+    steps.forEach((step) => {
+      if (ids.has(step.id)) {
+        errors.push(`${step.id}: 단계 ID가 중복됩니다`);
+      }
+      ids.add(step.id);
+    });
+
+    steps.forEach((step) => {
+      step.dependencies
+        .filter((dependency) => !ids.has(dependency))
+        .forEach((dependency) => errors.push(`${step.id}: 없는 단계에 의존합니다 (${dependency})`));
+    });
+
+    // 의존 단계를 따라가다 자기 자신으로 돌아오면 순환
+    const byId = new Map(steps.map((step) => [step.id, step]));
+    const visiting = new Set();
+    const visited = new Set();
+    const visit = (id) => {
+      if (visited.has(id) || !byId.has(id)) return false;
+      if (visiting.has(id)) return true;
+      visiting.add(id);
+      const cyclic = byId.get(id).dependencies.some(visit);
+      visiting.delete(id);
+      visited.add(id);
+      return cyclic;
+    };
+    steps.filter((step) => visit(step.id)).slice(0, 1)
+      .forEach((step) => errors.push(`${step.id}: 단계 의존성에 순환이 있습니다`));
+
+    return errors;
+  }
+
+  /**
+   * 원본 데이터에서 파이프라인 생성 (검증 포함)
+   * @param {Object} data - 파이프라인 원본 데이터
+   * @returns {PipelineDefinition} 파이프라인
+   */
+  static fromJSON(data) {
+    const validation = this.validate(data);
+    if (!validation.isValid) {
+      throw new Error(`파이프라인 검증 실패: ${validation.errors.join(', ')}`);
+    }
+
+    return new PipelineDefinition(validation.value);
+  }
+
+  /**
+   * 파이프라인 파일(JSON/YAML) 파싱
+   * @param {string} content - 파일 내용
+   * @param {string} format - 'json' | 'yaml'
+   * @returns {PipelineDefinition} 파이프라인
+   */
+  static parse(content, format = 'json') {
+    const data = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+    return this.fromJSON(data);
+  }
+
+  /**
+   * 파이프라인 파일 로드
+   * @param {string} filePath - 파이프라인 파일 경로 (.json, .yaml, .yml)
+   * @returns {PipelineDefinition} 파이프라인
+   */
+  static fromFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const format = extension === '.yaml' || extension === '.yml' ? 'yaml' : 'json';
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    return this.parse(content, format);
+  }
+
+  /**
+   * 기본 파이프라인 로드
+   * @returns {PipelineDefinition} 기본 파이프라인 (7단계)
+   */
+  static loadDefault() {
+    return this.fromFile(path.join(__dirname, '../config/pipelines/default.json'));
+  }
+
+  /**
+   * 상속한 파이프라인에 override → add → skip 순서로 적용한 파이프라인
+   * 건너뛴 단계에 의존하던 단계는 건너뛴 단계의 의존 단계를 대신 의존
+   * @param {PipelineDefinition} base - 상속할 파이프라인 (resolve 완료)
+   * @returns {PipelineDefinition} 단계 목록이 확정된 파이프라인
+   */
+  resolve(base) {
+    if (this.steps) {
+      return this;
+    }
+    if (!base || !base.steps) {
+      throw new Error(`${this.id}: 상속할 파이프라인이 필요합니다 (${this.extends})`);
+    }
+
+    const errors = [];
+    let steps = base.getSteps();
+    const stepIds = new Set(steps.map((step) => step.id));
+
+    Object.entries(this.override).forEach(([stepId, changes]) => {
+      if (!stepIds.has(stepId)) {
+        errors.push(`override.${stepId}: 상속한 파이프라인에 없는 단계입니다`);
+        return;
+      }
+      steps = steps.map((step) => (step.id === stepId ? { ...step, ...changes } : step));
+    });
+
+    steps = [...steps, ...this.add.map((step) => ({ ...step, dependencies: [...step.dependencies] }))];
+
+    this.skip.forEach((stepId) => {
+      const skipped = steps.find((step) => step.id === stepId);
+      if (!skipped) {
+        errors.push(`skip: 없는 단계입니다 (${stepId})`);
+        return;
+      }
+      steps = steps
+        .filter((step) => step.id !== stepId)
+        .map((step) => (step.dependencies.includes(stepId)
+          ? {
+            ...step,
+            dependencies: Array.from(new Set(step.dependencies
+              .flatMap((dependency) => (dependency === stepId ? skipped.dependencies : [dependency])))),
+          }
+          : step));
+    });
+
+    errors.push(...PipelineDefinition.validateSteps(steps));
+    if (errors.length > 0) {
+      throw new Error(`파이프라인 검증 실패: ${errors.join(', ')}`);
+    }
+
+    return new PipelineDefinition({ ...this.toJSON(), steps });
+  }
+
+  /**
+   * 실행할 단계 목록 (복사본)
+   * @returns {Array} 단계 목록
+   */
+  getSteps() {
+    if (!this.steps) {
+      throw new Error(`${this.id}: 상속한 파이프라인을 적용(resolve)하지 않았습니다`);
+    }
+
+    return this.steps.map((step) => ({ ...step, dependencies: [...step.dependencies], options: { ...step.options } }));
+  }
+
+  /**
+   * 파이프라인 요약 정보
+   * @returns {Object} 요약
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      extends: this.extends,
+      stepCount: this.steps ? this.steps.length : null,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * 저장용 JSON (extends 파이프라인은 확장 내용만 저장)
+   * @returns {Object} 파이프라인 데이터
+   */
+  toJSON() {
+    const json = {
+      id: this.id,
+      version: this.version,
+      name: this.name,
+      description: this.description,
+    };
+
+    if (this.extends) {
+      Object.assign(json, {
+        extends: this.extends, skip: this.skip, add: this.add, override: this.override,
+      });
+    } else {
+      json.steps = this.steps;
+    }
+
+    return { ...json, createdAt: this.createdAt, updatedAt: this.updatedAt };
+  }
+}
+
+module.exports = PipelineDefinition;
@@ -0,0 +1,552 @@
+/**
+ * 계정과목 관리 서비스
+ * 병원별 계정과목표 저장, 추가/수정/통합/비활성화/삭제, Excel 가져오기/내보내기
+ * 규칙 세트나 과거 분류 이력이 참조하는 계정은 삭제할 수 없음
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const ExcelJS = require('exceljs');
+const config = require('../config');
+const AccountSubject = require('../models/AccountSubject');
+const ChartOfAccounts = require('../models/ChartOfAccounts');
+
+// 병원 ID를 지정하지 않은 요청의 저장 범위 (CorrectionService와 같은 키)
+const DEFAULT_SCOPE = '@default';
+
+const CATEGORIES = Object.keys(AccountSubject.NORMAL_BALANCE);
+
+// Excel 표기 ↔ 내부 값
+const CATEGORY_LABELS = {
+  asset: '자산',
+  liability: '부채',
+  equity: '자본',
+  revenue: '수익',
+  expense: '비용',
+};
+
+const BALANCE_LABELS = {
+  debit: '차변',
+  credit: '대변',
+};
+
+// Excel 시트 열 구성
+const EXCEL_COLUMNS = [
+  { header: '코드', key: 'code', width: 10 },
+  { header: '계정과목명', key: 'name', width: 22 },
+  { header: '카테고리', key: 'category', width: 10 },
+  { header: '소분류', key: 'subcategory', width: 14 },
+  { header: '상위코드', key: 'parentCode', width: 10 },
+  { header: '정상잔액', key: 'normalBalance', width: 10 },
+  { header: '재무제표항목', key: 'statementLine', width: 14 },
+  { header: '설명', key: 'description', width: 36 },
+  { header: '키워드', key: 'keywords', width: 30 },
+  { header: '사용여부', key: 'isActive', width: 10 },
+];
+
+const accountSchema = Joi.object({
+  code: Joi.string().pattern(/^[\w.-]+$/).required(),
+  name: Joi.string().trim().required(),
+  category: Joi.string().valid(...CATEGORIES).required(),
+  subcategory: Joi.string().allow('', null),
+  parentCode: Joi.string().allow(null),
+  normalBalance: Joi.string().valid('debit', 'credit'),
+  statementLine: Joi.string().valid(...ChartOfAccounts.STATEMENT_LINES.map((line) => line.code)).allow(null),
+  description: Joi.string().allow('', null),
+  keywords: Joi.array().items(Joi.string()).default([]),
+});
+
+// 수정 가능한 항목 (코드와 카테고리는 변경 불가)
+const updateSchema = Joi.object({
+  name: Joi.string().trim(),
+  subcategory: Joi.string().allow('', null),
+  parentCode: Joi.string().allow(null),
+  normalBalance: Joi.string().valid('debit', 'credit'),
+  statementLine: Joi.string().valid(...ChartOfAccounts.STATEMENT_LINES.map((line) => line.code)).allow(null),
+  description: Joi.string().allow('', null),
+  keywords: Joi.array().items(Joi.string()),
+  isActive: Joi.boolean(),
+}).min(1);
+
+class AccountService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {string} options.accountsDir - 계정과목표 저장 경로
+   */
+  constructor(options = {}) {
+    this.accountsDir = options.accountsDir || path.join(config.dataDir, 'accounts');
+    this.referenceProviders = [];
+    this.chartCache = new Map(); // 병원별 계정과목표 캐시
+  }
+
+  /**
+   * 계정 참조 조회 함수 등록
+   * @param {Function} provider - (hospitalId, account) => [{ source, count, details }]
+   */
+  registerReferenceProvider(provider) {
+    this.referenceProviders.push(provider);
+  }
+
+  /**
+   * 병원별 계정과목표 조회 (저장된 계정과목표가 없으면 표준 계정과목표)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {ChartOfAccounts} 계정과목표
+   */
+  getChart(hospitalId) {
+    const scope = this.getScope(hospitalId);
+    if (!this.chartCache.has(scope)) {
+      this.chartCache.set(scope, new ChartOfAccounts(this.loadAccounts(hospitalId)));
+    }
+
+    return this.chartCache.get(scope);
+  }
+
+  /**
+   * 계정 목록 조회
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} options - { includeInactive }
+   * @returns {Array} 계정과목 배열 (코드 순)
+   */
+  listAccounts(hospitalId, options = {}) {
+    return this.getChart(hospitalId).getAccounts()
+      .filter((account) => options.includeInactive || account.isActive);
+  }
+
+  /**
+   * 계정 조회 (코드 또는 계정과목명)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} codeOrName - 계정 코드 또는 이름
+   * @returns {AccountSubject|null} 계정과목
+   */
+  getAccount(hospitalId, codeOrName) {
+    return this.getChart(hospitalId).getAccount(codeOrName);
+  }
+
+  /**
+   * 계정 추가
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} data - 계정 데이터
+   * @returns {AccountSubject} 추가된 계정
+   */
+  createAccount(hospitalId, data) {
+    const { error, value } = accountSchema.validate(data, { stripUnknown: true });
+    if (error) {
+      throw new Error(`계정 데이터가 올바르지 않습니다: ${error.message}`);
+    }
+
+    const accounts = this.loadAccounts(hospitalId);
+    const account = new AccountSubject(value);
+    this.validateParent(accounts, account);
+
+    this.saveAccounts(hospitalId, [...accounts, account]);
+    return this.getAccount(hospitalId, account.code);
+  }
+
+  /**
+   * 계정 수정
+   * 이름을 바꾸면 이전 이름을 별칭으로 남겨 기존 규칙과 분류 이력이 계속 매핑되도록 함
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} code - 계정 코드
+   * @param {Object} changes - 변경 항목
+   * @returns {AccountSubject} 수정된 계정
+   */
+  updateAccount(hospitalId, code, changes) {
+    const { error, value } = updateSchema.validate(changes, { stripUnknown: true });
+    if (error) {
+      throw new Error(`계정 변경 내용이 올바르지 않습니다: ${error.message}`);
+    }
+
+    const accounts = this.loadAccounts(hospitalId);
+    const account = this.findAccount(accounts, code);
+
+    if (value.isActive === false) {
+      this.validateNoActiveChildren(accounts, account);
+    }
+    if (value.isActive === true && account.mergedInto) {
+      throw new Error(`통합된 계정은 다시 사용할 수 없습니다: ${code} → ${account.mergedInto}`);
+    }
+
+    const previousName = account.name;
+    Object.assign(account, value, { updatedAt: new Date() });
+
+    if (account.name !== previousName) {
+      account.aliases = account.aliases.filter((alias) => alias.name !== account.name);
+      this.addAlias(account, previousName);
+    }
+    this.validateParent(accounts, account);
+
+    this.saveAccounts(hospitalId, accounts);
+    return this.getAccount(hospitalId, code);
+  }
+
+  /**
+   * 계정 비활성화 (사용 중인 하위 계정이 있으면 불가)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} code - 계정 코드
+   * @returns {AccountSubject} 비활성화된 계정
+   */
+  deactivateAccount(hospitalId, code) {
+    const accounts = this.loadAccounts(hospitalId);
+    const account = this.findAccount(accounts, code);
+
+    this.validateNoActiveChildren(accounts, account);
+    account.isActive = false;
+    account.updatedAt = new Date();
+
+    this.saveAccounts(hospitalId, accounts);
+    return this.getAccount(hospitalId, code);
+  }
+
+  /**
+   * 계정 통합 (원본 계정을 대상 계정으로 합침)
+   * 원본 계정은 비활성화되어 이력으로 남고, 원본 이름과 별칭은 대상 계정의 별칭이 됨
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} sourceCode - 통합할 계정 코드
+   * @param {string} targetCode - 통합 대상 계정 코드
+   * @returns {Object} { source, target }
+   */
+  mergeAccounts(hospitalId, sourceCode, targetCode) {
+    const accounts = this.loadAccounts(hospitalId);
+    const source = this.findAccount(accounts, sourceCode);
+    const target = this.findAccount(accounts, targetCode);
+
+    if (source.code === target.code) {
+      throw new Error('같은 계정끼리는 통합할 수 없습니다');
+    }
+    if (source.category !== target.category) {
+      throw new Error(`카테고리가 다른 계정은 통합할 수 없습니다: ${source.category} → ${target.category}`);
+    }
+    if ([source, target].some((account) => accounts.some((child) => child.parentCode === account.code))) {
+      throw new Error('하위 계정이 있는 계정은 통합할 수 없습니다');
+    }
+    if (!target.isActive) {
+      throw new Error(`비활성 계정으로는 통합할 수 없습니다: ${target.code}`);
+    }
+
+    this.addAlias(target, source.name);
+    source.aliases.forEach((alias) => this.addAlias(target, alias.name, alias));
+    target.keywords = Array.from(new Set([...target.keywords, ...source.keywords]));
+    target.updatedAt = new Date();
+
+    source.isActive = false;
+    source.mergedInto = target.code;
+    source.updatedAt = new Date();
+
+    this.saveAccounts(hospitalId, accounts);
+    return {
+      source: this.getAccount(hospitalId, source.code),
+      target: this.getAccount(hospitalId, target.code),
+    };
+  }
+
+  /**
+   * 계정 삭제 (하위 계정이나 참조가 있으면 불가)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} code - 계정 코드
+   * @returns {AccountSubject} 삭제된 계정
+   */
+  deleteAccount(hospitalId, code) {
+    const accounts = this.loadAccounts(hospitalId);
+    const account = this.findAccount(accounts, code);
+
+    if (accounts.some((child) => child.parentCode === account.code)) {
+      throw new Error(`하위 계정이 있어 삭제할 수 없습니다: ${account.code}`);
+    }
+    if (accounts.some((other) => other.mergedInto === account.code)) {
+      throw new Error(`통합된 계정이 있어 삭제할 수 없습니다: ${account.code}`);
+    }
+
+    const references = this.findReferences(hospitalId, account.code);
+    if (references.length > 0) {
+      throw new Error(`사용 중인 계정은 삭제할 수 없습니다 (${references.map((ref) => ref.source).join(', ')}). 비활성화 또는 통합을 사용하세요`);
+    }
+
+    this.saveAccounts(hospitalId, accounts.filter((other) => other.code !== account.code));
+    return account;
+  }
+
+  /**
+   * 계정을 참조하는 규칙/분류 이력 조회
+   * 계정과목명과 별칭을 모두 참조로 간주
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} code - 계정 코드
+   * @returns {Array} [{ source, count, details }]
+   */
+  findReferences(hospitalId, code) {
+    const account = this.getChart(hospitalId).requireAccount(code);
+
+    return this.referenceProviders
+      .map((provider) => provider(hospitalId, account))
+      .reduce((all, references) => all.concat(references || []), [])
+      .filter((reference) => reference.count > 0);
+  }
+
+  /**
+   * 계정과목표를 Excel 파일로 내보내기
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Promise<Buffer>} xlsx 파일 데이터
+   */
+  async exportToExcel(hospitalId) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'MediFinance Pro v2';
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet('계정과목표');
+    worksheet.columns = EXCEL_COLUMNS;
+
+    this.listAccounts(hospitalId, { includeInactive: true }).forEach((account) => {
+      worksheet.addRow({
+        code: account.code,
+        name: account.name,
+        category: CATEGORY_LABELS[account.category],
+        subcategory: account.subcategory || '',
+        parentCode: account.parentCode || '',
+        normalBalance: BALANCE_LABELS[account.normalBalance],
+        statementLine: account.statementLine || '',
+        description: account.description || '',
+        keywords: account.keywords.join(', '),
+        isActive: account.isActive ? 'Y' : 'N',
+      });
+    });
+
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' },
+    };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Excel 파일에서 계정과목표 가져오기 (기존 계정과목표를 대체)
+   * 같은 코드의 기존 계정은 별칭/규칙/통합 정보를 유지하며, 참조 중인 계정이 빠지면 거부
+   * @param {string} hospitalId - 병원 ID
+   * @param {Buffer} buffer - xlsx 파일 데이터
+   * @returns {Promise<Object>} { total, added, updated, removed }
+   */
+  async importFromExcel(hospitalId, buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw new Error('계정과목 시트가 없습니다');
+    }
+
+    const rows = this.readExcelRows(worksheet);
+    if (rows.length === 0) {
+      throw new Error('가져올 계정이 없습니다');
+    }
+
+    const existing = new Map(this.loadAccounts(hospitalId).map((account) => [account.code, account]));
+    const summary = {
+      total: rows.length, added: 0, updated: 0, removed: 0,
+    };
+
+    const accounts = rows.map(({ rowNumber, data }) => {
+      const { error, value } = accountSchema.validate(data, { stripUnknown: true });
+      if (error) {
+        throw new Error(`${rowNumber}행: ${error.message}`);
+      }
+
+      const previous = existing.get(value.code);
+      if (!previous) {
+        summary.added += 1;
+        return new AccountSubject({ ...value, isActive: data.isActive });
+      }
+
+      summary.updated += 1;
+      const account = new AccountSubject({
+        ...previous.toJSON(),
+        ...value,
+        isActive: data.isActive,
+        updatedAt: new Date(),
+      });
+      if (previous.name !== account.name) {
+        this.addAlias(account, previous.name);
+      }
+      return account;
+    });
+
+    const importedCodes = new Set(accounts.map((account) => account.code));
+    const removed = Array.from(existing.values()).filter((account) => !importedCodes.has(account.code));
+    removed.forEach((account) => {
+      const references = this.findReferences(hospitalId, account.code);
+      if (references.length > 0) {
+        throw new Error(`사용 중인 계정이 가져오기 파일에 없습니다: ${account.code} ${account.name}`);
+      }
+    });
+    summary.removed = removed.length;
+
+    accounts.forEach((account) => this.validateParent(accounts, account));
+    this.saveAccounts(hospitalId, accounts);
+
+    return summary;
+  }
+
+  /**
+   * 워크시트 행을 계정 데이터로 변환 (머리글 이름 기준)
+   */
+  readExcelRows(worksheet) {
+    const columnIndex = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      const column = EXCEL_COLUMNS.find((col) => col.header === String(cell.value).trim());
+      if (column) {
+        columnIndex[column.key] = colNumber;
+      }
+    });
+
+    ['code', 'name', 'category'].forEach((key) => {
+      if (!columnIndex[key]) {
+        throw new Error(`필수 열이 없습니다: ${EXCEL_COLUMNS.find((col) => col.key === key).header}`);
+      }
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+
+      const cellText = (key) => {
+        if (!columnIndex[key]) {
+          return '';
+        }
+        const { value } = row.getCell(columnIndex[key]);
+        return value === null || value === undefined ? '' : String(value).trim();
+      };
+
+      if (!cellText('code')) {
+        return;
+      }
+
+      const category = cellText('category');
+      const normalBalance = cellText('normalBalance');
+      const keywords = cellText('keywords');
+
+      rows.push({
+        rowNumber,
+        data: {
+          code: cellText('code'),
+          name: cellText('name'),
+          category: this.fromLabel(CATEGORY_LABELS, category),
+          subcategory: cellText('subcategory') || null,
+          parentCode: cellText('parentCode') || null,
+          normalBalance: normalBalance ? this.fromLabel(BALANCE_LABELS, normalBalance) : undefined,
+          statementLine: cellText('statementLine') || null,
+          description: cellText('description') || null,
+          keywords: keywords ? keywords.split(',').map((keyword) => keyword.trim()).filter(Boolean) : [],
+          isActive: !['N', 'n', '미사용', 'false'].includes(cellText('isActive')),
+        },
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * 표기(한글 또는 내부 값)를 내부 값으로 변환
+   */
+  fromLabel(labels, text) {
+    const entry = Object.entries(labels).find(([key, label]) => key === text || label === text);
+    return entry ? entry[0] : text;
+  }
+
+  /**
+   * 별칭 추가 (이미 있으면 무시)
+   */
+  addAlias(account, name, alias = {}) {
+    if (name === account.name || account.aliases.some((existing) => existing.name === name)) {
+      return;
+    }
+
+    account.aliases.push({
+      name,
+      serviceType: alias.serviceType || null,
+      isDefault: alias.serviceType ? alias.isDefault === true : true,
+    });
+  }
+
+  /**
+   * 상위 계정 검증 (존재 여부, 같은 카테고리)
+   */
+  validateParent(accounts, account) {
+    if (!account.parentCode) {
+      return;
+    }
+
+    const parent = accounts.find((other) => other.code === account.parentCode);
+    if (!parent) {
+      throw new Error(`상위 계정을 찾을 수 없습니다: ${account.code} → ${account.parentCode}`);
+    }
+    if (parent.category !== account.category) {
+      throw new Error(`상위 계정과 카테고리가 다릅니다: ${account.code}(${account.category}) → ${parent.code}(${parent.category})`);
+    }
+  }
+
+  validateNoActiveChildren(accounts, account) {
+    const activeChildren = accounts.filter((child) => child.parentCode === account.code && child.isActive);
+    if (activeChildren.length > 0) {
+      throw new Error(`사용 중인 하위 계정이 있어 비활성화할 수 없습니다: ${activeChildren.map((child) => child.code).join(', ')}`);
+    }
+  }
+
+  findAccount(accounts, code) {
+    const account = accounts.find((other) => other.code === code);
+    if (!account) {
+      throw new Error(`계정과목을 찾을 수 없습니다: ${code}`);
+    }
+    return account;
+  }
+
+  /**
+   * 저장된 계정과목 로드 (없으면 표준 계정과목)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Array} AccountSubject 배열
+   */
+  loadAccounts(hospitalId) {
+    const file = this.getStoreFile(hospitalId);
+    if (!fs.existsSync(file)) {
+      return AccountSubject.getStandardAccountSubjects();
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map((json) => AccountSubject.fromJSON(json));
+  }
+
+  /**
+   * 계정과목표 검증 후 저장 및 캐시 무효화
+   */
+  saveAccounts(hospitalId, accounts) {
+    const chart = new ChartOfAccounts(accounts); // 중복 코드/이름, 계층 오류 검증
+
+    fs.mkdirSync(this.accountsDir, { recursive: true });
+    fs.writeFileSync(
+      this.getStoreFile(hospitalId),
+      JSON.stringify(chart.getAccounts().map((account) => account.toJSON()), null, 2),
+    );
+    this.chartCache.delete(this.getScope(hospitalId));
+  }
+
+  getStoreFile(hospitalId) {
+    return path.join(this.accountsDir, `${this.getScope(hospitalId)}.json`);
+  }
+
+  /**
+   * 저장 범위 (병원 ID, 없으면 기본 범위)
+   */
+  getScope(hospitalId) {
+    if (hospitalId && !/^[\w가-힣-]+$/.test(hospitalId)) {
+      throw new Error(`잘못된 병원 ID입니다: ${hospitalId}`);
+    }
+
+    return hospitalId || DEFAULT_SCOPE;
+  }
+}
+
+AccountService.CATEGORY_LABELS = CATEGORY_LABELS;
+
+module.exports = AccountService;
@@ -0,0 +1,190 @@
+/**
+ * 비교 재무제표 서비스
+ * 회계기간에 누적된 결과로 당월 손익계산서를 전월, 전년 동월, 당기 누적(회계연도 시작 월부터)과 비교하고
+ * 증감액과 증감률을 계산 (ExcelService.createExcelFile({ comparativeIncomeStatement })로 내보내기)
+ */
+
+const FiscalPeriodService = require('./FiscalPeriodService');
+
+// 금액 열 (periods: 기준 회계기간에서 합산할 기간 목록)
+const COLUMNS = [
+  { key: 'current', label: '당월' },
+  { key: 'priorMonth', label: '전월' },
+  { key: 'sameMonthLastYear', label: '전년 동월' },
+  { key: 'yearToDate', label: '당기 누적' },
+  { key: 'priorYearToDate', label: '전기 누적' },
+];
+
+// 증감 열 (target - base)
+const VARIANCES = [
+  {
+    key: 'monthOverMonth', label: '전월 대비', target: 'current', base: 'priorMonth',
+  },
+  {
+    key: 'yearOverYear', label: '전년 동월 대비', target: 'current', base: 'sameMonthLastYear',
+  },
+  {
+    key: 'yearToDateOverPriorYear', label: '누적 전년 대비', target: 'yearToDate', base: 'priorYearToDate',
+  },
+];
+
+class ComparativeStatementService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {FiscalPeriodService} options.fiscalPeriodService - 회계기간별 결과 조회 서비스
+   */
+  constructor(options = {}) {
+    this.fiscalPeriodService = options.fiscalPeriodService || new FiscalPeriodService();
+  }
+
+  /**
+   * 비교 손익계산서 작성
+   * 결과가 없는 기간은 0으로 계산하고 missingPeriods로, 마감하지 않은 기간은 openPeriods로 알려줌
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 기준 회계기간 (YYYY-MM)
+   * @returns {Object} { period, fiscalYear, fiscalMonth, columns, variances, revenue, expenses, totals,
+   *                     missingPeriods, openPeriods }
+   */
+  buildComparativeIncomeStatement(hospitalId, period) {
+    const described = this.fiscalPeriodService.describePeriod(hospitalId, period);
+    const ytdPeriods = this.listPeriods(described.fiscalYearStart, period);
+    const periodsByColumn = {
+      current: [period],
+      priorMonth: [this.shiftPeriod(period, -1)],
+      sameMonthLastYear: [this.shiftPeriod(period, -12)],
+      yearToDate: ytdPeriods,
+      priorYearToDate: ytdPeriods.map((ytdPeriod) => this.shiftPeriod(ytdPeriod, -12)),
+    };
+
+    // 같은 기간이 여러 열에 쓰이므로 기간별로 한 번만 조회
+    const statements = new Map();
+    const load = (target) => {
+      if (!statements.has(target)) {
+        statements.set(target, this.fiscalPeriodService.getIncomeStatement(hospitalId, target));
+      }
+      return statements.get(target);
+    };
+
+    const amounts = {};
+    COLUMNS.forEach((column) => {
+      const statementsInColumn = periodsByColumn[column.key].map((target) => load(target).incomeStatement);
+      amounts[column.key] = this.sumStatements(statementsInColumn);
+    });
+
+    const loaded = Array.from(statements.values()).sort((a, b) => a.period.localeCompare(b.period));
+
+    return {
+      hospitalId: hospitalId || null,
+      period,
+      fiscalYear: described.fiscalYear,
+      fiscalMonth: described.fiscalMonth,
+      fiscalYearStart: described.fiscalYearStart,
+      columns: COLUMNS.map((column) => {
+        const periods = periodsByColumn[column.key];
+        return { ...column, from: periods[0], to: periods[periods.length - 1] };
+      }),
+      variances: VARIANCES.map((variance) => ({ ...variance })),
+      revenue: this.buildLines(amounts, 'revenue'),
+      expenses: this.buildLines(amounts, 'expenses'),
+      totals: {
+        revenue: this.buildLine('수익 합계', (key) => amounts[key].totals.revenue),
+        expenses: this.buildLine('비용 합계', (key) => amounts[key].totals.expenses),
+        netIncome: this.buildLine('당기순이익', (key) => amounts[key].netIncome),
+      },
+      missingPeriods: loaded
+        .filter((statement) => !statement.recorded)
+        .map((statement) => statement.period),
+      openPeriods: loaded
+        .filter((statement) => statement.recorded && !statement.frozen)
+        .map((statement) => statement.period),
+    };
+  }
+
+  /**
+   * 여러 기간의 손익계산서 합산
+   */
+  sumStatements(incomeStatements) {
+    const revenue = {};
+    const expenses = {};
+    incomeStatements.forEach((statement) => {
+      Object.entries(statement.revenue).forEach(([account, amount]) => {
+        revenue[account] = (revenue[account] || 0) + amount;
+      });
+      Object.entries(statement.expenses).forEach(([account, amount]) => {
+        expenses[account] = (expenses[account] || 0) + amount;
+      });
+    });
+
+    const sum = (group) => Object.values(group).reduce((total, amount) => total + amount, 0);
+    const totals = { revenue: sum(revenue), expenses: sum(expenses) };
+    return {
+      revenue, expenses, totals, netIncome: totals.revenue - totals.expenses,
+    };
+  }
+
+  /**
+   * 계정별 비교 행 (어느 열에든 나온 계정, 당월 → 누적 → 비교 기간 순으로 처음 나온 순서)
+   */
+  buildLines(amounts, section) {
+    const accounts = [];
+    ['current', 'yearToDate', 'priorMonth', 'sameMonthLastYear', 'priorYearToDate'].forEach((key) => {
+      Object.keys(amounts[key][section]).forEach((account) => {
+        if (!accounts.includes(account)) {
+          accounts.push(account);
+        }
+      });
+    });
+
+    return accounts.map((account) => this.buildLine(account, (key) => amounts[key][section][account] || 0));
+  }
+
+  /**
+   * 비교 행 ({ account, amounts: 열별 금액, variances: 증감별 { amount, percent } })
+   * @param {string} account - 계정 또는 합계 이름
+   * @param {Function} amountOf - 열 키 → 금액
+   */
+  buildLine(account, amountOf) {
+    const amounts = {};
+    COLUMNS.forEach((column) => {
+      amounts[column.key] = amountOf(column.key);
+    });
+
+    const variances = {};
+    VARIANCES.forEach((variance) => {
+      const base = amounts[variance.base];
+      const amount = amounts[variance.target] - base;
+      variances[variance.key] = {
+        amount,
+        // 비교 기준이 0이면 증감률 없음
+        percent: base === 0 ? null : Math.round((amount / Math.abs(base)) * 1000) / 10,
+      };
+    });
+
+    return { account, amounts, variances };
+  }
+
+  /**
+   * 회계기간 이동 (예: 2024-01에서 -1개월이면 2023-12)
+   */
+  shiftPeriod(period, months) {
+    const { year, month } = this.fiscalPeriodService.parsePeriod(period);
+    const index = year * 12 + (month - 1) + months;
+    return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * from부터 to까지의 회계기간 목록
+   */
+  listPeriods(from, to) {
+    const periods = [from];
+    while (periods[periods.length - 1] < to) {
+      periods.push(this.shiftPeriod(periods[periods.length - 1], 1));
+    }
+    return periods;
+  }
+}
+
+ComparativeStatementService.COLUMNS = COLUMNS;
+ComparativeStatementService.VARIANCES = VARIANCES;
+
+module.exports = ComparativeStatementService;
@@ -0,0 +1,265 @@
+/**
+ * 분류 정정 학습 서비스
+ * 사용자가 수정(확정)한 거래 분류를 저장하고, 정정 이력에서 거래처/키워드 학습 규칙과 통계 분류기를 도출
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const NaiveBayesClassifier = require('../utils/NaiveBayesClassifier');
+
+// 병원 ID 없이 저장하는 기본 범위 (병원 ID에 쓸 수 없는 '@'를 넣어 'default' 같은 병원 ID와 겹치지 않음)
+const DEFAULT_SCOPE = '@default';
+
+class CorrectionService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {string} options.correctionsDir - 정정 이력 저장 경로
+   * @param {number} options.vendorMinSupport - 거래처 규칙 도출 최소 정정 건수
+   * @param {number} options.keywordMinSupport - 키워드 규칙 도출 최소 정정 건수
+   * @param {number} options.minAgreement - 동일 계정 정정 비율 하한
+   */
+  constructor(options = {}) {
+    this.correctionsDir = options.correctionsDir || path.join(config.dataDir, 'corrections');
+    this.vendorMinSupport = options.vendorMinSupport || 1;
+    this.keywordMinSupport = options.keywordMinSupport || 2;
+    this.minAgreement = options.minAgreement || 0.8;
+    this.learnedRulesCache = new Map(); // 병원별 학습 규칙 캐시
+    this.classifierCache = new Map(); // 병원별 통계 분류기 캐시
+  }
+
+  /**
+   * 거래별 분류 정정 저장
+   * @param {string} hospitalId - 병원 ID (없으면 기본 범위)
+   * @param {Array} corrections - [{ transaction, correctedAccount, originalAccount, transactionType,
+   *                                 correctedBy, reason }]
+   * @returns {Object} 저장된 정정 내역 및 갱신된 학습 규칙
+   */
+  recordCorrections(hospitalId, corrections) {
+    if (!Array.isArray(corrections) || corrections.length === 0) {
+      throw new Error('정정 내역이 비어 있습니다');
+    }
+
+    const saved = corrections.map((correction, index) => {
+      if (!correction || typeof correction.transaction !== 'object' || correction.transaction === null) {
+        throw new Error(`정정 ${index + 1}: 거래 데이터(transaction)가 필요합니다`);
+      }
+      if (!correction.correctedAccount) {
+        throw new Error(`정정 ${index + 1}: 수정 계정(correctedAccount)이 필요합니다`);
+      }
+
+      return {
+        id: uuidv4(),
+        transaction: correction.transaction,
+        originalAccount: correction.originalAccount || null,
+        correctedAccount: correction.correctedAccount,
+        transactionType: correction.transactionType || null,
+        correctedBy: correction.correctedBy || null,
+        reason: correction.reason || null,
+        correctedAt: new Date().toISOString(),
+      };
+    });
+
+    const store = this.loadCorrections(hospitalId);
+    store.push(...saved);
+    this.writeCorrections(hospitalId, store);
+
+    return {
+      saved,
+      learnedRules: this.getLearnedRules(hospitalId),
+    };
+  }
+
+  /**
+   * 정정 내역 삭제 (잘못 입력된 정정 취소)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} correctionId - 정정 ID
+   * @returns {boolean} 삭제 여부
+   */
+  deleteCorrection(hospitalId, correctionId) {
+    const store = this.loadCorrections(hospitalId);
+    const remaining = store.filter((correction) => correction.id !== correctionId);
+
+    if (remaining.length === store.length) {
+      return false;
+    }
+
+    this.writeCorrections(hospitalId, remaining);
+    return true;
+  }
+
+  /**
+   * 저장된 정정 내역 조회
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Array} 정정 내역
+   */
+  loadCorrections(hospitalId) {
+    const file = this.getStoreFile(hospitalId);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * 병원별 학습 규칙 조회 (캐시)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Array} 학습 규칙
+   */
+  getLearnedRules(hospitalId) {
+    const scope = this.getScope(hospitalId);
+    if (!this.learnedRulesCache.has(scope)) {
+      this.learnedRulesCache.set(scope, this.deriveLearnedRules(this.loadCorrections(hospitalId)));
+    }
+
+    return this.learnedRulesCache.get(scope);
+  }
+
+  /**
+   * 병원별 통계 분류기 조회 (확정 거래로 학습, 캐시)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {NaiveBayesClassifier} 학습된 분류기
+   */
+  getStatisticalClassifier(hospitalId) {
+    const scope = this.getScope(hospitalId);
+    if (!this.classifierCache.has(scope)) {
+      const examples = this.getLatestCorrections(this.loadCorrections(hospitalId)).map((correction) => ({
+        transaction: correction.transaction,
+        account: correction.correctedAccount,
+        transactionType: correction.transactionType,
+      }));
+      this.classifierCache.set(scope, NaiveBayesClassifier.train(examples));
+    }
+
+    return this.classifierCache.get(scope);
+  }
+
+  /**
+   * 같은 거래가 여러 번 정정된 경우 마지막 정정만 남김
+   * @param {Array} corrections - 정정 내역
+   * @returns {Array} 거래별 최종 정정
+   */
+  getLatestCorrections(corrections) {
+    const latest = new Map();
+    corrections.forEach((correction) => {
+      latest.set(JSON.stringify(correction.transaction), correction);
+    });
+
+    return Array.from(latest.values());
+  }
+
+  /**
+   * 정정 이력에서 학습 규칙 도출
+   * 거래처 규칙을 키워드 규칙보다 우선하며, 같은 종류 안에서는 정정 건수가 많은 순
+   * @param {Array} corrections - 정정 내역
+   * @returns {Array} 학습 규칙 [{ id, type, field, value, account, transactionType, support, confidence }]
+   */
+  deriveLearnedRules(corrections) {
+    const vendorStats = new Map();
+    const keywordStats = new Map();
+
+    this.getLatestCorrections(corrections).forEach((correction) => {
+      const vendor = this.extractVendor(correction.transaction);
+      if (vendor) {
+        this.countAccount(vendorStats, vendor, correction);
+      }
+
+      const keywords = new Set(this.extractItemKeywords(correction.transaction)
+        .filter((keyword) => keyword !== vendor));
+      keywords.forEach((keyword) => this.countAccount(keywordStats, keyword, correction));
+    });
+
+    const vendorRules = this.buildRules(vendorStats, 'vendor', '거래처', this.vendorMinSupport, 0.85);
+    const keywordRules = this.buildRules(keywordStats, 'keyword', '항목', this.keywordMinSupport, 0.8);
+
+    return [...vendorRules, ...keywordRules];
+  }
+
+  /**
+   * 값별 정정 계정 집계
+   */
+  countAccount(stats, value, correction) {
+    if (!stats.has(value)) {
+      stats.set(value, { total: 0, accounts: {} });
+    }
+
+    const entry = stats.get(value);
+    const account = correction.correctedAccount;
+    entry.total += 1;
+    entry.accounts[account] = entry.accounts[account] || { count: 0, transactionType: null };
+    entry.accounts[account].count += 1;
+    entry.accounts[account].transactionType = correction.transactionType || entry.accounts[account].transactionType;
+  }
+
+  /**
+   * 집계 결과에서 지지도/일치율 조건을 만족하는 규칙 생성
+   */
+  buildRules(stats, type, field, minSupport, baseConfidence) {
+    const rules = [];
+
+    stats.forEach((entry, value) => {
+      const [account, { count, transactionType }] = Object.entries(entry.accounts)
+        .sort((a, b) => b[1].count - a[1].count)[0];
+
+      if (count < minSupport || count / entry.total < this.minAgreement) {
+        return;
+      }
+
+      rules.push({
+        id: `learned.${type}.${value}`,
+        name: `학습규칙(${field}:${value}→${account})`,
+        type,
+        field,
+        value,
+        account,
+        transactionType,
+        support: count,
+        confidence: Math.min(baseConfidence + (count - 1) * 0.05, 0.99),
+      });
+    });
+
+    return rules.sort((a, b) => b.support - a.support);
+  }
+
+  /**
+   * 데이터 추출 헬퍼 함수들 (ClassificationEngine과 동일한 필드 우선순위)
+   */
+  extractVendor(row) {
+    const vendor = row.거래처 || row.vendor || row.supplier;
+    return vendor ? String(vendor).trim() : null;
+  }
+
+  extractItemKeywords(row) {
+    const item = row.항목 || row.item || '';
+    return String(item).split(' ').filter((word) => word.length > 1);
+  }
+
+  /**
+   * 정정 내역 파일 저장 및 캐시 무효화
+   */
+  writeCorrections(hospitalId, corrections) {
+    fs.mkdirSync(this.correctionsDir, { recursive: true });
+    fs.writeFileSync(this.getStoreFile(hospitalId), JSON.stringify(corrections, null, 2));
+    this.learnedRulesCache.delete(this.getScope(hospitalId));
+    this.classifierCache.delete(this.getScope(hospitalId));
+  }
+
+  getStoreFile(hospitalId) {
+    return path.join(this.correctionsDir, `${this.getScope(hospitalId)}.json`);
+  }
+
+  /**
+   * 저장 범위 (병원 ID, 없으면 기본 범위)
+   */
+  getScope(hospitalId) {
+    if (hospitalId && !/^[\w가-힣-]+$/.test(hospitalId)) {
+      throw new Error(`잘못된 병원 ID입니다: ${hospitalId}`);
+    }
+
+    return hospitalId || DEFAULT_SCOPE;
+  }
+}
+
+module.exports = CorrectionService;
@@ -6,12 +6,24 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
+const DependencyGraph = require('../utils/DependencyGraph');
+const CalculationEngine = require('../engines/CalculationEngine');
+const RecalculationEngine = require('../engines/RecalculationEngine');
+const WorkbookNames = require('../utils/WorkbookNames');
+
+// 자동화 Excel 입력 시트 (머리글 행 수, 기록할 거래 유형: null이면 전체)
+const AUTOMATION_INPUT_SHEETS = {
+  매출내역total: { headerRows: 3, transactionType: 'revenue' },
+  출: { headerRows: 3, transactionType: 'expense' },
+  분: { headerRows: 1, transactionType: null },
+};
 
 class ExcelService {
   constructor() {
     this.formulaPatterns = this.initializeFormulaPatterns();
     this.sheetDependencies = new Map();
     this.extractedFormulas = [];
+    this.workbookNames = new WorkbookNames();
   }
 
   /**
@@ -22,6 +34,7 @@ class ExcelService {
   async analyzeExcelFile(filePath) {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(filePath);
+    this.workbookNames = WorkbookNames.fromExcelJS(workbook).addExternalLinks(fs.readFileSync(filePath));
 
     const analysisResult = {
       filename: path.basename(filePath),
@@ -54,6 +67,20 @@ class ExcelService {
     // 시트간 의존성 분석
     analysisResult.sheetDependencies = this.analyzeSheetDependencies();
 
+    // 셀 단위 의존성 그래프 (계산 단계 수, 순환 참조)
+    analysisResult.cellDependencies = this.analyzeCellDependencies();
+
+    // 정의된 이름과 표 (계산 요청의 workbookNames로 그대로 보낼 수 있음)
+    analysisResult.workbookNames = this.workbookNames.getSummary();
+
+    // 다른 통합문서 참조 (계산하려면 참조하는 통합문서를 함께 로드해야 함)
+    analysisResult.externalReferences = this.extractedFormulas.flatMap((formula) => formula.externalReferences
+      .map((reference) => ({ sheet: formula.sheet, cell: formula.cell, reference })));
+    analysisResult.externalWorkbooks = Array.from(new Set([
+      ...this.workbookNames.externalLinks.values(),
+      ...analysisResult.externalReferences.map(({ reference }) => reference.match(/^\[([^\]]+)\]/)[1]),
+    ]));
+
     // 복잡한 수식 상위 10개 추출
     analysisResult.complexFormulas = this.extractedFormulas
       .sort((a, b) => b.complexity - a.complexity)
@@ -96,8 +123,7 @@ class ExcelService {
           // 시트 참조 추출
           formulaAnalysis.references.forEach(ref => {
             if (ref.includes('!')) {
-              const sheetName = ref.split('!')[0];
-              sheetAnalysis.sheetReferences.add(sheetName);
+              sheetAnalysis.sheetReferences.add(this.getReferenceSheet(ref));
             }
           });
 
@@ -138,6 +164,9 @@ class ExcelService {
       functions: this.extractFunctions(formula),
       parameters: this.extractParameters(formula)
     };
+    formulaAnalysis.externalReferences = formulaAnalysis.references
+      .filter((ref) => ref.includes('!') && this.getReferenceSheet(ref).startsWith('['))
+      .map((ref) => `${this.getReferenceSheet(ref)}!${ref.substring(ref.lastIndexOf('!') + 1)}`);
 
     return formulaAnalysis;
   }
@@ -231,17 +260,37 @@ class ExcelService {
    * @returns {Array} 셀 참조 목록
    */
   extractCellReferences(formula) {
+    // 시트 지정 (출!, '매출 시트'!, 다른 통합문서의 [전년도.xlsx]출!, [1]출!, 'C:\경로\[전년도.xlsx]출'!)
+    const qualifier = "(?:'(?:[^']|'')+'|(?:\\[[^\\]]+\\])?[A-Za-z0-9_.\\uAC00-\\uD7A3]+)!";
+
     // Excel 셀 참조 패턴 (A1, $A$1, Sheet1!A1, Sheet1!$A$1 등)
-    const cellRefPattern = /(?:[A-Za-z_\[\]]+!)?[$]?[A-Z]+[$]?\d+(?::[$]?[A-Z]+[$]?\d+)?/g;
+    const cellRefPattern = new RegExp(`(?:${qualifier})?[$]?[A-Z]+[$]?\\d+(?::[$]?[A-Z]+[$]?\\d+)?`, 'g');
     const matches = formula.match(cellRefPattern) || [];
     
     // 전체 열/행 참조 패턴 (A:A, 1:1 등)
-    const rangeRefPattern = /(?:[A-Za-z_\[\]]+!)?[$]?[A-Z]+:[$]?[A-Z]+/g;
+    const rangeRefPattern = new RegExp(`(?:${qualifier})?[$]?[A-Z]+:[$]?[A-Z]+`, 'g');
     const rangeMatches = formula.match(rangeRefPattern) || [];
     
     return [...matches, ...rangeMatches];
   }
 
+  /**
+   * 참조의 시트명 (따옴표와 경로를 뺀 이름, 다른 통합문서는 '[파일명]시트', [1]은 링크된 파일명으로)
+   * @param {string} reference - 시트를 지정한 참조 (예: '[전년도.xlsx]출'!G10)
+   * @returns {string} 시트명
+   */
+  getReferenceSheet(reference) {
+    const sheet = reference.substring(0, reference.lastIndexOf('!')).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    const external = sheet.match(/^(?:.*[\\/])?\[([^\]]+)\](.*)$/);
+    if (!external) {
+      return sheet;
+    }
+    const book = /^\d+$/.test(external[1])
+      ? this.workbookNames.externalLinks.get(external[1]) || external[1]
+      : external[1];
+    return `[${WorkbookNames.fileName(book)}]${external[2]}`;
+  }
+
   /**
    * 함수 추출
    * @param {string} formula - Excel 수식
@@ -346,7 +395,7 @@ class ExcelService {
       
       formula.references.forEach(ref => {
         if (ref.includes('!')) {
-          const referencedSheet = ref.split('!')[0].replace(/'/g, '');
+          const referencedSheet = this.getReferenceSheet(ref);
           if (referencedSheet !== formula.sheet) {
             dependencies[formula.sheet].add(referencedSheet);
           }
@@ -362,6 +411,20 @@ class ExcelService {
     return dependencies;
   }
 
+  /**
+   * 셀 단위 의존성 분석
+   * @returns {Object} 의존성 그래프 요약 (DependencyGraph.getSummary)
+   */
+  analyzeCellDependencies() {
+    const graph = new DependencyGraph();
+    this.extractedFormulas.forEach((formula) => {
+      const resolved = this.workbookNames.resolve(formula.formula, { sheet: formula.sheet, address: formula.cell });
+      graph.setFormula(formula.sheet, formula.cell, resolved);
+    });
+
+    return graph.getSummary();
+  }
+
   /**
    * 시트 유형 분류
    * @param {Object} sheetAnalysis - 시트 분석 결과
@@ -438,6 +501,28 @@ class ExcelService {
    * @returns {string} 생성된 파일 경로
    */
   async createExcelFile(data, outputPath) {
+    const workbook = this.buildReportWorkbook(data);
+    await workbook.xlsx.writeFile(outputPath);
+    return outputPath;
+  }
+
+  /**
+   * Excel 리포트 생성 (파일 대신 내려받기용 xlsx 데이터)
+   * @param {Object} data - 내보낼 데이터 (createExcelFile과 같은 형식)
+   * @returns {Promise<Buffer>} xlsx 데이터
+   */
+  async createExcelBuffer(data) {
+    const workbook = this.buildReportWorkbook(data);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * 리포트 통합문서 구성 (데이터에 있는 항목만 시트로 추가)
+   * @param {Object} data - { incomeStatement, comparativeIncomeStatement, balanceSheet, cashFlowStatement,
+   *                          monthlyData, accountDetails }
+   * @returns {ExcelJS.Workbook} 통합문서
+   */
+  buildReportWorkbook(data) {
     const workbook = new ExcelJS.Workbook();
     
     // 메타데이터 설정
@@ -452,12 +537,24 @@ class ExcelService {
       this.createIncomeStatementSheet(wsIncomeStatement, data.incomeStatement);
     }
 
+    // 비교 손익계산서 시트
+    if (data.comparativeIncomeStatement) {
+      const wsComparative = workbook.addWorksheet('비교손익계산서');
+      this.createComparativeIncomeStatementSheet(wsComparative, data.comparativeIncomeStatement);
+    }
+
     // 재무상태표 시트
     if (data.balanceSheet) {
       const wsBalanceSheet = workbook.addWorksheet('재무상태표');
       this.createBalanceSheetSheet(wsBalanceSheet, data.balanceSheet);
     }
 
+    // 현금흐름표 시트
+    if (data.cashFlowStatement) {
+      const wsCashFlow = workbook.addWorksheet('현금흐름표');
+      this.createCashFlowStatementSheet(wsCashFlow, data.cashFlowStatement);
+    }
+
     // 월별 집계 시트
     if (data.monthlyData) {
       const wsMonthly = workbook.addWorksheet('월별집계');
@@ -470,9 +567,7 @@ class ExcelService {
       this.createAccountDetailsSheet(wsAccountDetails, data.accountDetails);
     }
 
-    // 파일 저장
-    await workbook.xlsx.writeFile(outputPath);
-    return outputPath;
+    return workbook;
   }
 
   /**
@@ -518,6 +613,156 @@ class ExcelService {
     this.applyBasicStyles(worksheet);
   }
 
+  /**
+   * 비교 손익계산서 시트 생성 (열별 금액 다음에 증감액/증감률)
+   * @param {Object} worksheet - 워크시트 객체
+   * @param {Object} statement - 비교 손익계산서 (ComparativeStatementService.buildComparativeIncomeStatement 결과)
+   */
+  createComparativeIncomeStatementSheet(worksheet, statement) {
+    const periodLabel = (column) => (column.from === column.to ? column.from : `${column.from}~${column.to}`);
+    worksheet.columns = [
+      { header: '계정과목', key: 'account', width: 24 },
+      ...statement.columns.map((column) => ({
+        header: `${column.label} (${periodLabel(column)})`,
+        key: column.key,
+        width: 18,
+        style: { numFmt: '#,##0' },
+      })),
+      ...statement.variances.flatMap((variance) => [
+        {
+          header: `${variance.label} 증감액`, key: `${variance.key}Amount`, width: 18, style: { numFmt: '#,##0' },
+        },
+        {
+          header: `${variance.label} 증감률`, key: `${variance.key}Percent`, width: 14, style: { numFmt: '0.0"%"' },
+        },
+      ]),
+    ];
+
+    const blank = () => worksheet.addRow([]);
+    const addLine = (line) => {
+      const values = { account: line.account };
+      statement.columns.forEach((column) => {
+        values[column.key] = line.amounts[column.key];
+      });
+      statement.variances.forEach((variance) => {
+        values[`${variance.key}Amount`] = line.variances[variance.key].amount;
+        values[`${variance.key}Percent`] = line.variances[variance.key].percent;
+      });
+      return worksheet.addRow(values);
+    };
+
+    worksheet.addRow([`비교 손익계산서 (${statement.period}, ${statement.fiscalYear} 회계연도 ${statement.fiscalMonth}번째 월)`]);
+    blank();
+
+    worksheet.addRow(['수익']);
+    statement.revenue.forEach(addLine);
+    addLine(statement.totals.revenue).font = { bold: true };
+    blank();
+
+    worksheet.addRow(['비용']);
+    statement.expenses.forEach(addLine);
+    addLine(statement.totals.expenses).font = { bold: true };
+    blank();
+
+    addLine(statement.totals.netIncome).font = { bold: true };
+
+    if (statement.missingPeriods.length > 0) {
+      blank();
+      worksheet.addRow([`결과가 없는 기간 (0으로 계산): ${statement.missingPeriods.join(', ')}`]);
+    }
+    if (statement.openPeriods.length > 0) {
+      worksheet.addRow([`마감하지 않은 기간: ${statement.openPeriods.join(', ')}`]);
+    }
+
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' },
+    };
+  }
+
+  /**
+   * 재무상태표 시트 생성
+   * @param {Object} worksheet - 워크시트 객체
+   * @param {Object} balanceSheet - 재무상태표 데이터 (FinancialStatementService.buildBalanceSheet 결과)
+   */
+  createBalanceSheetSheet(worksheet, balanceSheet) {
+    worksheet.columns = [
+      { header: '계정과목', key: 'account', width: 28 },
+      { header: '금액', key: 'amount', width: 18 },
+    ];
+
+    worksheet.addRow(['재무상태표', '']);
+    worksheet.addRow([`기준일: ${balanceSheet.asOf || ''}`, '']);
+    worksheet.addRow(['', '']);
+
+    // 재무제표 항목과 계정을 들여쓰기로 구분해 기록
+    const addLine = (line, depth) => {
+      const row = worksheet.addRow([`${'  '.repeat(depth)}${line.name}`, line.amount]);
+      row.font = { bold: true };
+
+      line.children.forEach((child) => addLine(child, depth + 1));
+      line.accounts.forEach((account) => {
+        worksheet.addRow([`${'  '.repeat(depth + 1)}${account.name}`, account.amount]);
+      });
+    };
+
+    ['assets', 'liabilities', 'equity'].forEach((section) => {
+      if (balanceSheet[section]) {
+        addLine(balanceSheet[section], 0);
+        worksheet.addRow(['', '']);
+      }
+    });
+
+    worksheet.addRow(['부채와자본총계', balanceSheet.totals.liabilitiesAndEquity]).font = { bold: true };
+    if (balanceSheet.check && !balanceSheet.check.isBalanced) {
+      worksheet.addRow(['대차 차이', balanceSheet.check.difference]);
+    }
+
+    this.applyBasicStyles(worksheet);
+  }
+
+  /**
+   * 현금흐름표 시트 생성 (간접법)
+   * @param {Object} worksheet - 워크시트 객체
+   * @param {Object} cashFlowStatement - 현금흐름표 데이터 (FinancialStatementService.buildCashFlowStatement 결과)
+   */
+  createCashFlowStatementSheet(worksheet, cashFlowStatement) {
+    worksheet.columns = [
+      { header: '계정과목', key: 'account', width: 32 },
+      { header: '금액', key: 'amount', width: 18 },
+    ];
+
+    const period = cashFlowStatement.period || {};
+    worksheet.addRow(['현금흐름표 (간접법)', '']);
+    worksheet.addRow([`기간: ${period.from || ''} ~ ${period.to || ''}`, '']);
+    worksheet.addRow(['', '']);
+
+    [
+      ['operating', 'Ⅰ. 영업활동으로 인한 현금흐름'],
+      ['investing', 'Ⅱ. 투자활동으로 인한 현금흐름'],
+      ['financing', 'Ⅲ. 재무활동으로 인한 현금흐름'],
+    ].forEach(([key, title]) => {
+      const activity = cashFlowStatement[key];
+      worksheet.addRow([title, activity.amount]).font = { bold: true };
+      activity.items.forEach((item) => {
+        worksheet.addRow([`  ${item.name}`, item.amount]);
+      });
+      worksheet.addRow(['', '']);
+    });
+
+    worksheet.addRow(['Ⅳ. 현금의 증가(감소)', cashFlowStatement.netChange]).font = { bold: true };
+    worksheet.addRow(['Ⅴ. 기초의 현금', cashFlowStatement.beginningCash]).font = { bold: true };
+    worksheet.addRow(['Ⅵ. 기말의 현금', cashFlowStatement.endingCash]).font = { bold: true };
+    if (cashFlowStatement.check && !cashFlowStatement.check.isBalanced) {
+      worksheet.addRow(['현금 차이', cashFlowStatement.check.difference]);
+    }
+
+    this.applyBasicStyles(worksheet);
+  }
+
   /**
    * 기본 스타일 적용
    * @param {Object} worksheet - 워크시트 객체
@@ -536,6 +781,226 @@ class ExcelService {
     worksheet.getColumn('amount').numFmt = '#,##0';
   }
 
+  /**
+   * 자동화 Excel 통합문서에 분류 결과와 계산 값 기록 (원본 양식 유지)
+   * 입력 시트(`매출내역total`, `출`, `분`)의 데이터 행을 분류된 거래로 바꾸고, 통합문서를 다시 계산해
+   * 모든 수식 셀에 계산 값을 채움. 서식/병합 셀/열 너비는 원본 그대로 둠
+   * @param {Buffer|string} source - 업로드된 자동화 Excel (xlsx 데이터 또는 파일 경로)
+   * @param {Array} classifiedTransactions - 분류된 거래내역 (ClassificationEngine 결과의 classified)
+   * @param {Object} options - 내보내기 옵션
+   * @param {boolean} options.keepFormulas - 수식을 유지하고 계산 값을 캐시 결과로 저장 (기본 true, false면 값만 남김)
+   * @returns {Promise<Object>} { buffer, report: { sheets, skippedSheets, formulaCells, errors, cycles } }
+   */
+  async exportAutomationWorkbook(source, classifiedTransactions, options = {}) {
+    const keepFormulas = options.keepFormulas !== false;
+    const workbook = new ExcelJS.Workbook();
+    if (Buffer.isBuffer(source)) {
+      await workbook.xlsx.load(source);
+    } else {
+      await workbook.xlsx.readFile(source);
+    }
+
+    const report = {
+      sheets: {}, skippedSheets: [], formulaCells: 0, errors: [], cycles: [],
+    };
+    const sheetRows = await this.buildAutomationRows(classifiedTransactions || []);
+
+    Object.entries(AUTOMATION_INPUT_SHEETS).forEach(([sheetName, layout]) => {
+      const worksheet = workbook.getWorksheet(sheetName);
+      if (!worksheet) {
+        report.skippedSheets.push(sheetName);
+        return;
+      }
+      report.sheets[sheetName] = this.writeInputRows(worksheet, layout.headerRows + 1, sheetRows[sheetName]);
+    });
+
+    // 수정한 통합문서를 그대로 계산
+    const engine = new RecalculationEngine();
+    engine.loadWorksheets(workbook);
+    const calculation = engine.calculate();
+    report.errors = calculation.errors;
+    report.cycles = calculation.cycles;
+
+    workbook.eachSheet((worksheet) => {
+      worksheet.eachRow((row) => {
+        row.eachCell((cell) => {
+          const key = DependencyGraph.key(worksheet.name, cell.address);
+          if (cell.formula) {
+            const result = this.toCellResult(engine.getValue(worksheet.name, cell.address), engine.parser);
+            cell.value = keepFormulas ? { ...cell.value, result } : result;
+            report.formulaCells += 1;
+          } else if (engine.arrayMembers.has(key)) {
+            // 배열 수식 범위의 나머지 셀
+            cell.value = this.toCellResult(engine.getValue(worksheet.name, cell.address), engine.parser);
+          }
+        });
+      });
+    });
+
+    // Excel에서 열 때 수식을 다시 계산하도록 표시
+    if (keepFormulas) {
+      workbook.calcProperties = { ...workbook.calcProperties, fullCalcOnLoad: true };
+    }
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return { buffer: Buffer.from(buffer), report };
+  }
+
+  /**
+   * 자동화 Excel 입력 시트별 데이터 행 생성 (CalculationEngine의 시트 행 구성 사용)
+   * @param {Array} classifiedTransactions - 분류된 거래내역
+   * @returns {Promise<Object>} 시트명 → 행 배열 (머리글 제외)
+   */
+  async buildAutomationRows(classifiedTransactions) {
+    const engine = new CalculationEngine();
+    const isRevenue = (transaction) => transaction.transactionType === 'revenue';
+    const revenues = classifiedTransactions.filter((transaction) => transaction && isRevenue(transaction));
+    const expenses = classifiedTransactions.filter((transaction) => transaction && !isRevenue(transaction));
+
+    const revenueRows = revenues.map((transaction) => {
+      const data = transaction.originalData || transaction.data || transaction;
+      const metadata = transaction.metadata || transaction;
+      const amount = engine.extractAmount(metadata, data);
+      const date = engine.extractDate(metadata, data);
+
+      return [
+        engine.getMonth(date),
+        engine.getDay(date),
+        engine.extractVendor(data),
+        engine.extractItem(data),
+        amount,
+        0, // VAT
+        amount, // G열(계) = E열 값
+        metadata.거래수단 || data.거래수단 || '',
+        metadata.거래증빙 || data.거래증빙 || '',
+        metadata.계정과목 || metadata.account || transaction.account || '',
+      ];
+    });
+
+    return {
+      매출내역total: revenueRows,
+      출: expenses.length > 0
+        ? (await engine.createExpenseSheet_Enhanced(expenses)).slice(AUTOMATION_INPUT_SHEETS['출'].headerRows)
+        : [],
+      분: classifiedTransactions.length > 0
+        ? (await engine.createDetailSheet_Enhanced(classifiedTransactions))
+          .slice(AUTOMATION_INPUT_SHEETS['분'].headerRows)
+        : [],
+    };
+  }
+
+  /**
+   * 입력 시트 데이터 행 교체
+   * 첫 데이터 행을 양식 행으로 삼아 서식을 복사하고, 양식 행에 수식이 있는 열은 값 대신 행에 맞게 옮긴 수식을 기록.
+   * 기존 데이터가 더 길면 남는 행의 값을 지움 (서식은 유지)
+   * @param {Object} worksheet - ExcelJS 워크시트
+   * @param {number} startRow - 첫 데이터 행 번호
+   * @param {Array} rows - 기록할 행 배열
+   * @returns {Object} { startRow, rowCount, formulaColumns }
+   */
+  writeInputRows(worksheet, startRow, rows) {
+    const templateRow = worksheet.getRow(startRow);
+    const columnCount = Math.max(templateRow.cellCount, ...rows.map((row) => row.length));
+    const template = [];
+    for (let col = 1; col <= columnCount; col += 1) {
+      const cell = templateRow.getCell(col);
+      const isArrayFormula = cell.formula && cell.value.shareType === 'array';
+      template[col] = {
+        style: JSON.parse(JSON.stringify(cell.style || {})),
+        formula: cell.formula && !isArrayFormula ? cell.formula : null,
+      };
+    }
+    const templateHeight = templateRow.height;
+    const previousLastRow = worksheet.rowCount;
+
+    rows.forEach((values, index) => {
+      const rowNumber = startRow + index;
+      const row = worksheet.getRow(rowNumber);
+      if (templateHeight && index > 0) {
+        row.height = templateHeight;
+      }
+      for (let col = 1; col <= columnCount; col += 1) {
+        const cell = row.getCell(col);
+        const { style, formula } = template[col];
+        if (index > 0) {
+          cell.style = JSON.parse(JSON.stringify(style));
+        }
+        cell.value = formula
+          ? { formula: this.shiftFormulaRows(formula, index) }
+          : this.toCellValue(values[col - 1]);
+      }
+    });
+
+    for (let rowNumber = startRow + rows.length; rowNumber <= previousLastRow; rowNumber += 1) {
+      worksheet.getRow(rowNumber).eachCell((cell) => {
+        cell.value = null;
+      });
+    }
+
+    return {
+      startRow,
+      rowCount: rows.length,
+      formulaColumns: template
+        .map((column, col) => (column && column.formula ? this.getCellAddress(1, col).replace(/\d+$/, '') : null))
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * 수식의 상대 행 참조를 옮김 (`$`로 고정한 행과 문자열/시트명 안의 텍스트는 그대로)
+   * @param {string} formula - Excel 수식
+   * @param {number} rowOffset - 옮길 행 수
+   * @returns {string} 옮긴 수식
+   */
+  shiftFormulaRows(formula, rowOffset) {
+    if (rowOffset === 0) {
+      return formula;
+    }
+
+    return formula
+      .split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/)
+      .map((part, index) => (index % 2 === 1
+        ? part
+        : part.replace(
+          /(^|[^A-Za-z0-9_.$])(\$?[A-Z]{1,3})(\$?)(\d+)(?![\w(])/g,
+          (match, prefix, column, absolute, row) => (
+            `${prefix}${column}${absolute}${absolute ? row : Number(row) + rowOffset}`
+          ),
+        )))
+      .join('');
+  }
+
+  /**
+   * 입력 값을 ExcelJS 셀 값으로 변환 (ISO 날짜 문자열은 날짜로)
+   * @param {any} value - 값
+   * @returns {any} 셀 값
+   */
+  toCellValue(value) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(value)) {
+      return new Date(value);
+    }
+    return value;
+  }
+
+  /**
+   * 계산 값을 ExcelJS 수식 결과로 변환 (오류 값은 { error })
+   * @param {any} value - RecalculationEngine 계산 값
+   * @param {FormulaParser} parser - 오류 값 판별용 파서
+   * @returns {any} 수식 결과
+   */
+  toCellResult(value, parser) {
+    if (value === RecalculationEngine.ERROR_VALUE) {
+      return { error: '#VALUE!' };
+    }
+    if (parser.isError(value)) {
+      return { error: value };
+    }
+    return value;
+  }
+
   /**
    * 로우 데이터 파싱
    * @param {string} filePath - 로우 데이터 Excel 파일 경로
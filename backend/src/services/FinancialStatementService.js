@@ -0,0 +1,526 @@
+/**
+ * 재무제표 서비스
+ * 기초 잔액(Excel 가져오기)과 분개장 거래로 의료기관 회계기준 재무상태표 및 현금흐름표(간접법) 작성
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const config = require('../config');
+const ChartOfAccounts = require('../models/ChartOfAccounts');
+const AccountService = require('./AccountService');
+const JournalService = require('./JournalService');
+
+// 병원 ID를 지정하지 않은 요청의 저장 범위 (CorrectionService와 같은 키)
+const DEFAULT_SCOPE = '@default';
+
+// 재무상태표 구분 (최상위 재무제표 항목)
+const BALANCE_SHEET_SECTIONS = {
+  assets: 'BS.A',
+  liabilities: 'BS.L',
+  equity: 'BS.E',
+};
+
+// 당기순이익이 반영되는 재무제표 항목
+const RETAINED_EARNINGS_LINE = 'BS.E.III';
+
+// 현금흐름표 활동 구분 (재무상태표 중분류 항목 기준)
+const CASH_FLOW_ACTIVITIES = {
+  'BS.A.I': 'operating',
+  'BS.L.I': 'operating',
+  'BS.A.II': 'investing',
+  'BS.L.II': 'financing',
+  'BS.E.I': 'financing',
+  'BS.E.II': 'financing',
+  'BS.E.III': 'financing',
+};
+
+// 현금 유출입이 없는 충당부채 계정 식별 (퇴직급여충당부채 등)
+const PROVISION_PATTERN = /충당/;
+
+// 기초 잔액 Excel 열 이름
+const OPENING_COLUMNS = {
+  code: ['코드', '계정코드'],
+  name: ['계정과목명', '계정과목', '계정명'],
+  balance: ['잔액', '금액'],
+  debit: ['차변'],
+  credit: ['대변'],
+};
+
+class FinancialStatementService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {string} options.openingBalancesDir - 기초 잔액 저장 경로
+   * @param {AccountService} options.accountService - 병원별 계정과목표 제공 서비스
+   * @param {JournalService} options.journalService - 분개장 서비스
+   * @param {number} options.tolerance - 대차 일치 허용 오차 (원)
+   */
+  constructor(options = {}) {
+    this.openingBalancesDir = options.openingBalancesDir || path.join(config.dataDir, 'opening-balances');
+    this.accountService = options.accountService || new AccountService();
+    this.journalService = options.journalService || new JournalService({ accountService: this.accountService });
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : 1;
+  }
+
+  /**
+   * 기초 잔액 저장
+   * 잔액은 각 계정의 정상 잔액 방향 기준이며, 차변/대변 합계가 일치해야 함
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} data - { asOf: 기초 잔액 기준일(YYYY-MM-DD), balances: { 계정코드 또는 계정명: 금액 }, source }
+   * @returns {Object} 저장된 기초 잔액
+   */
+  setOpeningBalances(hospitalId, data) {
+    if (!data || !/^\d{4}-\d{2}-\d{2}$/.test(data.asOf || '')) {
+      throw new Error('기초 잔액 기준일(asOf, YYYY-MM-DD)이 필요합니다');
+    }
+    if (!data.balances || typeof data.balances !== 'object') {
+      throw new Error('기초 잔액(balances)이 필요합니다');
+    }
+
+    const chart = this.accountService.getChart(hospitalId);
+    const balances = {};
+    let debitNet = 0;
+
+    Object.entries(data.balances).forEach(([codeOrName, value]) => {
+      const account = chart.requireAccount(codeOrName);
+      const amount = Number(value);
+      if (!chart.isLeaf(account.code)) {
+        throw new Error(`기초 잔액은 말단 계정에만 입력할 수 있습니다: ${account.code} ${account.name}`);
+      }
+      if (!Number.isFinite(amount)) {
+        throw new Error(`기초 잔액 금액이 올바르지 않습니다: ${account.code} ${value}`);
+      }
+
+      balances[account.code] = (balances[account.code] || 0) + amount;
+      debitNet += account.normalBalance === 'debit' ? amount : -amount;
+    });
+
+    if (Math.abs(debitNet) > this.tolerance) {
+      throw new Error(`기초 잔액의 차변/대변 합계가 일치하지 않습니다 (차액 ${debitNet})`);
+    }
+
+    const openingBalances = {
+      asOf: data.asOf,
+      balances,
+      source: data.source || null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    fs.mkdirSync(this.openingBalancesDir, { recursive: true });
+    fs.writeFileSync(this.getStoreFile(hospitalId), JSON.stringify(openingBalances, null, 2));
+    return openingBalances;
+  }
+
+  /**
+   * Excel 파일에서 기초 잔액 가져오기
+   * 첫 시트의 머리글 행에서 코드(또는 계정과목명)와 잔액(또는 차변/대변) 열을 찾음
+   * @param {string} hospitalId - 병원 ID
+   * @param {Buffer} buffer - xlsx 파일 데이터
+   * @param {Object} options - { asOf, filename }
+   * @returns {Promise<Object>} 저장된 기초 잔액
+   */
+  async importOpeningBalances(hospitalId, buffer, options = {}) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw new Error('기초 잔액 시트가 없습니다');
+    }
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      const header = String(cell.value).trim();
+      Object.entries(OPENING_COLUMNS).forEach(([key, headers]) => {
+        if (headers.includes(header) && !columns[key]) {
+          columns[key] = colNumber;
+        }
+      });
+    });
+
+    if (!columns.code && !columns.name) {
+      throw new Error('코드 또는 계정과목명 열이 필요합니다');
+    }
+    if (!columns.balance && !columns.debit && !columns.credit) {
+      throw new Error('잔액 또는 차변/대변 열이 필요합니다');
+    }
+
+    const chart = this.accountService.getChart(hospitalId);
+    const balances = {};
+    const parseNumber = (value) => {
+      const raw = value && typeof value === 'object' && 'result' in value ? value.result : value;
+      return parseFloat(String(raw === null || raw === undefined ? '' : raw).replace(/[,\s]/g, '')) || 0;
+    };
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+
+      const key = [columns.code, columns.name]
+        .filter(Boolean)
+        .map((column) => row.getCell(column).value)
+        .find((value) => value !== null && value !== undefined && String(value).trim() !== '');
+      if (key === undefined) {
+        return;
+      }
+
+      const account = chart.getAccount(String(key).trim());
+      if (!account) {
+        throw new Error(`${rowNumber}행: 계정과목을 찾을 수 없습니다: ${key}`);
+      }
+
+      let amount;
+      if (columns.balance) {
+        amount = parseNumber(row.getCell(columns.balance).value);
+      } else {
+        const debitNet = parseNumber(columns.debit && row.getCell(columns.debit).value)
+          - parseNumber(columns.credit && row.getCell(columns.credit).value);
+        amount = account.normalBalance === 'debit' ? debitNet : -debitNet;
+      }
+
+      if (amount !== 0) {
+        balances[account.code] = (balances[account.code] || 0) + amount;
+      }
+    });
+
+    return this.setOpeningBalances(hospitalId, {
+      asOf: options.asOf,
+      balances,
+      source: options.filename || 'excel',
+    });
+  }
+
+  /**
+   * 기초 잔액 조회 (없으면 null)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Object|null} { asOf, balances, source, updatedAt }
+   */
+  getOpeningBalances(hospitalId) {
+    const file = this.getStoreFile(hospitalId);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * 재무상태표 작성
+   * 기초 잔액 + 기초일 이후 기준일까지의 분개(전기된 분개와 전기 전 분류 거래)를 집계
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} options - { asOf: 기준일 (기본: 마지막 거래일), transactions: 전기 전 분류 거래 }
+   * @returns {Object} 재무상태표
+   */
+  buildBalanceSheet(hospitalId, options = {}) {
+    const chart = this.accountService.getChart(hospitalId);
+    const opening = this.getOpeningBalances(hospitalId);
+    const openingDate = opening ? opening.asOf : null;
+
+    let entries = this.journalService.listEntries(hospitalId);
+    if (options.transactions) {
+      const preview = this.journalService.generateEntries(hospitalId, options.transactions, { post: false });
+      entries = entries.concat(preview.entries);
+    }
+
+    const latestDate = entries
+      .reduce((latest, entry) => (entry.date > latest ? entry.date : latest), openingDate || '');
+    const asOf = options.asOf || latestDate;
+    const periodEntries = entries
+      .filter((entry) => (!openingDate || entry.date > openingDate) && (!asOf || entry.date <= asOf));
+
+    const balances = this.sumBalances(chart, opening ? opening.balances : {}, periodEntries);
+    return this.composeBalanceSheet(chart, balances, { asOf: asOf || null, openingDate });
+  }
+
+  /**
+   * 기초 잔액과 분개를 계정별 잔액으로 합산 (정상 잔액 방향 기준)
+   * @param {ChartOfAccounts} chart - 계정과목표
+   * @param {Object} openingBalances - { 계정코드: 금액 }
+   * @param {Array} entries - 분개 목록
+   * @returns {Object} { 계정코드: 금액 }
+   */
+  sumBalances(chart, openingBalances, entries) {
+    const balances = { ...openingBalances };
+
+    entries.forEach((entry) => {
+      entry.lines.forEach((line) => {
+        const account = chart.requireAccount(line.accountCode);
+        const net = line.debit - line.credit;
+        balances[account.code] = (balances[account.code] || 0) + (account.normalBalance === 'debit' ? net : -net);
+      });
+    });
+
+    return balances;
+  }
+
+  /**
+   * 계정별 잔액으로 재무상태표 구성
+   * 수익/비용 계정 잔액은 당기순이익으로 이익잉여금 항목에 반영
+   * @param {ChartOfAccounts} chart - 계정과목표
+   * @param {Object} balances - { 계정코드: 금액 }
+   * @param {Object} period - { asOf, openingDate }
+   * @returns {Object} { asOf, openingDate, assets, liabilities, equity, netIncome, totals, check }
+   */
+  composeBalanceSheet(chart, balances, period = {}) {
+    const balanceSheetBalances = {};
+    let netIncome = 0;
+
+    Object.entries(balances).forEach(([code, amount]) => {
+      const account = chart.requireAccount(code);
+      if (account.category === 'revenue') {
+        netIncome += amount;
+      } else if (account.category === 'expense') {
+        netIncome -= amount;
+      } else {
+        balanceSheetBalances[code] = amount;
+      }
+    });
+
+    const lineTotals = chart.rollUpByStatementLine(balanceSheetBalances);
+    lineTotals[RETAINED_EARNINGS_LINE].amount += netIncome;
+    lineTotals[BALANCE_SHEET_SECTIONS.equity].amount += netIncome;
+
+    const buildLine = (line) => {
+      const accounts = Object.entries(balanceSheetBalances)
+        .map(([code, amount]) => ({ account: chart.requireAccount(code), amount }))
+        .filter(({ account, amount }) => account.statementLine === line.code && amount !== 0)
+        .sort((a, b) => a.account.code.localeCompare(b.account.code))
+        .map(({ account, amount }) => {
+          // 차감계정(감가상각누계액 등)은 음수로 표시
+          const root = chart.getAncestors(account.code)[0] || account;
+          return {
+            code: account.code,
+            name: account.name,
+            amount: account.normalBalance === root.normalBalance ? amount : -amount,
+          };
+        });
+
+      if (line.code === RETAINED_EARNINGS_LINE && netIncome !== 0) {
+        accounts.push({ code: null, name: '당기순이익', amount: netIncome });
+      }
+
+      return {
+        code: line.code,
+        name: line.name,
+        amount: lineTotals[line.code].amount,
+        accounts,
+        children: ChartOfAccounts.STATEMENT_LINES
+          .filter((child) => child.parent === line.code)
+          .map(buildLine),
+      };
+    };
+
+    const sections = {};
+    Object.entries(BALANCE_SHEET_SECTIONS).forEach(([key, code]) => {
+      sections[key] = buildLine(ChartOfAccounts.STATEMENT_LINES.find((line) => line.code === code));
+    });
+
+    const totals = {
+      assets: sections.assets.amount,
+      liabilities: sections.liabilities.amount,
+      equity: sections.equity.amount,
+      liabilitiesAndEquity: sections.liabilities.amount + sections.equity.amount,
+    };
+    const difference = totals.assets - totals.liabilitiesAndEquity;
+
+    return {
+      asOf: period.asOf || null,
+      openingDate: period.openingDate || null,
+      assets: sections.assets,
+      liabilities: sections.liabilities,
+      equity: sections.equity,
+      netIncome,
+      totals,
+      check: {
+        isBalanced: Math.abs(difference) <= this.tolerance,
+        difference,
+      },
+    };
+  }
+
+  /**
+   * 현금흐름표 작성 (간접법)
+   * 기초 시점과 기준일의 재무상태표를 비교해 당기순이익에 비현금 항목과 운전자본 변동을 조정
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} options - { from: 기간 시작일 (기본: 기초 잔액 기준일 다음 날), asOf: 기준일,
+   *   transactions: 전기 전 분류 거래, netIncome: 리포트 단계에서 계산한 당기순이익 }
+   * @returns {Object} 현금흐름표
+   */
+  buildCashFlowStatement(hospitalId, options = {}) {
+    const chart = this.accountService.getChart(hospitalId);
+    const ending = this.buildBalanceSheet(hospitalId, { asOf: options.asOf, transactions: options.transactions });
+
+    let beginning;
+    if (options.from) {
+      const previousDay = new Date(`${options.from}T00:00:00Z`);
+      previousDay.setUTCDate(previousDay.getUTCDate() - 1);
+      beginning = this.buildBalanceSheet(hospitalId, { asOf: previousDay.toISOString().slice(0, 10) });
+    } else {
+      const opening = this.getOpeningBalances(hospitalId);
+      const openingDate = opening ? opening.asOf : null;
+      beginning = this.composeBalanceSheet(chart, this.sumBalances(chart, opening ? opening.balances : {}, []), {
+        asOf: openingDate,
+        openingDate,
+      });
+    }
+
+    return this.composeCashFlowStatement(chart, beginning, ending, { netIncome: options.netIncome });
+  }
+
+  /**
+   * 두 재무상태표의 계정 잔액 변동으로 현금흐름표 구성
+   * 자산 증가는 현금 유출, 부채/자본 증가는 현금 유입으로 보고,
+   * 차감계정(감가상각누계액 등)과 충당부채 변동은 영업활동의 비현금 항목으로 가산
+   * @param {ChartOfAccounts} chart - 계정과목표
+   * @param {Object} beginning - 기초 재무상태표
+   * @param {Object} ending - 기말 재무상태표
+   * @param {Object} options - { netIncome: 당기순이익 (기본: 두 재무상태표의 당기순이익 차이) }
+   * @returns {Object} { period, netIncome, operating, investing, financing, netChange,
+   *                     beginningCash, endingCash, check }
+   */
+  composeCashFlowStatement(chart, beginning, ending, options = {}) {
+    const cashCodes = new Set(Object.values(this.journalService.settlementAccounts).map((accounts) => accounts.cash));
+    const netIncome = options.netIncome !== undefined && options.netIncome !== null
+      ? Number(options.netIncome)
+      : ending.netIncome - beginning.netIncome;
+
+    const beginningAmounts = this.flattenBalanceSheet(beginning);
+    const endingAmounts = this.flattenBalanceSheet(ending);
+    const codes = Array.from(new Set(Object.keys(beginningAmounts).concat(Object.keys(endingAmounts)))).sort();
+
+    const activities = {
+      operating: {
+        amount: netIncome,
+        items: [{
+          code: null, name: '당기순이익', kind: 'netIncome', change: null, amount: netIncome,
+        }],
+      },
+      investing: { amount: 0, items: [] },
+      financing: { amount: 0, items: [] },
+    };
+    let beginningCash = 0;
+    let endingCash = 0;
+
+    codes.forEach((code) => {
+      const before = beginningAmounts[code] || 0;
+      const after = endingAmounts[code] || 0;
+      if (cashCodes.has(code)) {
+        beginningCash += before;
+        endingCash += after;
+        return;
+      }
+
+      const change = after - before;
+      if (change === 0) {
+        return;
+      }
+
+      const account = chart.requireAccount(code);
+      const root = chart.getAncestors(code)[0] || account;
+      const isContra = account.normalBalance !== root.normalBalance;
+      const amount = account.category === 'asset' ? -change : change;
+
+      let activity = this.getCashFlowActivity(account.statementLine);
+      let kind = activity === 'operating' ? 'workingCapital' : activity;
+      if (isContra || (account.category === 'liability' && PROVISION_PATTERN.test(account.name))) {
+        activity = 'operating';
+        kind = 'nonCash';
+      }
+
+      activities[activity].amount += amount;
+      activities[activity].items.push({
+        code: account.code,
+        name: `${account.name}의 ${(isContra ? -change : change) > 0 ? '증가' : '감소'}`,
+        kind,
+        change,
+        amount,
+      });
+    });
+
+    const netChange = activities.operating.amount + activities.investing.amount + activities.financing.amount;
+    const difference = netChange - (endingCash - beginningCash);
+
+    return {
+      period: { from: beginning.asOf, to: ending.asOf },
+      netIncome,
+      operating: activities.operating,
+      investing: activities.investing,
+      financing: activities.financing,
+      netChange,
+      beginningCash,
+      endingCash,
+      check: {
+        isBalanced: Math.abs(difference) <= this.tolerance,
+        difference,
+      },
+    };
+  }
+
+  /**
+   * 재무상태표의 계정별 표시 금액 추출 (당기순이익 행 제외)
+   * @param {Object} balanceSheet - 재무상태표
+   * @returns {Object} { 계정코드: 금액 }
+   */
+  flattenBalanceSheet(balanceSheet) {
+    const amounts = {};
+    const visit = (line) => {
+      line.accounts
+        .filter((account) => account.code)
+        .forEach((account) => {
+          amounts[account.code] = (amounts[account.code] || 0) + account.amount;
+        });
+      line.children.forEach(visit);
+    };
+
+    Object.keys(BALANCE_SHEET_SECTIONS).forEach((section) => visit(balanceSheet[section]));
+    return amounts;
+  }
+
+  /**
+   * 재무제표 항목의 현금흐름 활동 구분
+   * @param {string} lineCode - 재무제표 항목 코드
+   * @returns {string} operating | investing | financing
+   */
+  getCashFlowActivity(lineCode) {
+    let code = lineCode;
+    while (code && !CASH_FLOW_ACTIVITIES[code]) {
+      const current = code;
+      const line = ChartOfAccounts.STATEMENT_LINES.find((item) => item.code === current);
+      code = line ? line.parent : null;
+    }
+
+    return CASH_FLOW_ACTIVITIES[code] || 'operating';
+  }
+
+  /**
+   * 기초 잔액에 사용된 계정인지 확인 (계정 삭제 제한용)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} accountCode - 계정 코드
+   * @returns {boolean} 사용 여부
+   */
+  hasOpeningBalance(hospitalId, accountCode) {
+    const opening = this.getOpeningBalances(hospitalId);
+    return Boolean(opening && opening.balances[accountCode]);
+  }
+
+  getStoreFile(hospitalId) {
+    return path.join(this.openingBalancesDir, `${this.getScope(hospitalId)}.json`);
+  }
+
+  /**
+   * 저장 범위 (병원 ID, 없으면 기본 범위)
+   */
+  getScope(hospitalId) {
+    if (hospitalId && !/^[\w가-힣-]+$/.test(hospitalId)) {
+      throw new Error(`잘못된 병원 ID입니다: ${hospitalId}`);
+    }
+
+    return hospitalId || DEFAULT_SCOPE;
+  }
+}
+
+FinancialStatementService.BALANCE_SHEET_SECTIONS = BALANCE_SHEET_SECTIONS;
+FinancialStatementService.CASH_FLOW_ACTIVITIES = CASH_FLOW_ACTIVITIES;
+
+module.exports = FinancialStatementService;
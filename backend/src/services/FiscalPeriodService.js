@@ -0,0 +1,541 @@
+/**
+ * 회계기간 서비스
+ * 워크플로우 실행을 회계연도/월(YYYY-MM)에 연결해 기간별 분류 거래를 누적하고,
+ * 월 마감 시 분류 거래와 재무제표를 고정(스냅샷)하며, 마감 해제는 사유와 함께 이력으로 남김
+ * 마감된 월에 속한 거래는 다시 가져오거나 분개할 수 없음
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+// 병원 ID를 지정하지 않은 요청의 저장 범위 (CorrectionService와 같은 키)
+const DEFAULT_SCOPE = '@default';
+
+const PERIOD_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// 거래 일자 필드 (분개장과 동일)
+const DATE_FIELDS = ['날짜', 'date', '거래일', '수납일', '진료일'];
+
+// 기간 거래로 저장하지 않는 분류 결과 필드 (설명/추적 정보)
+const TRANSIENT_FIELDS = ['explanation', 'appliedRules', 'statisticalPrediction'];
+
+class FiscalPeriodService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {string} options.periodsDir - 회계기간 저장 경로
+   * @param {JournalService} options.journalService - 시산표 작성용 분개장 서비스
+   * @param {FinancialStatementService} options.financialStatementService - 재무상태표 작성 서비스
+   */
+  constructor(options = {}) {
+    this.periodsDir = options.periodsDir || path.join(config.dataDir, 'periods');
+    this.journalService = options.journalService || null;
+    this.financialStatementService = options.financialStatementService || null;
+  }
+
+  /**
+   * 회계기간 설정 조회
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Object} { fiscalYearStartMonth }
+   */
+  getSettings(hospitalId) {
+    const file = path.join(this.getScopeDir(hospitalId), 'settings.json');
+    if (!fs.existsSync(file)) {
+      return { fiscalYearStartMonth: 1 };
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * 회계연도 시작 월 설정 (예: 3이면 3월 ~ 다음 해 2월)
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} settings - { fiscalYearStartMonth }
+   * @returns {Object} 저장된 설정
+   */
+  updateSettings(hospitalId, settings = {}) {
+    const month = Number(settings.fiscalYearStartMonth);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw new Error('회계연도 시작 월(fiscalYearStartMonth)은 1~12 사이여야 합니다');
+    }
+    if (this.listPeriods(hospitalId).some((period) => period.status === PERIOD_STATUS.CLOSED)) {
+      throw new Error('마감된 회계기간이 있으면 회계연도 시작 월을 바꿀 수 없습니다');
+    }
+
+    const saved = { fiscalYearStartMonth: month, updatedAt: new Date().toISOString() };
+    fs.mkdirSync(this.getScopeDir(hospitalId), { recursive: true });
+    fs.writeFileSync(path.join(this.getScopeDir(hospitalId), 'settings.json'), JSON.stringify(saved, null, 2));
+    return saved;
+  }
+
+  /**
+   * 회계기간의 회계연도와 회계연도 내 월 순번
+   * 회계연도는 시작 월이 속한 연도로 표기 (시작 월 3월이면 2025-02는 2024 회계연도 12번째 월)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @returns {Object} { period, fiscalYear, fiscalMonth, fiscalYearStart, from, to }
+   */
+  describePeriod(hospitalId, period) {
+    const { year, month } = this.parsePeriod(period);
+    const startMonth = this.getSettings(hospitalId).fiscalYearStartMonth;
+    const fiscalYear = month >= startMonth ? year : year - 1;
+
+    return {
+      period,
+      fiscalYear,
+      fiscalMonth: ((month - startMonth + 12) % 12) + 1,
+      fiscalYearStart: `${fiscalYear}-${String(startMonth).padStart(2, '0')}`,
+      from: `${period}-01`,
+      to: `${period}-${String(new Date(Date.UTC(year, month, 0)).getUTCDate()).padStart(2, '0')}`,
+    };
+  }
+
+  /**
+   * 회계기간 목록 (기록이 있는 기간만, 최근 순)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Array} 회계기간 요약 목록
+   */
+  listPeriods(hospitalId) {
+    const scopeDir = this.getScopeDir(hospitalId);
+    if (!fs.existsSync(scopeDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(scopeDir)
+      .map((file) => path.parse(file).name)
+      .filter((name) => PERIOD_PATTERN.test(name))
+      .sort((a, b) => b.localeCompare(a))
+      .map((period) => this.toSummary(hospitalId, this.loadPeriod(hospitalId, period)));
+  }
+
+  /**
+   * 계정을 쓰는 회계기간 분류 거래 수 (마감된 기간의 고정된 거래 포함, 계정 삭제 전 참조 확인용)
+   * @param {string} hospitalId - 병원 ID
+   * @param {Set<string>} accountNames - 계정과목명과 별칭
+   * @returns {Object} { count, periods: 해당 거래가 있는 회계기간 목록 }
+   */
+  countAccountTransactions(hospitalId, accountNames) {
+    const result = { count: 0, periods: [] };
+    this.listPeriods(hospitalId).forEach((summary) => {
+      const used = this.loadPeriod(hospitalId, summary.period).transactions
+        .filter((transaction) => accountNames.has(transaction.account)).length;
+      if (used > 0) {
+        result.count += used;
+        result.periods.push(summary.status === PERIOD_STATUS.CLOSED ? `${summary.period} (마감)` : summary.period);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * 회계기간 조회 (기록이 없으면 열린 빈 기간)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @param {Object} options - { includeTransactions: 분류 거래 포함 여부 }
+   * @returns {Object} 회계기간
+   */
+  getPeriod(hospitalId, period, options = {}) {
+    const record = this.loadPeriod(hospitalId, period);
+    if (options.includeTransactions) {
+      return record;
+    }
+
+    const { transactions, ...rest } = record;
+    return { ...rest, transactionCount: transactions.length };
+  }
+
+  /**
+   * 마감된 회계기간인지 확인
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} date - 일자 (YYYY-MM-DD) 또는 회계기간 (YYYY-MM)
+   * @returns {string|null} 마감된 회계기간 (열려 있으면 null)
+   */
+  findClosedPeriod(hospitalId, date) {
+    const period = date ? String(date).substring(0, 7) : null;
+    if (!period || !PERIOD_PATTERN.test(period)) {
+      return null;
+    }
+
+    const file = this.getPeriodFile(hospitalId, period);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return this.loadPeriod(hospitalId, period).status === PERIOD_STATUS.CLOSED ? period : null;
+  }
+
+  /**
+   * 열린 회계기간인지 확인 (마감되었으면 오류)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} date - 일자 또는 회계기간
+   */
+  assertOpen(hospitalId, date) {
+    const closed = this.findClosedPeriod(hospitalId, date);
+    if (closed) {
+      throw new Error(`마감된 회계기간입니다: ${closed}`);
+    }
+  }
+
+  /**
+   * 가져올 행 확인
+   * 마감된 월의 행과, 회계기간을 지정한 경우 다른 월의 행은 제외 (일자가 없는 행은 지정한 기간으로 간주)
+   * @param {string} hospitalId - 병원 ID
+   * @param {Array} rows - 원본 거래 행
+   * @param {Object} options - { period: 실행을 연결할 회계기간 }
+   * @returns {Object} { accepted: 가져올 행, rejected: [{ rowIndex, period, reason }] }
+   */
+  checkImport(hospitalId, rows, options = {}) {
+    if (options.period) {
+      this.parsePeriod(options.period);
+      this.assertOpen(hospitalId, options.period);
+    }
+
+    const accepted = [];
+    const rejected = [];
+    const closedCache = new Map();
+    const isClosed = (period) => {
+      if (!closedCache.has(period)) {
+        closedCache.set(period, Boolean(this.findClosedPeriod(hospitalId, period)));
+      }
+      return closedCache.get(period);
+    };
+
+    rows.forEach((row, rowIndex) => {
+      const period = this.extractPeriod(row);
+
+      if (period && isClosed(period)) {
+        rejected.push({ rowIndex, period, reason: `마감된 회계기간의 거래입니다 (${period})` });
+      } else if (period && options.period && period !== options.period) {
+        rejected.push({ rowIndex, period, reason: `실행 회계기간(${options.period})이 아닌 거래입니다` });
+      } else {
+        accepted.push(row);
+      }
+    });
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * 실행 결과를 회계기간에 기록
+   * 같은 원본 행(내용과 파일 내 같은 내용 행의 순번이 같은 행)은 다시 가져와도 한 번만 누적
+   * 이미 기록한 runId(재개한 워크플로우 작업 등)를 다시 기록하면 처음 기록을 그대로 반환
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @param {Object} run - { runId, source, classifiedTransactions, rejectedRows }
+   * @returns {Object} 기록된 실행 ({ runId, source, transactionCount, added, duplicates, rejected, recordedAt })
+   */
+  recordRun(hospitalId, period, run = {}) {
+    this.assertOpen(hospitalId, period);
+    const record = this.loadPeriod(hospitalId, period);
+    const recorded = run.runId ? record.runs.find((saved) => saved.runId === run.runId) : null;
+    if (recorded) {
+      return recorded;
+    }
+    const existingKeys = new Set(record.transactions.map((transaction) => transaction.sourceKey));
+
+    const transactions = this.assignSourceKeys(run.classifiedTransactions || []);
+    const added = transactions.filter((transaction) => !existingKeys.has(transaction.sourceKey));
+
+    const entry = {
+      runId: run.runId || uuidv4(),
+      source: run.source || null,
+      transactionCount: transactions.length,
+      added: added.length,
+      duplicates: transactions.length - added.length,
+      rejected: (run.rejectedRows || []).length,
+      recordedAt: new Date().toISOString(),
+    };
+
+    record.transactions = [...record.transactions, ...added];
+    record.runs = [...record.runs, entry];
+    this.savePeriod(hospitalId, record);
+    return entry;
+  }
+
+  /**
+   * 월 마감 (분류 거래와 재무제표 고정)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @param {Object} options - { closedBy, note }
+   * @returns {Object} 마감된 회계기간 (거래 제외)
+   */
+  closePeriod(hospitalId, period, options = {}) {
+    const record = this.loadPeriod(hospitalId, period);
+    if (record.status === PERIOD_STATUS.CLOSED) {
+      throw new Error(`이미 마감된 회계기간입니다: ${period}`);
+    }
+
+    const now = new Date().toISOString();
+    const statements = this.buildStatements(hospitalId, record);
+
+    record.status = PERIOD_STATUS.CLOSED;
+    record.closedAt = now;
+    record.closedBy = options.closedBy || null;
+    record.snapshot = {
+      frozenAt: now,
+      transactionCount: record.transactions.length,
+      statements,
+    };
+    record.history.push({
+      action: 'close',
+      at: now,
+      by: options.closedBy || null,
+      reason: options.note || null,
+      transactionCount: record.transactions.length,
+      netIncome: statements.incomeStatement.netIncome,
+    });
+
+    this.savePeriod(hospitalId, record);
+    return this.getPeriod(hospitalId, period);
+  }
+
+  /**
+   * 마감 해제 (사유 필수, 마감 당시 스냅샷 요약은 이력에 남음)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @param {Object} options - { reason, reopenedBy }
+   * @returns {Object} 다시 열린 회계기간 (거래 제외)
+   */
+  reopenPeriod(hospitalId, period, options = {}) {
+    if (!options.reason || !String(options.reason).trim()) {
+      throw new Error('마감 해제 사유(reason)가 필요합니다');
+    }
+
+    const record = this.loadPeriod(hospitalId, period);
+    if (record.status !== PERIOD_STATUS.CLOSED) {
+      throw new Error(`마감되지 않은 회계기간입니다: ${period}`);
+    }
+
+    record.status = PERIOD_STATUS.OPEN;
+    record.closedAt = null;
+    record.closedBy = null;
+    record.snapshot = null;
+    record.history.push({
+      action: 'reopen',
+      at: new Date().toISOString(),
+      by: options.reopenedBy || null,
+      reason: String(options.reason).trim(),
+    });
+
+    this.savePeriod(hospitalId, record);
+    return this.getPeriod(hospitalId, period);
+  }
+
+  /**
+   * 회계기간 재무제표 (마감된 기간은 고정된 스냅샷, 열린 기간은 현재 값으로 작성)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @returns {Object} { period, status, frozen, incomeStatement, balanceSheet, trialBalance }
+   */
+  getStatements(hospitalId, period) {
+    const record = this.loadPeriod(hospitalId, period);
+    const frozen = record.status === PERIOD_STATUS.CLOSED && record.snapshot;
+
+    return {
+      ...this.describePeriod(hospitalId, period),
+      status: record.status,
+      frozen: Boolean(frozen),
+      ...(frozen ? record.snapshot.statements : this.buildStatements(hospitalId, record)),
+    };
+  }
+
+  /**
+   * 회계기간 손익계산서 (마감된 기간은 마감 시점 값)
+   * 기록이 없는 기간은 recorded: false와 빈 손익계산서
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} period - 회계기간 (YYYY-MM)
+   * @returns {Object} { period, status, recorded, frozen, incomeStatement }
+   */
+  getIncomeStatement(hospitalId, period) {
+    const recorded = fs.existsSync(this.getPeriodFile(hospitalId, period));
+    const record = this.loadPeriod(hospitalId, period);
+    const frozen = record.status === PERIOD_STATUS.CLOSED && record.snapshot;
+
+    return {
+      period,
+      status: record.status,
+      recorded,
+      frozen: Boolean(frozen),
+      incomeStatement: frozen
+        ? record.snapshot.statements.incomeStatement
+        : this.buildIncomeStatement(record.transactions),
+    };
+  }
+
+  /**
+   * 회계기간 재무제표 작성
+   * 손익계산서는 기간 분류 거래, 재무상태표(월말 기준)와 시산표(해당 월)는 분개장 기준
+   */
+  buildStatements(hospitalId, record) {
+    const { to, from } = this.describePeriod(hospitalId, record.period);
+
+    return {
+      incomeStatement: this.buildIncomeStatement(record.transactions),
+      balanceSheet: this.financialStatementService
+        ? this.financialStatementService.buildBalanceSheet(hospitalId, { asOf: to })
+        : null,
+      trialBalance: this.journalService
+        ? this.journalService.getTrialBalance(hospitalId, { from, to })
+        : null,
+    };
+  }
+
+  /**
+   * 분류 거래의 계정별 수익/비용 합계
+   * @param {Array} transactions - 분류 거래
+   * @returns {Object} { revenue, expenses, totals: { revenue, expenses }, netIncome }
+   */
+  buildIncomeStatement(transactions) {
+    const revenue = {};
+    const expenses = {};
+
+    transactions.forEach((transaction) => {
+      const amount = transaction.amount !== undefined
+        ? transaction.amount
+        : (transaction.metadata && transaction.metadata.amount) || 0;
+      const target = transaction.transactionType === 'expense' ? expenses : revenue;
+      target[transaction.account] = (target[transaction.account] || 0) + amount;
+    });
+
+    const sum = (group) => Object.values(group).reduce((total, amount) => total + amount, 0);
+    const totals = { revenue: sum(revenue), expenses: sum(expenses) };
+
+    return {
+      revenue,
+      expenses,
+      totals,
+      netIncome: totals.revenue - totals.expenses,
+    };
+  }
+
+  /**
+   * 분류 결과에 원본 행 식별 키 부여 (설명/추적 정보 제외)
+   * 같은 원본 행에서 나온 분할 라인은 같은 행 키에 분할 라벨을 붙임
+   */
+  assignSourceKeys(classifiedTransactions) {
+    const occurrences = new Map(); // 행 내용 해시 → 지금까지 나온 행 수
+    const rowKeys = new Map(); // rowIndex → 행 키
+
+    return classifiedTransactions.map((transaction, index) => {
+      let rowIndex = transaction.rowIndex !== undefined ? transaction.rowIndex : index;
+      if (transaction.split) {
+        rowIndex = transaction.split.sourceRowIndex;
+      }
+
+      if (!rowKeys.has(rowIndex)) {
+        const hash = crypto.createHash('sha1')
+          .update(JSON.stringify(transaction.originalData || {}))
+          .digest('hex')
+          .substring(0, 16);
+        const occurrence = occurrences.get(hash) || 0;
+        occurrences.set(hash, occurrence + 1);
+        rowKeys.set(rowIndex, `${hash}:${occurrence}`);
+      }
+
+      const stored = { ...transaction };
+      TRANSIENT_FIELDS.forEach((field) => delete stored[field]);
+      stored.sourceKey = transaction.split
+        ? `${rowKeys.get(rowIndex)}:${transaction.split.label}`
+        : rowKeys.get(rowIndex);
+      return stored;
+    });
+  }
+
+  /**
+   * 원본 행의 회계기간 (일자가 없거나 형식을 알 수 없으면 null)
+   * @param {Object} row - 원본 거래 행
+   * @returns {string|null} 회계기간 (YYYY-MM)
+   */
+  extractPeriod(row) {
+    const value = DATE_FIELDS.map((field) => row[field]).find(Boolean);
+    if (!value) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      const local = new Date(value.getTime() - value.getTimezoneOffset() * 60000);
+      return local.toISOString().substring(0, 7);
+    }
+
+    const match = String(value).match(/^(\d{4})[-./](\d{1,2})/);
+    if (match) {
+      return `${match[1]}-${match[2].padStart(2, '0')}`;
+    }
+
+    const digits = String(value).replace(/[^\d]/g, '');
+    return digits.length === 8 ? `${digits.substring(0, 4)}-${digits.substring(4, 6)}` : null;
+  }
+
+  parsePeriod(period) {
+    const match = PERIOD_PATTERN.exec(period || '');
+    if (!match) {
+      throw new Error(`회계기간은 YYYY-MM 형식이어야 합니다: ${period}`);
+    }
+    return { year: Number(match[1]), month: Number(match[2]) };
+  }
+
+  toSummary(hospitalId, record) {
+    return {
+      ...this.describePeriod(hospitalId, record.period),
+      status: record.status,
+      runCount: record.runs.length,
+      transactionCount: record.transactions.length,
+      closedAt: record.closedAt,
+      closedBy: record.closedBy,
+    };
+  }
+
+  loadPeriod(hospitalId, period) {
+    this.parsePeriod(period);
+    const file = this.getPeriodFile(hospitalId, period);
+    if (!fs.existsSync(file)) {
+      return {
+        hospitalId: hospitalId || null,
+        period,
+        status: PERIOD_STATUS.OPEN,
+        runs: [],
+        transactions: [],
+        snapshot: null,
+        closedAt: null,
+        closedBy: null,
+        history: [],
+      };
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  savePeriod(hospitalId, record) {
+    fs.mkdirSync(this.getScopeDir(hospitalId), { recursive: true });
+    fs.writeFileSync(this.getPeriodFile(hospitalId, record.period), JSON.stringify(record, null, 2));
+  }
+
+  getPeriodFile(hospitalId, period) {
+    return path.join(this.getScopeDir(hospitalId), `${period}.json`);
+  }
+
+  getScopeDir(hospitalId) {
+    return path.join(this.periodsDir, this.getScope(hospitalId));
+  }
+
+  /**
+   * 저장 범위 (병원 ID, 없으면 기본 범위)
+   */
+  getScope(hospitalId) {
+    if (hospitalId && !/^[\w가-힣-]+$/.test(hospitalId)) {
+      throw new Error(`잘못된 병원 ID입니다: ${hospitalId}`);
+    }
+
+    return hospitalId || DEFAULT_SCOPE;
+  }
+}
+
+FiscalPeriodService.PERIOD_STATUS = PERIOD_STATUS;
+
+module.exports = FiscalPeriodService;
@@ -0,0 +1,537 @@
+/**
+ * 분개장 서비스
+ * 분류된 거래를 복식부기 분개로 변환해 저장하고, 수동 수정분개와 총계정원장/시산표를 제공
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JournalEntry = require('../models/JournalEntry');
+const AccountService = require('./AccountService');
+
+// 병원 ID를 지정하지 않은 요청의 저장 범위 (CorrectionService와 같은 키)
+const DEFAULT_SCOPE = '@default';
+
+// 상대 계정 (현금 거래 / 외상 거래)
+const SETTLEMENT_ACCOUNTS = {
+  revenue: { cash: '1110', credit: '1120' }, // 현금및현금성자산 / 의료미수금
+  expense: { cash: '1110', credit: '2120' }, // 현금및현금성자산 / 미지급금
+};
+
+// 외상(미수/미지급) 거래 판단
+const PAYMENT_FIELDS = ['결제방법', '결제수단', '지급방법', 'paymentMethod'];
+const CREDIT_PAYMENTS = ['외상', '미수', '미지급', '청구', 'credit'];
+const CREDIT_SPLIT_LABELS = ['공단', '청구', '보험사'];
+
+// 금액 필드 우선순위 (분류 엔진과 동일, 음수 허용)
+const AMOUNT_FIELDS = ['총진료비', '수납액', '환자부담액', '청구액', '카드수납액', '현금수납액', '금액', 'amount', '공급가액'];
+const DATE_FIELDS = ['날짜', 'date', '거래일', '수납일', '진료일'];
+
+class JournalService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {string} options.journalDir - 분개장 저장 경로
+   * @param {AccountService} options.accountService - 병원별 계정과목표 제공 서비스
+   * @param {Object} options.settlementAccounts - 상대 계정 코드 ({ revenue: { cash, credit }, expense: { cash, credit } })
+   * @param {Function} options.periodLock - 마감된 회계기간 조회 ((hospitalId, date) => 마감된 기간 YYYY-MM | null)
+   */
+  constructor(options = {}) {
+    this.journalDir = options.journalDir || path.join(config.dataDir, 'journal');
+    this.accountService = options.accountService || new AccountService();
+    this.settlementAccounts = options.settlementAccounts || SETTLEMENT_ACCOUNTS;
+    this.periodLock = options.periodLock || (() => null);
+  }
+
+  /**
+   * 분류된 거래에서 분개 생성
+   * 분할 분류된 라인은 원 거래 단위로 묶어 하나의 복합 분개로 만들고, 이미 전기된 거래와 마감된 월의 거래는 건너뜀
+   * @param {string} hospitalId - 병원 ID
+   * @param {Array} classifiedTransactions - 분류 결과 또는 분류된 Transaction 목록
+   * @param {Object} options - { post: 저장 여부 (기본 true) }
+   * @returns {Object} { entries, skipped, duplicates }
+   */
+  generateEntries(hospitalId, classifiedTransactions, options = {}) {
+    if (!Array.isArray(classifiedTransactions)) {
+      throw new Error('분류된 거래 목록이 필요합니다');
+    }
+
+    const chart = this.accountService.getChart(hospitalId);
+    const store = this.loadEntries(hospitalId);
+    const postedKeys = new Set(store.filter((entry) => entry.source).map((entry) => entry.source.sourceKey));
+
+    const entries = [];
+    const skipped = [];
+    const lockCache = new Map(); // 월 → 마감 여부
+    let duplicates = 0;
+
+    this.groupBySource(classifiedTransactions).forEach((group) => {
+      try {
+        if (postedKeys.has(group.sourceKey)) {
+          duplicates += 1;
+          return;
+        }
+
+        const entry = this.buildEntry(chart, group);
+        this.assertPeriodOpen(hospitalId, entry.date, lockCache);
+        entries.push(entry);
+        postedKeys.add(group.sourceKey);
+      } catch (error) {
+        skipped.push({ rowIndex: group.rowIndex, reason: error.message });
+      }
+    });
+
+    if (options.post !== false && entries.length > 0) {
+      this.writeEntries(hospitalId, [...store, ...entries]);
+    }
+
+    return {
+      entries,
+      skipped,
+      duplicates,
+    };
+  }
+
+  /**
+   * 분류 결과를 원 거래 단위로 묶기
+   * @param {Array} classifiedTransactions - 분류 결과 또는 Transaction 목록
+   * @returns {Array} [{ sourceKey, rowIndex, row, lines: [분류 결과] }]
+   */
+  groupBySource(classifiedTransactions) {
+    const groups = new Map();
+
+    classifiedTransactions.forEach((item, index) => {
+      // Transaction 모델은 classification에, 분류 엔진 결과는 자체에 분류 정보가 있음
+      const classification = item.classification || item;
+      const row = item.originalData || {};
+      let rowIndex = classification.rowIndex !== undefined ? classification.rowIndex : index;
+      if (classification.split) {
+        rowIndex = classification.split.sourceRowIndex;
+      }
+      const sourceKey = item.id || `${this.hashRow(row)}:${rowIndex}`;
+
+      if (!groups.has(sourceKey)) {
+        groups.set(sourceKey, {
+          sourceKey, rowIndex, row, lines: [],
+        });
+      }
+      groups.get(sourceKey).lines.push(classification);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * 원 거래 1건의 분개 생성
+   * 수익: (차) 현금/의료미수금 (대) 수익 계정, 비용: (차) 비용 계정 (대) 현금/미지급금
+   * 음수 수익(환불)은 차변/대변을 반대로 기록
+   */
+  buildEntry(chart, group) {
+    const lines = [];
+    const addLine = (account, side, amount, memo) => {
+      const existing = lines.find((line) => line.accountCode === account.code && line[side] > 0 && line.memo === memo);
+      if (existing) {
+        existing[side] += amount;
+        return;
+      }
+      lines.push({
+        accountCode: account.code,
+        accountName: account.name,
+        debit: side === 'debit' ? amount : 0,
+        credit: side === 'credit' ? amount : 0,
+        memo,
+      });
+    };
+
+    group.lines.forEach((classification) => {
+      const signedAmount = classification.amount !== undefined
+        ? classification.amount
+        : this.extractAmount(group.row);
+      const amount = Math.abs(signedAmount);
+      if (!amount) {
+        return;
+      }
+
+      const { transactionType } = classification;
+      if (!this.settlementAccounts[transactionType]) {
+        throw new Error(`거래 유형을 알 수 없습니다: ${transactionType}`);
+      }
+
+      const account = this.resolveAccount(chart, classification);
+      const counter = chart.requireAccount(this.selectSettlementAccount(transactionType, group.row, classification));
+      const memo = classification.split ? classification.split.label : null;
+
+      const reversed = transactionType === 'revenue' && signedAmount < 0;
+      const accountSide = (transactionType === 'revenue') !== reversed ? 'credit' : 'debit';
+      const counterSide = accountSide === 'credit' ? 'debit' : 'credit';
+
+      addLine(counter, counterSide, amount, memo);
+      addLine(account, accountSide, amount, memo);
+    });
+
+    if (lines.length === 0) {
+      throw new Error('분개할 금액이 없습니다');
+    }
+
+    // 차변 라인을 먼저 기록
+    lines.sort((a, b) => (b.debit > 0) - (a.debit > 0));
+
+    const first = group.lines[0];
+    return JournalEntry.create({
+      date: this.extractDate(group.row),
+      description: this.describe(group.row, first),
+      type: 'classification',
+      lines,
+      source: {
+        sourceKey: group.sourceKey,
+        rowIndex: group.rowIndex,
+        account: first.account,
+        classificationMethod: first.classificationMethod || null,
+        ruleIds: first.explanation ? first.explanation.ruleIds : [],
+        splitRuleId: first.split ? first.split.ruleId : null,
+      },
+    });
+  }
+
+  /**
+   * 분류 결과의 말단 계정 조회 (통합된 계정은 통합 대상 계정)
+   */
+  resolveAccount(chart, classification) {
+    const leaf = (classification.leafAccount && chart.resolveLeaf(classification.leafAccount.code))
+      || chart.resolveLeaf(classification.account);
+    if (!leaf) {
+      throw new Error(`말단 계정으로 매핑할 수 없는 계정입니다: ${classification.account}`);
+    }
+    return leaf;
+  }
+
+  /**
+   * 상대 계정 선택 (결제방법이 외상/청구이거나 공단부담 분할 라인이면 미수/미지급 계정)
+   */
+  selectSettlementAccount(transactionType, row, classification) {
+    const payment = PAYMENT_FIELDS.map((field) => row[field]).find(Boolean);
+    const label = classification.split ? classification.split.label : '';
+
+    const isCredit = (payment && CREDIT_PAYMENTS.some((keyword) => String(payment).includes(keyword)))
+      || (transactionType === 'revenue' && CREDIT_SPLIT_LABELS.some((keyword) => label.includes(keyword)));
+
+    return this.settlementAccounts[transactionType][isCredit ? 'credit' : 'cash'];
+  }
+
+  /**
+   * 수동 수정분개 등록
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} data - { date, description, lines, reason, createdBy }
+   * @returns {JournalEntry} 등록된 분개
+   */
+  addAdjustingEntry(hospitalId, data) {
+    this.assertPeriodOpen(hospitalId, data.date);
+    const chart = this.accountService.getChart(hospitalId);
+    const lines = (data.lines || []).map((line) => {
+      const account = chart.requireAccount(line.accountCode || line.accountName);
+      if (!chart.isLeaf(account.code)) {
+        throw new Error(`말단 계정에만 분개할 수 있습니다: ${account.code} ${account.name}`);
+      }
+      if (!account.isActive) {
+        throw new Error(`비활성 계정에는 분개할 수 없습니다: ${account.code} ${account.name}`);
+      }
+      return { ...line, accountCode: account.code, accountName: account.name };
+    });
+
+    const entry = JournalEntry.create({
+      date: data.date,
+      description: data.description,
+      type: 'adjustment',
+      lines,
+      reason: data.reason,
+      createdBy: data.createdBy,
+    });
+
+    this.writeEntries(hospitalId, [...this.loadEntries(hospitalId), entry]);
+    return entry;
+  }
+
+  /**
+   * 분개 취소 (역분개 등록)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} entryId - 분개 ID
+   * @param {Object} options - { date, reason, createdBy }
+   * @returns {JournalEntry} 역분개
+   */
+  reverseEntry(hospitalId, entryId, options = {}) {
+    const store = this.loadEntries(hospitalId);
+    const entry = store.find((item) => item.id === entryId);
+
+    if (!entry) {
+      throw new Error(`분개를 찾을 수 없습니다: ${entryId}`);
+    }
+    if (entry.type === 'reversal') {
+      throw new Error('역분개는 다시 취소할 수 없습니다');
+    }
+    if (store.some((item) => item.reversalOf === entryId)) {
+      throw new Error(`이미 취소된 분개입니다: ${entryId}`);
+    }
+
+    const reversal = entry.reverse(options);
+    this.assertPeriodOpen(hospitalId, reversal.date);
+    this.writeEntries(hospitalId, [...store, reversal]);
+    return reversal;
+  }
+
+  /**
+   * 분개 조회
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} filters - { from, to, type, accountCode }
+   * @returns {Array} 분개 목록 (일자 순)
+   */
+  listEntries(hospitalId, filters = {}) {
+    return this.loadEntries(hospitalId)
+      .filter((entry) => this.inPeriod(entry.date, filters.from, filters.to))
+      .filter((entry) => !filters.type || entry.type === filters.type)
+      .filter((entry) => !filters.accountCode || entry.lines.some((line) => line.accountCode === filters.accountCode))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * 총계정원장
+   * 계정별 기초 잔액, 기간 중 거래와 누적 잔액, 기말 잔액 (정상 잔액 방향 기준)
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} filters - { from, to, accountCode }
+   * @returns {Array} [{ code, name, normalBalance, openingBalance, lines, totals, closingBalance }]
+   */
+  getGeneralLedger(hospitalId, filters = {}) {
+    const chart = this.accountService.getChart(hospitalId);
+    const accountCode = filters.accountCode ? chart.requireAccount(filters.accountCode).code : null;
+    const ledgers = new Map();
+
+    const ledgerFor = (line) => {
+      if (!ledgers.has(line.accountCode)) {
+        const account = chart.getAccount(line.accountCode);
+        ledgers.set(line.accountCode, {
+          code: line.accountCode,
+          name: account ? account.name : line.accountName,
+          normalBalance: account ? account.normalBalance : 'debit',
+          openingBalance: 0,
+          lines: [],
+          totals: { debit: 0, credit: 0 },
+          closingBalance: 0,
+        });
+      }
+      return ledgers.get(line.accountCode);
+    };
+
+    this.listEntries(hospitalId, { to: filters.to }).forEach((entry) => {
+      const isOpening = filters.from && entry.date < filters.from;
+
+      entry.lines
+        .filter((line) => !accountCode || line.accountCode === accountCode)
+        .forEach((line) => {
+          const ledger = ledgerFor(line);
+          const change = this.signedChange(ledger.normalBalance, line);
+
+          if (isOpening) {
+            ledger.openingBalance += change;
+            ledger.closingBalance += change;
+            return;
+          }
+
+          ledger.closingBalance += change;
+          ledger.totals.debit += line.debit;
+          ledger.totals.credit += line.credit;
+          ledger.lines.push({
+            entryId: entry.id,
+            date: entry.date,
+            description: entry.description,
+            type: entry.type,
+            memo: line.memo || null,
+            debit: line.debit,
+            credit: line.credit,
+            balance: ledger.closingBalance,
+          });
+        });
+    });
+
+    return Array.from(ledgers.values()).sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * 시산표 (잔액시산표)
+   * @param {string} hospitalId - 병원 ID
+   * @param {Object} filters - { from, to }
+   * @returns {Object} { accounts, totals, isBalanced, period }
+   */
+  getTrialBalance(hospitalId, filters = {}) {
+    const chart = this.accountService.getChart(hospitalId);
+    const accounts = new Map();
+
+    this.listEntries(hospitalId, filters).forEach((entry) => {
+      entry.lines.forEach((line) => {
+        if (!accounts.has(line.accountCode)) {
+          const account = chart.getAccount(line.accountCode);
+          accounts.set(line.accountCode, {
+            code: line.accountCode,
+            name: account ? account.name : line.accountName,
+            category: account ? account.category : null,
+            normalBalance: account ? account.normalBalance : 'debit',
+            debit: 0,
+            credit: 0,
+          });
+        }
+
+        const row = accounts.get(line.accountCode);
+        row.debit += line.debit;
+        row.credit += line.credit;
+      });
+    });
+
+    const rows = Array.from(accounts.values())
+      .sort((a, b) => a.code.localeCompare(b.code))
+      .map((row) => {
+        const net = row.debit - row.credit;
+        return {
+          ...row,
+          balance: row.normalBalance === 'credit' ? -net : net,
+          debitBalance: net > 0 ? net : 0,
+          creditBalance: net < 0 ? -net : 0,
+        };
+      });
+
+    const totals = rows.reduce((sum, row) => ({
+      debit: sum.debit + row.debit,
+      credit: sum.credit + row.credit,
+      debitBalance: sum.debitBalance + row.debitBalance,
+      creditBalance: sum.creditBalance + row.creditBalance,
+    }), {
+      debit: 0, credit: 0, debitBalance: 0, creditBalance: 0,
+    });
+
+    return {
+      accounts: rows,
+      totals,
+      isBalanced: Math.abs(totals.debit - totals.credit) < 0.01,
+      period: { from: filters.from || null, to: filters.to || null },
+    };
+  }
+
+  /**
+   * 계정을 사용하는 분개 라인 수 (계정 삭제 제한용)
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} accountCode - 계정 코드
+   * @returns {number} 분개 라인 수
+   */
+  countAccountLines(hospitalId, accountCode) {
+    return this.loadEntries(hospitalId)
+      .reduce((count, entry) => count + entry.lines.filter((line) => line.accountCode === accountCode).length, 0);
+  }
+
+  /**
+   * 마감된 회계기간의 일자면 오류 (마감 후에는 분개를 추가할 수 없음)
+   * @param {Map} cache - 같은 월을 여러 번 확인할 때 쓰는 월별 결과 캐시
+   */
+  assertPeriodOpen(hospitalId, date, cache = null) {
+    const month = String(date || '').substring(0, 7);
+    if (cache && !cache.has(month)) {
+      cache.set(month, this.periodLock(hospitalId, date));
+    }
+
+    const closed = cache ? cache.get(month) : this.periodLock(hospitalId, date);
+    if (closed) {
+      throw new Error(`마감된 회계기간에는 분개할 수 없습니다: ${closed}`);
+    }
+  }
+
+  /**
+   * 정상 잔액 방향 기준 증감액
+   */
+  signedChange(normalBalance, line) {
+    const net = line.debit - line.credit;
+    return normalBalance === 'credit' ? -net : net;
+  }
+
+  inPeriod(date, from, to) {
+    return (!from || date >= from) && (!to || date <= to);
+  }
+
+  /**
+   * 데이터 추출 헬퍼 함수들
+   */
+  extractAmount(row) {
+    const amounts = AMOUNT_FIELDS
+      .map((field) => parseFloat(String(row[field] === undefined ? '' : row[field]).replace(/[,\s]/g, '')));
+    return amounts.find(Boolean) || 0;
+  }
+
+  extractDate(row) {
+    const value = DATE_FIELDS.map((field) => row[field]).find(Boolean);
+    if (!value) {
+      throw new Error('거래 일자가 없습니다');
+    }
+
+    if (value instanceof Date) {
+      const local = new Date(value.getTime() - value.getTimezoneOffset() * 60000);
+      return local.toISOString().substring(0, 10);
+    }
+
+    const match = String(value).match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+    if (match) {
+      return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    const digits = String(value).replace(/[^\d]/g, '');
+    if (digits.length === 8) {
+      return `${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}`;
+    }
+
+    throw new Error(`거래 일자 형식을 알 수 없습니다: ${value}`);
+  }
+
+  describe(row, classification) {
+    const text = [row.항목 || row.item, row.거래처 || row.vendor].filter(Boolean).join(' / ');
+    return text || classification.account;
+  }
+
+  hashRow(row) {
+    return crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * 저장된 분개 로드
+   * @param {string} hospitalId - 병원 ID
+   * @returns {Array} JournalEntry 배열
+   */
+  loadEntries(hospitalId) {
+    const file = this.getStoreFile(hospitalId);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map((json) => JournalEntry.fromJSON(json));
+  }
+
+  writeEntries(hospitalId, entries) {
+    fs.mkdirSync(this.journalDir, { recursive: true });
+    fs.writeFileSync(
+      this.getStoreFile(hospitalId),
+      JSON.stringify(entries.map((entry) => entry.toJSON()), null, 2),
+    );
+  }
+
+  getStoreFile(hospitalId) {
+    return path.join(this.journalDir, `${this.getScope(hospitalId)}.json`);
+  }
+
+  /**
+   * 저장 범위 (병원 ID, 없으면 기본 범위)
+   */
+  getScope(hospitalId) {
+    if (hospitalId && !/^[\w가-힣-]+$/.test(hospitalId)) {
+      throw new Error(`잘못된 병원 ID입니다: ${hospitalId}`);
+    }
+
+    return hospitalId || DEFAULT_SCOPE;
+  }
+}
+
+JournalService.SETTLEMENT_ACCOUNTS = SETTLEMENT_ACCOUNTS;
+
+module.exports = JournalService;
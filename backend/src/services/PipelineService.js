@@ -0,0 +1,182 @@
+/**
+ * 워크플로우 파이프라인 서비스
+ * 병원별 파이프라인 정의 저장, 조회, 지정 관리 (지정하지 않은 병원은 기본 파이프라인)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const PipelineDefinition = require('../models/PipelineDefinition');
+
+// extends 연결 최대 깊이 (순환 상속 방지)
+const MAX_EXTENDS_DEPTH = 5;
+
+class PipelineService {
+  constructor(options = {}) {
+    this.pipelinesDir = options.pipelinesDir || path.join(config.dataDir, 'pipelines');
+    this.assignmentsFile = path.join(this.pipelinesDir, 'assignments.json');
+    this.defaultPipeline = PipelineDefinition.loadDefault();
+  }
+
+  /**
+   * 저장된 파이프라인 목록 조회
+   * @returns {Array} 파이프라인 요약 목록
+   */
+  listPipelines() {
+    const summaries = [this.defaultPipeline.getSummary()];
+
+    this.listPipelineFiles().forEach((file) => {
+      try {
+        const pipeline = this.getPipeline(path.parse(file).name);
+        if (pipeline.id !== this.defaultPipeline.id) {
+          summaries.push(pipeline.getSummary());
+        }
+      } catch (error) {
+        console.warn(`파이프라인 파일 로드 실패 (${file}):`, error.message);
+      }
+    });
+
+    return summaries;
+  }
+
+  /**
+   * 파이프라인 조회 (extends는 상속한 파이프라인을 적용한 결과)
+   * @param {string} pipelineId - 파이프라인 ID
+   * @param {number} depth - 상속 깊이 (내부용)
+   * @returns {PipelineDefinition} 파이프라인
+   */
+  getPipeline(pipelineId, depth = 0) {
+    if (!pipelineId || pipelineId === this.defaultPipeline.id) {
+      return this.defaultPipeline;
+    }
+    if (depth > MAX_EXTENDS_DEPTH) {
+      throw new Error(`파이프라인 상속이 너무 깊거나 순환합니다: ${pipelineId}`);
+    }
+
+    const file = this.listPipelineFiles().find((name) => path.parse(name).name === pipelineId);
+    if (!file) {
+      throw new Error(`파이프라인을 찾을 수 없습니다: ${pipelineId}`);
+    }
+
+    const pipeline = PipelineDefinition.fromFile(path.join(this.pipelinesDir, file));
+    return pipeline.extends ? pipeline.resolve(this.getPipeline(pipeline.extends, depth + 1)) : pipeline;
+  }
+
+  /**
+   * 파이프라인 저장 (검증 및 상속 적용 확인 후 JSON 파일로 저장)
+   * 같은 ID의 파이프라인이 있으면 버전이 증가해야 함
+   * @param {Object} data - 파이프라인 데이터
+   * @returns {PipelineDefinition} 저장된 파이프라인
+   */
+  savePipeline(data) {
+    const pipeline = PipelineDefinition.fromJSON(data);
+
+    if (pipeline.id === this.defaultPipeline.id) {
+      throw new Error('기본 파이프라인은 덮어쓸 수 없습니다');
+    }
+
+    const resolved = pipeline.extends ? pipeline.resolve(this.getPipeline(pipeline.extends)) : pipeline;
+
+    const existing = this.findPipeline(pipeline.id);
+    if (existing && pipeline.version <= existing.version) {
+      throw new Error(`파이프라인 버전은 현재 버전(${existing.version})보다 커야 합니다`);
+    }
+
+    pipeline.updatedAt = new Date();
+    if (existing) {
+      pipeline.createdAt = existing.createdAt;
+    }
+
+    fs.mkdirSync(this.pipelinesDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.pipelinesDir, `${pipeline.id}.json`),
+      JSON.stringify(pipeline.toJSON(), null, 2),
+    );
+
+    resolved.updatedAt = pipeline.updatedAt;
+    resolved.createdAt = pipeline.createdAt;
+    return resolved;
+  }
+
+  /**
+   * 파이프라인 파일 내용 가져오기 (JSON/YAML 문자열)
+   * @param {string} content - 파일 내용
+   * @param {string} format - 'json' | 'yaml'
+   * @returns {PipelineDefinition} 저장된 파이프라인
+   */
+  importPipeline(content, format = 'json') {
+    const pipeline = PipelineDefinition.parse(content, format);
+    return this.savePipeline(pipeline.toJSON());
+  }
+
+  /**
+   * 병원에 파이프라인 지정
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} pipelineId - 파이프라인 ID
+   * @returns {Object} 지정 결과
+   */
+  assignPipeline(hospitalId, pipelineId) {
+    const pipeline = this.getPipeline(pipelineId);
+    const assignments = this.loadAssignments();
+
+    assignments[hospitalId] = pipeline.id;
+    fs.mkdirSync(this.pipelinesDir, { recursive: true });
+    fs.writeFileSync(this.assignmentsFile, JSON.stringify(assignments, null, 2));
+
+    return {
+      hospitalId,
+      pipelineId: pipeline.id,
+      version: pipeline.version,
+    };
+  }
+
+  /**
+   * 병원에 지정된 파이프라인 조회 (미지정 시 기본 파이프라인)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {PipelineDefinition} 파이프라인
+   */
+  getPipelineForHospital(hospitalId) {
+    const assignments = this.loadAssignments();
+    return this.getPipeline(hospitalId ? assignments[hospitalId] : null);
+  }
+
+  /**
+   * 병원별 파이프라인 지정 현황 로드
+   * @returns {Object} 병원 ID → 파이프라인 ID
+   */
+  loadAssignments() {
+    if (!fs.existsSync(this.assignmentsFile)) {
+      return {};
+    }
+
+    return JSON.parse(fs.readFileSync(this.assignmentsFile, 'utf8'));
+  }
+
+  /**
+   * 저장된 파이프라인 검색 (없으면 null)
+   * @param {string} pipelineId - 파이프라인 ID
+   * @returns {PipelineDefinition|null} 파이프라인
+   */
+  findPipeline(pipelineId) {
+    try {
+      return this.getPipeline(pipelineId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 파이프라인 파일 목록
+   * @returns {Array} 파일명 목록
+   */
+  listPipelineFiles() {
+    if (!fs.existsSync(this.pipelinesDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.pipelinesDir)
+      .filter((file) => /\.(json|ya?ml)$/i.test(file) && file !== path.basename(this.assignmentsFile));
+  }
+}
+
+module.exports = PipelineService;
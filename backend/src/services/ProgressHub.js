@@ -0,0 +1,266 @@
+/**
+ * 진행률 이벤트 허브
+ * 작업(채널)별 진행률 이벤트에 순번을 매겨 최근 이벤트를 보관하고, Server-Sent Events와 WebSocket으로 전달
+ * 다시 연결한 클라이언트는 마지막으로 받은 이벤트 번호 이후의 이벤트를 재전송받음
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+class ProgressHub {
+  /**
+   * @param {Object} options - 허브 옵션
+   * @param {Function} options.snapshot - 채널의 현재 상태 조회 (channel → Object|null), 재전송할 이벤트가 없을 때 먼저 전송
+   * @param {number} options.maxEvents - 채널별 보관 이벤트 수
+   * @param {number} options.maxChannels - 보관할 채널 수 (오래 갱신되지 않은 채널부터 삭제)
+   * @param {number} options.heartbeatInterval - 연결 유지 확인 간격 (ms)
+   * @param {number} options.retryInterval - SSE 재연결 대기 시간 (ms)
+   */
+  constructor(options = {}) {
+    this.snapshot = options.snapshot || (() => null);
+    this.maxEvents = options.maxEvents || 500;
+    this.maxChannels = options.maxChannels || 100;
+    this.heartbeatInterval = options.heartbeatInterval || 15000;
+    this.retryInterval = options.retryInterval || 3000;
+    this.channels = new Map(); // 채널 → { lastId, events, listeners: Set }
+    this.webSocketServers = [];
+  }
+
+  /**
+   * 이벤트 발행
+   * @param {string} channel - 채널 (작업 ID)
+   * @param {string} type - 이벤트 종류
+   * @param {Object} data - 이벤트 내용
+   * @returns {Object} 발행된 이벤트 { id, channel, type, data, timestamp }
+   */
+  publish(channel, type, data = {}) {
+    const state = this.getChannel(channel);
+    state.lastId += 1;
+    const event = {
+      id: state.lastId,
+      channel,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    state.events.push(event);
+    if (state.events.length > this.maxEvents) {
+      state.events.shift();
+    }
+
+    state.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`진행률 구독자 알림 실패 (${channel}):`, error.message);
+      }
+    });
+
+    return event;
+  }
+
+  /**
+   * 채널 구독 (놓친 이벤트 재전송 후 새 이벤트 전달)
+   * lastEventId가 없거나 보관 범위를 벗어나면(서버 재시작 등) 현재 상태 스냅샷을 먼저 전송
+   * @param {string} channel - 채널
+   * @param {Function} listener - 이벤트 수신 함수
+   * @param {Object} options - { lastEventId: 마지막으로 받은 이벤트 번호 }
+   * @returns {Function} 구독 해제 함수
+   */
+  subscribe(channel, listener, options = {}) {
+    const state = this.getChannel(channel);
+    const lastEventId = Number(options.lastEventId);
+    const firstId = state.events.length > 0 ? state.events[0].id : state.lastId + 1;
+    const canReplay = Number.isInteger(lastEventId) && lastEventId > 0
+      && lastEventId >= firstId - 1 && lastEventId <= state.lastId;
+
+    if (canReplay) {
+      state.events.filter((event) => event.id > lastEventId).forEach(listener);
+    } else {
+      const snapshot = this.snapshot(channel);
+      if (snapshot) {
+        listener({
+          id: state.lastId, channel, type: 'snapshot', data: snapshot, timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    state.listeners.add(listener);
+    return () => state.listeners.delete(listener);
+  }
+
+  /**
+   * 보관 중인 이벤트 조회
+   * @param {string} channel - 채널
+   * @param {number} afterId - 이 번호 이후의 이벤트만
+   * @returns {Array} 이벤트 목록
+   */
+  getEvents(channel, afterId = 0) {
+    const state = this.channels.get(channel);
+    return state ? state.events.filter((event) => event.id > afterId) : [];
+  }
+
+  /**
+   * Server-Sent Events 응답으로 채널 전달
+   * 브라우저 EventSource가 재연결할 때 보내는 Last-Event-ID 헤더(또는 ?lastEventId=)부터 재전송
+   * @param {Object} req - Express 요청
+   * @param {Object} res - Express 응답
+   * @param {string} channel - 채널
+   */
+  streamEvents(req, res, channel) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    // compression 미들웨어가 버퍼링하지 않도록 쓸 때마다 바로 전송
+    const write = (chunk) => {
+      res.write(chunk);
+      if (res.flush) {
+        res.flush();
+      }
+    };
+    write(`retry: ${this.retryInterval}\n\n`);
+
+    const unsubscribe = this.subscribe(channel, (event) => {
+      write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(this.toMessage(event))}\n\n`);
+    }, { lastEventId: req.headers['last-event-id'] || (req.query && req.query.lastEventId) });
+
+    const heartbeat = setInterval(() => write(': ping\n\n'), this.heartbeatInterval);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  /**
+   * HTTP 서버에 WebSocket 진행률 채널 연결
+   * 클라이언트 메시지: { type: 'subscribe', jobId, lastEventId } / { type: 'unsubscribe', jobId }
+   * 서버 메시지: { id, type, jobId, timestamp, data } (오류는 { type: 'error', message })
+   * 현재 상태 스냅샷이 없는 작업(없는 작업 ID)은 구독하지 않음 (채널을 만들지 않도록)
+   * @param {Object} server - http.Server
+   * @param {Object} options - { path }
+   * @returns {WebSocketServer} WebSocket 서버
+   */
+  attachWebSocket(server, options = {}) {
+    const webSocketServer = new WebSocketServer({ server, path: options.path || '/api/workflow/progress' });
+
+    webSocketServer.on('connection', (socket) => {
+      const subscriptions = new Map();
+      const send = (message) => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      };
+
+      socket.isAlive = true;
+      socket.on('pong', () => {
+        socket.isAlive = true;
+      });
+
+      socket.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (error) {
+          send({ type: 'error', message: '메시지는 JSON이어야 합니다' });
+          return;
+        }
+
+        if (!message || !message.jobId || !['subscribe', 'unsubscribe'].includes(message.type)) {
+          send({ type: 'error', message: 'type(subscribe/unsubscribe)과 jobId가 필요합니다' });
+          return;
+        }
+
+        if (message.type === 'subscribe' && !this.snapshot(message.jobId)) {
+          send({ type: 'error', jobId: message.jobId, message: `워크플로우 작업을 찾을 수 없습니다: ${message.jobId}` });
+          return;
+        }
+
+        if (subscriptions.has(message.jobId)) {
+          subscriptions.get(message.jobId)();
+          subscriptions.delete(message.jobId);
+        }
+        if (message.type === 'subscribe') {
+          subscriptions.set(message.jobId, this.subscribe(message.jobId, (event) => send(this.toMessage(event)), {
+            lastEventId: message.lastEventId,
+          }));
+        }
+      });
+
+      socket.on('close', () => {
+        subscriptions.forEach((unsubscribe) => unsubscribe());
+        subscriptions.clear();
+      });
+    });
+
+    // 응답 없는 연결 정리
+    const heartbeat = setInterval(() => {
+      webSocketServer.clients.forEach((socket) => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, this.heartbeatInterval);
+    heartbeat.unref();
+    webSocketServer.on('close', () => clearInterval(heartbeat));
+
+    this.webSocketServers.push(webSocketServer);
+    return webSocketServer;
+  }
+
+  /**
+   * 연결된 WebSocket 서버 종료
+   */
+  close() {
+    this.webSocketServers.forEach((webSocketServer) => {
+      webSocketServer.clients.forEach((socket) => socket.terminate());
+      webSocketServer.close();
+    });
+    this.webSocketServers = [];
+  }
+
+  /**
+   * 전송용 메시지 (SSE의 data와 WebSocket 메시지가 같은 형식)
+   */
+  toMessage(event) {
+    return {
+      id: event.id, type: event.type, jobId: event.channel, timestamp: event.timestamp, data: event.data,
+    };
+  }
+
+  getChannel(channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, {
+        lastId: 0, events: [], listeners: new Set(), updatedAt: Date.now(),
+      });
+      this.evictChannels();
+    }
+
+    const state = this.channels.get(channel);
+    state.updatedAt = Date.now();
+    return state;
+  }
+
+  /**
+   * 구독자가 없는 채널 중 오래된 것부터 삭제
+   */
+  evictChannels() {
+    if (this.channels.size <= this.maxChannels) {
+      return;
+    }
+
+    const idle = Array.from(this.channels.entries())
+      .filter(([, state]) => state.listeners.size === 0)
+      .sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+    idle.slice(0, this.channels.size - this.maxChannels).forEach(([channel]) => this.channels.delete(channel));
+  }
+}
+
+module.exports = ProgressHub;
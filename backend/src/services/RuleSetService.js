@@ -0,0 +1,180 @@
+/**
+ * 분류 규칙 세트 서비스
+ * 병원별 규칙 세트 저장, 조회, 런타임 전환 관리
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const ClassificationRuleSet = require('../models/ClassificationRuleSet');
+
+class RuleSetService {
+  constructor(options = {}) {
+    this.rulesDir = options.rulesDir || path.join(config.dataDir, 'rules');
+    this.assignmentsFile = path.join(this.rulesDir, 'assignments.json');
+    this.defaultRuleSet = ClassificationRuleSet.loadDefault();
+  }
+
+  /**
+   * 저장된 규칙 세트 목록 조회
+   * @returns {Array} 규칙 세트 요약 목록
+   */
+  listRuleSets() {
+    const summaries = [this.defaultRuleSet.getSummary()];
+
+    this.listRuleSetFiles().forEach((file) => {
+      try {
+        const ruleSet = ClassificationRuleSet.fromFile(path.join(this.rulesDir, file));
+        if (ruleSet.id !== this.defaultRuleSet.id) {
+          summaries.push(ruleSet.getSummary());
+        }
+      } catch (error) {
+        console.warn(`규칙 세트 파일 로드 실패 (${file}):`, error.message);
+      }
+    });
+
+    return summaries;
+  }
+
+  /**
+   * 규칙 세트 조회
+   * @param {string} ruleSetId - 규칙 세트 ID
+   * @returns {ClassificationRuleSet} 규칙 세트
+   */
+  getRuleSet(ruleSetId) {
+    const ruleSet = this.findRuleSet(ruleSetId);
+    if (!ruleSet) {
+      throw new Error(`규칙 세트를 찾을 수 없습니다: ${ruleSetId}`);
+    }
+
+    return ruleSet;
+  }
+
+  /**
+   * 규칙 세트 저장 (검증 후 JSON 파일로 저장)
+   * 같은 ID의 규칙 세트가 있으면 버전이 증가해야 함
+   * @param {Object} data - 규칙 세트 데이터
+   * @returns {ClassificationRuleSet} 저장된 규칙 세트
+   */
+  saveRuleSet(data) {
+    const ruleSet = ClassificationRuleSet.fromJSON(data);
+
+    if (ruleSet.id === this.defaultRuleSet.id) {
+      throw new Error('기본 규칙 세트는 덮어쓸 수 없습니다');
+    }
+
+    const existing = this.findRuleSet(ruleSet.id);
+    if (existing && ruleSet.version <= existing.version) {
+      throw new Error(`규칙 세트 버전은 현재 버전(${existing.version})보다 커야 합니다`);
+    }
+
+    ruleSet.updatedAt = new Date();
+    if (existing) {
+      ruleSet.createdAt = existing.createdAt;
+    }
+
+    fs.mkdirSync(this.rulesDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.rulesDir, `${ruleSet.id}.json`),
+      JSON.stringify(ruleSet.toJSON(), null, 2),
+    );
+
+    return ruleSet;
+  }
+
+  /**
+   * 규칙 파일 내용 가져오기 (JSON/YAML 문자열)
+   * @param {string} content - 파일 내용
+   * @param {string} format - 'json' | 'yaml'
+   * @returns {ClassificationRuleSet} 저장된 규칙 세트
+   */
+  importRuleSet(content, format = 'json') {
+    const ruleSet = ClassificationRuleSet.parse(content, format);
+    return this.saveRuleSet(ruleSet.toJSON());
+  }
+
+  /**
+   * 병원에 규칙 세트 지정
+   * @param {string} hospitalId - 병원 ID
+   * @param {string} ruleSetId - 규칙 세트 ID
+   * @returns {Object} 지정 결과
+   */
+  assignRuleSet(hospitalId, ruleSetId) {
+    const ruleSet = this.getRuleSet(ruleSetId);
+    const assignments = this.loadAssignments();
+
+    assignments[hospitalId] = ruleSet.id;
+    fs.mkdirSync(this.rulesDir, { recursive: true });
+    fs.writeFileSync(this.assignmentsFile, JSON.stringify(assignments, null, 2));
+
+    return {
+      hospitalId,
+      ruleSetId: ruleSet.id,
+      version: ruleSet.version,
+    };
+  }
+
+  /**
+   * 병원에 지정된 규칙 세트 조회 (미지정 시 기본 규칙 세트)
+   * @param {string} hospitalId - 병원 ID
+   * @returns {ClassificationRuleSet} 규칙 세트
+   */
+  getRuleSetForHospital(hospitalId) {
+    const assignments = this.loadAssignments();
+    return this.getRuleSet(hospitalId ? assignments[hospitalId] : null);
+  }
+
+  /**
+   * 병원별 규칙 세트 지정 현황 로드
+   * @returns {Object} 병원 ID → 규칙 세트 ID
+   */
+  loadAssignments() {
+    if (!fs.existsSync(this.assignmentsFile)) {
+      return {};
+    }
+
+    return JSON.parse(fs.readFileSync(this.assignmentsFile, 'utf8'));
+  }
+
+  /**
+   * 저장된 규칙 세트 검색 (파일이 없으면 null)
+   * 파일이 있는데 읽거나 검증할 수 없으면 새 규칙 세트로 덮어쓰지 않도록 오류를 그대로 던짐
+   * @param {string} ruleSetId - 규칙 세트 ID
+   * @returns {ClassificationRuleSet|null} 규칙 세트
+   */
+  findRuleSet(ruleSetId) {
+    if (!ruleSetId || ruleSetId === this.defaultRuleSet.id) {
+      return this.defaultRuleSet;
+    }
+
+    const file = this.listRuleSetFiles().find((name) => path.parse(name).name === ruleSetId);
+    if (!file) {
+      return null;
+    }
+
+    try {
+      return ClassificationRuleSet.fromFile(path.join(this.rulesDir, file));
+    } catch (error) {
+      // 목록 조회 뒤 파일이 지워진 경우만 없는 것으로 처리
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 규칙 파일 목록
+   * @returns {Array} 파일명 목록
+   */
+  listRuleSetFiles() {
+    if (!fs.existsSync(this.rulesDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.rulesDir)
+      .filter((file) => /\.(json|ya?ml)$/i.test(file) && file !== path.basename(this.assignmentsFile));
+  }
+}
+
+module.exports = RuleSetService;
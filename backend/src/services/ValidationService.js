@@ -86,18 +86,22 @@ class ValidationService {
       correctClassifications: 0,
       incorrectClassifications: 0,
       missingClassifications: 0,
+      splitReconciliation: null,
       accountAccuracy: {},
       confusionMatrix: {},
       detailedComparison: []
     };
 
     // 시스템 분류 결과를 맵으로 변환 (빠른 검색을 위해)
+    // 분할된 거래는 같은 키에 여러 계정이 연결됨
     const systemMap = new Map();
-    if (systemClassification.classifiedTransactions) {
-      systemClassification.classifiedTransactions.forEach(tx => {
+    const systemTransactions = systemClassification.classifiedTransactions || systemClassification.classified;
+    if (systemTransactions) {
+      systemTransactions.forEach(tx => {
         const key = this.generateTransactionKey(tx.originalData);
-        systemMap.set(key, tx.account);
+        systemMap.set(key, [...(systemMap.get(key) || []), tx.account]);
       });
+      classificationValidation.splitReconciliation = this.reconcileSplits(systemClassification);
     }
 
     // Excel 결과와 비교
@@ -106,8 +110,9 @@ class ValidationService {
 
       excelClassification.transactions.forEach(excelTx => {
         const key = this.generateTransactionKey(excelTx);
-        const systemAccount = systemMap.get(key);
+        const systemAccounts = systemMap.get(key) || [];
         const excelAccount = excelTx.account || excelTx.계정과목;
+        const systemAccount = systemAccounts.includes(excelAccount) ? excelAccount : systemAccounts[0];
 
         const comparison = {
           transactionKey: key,
@@ -164,6 +169,49 @@ class ValidationService {
     return classificationValidation;
   }
 
+  /**
+   * 분할 거래 금액 대사
+   * 분할 라인의 배분 합계가 원 거래 금액과 일치하는지 검증
+   * 분류 엔진이 차액을 채운 '잔액' 라인(split.residual)은 배분 금액에서 빼고 residualAmount로 보고
+   * @param {Object} classificationResult - 분류 결과 (classified/uncertain 또는 classifiedTransactions/uncertainCases)
+   * @param {number} tolerance - 허용 오차 (원)
+   * @returns {Object} 대사 결과
+   */
+  reconcileSplits(classificationResult, tolerance = 1) {
+    const lines = [
+      ...(classificationResult.classifiedTransactions || classificationResult.classified || []),
+      ...(classificationResult.uncertainCases || classificationResult.uncertain || [])
+    ].filter(line => line.split);
+
+    const sourceRows = new Map();
+    lines.forEach(line => {
+      const { sourceRowIndex, sourceAmount } = line.split;
+      if (!sourceRows.has(sourceRowIndex)) {
+        sourceRows.set(sourceRowIndex, { sourceRowIndex, sourceAmount, allocatedAmount: 0, residualAmount: 0, lineCount: 0 });
+      }
+
+      const row = sourceRows.get(sourceRowIndex);
+      if (line.split.residual) {
+        row.residualAmount += this.parseNumericValue(line.amount);
+      } else {
+        row.allocatedAmount += this.parseNumericValue(line.amount);
+      }
+      row.lineCount++;
+    });
+
+    const unbalancedRows = Array.from(sourceRows.values())
+      .map(row => ({ ...row, difference: row.sourceAmount - row.allocatedAmount }))
+      .filter(row => Math.abs(row.difference) > tolerance);
+
+    return {
+      splitRows: sourceRows.size,
+      splitLines: lines.length,
+      balancedRows: sourceRows.size - unbalancedRows.length,
+      unbalancedRows: unbalancedRows,
+      isBalanced: unbalancedRows.length === 0
+    };
+  }
+
   /**
    * 계산 결과 검증
    * @param {Object} systemCalculations - 시스템 계산 결과
@@ -484,6 +532,15 @@ class ValidationService {
         });
       }
 
+      if (classValidation.splitReconciliation && !classValidation.splitReconciliation.isBalanced) {
+        issues.push({
+          type: 'CLASSIFICATION_SPLIT_UNBALANCED',
+          message: `${classValidation.splitReconciliation.unbalancedRows.length}건의 분할 거래 배분 합계가 원 거래 금액과 다릅니다`,
+          severity: 'high',
+          count: classValidation.splitReconciliation.unbalancedRows.length
+        });
+      }
+
       if (classValidation.incorrectClassifications > classValidation.totalTransactions * 0.15) {
         issues.push({
           type: 'CLASSIFICATION_ERROR_HIGH',
@@ -0,0 +1,422 @@
+/**
+ * 워크플로우 작업 대기열 서비스
+ * 워크플로우 실행을 작업(job)으로 접수해 로컬 작업자가 하나씩 실행하고,
+ * 단계가 끝날 때마다 작업 상태와 단계 결과를 디스크에 저장 (재시작 시 마지막 완료 단계 다음부터 재개)
+ * 작업 상태 변경, 단계 시작/종료, 단계 안의 진행률은 ProgressHub의 작업 ID 채널로 발행
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// 단계 상태 → 진행률 이벤트 종류
+const STEP_EVENTS = {
+  running: 'step_started',
+  completed: 'step_completed',
+  failed: 'step_failed',
+  skipped: 'step_skipped',
+};
+
+class WorkflowJobService {
+  /**
+   * @param {Object} options - 서비스 옵션
+   * @param {string} options.jobsDir - 작업 상태 저장 경로
+   * @param {Function} options.runner - 작업 실행 함수 async (input, hooks) → { success, cancelled, error, ...결과 }
+   *                                    hooks는 DataFlowManager.executeDataFlow의 hooks로 그대로 전달 (hooks.jobId: 작업 ID,
+   *                                    hooks.remember(key, decide): 첫 실행에서 정한 값을 저장해 재개할 때도 같은 값을 씀)
+   * @param {ProgressHub} options.progressHub - 진행률 이벤트 발행 허브 (없으면 발행하지 않음)
+   */
+  constructor(options = {}) {
+    this.jobsDir = options.jobsDir || path.join(config.dataDir, 'jobs');
+    this.runner = options.runner || null;
+    this.progressHub = options.progressHub || null;
+    this.queue = []; // 실행 대기 작업 ID
+    this.activeJobId = null;
+    this.cancelRequests = new Set(); // 실행 중 취소 요청된 작업 ID
+    this.worker = null; // 실행 중인 작업자 (대기열이 빌 때 완료되는 Promise)
+  }
+
+  /**
+   * 워크플로우 작업 접수
+   * @param {Object} input - 작업 입력 ({ rawDataFilePath, automationExcelPath, options })
+   * @returns {Object} 접수된 작업 (단계 결과 제외)
+   */
+  submit(input) {
+    if (!input || !input.rawDataFilePath) {
+      throw new Error('로우데이터 파일 경로(rawDataFilePath)가 필요합니다');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      input: {
+        rawDataFilePath: input.rawDataFilePath,
+        automationExcelPath: input.automationExcelPath || null,
+        options: input.options || {},
+      },
+      steps: [],
+      currentStep: null,
+      progress: 0,
+      attempts: 0,
+      results: {},
+      decisions: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.saveJob(job);
+    this.enqueue(job.id);
+    return this.toSummary(job);
+  }
+
+  /**
+   * 작업 조회
+   * @param {string} jobId - 작업 ID
+   * @returns {Object|null} 작업 (단계 결과 제외)
+   */
+  getJob(jobId) {
+    const job = this.loadJob(jobId);
+    return job ? this.toSummary(job) : null;
+  }
+
+  /**
+   * 작업 목록 조회 (최근 접수 순)
+   * @param {Object} filters - { status }
+   * @returns {Array} 작업 목록 (단계 결과와 최종 결과 제외)
+   */
+  listJobs(filters = {}) {
+    return this.loadAllJobs()
+      .filter((job) => !filters.status || job.status === filters.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((job) => this.toProgress(job));
+  }
+
+  /**
+   * 진행률 스냅샷 조회 (다시 연결한 클라이언트에 보내는 현재 상태)
+   * @param {string} jobId - 작업 ID
+   * @returns {Object|null} 작업 (단계 결과와 최종 결과 제외)
+   */
+  getProgress(jobId) {
+    const job = this.loadJob(jobId);
+    return job ? this.toProgress(job) : null;
+  }
+
+  /**
+   * 작업 취소
+   * 대기 중인 작업은 바로 취소하고, 실행 중인 작업은 지금 단계가 끝난 뒤 다음 단계 전에 멈춤
+   * @param {string} jobId - 작업 ID
+   * @returns {Object|null} 작업 (없으면 null)
+   */
+  cancel(jobId) {
+    const job = this.loadJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`이미 종료된 작업입니다: ${job.status}`);
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.queue = this.queue.filter((id) => id !== jobId);
+      this.finishJob(job, JOB_STATUS.CANCELLED, { error: '작업이 취소되었습니다' });
+    } else {
+      this.cancelRequests.add(jobId);
+      job.cancelRequested = true;
+      this.saveJob(job);
+    }
+
+    return this.toSummary(job);
+  }
+
+  /**
+   * 실패하거나 취소된 작업을 마지막 완료 단계 다음부터 다시 실행
+   * @param {string} jobId - 작업 ID
+   * @returns {Object|null} 작업 (없으면 null)
+   */
+  retry(jobId) {
+    const job = this.loadJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (![JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+      throw new Error(`실패하거나 취소된 작업만 다시 실행할 수 있습니다: ${job.status}`);
+    }
+
+    job.status = JOB_STATUS.QUEUED;
+    job.error = null;
+    job.finishedAt = null;
+    delete job.cancelRequested;
+    this.saveJob(job);
+    this.enqueue(job.id);
+    return this.toSummary(job);
+  }
+
+  /**
+   * 서버 시작 시 끝나지 않은 작업 복구
+   * 실행 중에 멈춘 작업은 대기 상태로 되돌려 저장된 단계 결과부터 이어서 실행
+   * @returns {Array} 다시 대기열에 넣은 작업 ID
+   */
+  resumePendingJobs() {
+    const pending = this.loadAllJobs()
+      .filter((job) => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    pending.forEach((job) => {
+      if (job.status === JOB_STATUS.RUNNING) {
+        console.log(`♻️ 중단된 작업 재개: ${job.id} (완료 단계 ${Object.keys(job.results).length}개)`);
+        job.status = JOB_STATUS.QUEUED;
+        job.currentStep = null;
+        this.saveJob(job);
+      }
+      if (job.cancelRequested) {
+        this.finishJob(job, JOB_STATUS.CANCELLED, { error: '작업이 취소되었습니다' });
+        return;
+      }
+      this.enqueue(job.id);
+    });
+
+    return pending.filter((job) => job.status === JOB_STATUS.QUEUED).map((job) => job.id);
+  }
+
+  /**
+   * 대기열에 추가하고 작업자가 쉬고 있으면 시작
+   * @param {string} jobId - 작업 ID
+   */
+  enqueue(jobId) {
+    if (!this.queue.includes(jobId) && this.activeJobId !== jobId) {
+      this.queue.push(jobId);
+    }
+    if (!this.worker) {
+      this.worker = this.processQueue().finally(() => {
+        this.worker = null;
+      });
+    }
+  }
+
+  /**
+   * 대기열이 빌 때까지 작업을 하나씩 실행
+   */
+  async processQueue() {
+    // 접수 요청의 응답이 먼저 나가도록 다음 틱에 시작
+    await new Promise((resolve) => { setImmediate(resolve); });
+    await this.processNextJob();
+  }
+
+  /**
+   * 대기열의 다음 작업 실행 (끝나면 대기열이 빌 때까지 이어서 실행)
+   */
+  async processNextJob() {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const jobId = this.queue.shift();
+    const job = this.loadJob(jobId);
+    if (job && job.status === JOB_STATUS.QUEUED) {
+      this.activeJobId = jobId;
+      await this.runJob(job);
+      this.activeJobId = null;
+      this.cancelRequests.delete(jobId);
+    }
+    await this.processNextJob();
+  }
+
+  /**
+   * 작업 실행 (단계마다 상태 저장)
+   * @param {Object} job - 작업
+   */
+  async runJob(job) {
+    if (!this.runner) {
+      this.finishJob(job, JOB_STATUS.FAILED, { error: '작업 실행 함수(runner)가 설정되지 않았습니다' });
+      return;
+    }
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts += 1;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    this.saveJob(job);
+
+    try {
+      const outcome = await this.runner(job.input, {
+        jobId: job.id,
+        completedResults: job.results,
+        // 가져올 행 결정처럼 저장된 단계 결과와 맞아야 하는 값은 재개할 때 다시 계산하지 않음
+        remember: (key, decide) => {
+          job.decisions = job.decisions || {};
+          if (!Object.prototype.hasOwnProperty.call(job.decisions, key)) {
+            job.decisions[key] = decide();
+            this.saveJob(job);
+          }
+          return job.decisions[key];
+        },
+        onPlan: (steps) => {
+          job.steps = steps.map((step) => {
+            const previous = job.steps.find((saved) => saved.id === step.id);
+            return previous && job.results[step.id]
+              ? previous
+              : {
+                id: step.id, name: step.name, status: 'pending', error: null, completedAt: null,
+              };
+          });
+          job.progress = this.calculateProgress(job);
+          this.saveJob(job);
+        },
+        onStepUpdate: (step, update) => {
+          const index = job.steps.findIndex((entry) => entry.id === step.id);
+          const saved = job.steps[index];
+          if (saved) {
+            saved.status = update.status;
+            saved.error = update.error || null;
+            saved.completedAt = update.status === 'completed' ? new Date().toISOString() : saved.completedAt;
+          }
+          if (update.status === 'completed') {
+            job.results[step.id] = update.result;
+          }
+          // 독립 단계는 병렬로 실행되므로 실행 중인 단계 중 첫 단계
+          const running = job.steps.find((entry) => entry.status === 'running');
+          job.currentStep = running ? running.id : null;
+          job.progress = this.calculateProgress(job);
+          this.saveJob(job);
+
+          this.publish(job.id, STEP_EVENTS[update.status], {
+            stepId: step.id,
+            stepName: step.name,
+            index: index + 1,
+            total: job.steps.length,
+            progress: job.progress,
+            error: update.error || null,
+          });
+        },
+        onProgress: (step, progress) => {
+          const { type, ...counts } = progress;
+          this.publish(job.id, type, {
+            stepId: step.id,
+            stepName: step.name,
+            ...counts,
+            percent: counts.total > 0 ? Math.round((counts.processed / counts.total) * 100) : 100,
+          });
+        },
+        isCancelled: () => this.cancelRequests.has(job.id),
+      });
+
+      if (outcome && outcome.cancelled) {
+        this.finishJob(job, JOB_STATUS.CANCELLED, { error: outcome.error });
+      } else if (outcome && outcome.success === false) {
+        this.finishJob(job, JOB_STATUS.FAILED, { result: outcome, error: outcome.error || '워크플로우 실행 실패' });
+      } else {
+        this.finishJob(job, JOB_STATUS.COMPLETED, { result: outcome });
+      }
+    } catch (error) {
+      console.error(`작업 실행 실패 (${job.id}):`, error);
+      this.finishJob(job, JOB_STATUS.FAILED, { error: error.message });
+    }
+  }
+
+  /**
+   * 작업 종료 상태 저장
+   */
+  finishJob(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.currentStep = null;
+    job.finishedAt = new Date().toISOString();
+    delete job.cancelRequested;
+    this.saveJob(job);
+  }
+
+  calculateProgress(job) {
+    if (job.steps.length === 0) {
+      return 0;
+    }
+    const completed = job.steps.filter((step) => step.status === 'completed').length;
+    return Math.round((completed / job.steps.length) * 100);
+  }
+
+  /**
+   * API 응답용 작업 정보 (단계별 중간 결과와 저장된 결정 제외)
+   */
+  toSummary(job) {
+    const { results, decisions, ...summary } = job;
+    return { ...summary, completedSteps: Object.keys(results).length };
+  }
+
+  /**
+   * 목록과 진행률 이벤트용 작업 정보 (최종 결과도 제외)
+   */
+  toProgress(job) {
+    const { result, ...progress } = this.toSummary(job);
+    return progress;
+  }
+
+  publish(jobId, type, data) {
+    if (this.progressHub) {
+      this.progressHub.publish(jobId, type, data);
+    }
+  }
+
+  /**
+   * 작업 파일 조회
+   * @param {string} jobId - 작업 ID
+   * @returns {Object|null} 작업 (단계 결과 포함)
+   */
+  loadJob(jobId) {
+    const file = this.getJobFile(jobId);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  loadAllJobs() {
+    if (!fs.existsSync(this.jobsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.jobsDir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => this.loadJob(path.basename(file, '.json')))
+      .filter(Boolean);
+  }
+
+  /**
+   * 작업 파일 저장 (쓰는 도중 중단되어도 이전 상태가 남도록 임시 파일에 쓴 뒤 교체)
+   */
+  saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.jobsDir, { recursive: true });
+    const file = this.getJobFile(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    this.publish(job.id, 'job', this.toProgress(job));
+  }
+
+  getJobFile(jobId) {
+    if (!/^[\w-]+$/.test(jobId)) {
+      throw new Error(`잘못된 작업 ID입니다: ${jobId}`);
+    }
+
+    return path.join(this.jobsDir, `${jobId}.json`);
+  }
+}
+
+WorkflowJobService.JOB_STATUS = JOB_STATUS;
+
+module.exports = WorkflowJobService;
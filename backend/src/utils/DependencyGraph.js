@@ -0,0 +1,462 @@
+/**
+ * 셀 단위 수식 의존성 그래프
+ * 수식 셀 간 선행/후행 관계(DAG), 위상 정렬 계산 순서, 순환 참조 탐지, 변경 셀의 영향 범위 산출
+ *
+ * 범위 참조(출!G:G 등)는 같은 범위를 참조하는 수식끼리 공유하는 범위 노드로 표현해
+ * 전체 열을 참조하는 수백 개의 SUMIFS도 간선 수가 셀 수 × 수식 수로 늘어나지 않게 함
+ */
+
+const FormulaParser = require('./FormulaParser');
+
+class DependencyGraph {
+  /**
+   * @param {Object} options - 그래프 옵션
+   * @param {FormulaParser} options.parser - 참조 추출에 사용할 수식 파서
+   */
+  constructor(options = {}) {
+    this.parser = options.parser || new FormulaParser();
+    this.formulas = new Map(); // 셀 키 → { key, sheet, address, row, col, formula, references }
+    this.sheetFormulas = new Map(); // 시트 → Set(셀 키)
+    this.cellDependents = new Map(); // 단일 셀 키 → Set(참조하는 수식 셀 키)
+    this.ranges = new Map(); // 범위 키 → { key, sheet, bounds, dependents: Set(수식 셀 키) }
+    this.edges = null; // 노드(수식 셀/범위) → Set(후행 노드), 변경 시 다시 계산
+  }
+
+  /**
+   * 셀 키 생성 (시트!주소, $ 제거)
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @returns {string} 셀 키
+   */
+  static key(sheet, address) {
+    return `${sheet}!${String(address).replace(/\$/g, '')}`;
+  }
+
+  /**
+   * 셀 키 분해
+   * @param {string} key - 셀 키
+   * @returns {Object} { sheet, address }
+   */
+  static parseKey(key) {
+    const index = key.lastIndexOf('!');
+    return { sheet: key.substring(0, index), address: key.substring(index + 1) };
+  }
+
+  /**
+   * 수식 셀 등록 (이미 있으면 참조를 다시 계산)
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @param {string} formula - Excel 수식
+   * @returns {Object} 수식 노드
+   */
+  setFormula(sheet, address, formula) {
+    const key = DependencyGraph.key(sheet, address);
+    this.removeFormula(sheet, address);
+
+    const { row, col } = this.parser.parseCellReference(DependencyGraph.parseKey(key).address);
+    const references = this.parser.extractReferences(formula).map((reference) => {
+      const targetSheet = reference.sheet || sheet;
+      const start = reference.start.replace(/\$/g, '');
+      const end = reference.end.replace(/\$/g, '');
+      const isRange = start !== end || !/\d/.test(start) || !/[A-Z]/.test(start);
+      return {
+        sheet: targetSheet,
+        label: isRange ? `${targetSheet}!${start}:${end}` : DependencyGraph.key(targetSheet, start),
+        isRange,
+        bounds: this.parser.getRangeBounds(start, end),
+      };
+    });
+
+    const node = {
+      key, sheet, address: DependencyGraph.parseKey(key).address, row, col, formula, references,
+    };
+    this.formulas.set(key, node);
+
+    if (!this.sheetFormulas.has(sheet)) {
+      this.sheetFormulas.set(sheet, new Set());
+    }
+    this.sheetFormulas.get(sheet).add(key);
+
+    references.forEach((reference) => {
+      if (reference.isRange) {
+        if (!this.ranges.has(reference.label)) {
+          this.ranges.set(reference.label, {
+            key: reference.label,
+            sheet: reference.sheet,
+            bounds: reference.bounds,
+            dependents: new Set(),
+          });
+        }
+        this.ranges.get(reference.label).dependents.add(key);
+      } else {
+        if (!this.cellDependents.has(reference.label)) {
+          this.cellDependents.set(reference.label, new Set());
+        }
+        this.cellDependents.get(reference.label).add(key);
+      }
+    });
+
+    this.edges = null;
+    return node;
+  }
+
+  /**
+   * 수식 셀 제거 (값 셀로 바뀐 경우)
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @returns {boolean} 제거 여부
+   */
+  removeFormula(sheet, address) {
+    const key = DependencyGraph.key(sheet, address);
+    const node = this.formulas.get(key);
+    if (!node) {
+      return false;
+    }
+
+    node.references.forEach((reference) => {
+      const range = reference.isRange && this.ranges.get(reference.label);
+      if (range) {
+        range.dependents.delete(key);
+        if (range.dependents.size === 0) {
+          this.ranges.delete(reference.label);
+        }
+      } else if (this.cellDependents.has(reference.label)) {
+        this.cellDependents.get(reference.label).delete(key);
+      }
+    });
+
+    this.formulas.delete(key);
+    this.sheetFormulas.get(sheet).delete(key);
+    this.edges = null;
+    return true;
+  }
+
+  /**
+   * 수식 셀 여부
+   * @param {string} key - 셀 키
+   * @returns {boolean} 수식 셀이면 true
+   */
+  hasFormula(key) {
+    return this.formulas.has(key);
+  }
+
+  /**
+   * 셀을 직접 참조하는 수식 셀 목록
+   * @param {string} key - 셀 키
+   * @returns {Array} 수식 셀 키 배열
+   */
+  getDependents(key) {
+    const dependents = new Set(this.cellDependents.get(key) || []);
+    this.getContainingRanges(key).forEach((range) => {
+      range.dependents.forEach((dependent) => dependents.add(dependent));
+    });
+
+    return Array.from(dependents);
+  }
+
+  /**
+   * 셀을 포함하는 범위 노드 목록
+   * @param {string} key - 셀 키
+   * @returns {Array} 범위 노드 배열
+   */
+  getContainingRanges(key) {
+    const { sheet, address } = DependencyGraph.parseKey(key);
+    const { row, col } = this.parser.parseCellReference(address);
+    const ranges = [];
+
+    this.ranges.forEach((range) => {
+      if (range.sheet === sheet && this.contains(range.bounds, row, col)) {
+        ranges.push(range);
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * 수식 셀이 참조하는 셀/범위 목록
+   * @param {string} key - 수식 셀 키
+   * @returns {Array} 참조 라벨 배열 (예: 출!G:G, 출!E4)
+   */
+  getPrecedents(key) {
+    const node = this.formulas.get(key);
+    return node ? node.references.map((reference) => reference.label) : [];
+  }
+
+  /**
+   * 간선 계산 (선행 수식 셀 → 후행 수식 셀, 범위 안의 수식 셀 → 범위 노드 → 범위를 참조하는 수식 셀)
+   * @returns {Map} 노드 키 → Set(후행 노드 키)
+   */
+  buildEdges() {
+    if (this.edges) {
+      return this.edges;
+    }
+
+    const edges = new Map();
+    this.formulas.forEach((node, key) => edges.set(key, new Set()));
+    this.ranges.forEach((range, key) => edges.set(key, new Set(range.dependents)));
+
+    this.formulas.forEach((node, key) => {
+      node.references.forEach((reference) => {
+        if (!reference.isRange && this.formulas.has(reference.label)) {
+          edges.get(reference.label).add(key);
+        }
+      });
+    });
+
+    this.ranges.forEach((range, rangeKey) => {
+      (this.sheetFormulas.get(range.sheet) || []).forEach((formulaKey) => {
+        const formula = this.formulas.get(formulaKey);
+        if (this.contains(range.bounds, formula.row, formula.col)) {
+          edges.get(formulaKey).add(rangeKey);
+        }
+      });
+    });
+
+    this.edges = edges;
+    return edges;
+  }
+
+  /**
+   * 변경된 셀의 영향을 받는 수식 셀 (전이적 후행 셀)
+   * @param {Array} keys - 변경된 셀 키 목록
+   * @returns {Set} 다시 계산할 수식 셀 키 (경유한 범위 노드 포함)
+   */
+  collectDirty(keys) {
+    const edges = this.buildEdges();
+    const dirty = new Set();
+    const queue = [];
+
+    keys.forEach((key) => {
+      if (this.formulas.has(key)) {
+        queue.push(key);
+      }
+      (this.cellDependents.get(key) || []).forEach((dependent) => queue.push(dependent));
+      this.getContainingRanges(key).forEach((range) => queue.push(range.key));
+    });
+
+    for (let index = 0; index < queue.length; index += 1) {
+      const key = queue[index];
+      if (!dirty.has(key)) {
+        dirty.add(key);
+        edges.get(key).forEach((dependent) => queue.push(dependent));
+      }
+    }
+
+    return dirty;
+  }
+
+  /**
+   * 계산 순서 (위상 정렬)
+   * 순환 참조에 속한 셀과 그 후행 셀은 순서에서 제외하고 별도로 보고
+   * @param {Set|Array} subset - 정렬할 수식 셀 (기본: 전체)
+   * @returns {Object} { order, cycles: [{ cells, path }], blocked }
+   */
+  getEvaluationOrder(subset = null) {
+    const edges = this.buildEdges();
+    const { order, remaining } = this.sortNodes(edges, subset);
+    const cycles = this.findCycles(remaining);
+    const cyclic = new Set(cycles.flatMap((cycle) => cycle.cells));
+
+    return {
+      order: order.filter((key) => this.formulas.has(key)),
+      cycles,
+      blocked: remaining.filter((key) => this.formulas.has(key) && !cyclic.has(key)),
+    };
+  }
+
+  /**
+   * 노드 위상 정렬 (Kahn 알고리즘)
+   * @param {Map} edges - 간선
+   * @param {Set|Array} subset - 정렬할 노드 (기본: 전체)
+   * @returns {Object} { order: 정렬된 노드 (범위 노드 포함), remaining: 순환 때문에 정렬되지 못한 노드 }
+   */
+  sortNodes(edges, subset = null) {
+    const nodes = subset
+      ? Array.from(subset).filter((key) => edges.has(key))
+      : Array.from(edges.keys());
+    const included = new Set(nodes);
+    const inDegree = new Map(nodes.map((key) => [key, 0]));
+
+    nodes.forEach((key) => {
+      edges.get(key).forEach((dependent) => {
+        if (included.has(dependent)) {
+          inDegree.set(dependent, inDegree.get(dependent) + 1);
+        }
+      });
+    });
+
+    const order = nodes.filter((key) => inDegree.get(key) === 0);
+    for (let index = 0; index < order.length; index += 1) {
+      edges.get(order[index]).forEach((dependent) => {
+        if (!included.has(dependent)) {
+          return;
+        }
+        inDegree.set(dependent, inDegree.get(dependent) - 1);
+        if (inDegree.get(dependent) === 0) {
+          order.push(dependent);
+        }
+      });
+    }
+
+    return {
+      order,
+      remaining: nodes.filter((key) => inDegree.get(key) > 0),
+    };
+  }
+
+  /**
+   * 순환 참조 탐지 (Tarjan 강결합 요소, 반복 구현)
+   * @param {Array} keys - 검사할 수식 셀 (기본: 전체)
+   * @returns {Array} [{ cells: 순환에 속한 수식 셀, path: 순환 경로 (범위 노드 포함, 시작 셀로 끝남) }]
+   */
+  findCycles(keys = null) {
+    const edges = this.buildEdges();
+    const nodes = keys || Array.from(edges.keys());
+    const included = new Set(nodes);
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let nextIndex = 0;
+
+    const successors = (key) => Array.from(edges.get(key)).filter((dependent) => included.has(dependent));
+
+    nodes.forEach((root) => {
+      if (indexes.has(root)) {
+        return;
+      }
+
+      const work = [{ key: root, children: null, position: 0 }];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        if (!frame.children) {
+          indexes.set(frame.key, nextIndex);
+          lowLinks.set(frame.key, nextIndex);
+          nextIndex += 1;
+          stack.push(frame.key);
+          onStack.add(frame.key);
+          frame.children = successors(frame.key);
+        }
+
+        if (frame.position < frame.children.length) {
+          const child = frame.children[frame.position];
+          frame.position += 1;
+          if (!indexes.has(child)) {
+            work.push({ key: child, children: null, position: 0 });
+          } else if (onStack.has(child)) {
+            lowLinks.set(frame.key, Math.min(lowLinks.get(frame.key), indexes.get(child)));
+          }
+        } else {
+          work.pop();
+          if (work.length > 0) {
+            const parent = work[work.length - 1];
+            lowLinks.set(parent.key, Math.min(lowLinks.get(parent.key), lowLinks.get(frame.key)));
+          }
+
+          if (lowLinks.get(frame.key) === indexes.get(frame.key)) {
+            const component = [];
+            let member;
+            do {
+              member = stack.pop();
+              onStack.delete(member);
+              component.push(member);
+            } while (member !== frame.key);
+
+            if (component.length > 1 || edges.get(frame.key).has(frame.key)) {
+              const cells = component.reverse().filter((key) => this.formulas.has(key));
+              cycles.push({ cells, path: this.tracePath(cells, component, edges) });
+            }
+          }
+        }
+      }
+    });
+
+    return cycles;
+  }
+
+  /**
+   * 강결합 요소 안의 순환 경로 하나 (너비 우선 탐색)
+   * @param {Array} cells - 순환에 속한 수식 셀 키
+   * @param {Array} component - 강결합 요소 (범위 노드 포함)
+   * @param {Map} edges - 간선
+   * @returns {Array} 노드 키 경로 (시작 셀로 끝남)
+   */
+  tracePath(cells, component, edges) {
+    const members = new Set(component);
+    const start = cells[0];
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    for (let index = 0; index < queue.length; index += 1) {
+      const key = queue[index];
+      const successors = Array.from(edges.get(key));
+      if (successors.includes(start)) {
+        const path = [];
+        for (let step = key; step !== null; step = previous.get(step)) {
+          path.unshift(step);
+        }
+        return [...path, start];
+      }
+      successors
+        .filter((next) => members.has(next) && !previous.has(next))
+        .forEach((next) => {
+          previous.set(next, key);
+          queue.push(next);
+        });
+    }
+
+    return [start, start];
+  }
+
+  /**
+   * 그래프 요약 (수식/간선 수, 계산 단계 수, 순환 참조)
+   * @returns {Object} 요약
+   */
+  getSummary() {
+    const edges = this.buildEdges();
+    const { cycles, blocked } = this.getEvaluationOrder();
+
+    // 계산 단계(깊이): 선행 수식 셀이 모두 끝난 뒤 계산되는 단계 수 (범위 노드는 단계로 세지 않음)
+    const levels = new Map();
+    const { order: nodeOrder } = this.sortNodes(edges);
+    nodeOrder.forEach((key) => {
+      const level = levels.get(key) || 0;
+      const next = this.formulas.has(key) ? level + 1 : level;
+      edges.get(key).forEach((dependent) => {
+        levels.set(dependent, Math.max(levels.get(dependent) || 0, next));
+      });
+    });
+
+    const formulasBySheet = {};
+    this.sheetFormulas.forEach((keys, sheet) => {
+      formulasBySheet[sheet] = keys.size;
+    });
+
+    return {
+      formulaCount: this.formulas.size,
+      rangeCount: this.ranges.size,
+      edgeCount: Array.from(edges.values()).reduce((sum, dependents) => sum + dependents.size, 0),
+      formulasBySheet,
+      depth: nodeOrder
+        .filter((key) => this.formulas.has(key))
+        .reduce((max, key) => Math.max(max, (levels.get(key) || 0) + 1), 0),
+      cycles,
+      blocked,
+    };
+  }
+
+  /**
+   * 범위에 셀이 포함되는지 확인
+   * @param {Object} bounds - { startRow, endRow, startCol, endCol }
+   * @param {number} row - 0-based 행
+   * @param {number} col - 0-based 열
+   * @returns {boolean} 포함 여부
+   */
+  contains(bounds, row, col) {
+    return row >= bounds.startRow && row <= bounds.endRow && col >= bounds.startCol && col <= bounds.endCol;
+  }
+}
+
+module.exports = DependencyGraph;
@@ -1,49 +1,103 @@
 /**
  * Excel 수식 파서
- * Excel 수식을 JavaScript로 변환하고 실행
+ * Excel 수식을 AST로 파싱하고 직접 해석해 실행 (단계별 평가 기록 지원)
  */
 
+const SumifsIndex = require('./SumifsIndex');
+
+// Excel 오류 값 (셀 값과 같은 문자열로 표현하고 연산/함수를 거쳐 전파)
+const ERROR_VALUES = ['#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A'];
+
+// Excel 날짜 일련번호 기준일 (1900-03-01 이후 날짜에서 Excel과 일치)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+// Excel은 없는 날짜 1900-02-29를 일련번호 60으로 세므로, 그 이전 날짜는 일련번호가 하루 작음
+const FIRST_SERIAL_AFTER_LEAP_BUG = Date.UTC(1900, 2, 1);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// SUBTOTAL 함수 번호 (101~111은 숨긴 행 제외, 행 숨김 정보가 없으므로 1~11과 동일하게 계산)
+const SUBTOTAL_FUNCTIONS = {
+  1: 'AVERAGE', 2: 'COUNT', 3: 'COUNTA', 4: 'MAX', 5: 'MIN', 6: 'PRODUCT',
+  7: 'STDEV', 8: 'STDEVP', 9: 'SUM', 10: 'VAR', 11: 'VARP'
+};
+
+// 오류 값 인수를 직접 처리하는 함수 (그 외 함수는 오류 인수를 그대로 반환)
+const ERROR_AWARE_FUNCTIONS = new Set([
+  'IF', 'IFERROR', 'IFNA', 'ISERROR', 'ISNA', 'ISBLANK', 'COUNT', 'COUNTA', 'XLOOKUP'
+]);
+
+// 배열 인수를 받으면 원소별로 계산하는 스칼라 함수 (배열 수식의 LEFT(A1:A10,2) 등)
+const ELEMENTWISE_FUNCTIONS = new Set([
+  'ABS', 'INT', 'MOD', 'ROUND', 'ROUNDUP', 'ROUNDDOWN', 'IF', 'IFERROR', 'IFNA', 'NOT',
+  'ISERROR', 'ISNA', 'ISBLANK', 'LEFT', 'RIGHT', 'MID', 'LEN', 'CONCATENATE', 'TEXT', 'UPPER',
+  'LOWER', 'TRIM', 'SUBSTITUTE', 'FIND', 'DATE', 'YEAR', 'MONTH', 'DAY', 'EOMONTH', 'EDATE'
+]);
+
+// 찾을 값이 배열이면 값마다 조회하는 함수
+const LOOKUP_FUNCTIONS = new Set(['VLOOKUP', 'HLOOKUP', 'XLOOKUP', 'MATCH']);
+
+// 직접 입력한 인수는 숫자로 변환하고 참조/범위의 텍스트와 논리값은 제외하는 집계 함수
+const NUMERIC_AGGREGATE_FUNCTIONS = new Set([
+  'SUM', 'AVERAGE', 'MAX', 'MIN', 'PRODUCT', 'STDEV', 'STDEVP', 'VAR', 'VARP',
+  'STDEV.S', 'STDEV.P', 'VAR.S', 'VAR.P'
+]);
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+// 오류 값 설명 (평가 기록에서 오류가 처음 생긴 노드에 표시)
+const ERROR_DESCRIPTIONS = {
+  '#NULL!': '범위의 교집합이 없습니다',
+  '#DIV/0!': '0으로 나누었습니다',
+  '#VALUE!': '값의 형식이 연산이나 함수에 맞지 않습니다',
+  '#REF!': '참조 위치가 범위를 벗어났습니다',
+  '#NAME?': '알 수 없는 함수 또는 이름입니다',
+  '#NUM!': '숫자 결과가 올바르지 않습니다',
+  '#N/A': '찾는 값이 없습니다'
+};
+
+// 단항 연산자 우선순위 (Excel은 부호가 ^보다 먼저 결합: -2^2 = 4)
+const POSTFIX_PRECEDENCE = 6; // %
+const PREFIX_PRECEDENCE = 7; // -, +
+
 class FormulaParser {
   constructor() {
     this.functionRegistry = this.initializeFunctionRegistry();
+    // 정확히 일치 조회용 해시 색인 (조회 범위 배열 → { 종류: Map(키 → 위치) })
+    this.lookupIndexes = new WeakMap();
+    // 노드별 범위 포함 여부와 수식 텍스트 (배열 캐시 키)
+    this.rangeNodes = new WeakMap();
+    this.nodeTexts = new WeakMap();
+    // 조건부 집계 색인 (값 범위 배열 → Map(조건 범위 배열 id 목록 → SumifsIndex))
+    this.aggregateIndexes = new WeakMap();
+    this.arrayIds = new WeakMap();
+    this.nextArrayId = 0;
+    // Excel 이항 연산자 우선순위 (높을수록 먼저 결합, 모두 왼쪽 결합)
     this.operatorPrecedence = {
-      '^': 4,
-      '*': 3, '/': 3,
-      '+': 2, '-': 2,
-      '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1,
-      '&': 0
+      '^': 5,
+      '*': 4, '/': 4,
+      '+': 3, '-': 3,
+      '&': 2,
+      '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1
     };
   }
 
   /**
-   * Excel 수식을 JavaScript 함수로 파싱
+   * Excel 수식을 실행 함수로 파싱 (오류는 셀 값처럼 오류 값으로 반환)
    * @param {string} formula - Excel 수식
-   * @param {Object} context - 실행 컨텍스트 (셀 데이터, 함수 등)
-   * @returns {Function} JavaScript 함수
+   * @param {Object} context - 실행 컨텍스트 (셀 데이터 조회)
+   * @returns {Function} (context) => 결과
    */
   parseFormula(formula, context = {}) {
     try {
-      // 수식 전처리
-      const cleanFormula = this.preprocessFormula(formula);
-      
-      // 토큰화
-      const tokens = this.tokenize(cleanFormula);
-      
-      // 구문 분석 및 AST 생성
-      const ast = this.parseTokens(tokens);
-      
-      // JavaScript 코드 생성
-      const jsCode = this.generateJavaScript(ast, context);
-      
-      // 실행 가능한 함수로 변환
-      return new Function('context', `
+      const compiled = this.compileFormula(formula);
+
+      return (executionContext) => {
         try {
-          return ${jsCode};
+          return compiled(executionContext);
         } catch (error) {
           console.error('Formula execution error:', error);
-          return '#ERROR!';
+          return error.code || '#ERROR!';
         }
-      `);
+      };
       
     } catch (error) {
       console.error('Formula parsing error:', error);
@@ -51,6 +105,60 @@ class FormulaParser {
     }
   }
 
+  /**
+   * Excel 수식을 실행 함수로 컴파일 (AST를 한 번 만들고 실행마다 해석, 파싱/실행 오류를 그대로 던짐)
+   * @param {string} formula - Excel 수식
+   * @returns {Function} (context) => 결과
+   */
+  compileFormula(formula) {
+    const ast = this.parseAST(formula);
+    return (executionContext) => this.evaluateAST(ast, this.createSandbox(executionContext));
+  }
+
+  /**
+   * Excel 수식을 AST로 파싱
+   * @param {string} formula - Excel 수식
+   * @returns {Object} AST 노드
+   */
+  parseAST(formula) {
+    // 수식 전처리
+    const cleanFormula = this.preprocessFormula(formula);
+
+    // 토큰화
+    const tokens = this.tokenize(cleanFormula);
+
+    // 구문 분석 및 AST 생성
+    return this.parseTokens(tokens);
+  }
+
+  /**
+   * 수식이 참조하는 셀/범위 목록
+   * @param {string} formula - Excel 수식
+   * @returns {Array} [{ sheet, start, end }] (단일 셀은 start === end, 시트 생략 시 sheet는 null)
+   */
+  extractReferences(formula) {
+    const tokens = this.tokenize(this.preprocessFormula(formula));
+    const references = [];
+
+    tokens.forEach((token, index) => {
+      if (token.type === 'CELL_RANGE') {
+        references.push({ sheet: token.sheet || null, start: token.start, end: token.end });
+      } else if (token.type === 'CELL_REF') {
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        if (previous && previous.type === 'RANGE') {
+          return;
+        }
+        const end = next && next.type === 'RANGE' && tokens[index + 2] && tokens[index + 2].type === 'CELL_REF'
+          ? tokens[index + 2].value
+          : token.value;
+        references.push({ sheet: token.sheet || null, start: token.value, end: end });
+      }
+    });
+
+    return references;
+  }
+
   /**
    * 수식 전처리
    * @param {string} formula - 원본 수식
@@ -84,9 +192,12 @@ class FormulaParser {
     };
     
     Object.entries(koreanFunctions).forEach(([korean, english]) => {
-      const regex = new RegExp(korean, 'gi');
+      const regex = new RegExp(`${korean}(?=\\()`, 'gi');
       processed = processed.replace(regex, english);
     });
+
+    // 최신 함수의 저장 접두사 제거 (_xlfn.XLOOKUP → XLOOKUP)
+    processed = processed.replace(/_xl(?:fn|ws)\./gi, '');
     
     // 셀 참조 정규화 (절대 참조 표시 제거는 나중에)
     processed = processed.replace(/\$([A-Z]+)\$(\d+)/g, '$1$2');
@@ -114,22 +225,41 @@ class FormulaParser {
         continue;
       }
       
-      // 숫자 (소수점 포함)
+      // 셀/범위 참조 (시트 지정, 전체 열/행 포함)
+      const reference = this.matchReference(formula, current);
+      if (reference) {
+        tokens.push(reference.token);
+        current += reference.length;
+        continue;
+      }
+      
+      // 숫자 (소수점, 지수 표기 포함)
       if (/\d/.test(char) || (char === '.' && /\d/.test(formula[current + 1]))) {
         let value = '';
         while (current < formula.length && (/\d/.test(formula[current]) || formula[current] === '.')) {
           value += formula[current];
           current++;
         }
+        const exponent = formula.substring(current).match(/^[eE][+-]?\d+/);
+        if (exponent) {
+          value += exponent[0];
+          current += exponent[0].length;
+        }
         tokens.push({ type: 'NUMBER', value: parseFloat(value) });
         continue;
       }
       
-      // 문자열 리터럴
+      // 문자열 리터럴 ("" 는 따옴표 한 개)
       if (char === '"') {
         let value = '';
         current++; // 시작 따옴표 건너뛰기
-        while (current < formula.length && formula[current] !== '"') {
+        while (current < formula.length) {
+          if (formula[current] === '"') {
+            if (formula[current + 1] !== '"') {
+              break;
+            }
+            current++;
+          }
           value += formula[current];
           current++;
         }
@@ -138,16 +268,26 @@ class FormulaParser {
         continue;
       }
       
+      // 오류 값 리터럴 (#N/A, #DIV/0! 등)
+      if (char === '#') {
+        const error = ERROR_VALUES.find(value => formula.startsWith(value, current));
+        if (error) {
+          tokens.push({ type: 'ERROR', value: error });
+          current += error.length;
+          continue;
+        }
+      }
+      
       // 함수명 또는 셀 참조
       if (/[A-Za-z_]/.test(char)) {
         let value = '';
-        while (current < formula.length && /[A-Za-z0-9_]/.test(formula[current])) {
+        while (current < formula.length && /[A-Za-z0-9_.]/.test(formula[current])) {
           value += formula[current];
           current++;
         }
         
         // 셀 참조인지 확인 (A1, BC123 형태)
-        if (/^[A-Z]+\d+$/.test(value)) {
+        if (/^[A-Z]+\d+$/.test(value) && formula[current] !== '(') {
           tokens.push({ type: 'CELL_REF', value: value });
         } else {
           tokens.push({ type: 'FUNCTION', value: value.toUpperCase() });
@@ -190,7 +330,7 @@ class FormulaParser {
         current += 2;
         continue;
       }
-      if ('+-*/^=<>&'.includes(char)) {
+      if ('+-*/^=<>&%'.includes(char)) {
         tokens.push({ type: 'OPERATOR', value: char });
         current++;
         continue;
@@ -210,6 +350,18 @@ class FormulaParser {
         continue;
       }
       
+      // 배열 상수 ({1,2;3,4})
+      if ('{}'.includes(char)) {
+        tokens.push({ type: 'BRACE', value: char });
+        current++;
+        continue;
+      }
+      if (char === ';') {
+        tokens.push({ type: 'SEMICOLON', value: ';' });
+        current++;
+        continue;
+      }
+      
       // 인식되지 않는 문자
       current++;
     }
@@ -218,78 +370,153 @@ class FormulaParser {
   }
 
   /**
-   * 토큰을 AST로 파싱
+   * 현재 위치의 셀/범위 참조 인식
+   * 'Sheet Name'!A1, 출!$G:$G, A1:B10, G:G, 3:3 형태를 하나의 토큰으로 만듦
+   * @param {string} formula - 수식
+   * @param {number} position - 시작 위치
+   * @returns {Object|null} { token, length }
+   */
+  matchReference(formula, position) {
+    const rest = formula.substring(position);
+    let sheet = null;
+    let offset = 0;
+
+    const quoted = rest.match(/^'((?:[^']|'')+)'!/);
+    const unquoted = !quoted && rest.match(/^([A-Za-z0-9_.\uAC00-\uD7A3]+)!/);
+    if (quoted) {
+      sheet = quoted[1].replace(/''/g, "'");
+      offset = quoted[0].length;
+    } else if (unquoted) {
+      sheet = unquoted[1];
+      offset = unquoted[0].length;
+    }
+
+    const target = rest.substring(offset);
+    const patterns = [
+      { regex: /^\$?([A-Z]{1,3})\$?(\d+):\$?([A-Z]{1,3})\$?(\d+)/, range: match => [match[1] + match[2], match[3] + match[4]] },
+      { regex: /^\$?([A-Z]{1,3}):\$?([A-Z]{1,3})(?![A-Za-z0-9_(])/, range: match => [match[1], match[2]] },
+      { regex: /^\$?(\d+):\$?(\d+)(?![\d.])/, range: match => [match[1], match[2]] },
+      { regex: /^\$?([A-Z]{1,3})\$?(\d+)(?![A-Za-z0-9_(])/, cell: match => match[1] + match[2] }
+    ];
+
+    for (const pattern of patterns) {
+      const match = target.match(pattern.regex);
+      if (!match) {
+        continue;
+      }
+      // 시트 없는 전체 행 참조(1:1)는 다른 해석 여지가 없을 때만 인정
+      if (!sheet && pattern.regex === patterns[2].regex && position > 0 && /[A-Za-z0-9_.]/.test(formula[position - 1])) {
+        return null;
+      }
+
+      const token = pattern.cell
+        ? { type: 'CELL_REF', value: pattern.cell(match), sheet: sheet }
+        : { type: 'CELL_RANGE', start: pattern.range(match)[0], end: pattern.range(match)[1], sheet: sheet };
+      return { token, length: offset + match[0].length };
+    }
+
+    return null;
+  }
+
+  /**
+   * 토큰을 AST로 파싱 (Excel 연산자 우선순위를 따르는 precedence climbing 파서)
+   * 우선순위: 부호(-, +) > % > ^ > *, / > +, - > & > 비교 연산자
    * @param {Array} tokens - 토큰 배열
    * @returns {Object} AST 노드
    */
   parseTokens(tokens) {
     let current = 0;
     
-    const parseExpression = () => {
-      return parseComparison();
+    const isOperator = (token, operators) => {
+      return Boolean(token) && token.type === 'OPERATOR' && operators.includes(token.value);
     };
     
-    const parseComparison = () => {
-      let node = parseArithmetic();
+    const isParen = (token, value) => Boolean(token) && token.type === 'PAREN' && token.value === value;
+    
+    const expectClosingParen = () => {
+      if (!isParen(tokens[current], ')')) {
+        throw new Error('Expected closing parenthesis');
+      }
+      current++; // ) 건너뛰기
+    };
+    
+    // minPrecedence 이상인 연산자만 현재 식에 결합
+    const parseExpression = (minPrecedence = 0) => {
+      let node = parsePrefix();
       
-      while (current < tokens.length && 
-             tokens[current].type === 'OPERATOR' &&
-             ['=', '<>', '<', '>', '<=', '>='].includes(tokens[current].value)) {
-        const operator = tokens[current].value;
+      while (current < tokens.length) {
+        const token = tokens[current];
+        
+        // 백분율 (후위 연산자)
+        if (isOperator(token, ['%'])) {
+          if (POSTFIX_PRECEDENCE < minPrecedence) {
+            break;
+          }
+          current++;
+          node = {
+            type: 'UnaryOperation',
+            operator: '%',
+            operand: node
+          };
+          continue;
+        }
+        
+        if (token.type !== 'OPERATOR') {
+          break;
+        }
+        const precedence = this.operatorPrecedence[token.value];
+        if (precedence === undefined || precedence < minPrecedence) {
+          break;
+        }
+        
         current++;
-        const right = parseArithmetic();
         node = {
           type: 'BinaryOperation',
-          operator: operator,
+          operator: token.value,
           left: node,
-          right: right
+          // 왼쪽 결합: 오른쪽 피연산자는 더 높은 우선순위의 연산자만 포함
+          right: parseExpression(precedence + 1)
         };
       }
       
       return node;
     };
     
-    const parseArithmetic = () => {
-      let node = parseTerm();
-      
-      while (current < tokens.length && 
-             tokens[current].type === 'OPERATOR' &&
-             ['+', '-', '&'].includes(tokens[current].value)) {
-        const operator = tokens[current].value;
+    // 부호 (전위 연산자)
+    const parsePrefix = () => {
+      const token = tokens[current];
+      if (isOperator(token, ['-', '+'])) {
         current++;
-        const right = parseTerm();
-        node = {
-          type: 'BinaryOperation',
-          operator: operator,
-          left: node,
-          right: right
+        return {
+          type: 'UnaryOperation',
+          operator: token.value,
+          operand: parseExpression(PREFIX_PRECEDENCE)
         };
       }
-      
-      return node;
+      return parsePrimary();
     };
     
-    const parseTerm = () => {
-      let node = parseFactor();
-      
-      while (current < tokens.length && 
-             tokens[current].type === 'OPERATOR' &&
-             ['*', '/', '^'].includes(tokens[current].value)) {
-        const operator = tokens[current].value;
+    // 배열 상수의 원소 (숫자, 문자열, 논리값, 오류 값만 허용)
+    const parseArrayElement = () => {
+      const token = tokens[current];
+      const sign = isOperator(token, ['-', '+']) ? token.value : null;
+      const element = sign ? tokens[current + 1] : token;
+      if (element && element.type === 'NUMBER') {
+        current += sign ? 2 : 1;
+        return sign === '-' ? -element.value : element.value;
+      }
+      if (!sign && element && ['STRING', 'ERROR'].includes(element.type)) {
         current++;
-        const right = parseFactor();
-        node = {
-          type: 'BinaryOperation',
-          operator: operator,
-          left: node,
-          right: right
-        };
+        return element.value;
       }
-      
-      return node;
+      if (!sign && element && element.type === 'FUNCTION' && ['TRUE', 'FALSE'].includes(element.value)) {
+        current++;
+        return element.value === 'TRUE';
+      }
+      throw new Error('Array constants may only contain numbers, text, logical and error values');
     };
     
-    const parseFactor = () => {
+    const parsePrimary = () => {
       const token = tokens[current];
       
       if (!token) {
@@ -314,6 +541,55 @@ class FormulaParser {
         };
       }
       
+      // 오류 값
+      if (token.type === 'ERROR') {
+        current++;
+        return {
+          type: 'Error',
+          value: token.value
+        };
+      }
+      
+      // 배열 상수 (쉼표는 열, 세미콜론은 행 구분)
+      if (token.type === 'BRACE' && token.value === '{') {
+        current++;
+        const rows = [[]];
+        for (;;) {
+          rows[rows.length - 1].push(parseArrayElement());
+          const separator = tokens[current];
+          current++;
+          if (separator && separator.type === 'COMMA') {
+            continue;
+          }
+          if (separator && separator.type === 'SEMICOLON') {
+            rows.push([]);
+            continue;
+          }
+          if (separator && separator.type === 'BRACE' && separator.value === '}') {
+            break;
+          }
+          throw new Error('Expected closing brace');
+        }
+        if (rows.some(row => row.length !== rows[0].length)) {
+          throw new Error('Array constant rows must have the same number of columns');
+        }
+        return {
+          type: 'ArrayConstant',
+          values: rows
+        };
+      }
+      
+      // 범위 참조 (A1:B10, 출!G:G)
+      if (token.type === 'CELL_RANGE') {
+        current++;
+        return {
+          type: 'CellRange',
+          start: token.start,
+          end: token.end,
+          sheet: token.sheet || null
+        };
+      }
+      
       // 셀 참조
       if (token.type === 'CELL_REF') {
         current++;
@@ -327,14 +603,17 @@ class FormulaParser {
             return {
               type: 'CellRange',
               start: token.value,
-              end: endCell
+              end: endCell,
+              sheet: token.sheet || null
             };
           }
+          throw new Error('Expected cell reference after :');
         }
         
         return {
           type: 'CellReference',
-          value: token.value
+          value: token.value,
+          sheet: token.sheet || null
         };
       }
       
@@ -344,13 +623,13 @@ class FormulaParser {
         current++;
         
         // 괄호 확인
-        if (current < tokens.length && tokens[current].type === 'PAREN' && tokens[current].value === '(') {
+        if (isParen(tokens[current], '(')) {
           current++; // ( 건너뛰기
           
           const args = [];
           
           // 인수 파싱
-          if (current < tokens.length && !(tokens[current].type === 'PAREN' && tokens[current].value === ')')) {
+          if (!isParen(tokens[current], ')')) {
             args.push(parseExpression());
             
             while (current < tokens.length && tokens[current].type === 'COMMA') {
@@ -359,316 +638,1720 @@ class FormulaParser {
             }
           }
           
-          // 닫는 괄호 확인
-          if (current < tokens.length && tokens[current].type === 'PAREN' && tokens[current].value === ')') {
-            current++; // ) 건너뛰기
-          } else {
-            throw new Error('Expected closing parenthesis');
-          }
+          expectClosingParen();
           
           return {
             type: 'FunctionCall',
             name: functionName,
             arguments: args
           };
-        } else {
-          // 괄호 없는 함수 (상수 등)
+        }
+        
+        // 논리값 상수
+        if (functionName === 'TRUE' || functionName === 'FALSE') {
           return {
-            type: 'FunctionCall',
-            name: functionName,
-            arguments: []
+            type: 'Boolean',
+            value: functionName === 'TRUE'
           };
         }
+        
+        // 괄호 없는 함수 (상수 등)
+        return {
+          type: 'FunctionCall',
+          name: functionName,
+          arguments: []
+        };
       }
       
       // 괄호로 묶인 표현식
-      if (token.type === 'PAREN' && token.value === '(') {
+      if (isParen(token, '(')) {
         current++; // ( 건너뛰기
         const node = parseExpression();
-        
-        if (current < tokens.length && tokens[current].type === 'PAREN' && tokens[current].value === ')') {
-          current++; // ) 건너뛰기
-          return node;
-        } else {
-          throw new Error('Expected closing parenthesis');
-        }
+        expectClosingParen();
+        return node;
       }
       
       throw new Error(`Unexpected token: ${token.type} ${token.value}`);
     };
     
-    return parseExpression();
+    const ast = parseExpression();
+    
+    if (current < tokens.length) {
+      const token = tokens[current];
+      throw new Error(`Unexpected token: ${token.type} ${token.value}`);
+    }
+    
+    return ast;
   }
 
   /**
-   * AST를 JavaScript 코드로 변환
-   * @param {Object} ast - AST 노드
+   * AST 직접 해석 (수식 문자열을 코드로 실행하지 않음)
+   * 컨텍스트에서는 getCellValue/getRangeValues만 사용하고 함수는 레지스트리에서만 찾음.
+   * IF/IFERROR/IFNA는 Excel처럼 선택된 인수만 평가
+   * @param {Object} node - AST 노드
    * @param {Object} context - 실행 컨텍스트
-   * @returns {string} JavaScript 코드
+   * @param {Object} trace - 평가 기록 (traceFormula에서 사용, 없으면 기록하지 않음)
+   * @returns {any} 결과
    */
-  generateJavaScript(ast, context) {
-    switch (ast.type) {
+  evaluateAST(node, context, trace = null) {
+    if (!trace) {
+      return this.evaluateNode(node, context, null);
+    }
+
+    let value;
+    let message = null;
+    try {
+      value = this.evaluateNode(node, context, trace);
+    } catch (error) {
+      // 구조 오류(알 수 없는 함수 등)도 오류 값으로 바꿔 어느 노드에서 생겼는지 기록
+      value = error.code || '#VALUE!';
+      message = error.message;
+    }
+    this.recordStep(node, value, message, trace);
+    return value;
+  }
+
+  evaluateNode(node, context, trace) {
+    const evaluate = (child) => this.evaluateAST(child, context, trace);
+
+    switch (node.type) {
       case 'Number':
-        return ast.value.toString();
-      
       case 'String':
-        return JSON.stringify(ast.value);
+      case 'Boolean':
+      case 'Error':
+        return node.value;
       
       case 'CellReference':
-        return `context.getCellValue('${ast.value}')`;
+        return context.getCellValue(node.value, node.sheet || null);
+      
+      case 'ArrayConstant':
+        return node.values.map(row => row.slice());
       
       case 'CellRange':
-        return `context.getRangeValues('${ast.start}', '${ast.end}')`;
+        return this.cachedArray(node, context, trace, () =>
+          this.rangeToMatrix(context.getRangeValues(node.start, node.end, node.sheet || null), node));
       
       case 'BinaryOperation':
-        const left = this.generateJavaScript(ast.left, context);
-        const right = this.generateJavaScript(ast.right, context);
-        
-        switch (ast.operator) {
-          case '+': return `(${left} + ${right})`;
-          case '-': return `(${left} - ${right})`;
-          case '*': return `(${left} * ${right})`;
-          case '/': return `(${left} / ${right})`;
-          case '^': return `Math.pow(${left}, ${right})`;
-          case '&': return `String(${left}) + String(${right})`;
-          case '=': return `(${left} == ${right})`;
-          case '<>': return `(${left} != ${right})`;
-          case '<': return `(${left} < ${right})`;
-          case '>': return `(${left} > ${right})`;
-          case '<=': return `(${left} <= ${right})`;
-          case '>=': return `(${left} >= ${right})`;
-          default: 
-            throw new Error(`Unknown operator: ${ast.operator}`);
-        }
+        return this.cachedArray(node, context, trace, () =>
+          this.applyOperator(node.operator, evaluate(node.left), evaluate(node.right)));
       
-      case 'FunctionCall':
-        const args = ast.arguments.map(arg => this.generateJavaScript(arg, context));
-        return `context.callFunction('${ast.name}', [${args.join(', ')}])`;
+      case 'UnaryOperation':
+        return this.cachedArray(node, context, trace, () =>
+          this.applyUnary(node.operator, evaluate(node.operand)));
+      
+      case 'FunctionCall': {
+        const args = node.arguments;
+        switch (node.name) {
+          case 'IF': {
+            const condition = evaluate(args[0]);
+            if (Array.isArray(condition)) {
+              // 배열 조건은 두 인수를 모두 평가해 원소별로 선택
+              return this.callFunction('IF', [condition, ...args.slice(1).map(evaluate)]);
+            }
+            const test = this.toBoolean(condition);
+            if (this.isError(test)) {
+              return test;
+            }
+            const branch = test ? args[1] : args[2];
+            return branch ? evaluate(branch) : test;
+          }
+          case 'IFERROR':
+          case 'IFNA': {
+            const value = evaluate(args[0]);
+            const isCaught = (item) => (node.name === 'IFERROR' ? this.isError(item) : item === '#N/A');
+            if (Array.isArray(value)) {
+              return this.flatten(value).some(isCaught) && args[1]
+                ? this.callFunction(node.name, [value, evaluate(args[1])])
+                : value;
+            }
+            return isCaught(value) && args[1] ? evaluate(args[1]) : value;
+          }
+          default:
+            if (NUMERIC_AGGREGATE_FUNCTIONS.has(node.name.toUpperCase())) {
+              // 참조로 계산되는 인수는 범위처럼 전달 (참조한 셀의 텍스트는 직접 입력한 텍스트와 달리 제외)
+              return this.callFunction(node.name, args.map((arg) => {
+                const value = evaluate(arg);
+                return !Array.isArray(value) && this.returnsReference(arg) ? [[value]] : value;
+              }));
+            }
+            return this.callFunction(node.name, args.map(evaluate));
+        }
+      }
       
       default:
-        throw new Error(`Unknown AST node type: ${ast.type}`);
+        throw new Error(`Unknown AST node type: ${node.type}`);
     }
   }
 
   /**
-   * 함수 레지스트리 초기화
-   * @returns {Object} 함수 레지스트리
+   * 수식을 계산하며 단계별 평가 과정 기록 (Excel "수식 계산" 대화상자와 같은 순서)
+   * @param {string} formula - Excel 수식
+   * @param {Object} context - 실행 컨텍스트 (getCellValue, getRangeValues)
+   * @param {Object} options - { maxSteps }
+   * @returns {Object} { formula, value, display, steps: [{ step, expression, value, display, formula }], errors: [{ expression, value, message }], truncated }
    */
-  initializeFunctionRegistry() {
+  traceFormula(formula, context, options = {}) {
+    const ast = this.parseAST(formula);
+    const trace = {
+      root: ast,
+      values: new Map(),
+      steps: [],
+      errors: [],
+      maxSteps: options.maxSteps || 500,
+      truncated: false
+    };
+
+    const value = this.evaluateAST(ast, this.createSandbox(context), trace);
+
     return {
-      // 수학 함수
-      SUM: (values) => {
-        const nums = this.flattenAndFilter(values, (v) => typeof v === 'number');
-        return nums.reduce((sum, num) => sum + num, 0);
-      },
-      
-      AVERAGE: (values) => {
-        const nums = this.flattenAndFilter(values, (v) => typeof v === 'number');
-        return nums.length > 0 ? nums.reduce((sum, num) => sum + num, 0) / nums.length : 0;
-      },
-      
-      COUNT: (values) => {
-        const nums = this.flattenAndFilter(values, (v) => typeof v === 'number');
-        return nums.length;
-      },
-      
-      MAX: (values) => {
-        const nums = this.flattenAndFilter(values, (v) => typeof v === 'number');
-        return nums.length > 0 ? Math.max(...nums) : 0;
-      },
-      
-      MIN: (values) => {
-        const nums = this.flattenAndFilter(values, (v) => typeof v === 'number');
-        return nums.length > 0 ? Math.min(...nums) : 0;
-      },
-      
-      // 조건부 함수
-      IF: (condition, trueValue, falseValue) => {
-        return condition ? trueValue : falseValue;
-      },
-      
-      SUMIF: (range, criteria, sumRange = null) => {
-        const rangeValues = Array.isArray(range) ? range : [range];
-        const sumValues = sumRange ? (Array.isArray(sumRange) ? sumRange : [sumRange]) : rangeValues;
-        
-        let total = 0;
-        for (let i = 0; i < rangeValues.length; i++) {
-          if (this.matchesCriteria(rangeValues[i], criteria)) {
-            total += parseFloat(sumValues[i] || 0) || 0;
-          }
-        }
-        return total;
-      },
-      
-      SUMIFS: (...args) => {
-        if (args.length < 3 || args.length % 2 === 0) {
-          throw new Error('SUMIFS requires odd number of arguments');
-        }
-        
-        const sumRange = Array.isArray(args[0]) ? args[0] : [args[0]];
-        const criteriaRanges = [];
-        const criterias = [];
-        
-        for (let i = 1; i < args.length; i += 2) {
-          criteriaRanges.push(Array.isArray(args[i]) ? args[i] : [args[i]]);
-          criterias.push(args[i + 1]);
-        }
-        
-        let total = 0;
-        for (let i = 0; i < sumRange.length; i++) {
-          let matchesAll = true;
-          
-          for (let j = 0; j < criteriaRanges.length; j++) {
-            if (!this.matchesCriteria(criteriaRanges[j][i], criterias[j])) {
-              matchesAll = false;
-              break;
-            }
-          }
-          
-          if (matchesAll) {
-            total += parseFloat(sumRange[i] || 0) || 0;
-          }
-        }
-        
-        return total;
-      },
-      
-      COUNTIF: (range, criteria) => {
-        const rangeValues = Array.isArray(range) ? range : [range];
-        return rangeValues.filter(value => this.matchesCriteria(value, criteria)).length;
-      },
-      
-      // 텍스트 함수
-      LEFT: (text, numChars) => {
-        return String(text).substring(0, numChars);
-      },
-      
-      RIGHT: (text, numChars) => {
-        const str = String(text);
-        return str.substring(str.length - numChars);
-      },
-      
-      MID: (text, startNum, numChars) => {
-        return String(text).substring(startNum - 1, startNum - 1 + numChars);
-      },
-      
-      LEN: (text) => {
-        return String(text).length;
-      },
-      
-      CONCATENATE: (...args) => {
-        return args.map(arg => String(arg)).join('');
-      },
-      
-      // 조회 함수 (간단한 구현)
-      VLOOKUP: (lookupValue, tableArray, colIndexNum, rangeLookup = false) => {
-        if (!Array.isArray(tableArray) || tableArray.length === 0) {
-          return '#N/A';
-        }
-        
-        for (let i = 0; i < tableArray.length; i++) {
-          const row = Array.isArray(tableArray[i]) ? tableArray[i] : [tableArray[i]];
-          if (row.length > colIndexNum - 1) {
-            if (rangeLookup) {
-              if (row[0] <= lookupValue) {
-                if (i === tableArray.length - 1 || tableArray[i + 1][0] > lookupValue) {
-                  return row[colIndexNum - 1];
-                }
-              }
-            } else {
-              if (String(row[0]) === String(lookupValue)) {
-                return row[colIndexNum - 1];
-              }
-            }
-          }
-        }
-        
-        return '#N/A';
-      },
-      
-      // 날짜 함수
-      TODAY: () => {
-        return new Date();
-      },
-      
-      YEAR: (date) => {
-        return new Date(date).getFullYear();
-      },
-      
-      MONTH: (date) => {
-        return new Date(date).getMonth() + 1;
-      },
-      
-      DAY: (date) => {
-        return new Date(date).getDate();
-      }
+      formula: `=${this.formatNode(ast)}`,
+      value: Array.isArray(value) ? null : value,
+      display: this.formatValue(value),
+      steps: trace.steps,
+      errors: trace.errors,
+      truncated: trace.truncated
     };
   }
 
   /**
-   * 조건 매칭
-   * @param {any} value - 값
-   * @param {any} criteria - 조건
-   * @returns {boolean} 매칭 여부
+   * 평가한 노드 기록 (리터럴 제외). 오류 값을 자식에게서 받지 않고 처음 만든 노드는 오류 발생 지점으로 기록
    */
-  matchesCriteria(value, criteria) {
-    const criteriaStr = String(criteria);
-    const valueStr = String(value);
-    const valueNum = parseFloat(value);
-    
-    // 비교 연산자 처리
-    if (criteriaStr.startsWith('>=')) {
-      return valueNum >= parseFloat(criteriaStr.substring(2));
-    }
-    if (criteriaStr.startsWith('<=')) {
-      return valueNum <= parseFloat(criteriaStr.substring(2));
+  recordStep(node, value, message, trace) {
+    if (['Number', 'String', 'Boolean', 'Error', 'ArrayConstant'].includes(node.type)) {
+      return;
     }
-    if (criteriaStr.startsWith('<>')) {
-      return valueStr !== criteriaStr.substring(2);
-    }
-    if (criteriaStr.startsWith('>')) {
-      return valueNum > parseFloat(criteriaStr.substring(1));
-    }
-    if (criteriaStr.startsWith('<')) {
-      return valueNum < parseFloat(criteriaStr.substring(1));
-    }
-    if (criteriaStr.startsWith('=')) {
-      return valueStr === criteriaStr.substring(1);
+    trace.values.set(node, value);
+
+    if (this.isError(value)) {
+      const inherited = this.childNodes(node).some(child => trace.values.has(child) &&
+        this.flatten(trace.values.get(child)).includes(value));
+      if (!inherited) {
+        trace.errors.push({
+          expression: this.formatNode(node),
+          value: value,
+          message: message || ERROR_DESCRIPTIONS[value]
+        });
+      }
     }
-    
-    // 와일드카드 패턴 매칭
-    if (criteriaStr.includes('*') || criteriaStr.includes('?')) {
-      const regexPattern = criteriaStr
-        .replace(/\*/g, '.*')
-        .replace(/\?/g, '.');
-      return new RegExp('^' + regexPattern + '$', 'i').test(valueStr);
+
+    if (trace.steps.length >= trace.maxSteps) {
+      trace.truncated = true;
+      return;
     }
-    
-    // 정확한 매칭
-    return valueStr === criteriaStr;
+    trace.steps.push({
+      step: trace.steps.length + 1,
+      expression: this.formatNode(node),
+      value: Array.isArray(value) ? null : value,
+      display: this.formatValue(value),
+      formula: `=${this.formatNode(trace.root, trace.values)}`
+    });
+  }
+
+  /**
+   * 식이 값이 아닌 셀 참조로 계산되는지 (셀/범위와 이름, 참조에서 고르는 INDEX, 두 결과가 모두 참조인 IF/IFERROR/IFNA)
+   * 이름은 파싱 전에 셀/범위 참조로 바뀌므로 참조 노드로 판단됨
+   * @param {Object} node - AST 노드
+   * @returns {boolean} 참조 여부
+   */
+  returnsReference(node) {
+    switch (node.type) {
+      case 'CellReference':
+      case 'CellRange':
+        return true;
+      case 'FunctionCall': {
+        const args = node.arguments;
+        switch (node.name.toUpperCase()) {
+          case 'INDEX':
+            return args.length > 0 && this.returnsReference(args[0]);
+          case 'IF':
+            return args.length > 1 && args.slice(1).every(arg => this.returnsReference(arg));
+          case 'IFERROR':
+          case 'IFNA':
+            return args.length > 1 && args.every(arg => this.returnsReference(arg));
+          default:
+            return false;
+        }
+      }
+      default:
+        return false;
+    }
+  }
+
+  childNodes(node) {
+    switch (node.type) {
+      case 'BinaryOperation': return [node.left, node.right];
+      case 'UnaryOperation': return [node.operand];
+      case 'FunctionCall': return node.arguments;
+      default: return [];
+    }
+  }
+
+  /**
+   * 실행 컨텍스트에서 셀 읽기 함수만 노출한 샌드박스
+   * (sheet와 arrayCache가 있으면 같은 계산 패스의 수식끼리 범위 배열을 공유)
+   * @param {Object} context - 실행 컨텍스트
+   * @returns {Object} 고정된 컨텍스트
+   */
+  createSandbox(context) {
+    return Object.freeze({
+      getCellValue: (cellRef, sheet) => context.getCellValue(cellRef, sheet),
+      getRangeValues: (start, end, sheet) => context.getRangeValues(start, end, sheet),
+      sheet: context.sheet || null,
+      arrayCache: context.arrayCache instanceof Map ? context.arrayCache : null
+    });
+  }
+
+  /**
+   * 범위를 포함한 노드의 배열 결과를 계산 패스 캐시에 보관
+   * 분!$C:$C&분!$I:$I 같은 조회 키 배열을 행마다 다시 만들지 않도록 시트와 수식 텍스트를 키로 공유
+   * (평가 기록 중에는 자식 단계를 남겨야 하므로 캐시를 쓰지 않음)
+   * @param {Object} node - AST 노드
+   * @param {Object} context - 샌드박스
+   * @param {Object} trace - 평가 기록
+   * @param {Function} compute - 결과 계산 함수
+   * @returns {any} 결과
+   */
+  cachedArray(node, context, trace, compute) {
+    if (trace || !context.arrayCache || !this.containsRange(node)) {
+      return compute();
+    }
+
+    const key = `${context.sheet}|${this.nodeText(node)}`;
+    if (context.arrayCache.has(key)) {
+      return context.arrayCache.get(key);
+    }
+    const value = compute();
+    if (Array.isArray(value)) {
+      context.arrayCache.set(key, value);
+    }
+    return value;
+  }
+
+  containsRange(node) {
+    if (!this.rangeNodes.has(node)) {
+      this.rangeNodes.set(node, node.type === 'CellRange' ||
+        (node.type !== 'FunctionCall' && this.childNodes(node).some(child => this.containsRange(child))));
+    }
+    return this.rangeNodes.get(node);
+  }
+
+  nodeText(node) {
+    if (!this.nodeTexts.has(node)) {
+      this.nodeTexts.set(node, this.formatNode(node));
+    }
+    return this.nodeTexts.get(node);
+  }
+
+  /**
+   * 범위 값을 행 배열(2차원)로 (한 행 범위는 1행, 한 열 범위는 1열)
+   * @param {any} values - getRangeValues 결과
+   * @param {Object} node - CellRange 노드
+   * @returns {Array|string} 행 배열 (없는 시트면 오류 값)
+   */
+  rangeToMatrix(values, node) {
+    if (this.isError(values)) {
+      return values;
+    }
+    if (!Array.isArray(values) || values.length === 0 || Array.isArray(values[0])) {
+      return this.toMatrix(values);
+    }
+    const bounds = this.getRangeBounds(node.start, node.end);
+    return this.toRows(values, bounds.startRow === bounds.endRow ? 'row' : 'column');
+  }
+
+  /**
+   * 값을 행 배열로 (스칼라는 1×1, 1차원 배열은 한 열)
+   * @param {any} value - 값
+   * @returns {Array} 행 배열
+   */
+  toMatrix(value) {
+    if (Array.isArray(value) && value.length === 0) {
+      return [];
+    }
+    return this.toRows(value, 'column');
+  }
+
+  /**
+   * 배열 결과를 셀 하나의 값으로 (왼쪽 위 원소, 빈 배열은 빈 셀)
+   * @param {any} value - 값
+   * @returns {any} 스칼라 값
+   */
+  toScalar(value) {
+    let result = value;
+    while (Array.isArray(result)) {
+      result = result.length > 0 ? result[0] : null;
+    }
+    return result;
+  }
+
+  /**
+   * 여러 값을 Excel 배열 규칙으로 맞춰 원소별 계산
+   * 크기가 1인 차원은 반복해 늘리고, 다른 배열보다 작은 배열의 바깥 위치는 #N/A
+   * @param {Array} values - 스칼라 또는 배열 값
+   * @param {Function} transform - (...원소) => 결과
+   * @returns {Array} 행 배열
+   */
+  broadcast(values, transform) {
+    const matrices = values.map(value => this.toMatrix(value));
+    const rowCount = Math.max(...matrices.map(matrix => matrix.length));
+    const columnCount = Math.max(...matrices.map(matrix => (matrix.length > 0 ? matrix[0].length : 0)));
+    const pick = (matrix, row, col) => {
+      const r = matrix.length === 1 ? 0 : row;
+      const c = matrix.length > 0 && matrix[0].length === 1 ? 0 : col;
+      return r < matrix.length && c < matrix[r].length ? matrix[r][c] : '#N/A';
+    };
+
+    const result = [];
+    for (let row = 0; row < rowCount; row++) {
+      const cells = [];
+      for (let col = 0; col < columnCount; col++) {
+        cells.push(transform(...matrices.map(matrix => pick(matrix, row, col))));
+      }
+      result.push(cells);
+    }
+    return result;
+  }
+
+  /**
+   * AST를 수식 텍스트로 (values에 있는 노드는 계산된 값으로 표시)
+   * @param {Object} node - AST 노드
+   * @param {Map} values - 노드 → 계산 값
+   * @returns {string} 수식 텍스트 (= 제외)
+   */
+  formatNode(node, values = null) {
+    if (values && values.has(node)) {
+      return this.formatValue(values.get(node));
+    }
+
+    const format = (child, minPrecedence) => {
+      const text = this.formatNode(child, values);
+      return this.nodePrecedence(child, values) < minPrecedence ? `(${text})` : text;
+    };
+    const sheetPrefix = (sheet) => {
+      if (!sheet) {
+        return '';
+      }
+      return /^[A-Za-z0-9_.가-힣]+$/.test(sheet) ? `${sheet}!` : `'${sheet.replace(/'/g, "''")}'!`;
+    };
+
+    switch (node.type) {
+      case 'Number':
+      case 'String':
+      case 'Boolean':
+      case 'Error':
+        return this.formatValue(node.value);
+      case 'CellReference':
+        return sheetPrefix(node.sheet) + node.value;
+      case 'CellRange':
+        return `${sheetPrefix(node.sheet)}${node.start}:${node.end}`;
+      case 'ArrayConstant':
+        return `{${node.values.map(row => row.map(value => this.formatValue(value)).join(',')).join(';')}}`;
+      case 'UnaryOperation':
+        return node.operator === '%'
+          ? `${format(node.operand, POSTFIX_PRECEDENCE)}%`
+          : `${node.operator}${format(node.operand, PREFIX_PRECEDENCE)}`;
+      case 'BinaryOperation': {
+        const precedence = this.operatorPrecedence[node.operator];
+        return `${format(node.left, precedence)}${node.operator}${format(node.right, precedence + 1)}`;
+      }
+      case 'FunctionCall':
+        return `${node.name}(${node.arguments.map(arg => this.formatNode(arg, values)).join(',')})`;
+      default:
+        return '';
+    }
+  }
+
+  nodePrecedence(node, values) {
+    if (values && values.has(node)) {
+      return Infinity;
+    }
+    if (node.type === 'BinaryOperation') {
+      return this.operatorPrecedence[node.operator];
+    }
+    if (node.type === 'UnaryOperation') {
+      return node.operator === '%' ? POSTFIX_PRECEDENCE : PREFIX_PRECEDENCE;
+    }
+    return Infinity;
+  }
+
+  /**
+   * 값을 수식 표기로 (텍스트는 따옴표, 배열은 앞부분만 {a,b,...})
+   * @param {any} value - 값
+   * @returns {string} 표기
+   */
+  formatValue(value) {
+    if (Array.isArray(value)) {
+      const items = this.flatten(value);
+      const preview = items.slice(0, 5).map(item => this.formatValue(item));
+      return `{${preview.join(',')}${items.length > 5 ? `,…(${items.length}개)` : ''}}`;
+    }
+    if (typeof value === 'string' && !this.isError(value)) {
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+    return this.toText(value === null || value === undefined ? 0 : value);
+  }
+
+  /**
+   * 함수 레지스트리 초기화
+   * 함수는 평가된 인수를 받고, 범위 인수는 배열(수식 해석기에서는 행 배열, 기존 컨텍스트에서는 한 열/행이면 1차원)로 받음
+   * @returns {Object} 함수 레지스트리
+   */
+  initializeFunctionRegistry() {
+    return {
+      // 수학/통계 함수
+      SUM: (...args) => {
+        const nums = this.numericValues(args);
+        return this.isError(nums) ? nums : nums.reduce((sum, num) => sum + num, 0);
+      },
+      
+      AVERAGE: (...args) => {
+        const nums = this.numericValues(args);
+        if (this.isError(nums)) {
+          return nums;
+        }
+        return nums.length > 0 ? nums.reduce((sum, num) => sum + num, 0) / nums.length : '#DIV/0!';
+      },
+      
+      COUNT: (...args) => {
+        return this.flatten(args).filter(v => typeof v === 'number' || v instanceof Date).length;
+      },
+      
+      COUNTA: (...args) => {
+        return this.flatten(args).filter(v => v !== null && v !== undefined).length;
+      },
+      
+      MAX: (...args) => {
+        const nums = this.numericValues(args);
+        if (this.isError(nums)) {
+          return nums;
+        }
+        return nums.length > 0 ? nums.reduce((max, num) => (num > max ? num : max), nums[0]) : 0;
+      },
+      
+      MIN: (...args) => {
+        const nums = this.numericValues(args);
+        if (this.isError(nums)) {
+          return nums;
+        }
+        return nums.length > 0 ? nums.reduce((min, num) => (num < min ? num : min), nums[0]) : 0;
+      },
+      
+      PRODUCT: (...args) => {
+        const nums = this.numericValues(args);
+        return this.isError(nums) ? nums : nums.reduce((product, num) => product * num, 1);
+      },
+      
+      STDEV: (...args) => this.variance(args, true, true),
+      STDEVP: (...args) => this.variance(args, false, true),
+      VAR: (...args) => this.variance(args, true, false),
+      VARP: (...args) => this.variance(args, false, false),
+      'STDEV.S': (...args) => this.variance(args, true, true),
+      'STDEV.P': (...args) => this.variance(args, false, true),
+      'VAR.S': (...args) => this.variance(args, true, false),
+      'VAR.P': (...args) => this.variance(args, false, false),
+      
+      ABS: (number) => this.mapNumber(number, n => Math.abs(n)),
+      
+      INT: (number) => this.mapNumber(number, n => Math.floor(n)),
+      
+      MOD: (number, divisor) => {
+        const n = this.toNumber(number);
+        const d = this.toNumber(divisor);
+        if (this.isError(n) || this.isError(d)) {
+          return this.isError(n) ? n : d;
+        }
+        return d === 0 ? '#DIV/0!' : n - d * Math.floor(n / d);
+      },
+      
+      ROUND: (number, digits = 0) => this.roundNumber(number, digits, 'round'),
+      ROUNDUP: (number, digits = 0) => this.roundNumber(number, digits, 'up'),
+      ROUNDDOWN: (number, digits = 0) => this.roundNumber(number, digits, 'down'),
+      
+      SUMPRODUCT: (...arrays) => {
+        // 배열의 행 수와 열 수가 모두 같아야 함 (원소 수만 같은 A1:B2와 A1:A4도 #VALUE!)
+        const matrices = arrays.map(array => this.toMatrix(array));
+        const shape = matrix => `${matrix.length}x${matrix.length > 0 ? matrix[0].length : 0}`;
+        if (matrices.some(matrix => shape(matrix) !== shape(matrices[0]))) {
+          return '#VALUE!';
+        }
+        const lists = matrices.map(matrix => this.flatten(matrix));
+        const length = lists[0] ? lists[0].length : 0;
+        
+        let total = 0;
+        for (let i = 0; i < length; i++) {
+          let product = 1;
+          for (const list of lists) {
+            const value = list[i];
+            if (this.isError(value)) {
+              return value;
+            }
+            product *= typeof value === 'number' ? value : 0;
+          }
+          total += product;
+        }
+        return total;
+      },
+      
+      SUBTOTAL: (functionNum, ...refs) => {
+        const code = this.toNumber(functionNum);
+        const name = SUBTOTAL_FUNCTIONS[code > 100 ? code - 100 : code];
+        if (!name) {
+          return '#VALUE!';
+        }
+        return this.functionRegistry[name](...refs.map(ref => (Array.isArray(ref) ? ref : [[ref]])));
+      },
+      
+      // 논리 함수
+      IF: (condition, trueValue = true, falseValue = false) => {
+        const test = this.toBoolean(condition);
+        if (this.isError(test)) {
+          return test;
+        }
+        return test ? trueValue : falseValue;
+      },
+      
+      IFERROR: (value, valueIfError) => (this.isError(value) ? valueIfError : value),
+      
+      IFNA: (value, valueIfNa) => (value === '#N/A' ? valueIfNa : value),
+      
+      AND: (...args) => {
+        const values = this.logicalValues(args);
+        return this.isError(values) ? values : values.every(Boolean);
+      },
+      
+      OR: (...args) => {
+        const values = this.logicalValues(args);
+        return this.isError(values) ? values : values.some(Boolean);
+      },
+      
+      NOT: (value) => {
+        const test = this.toBoolean(value);
+        return this.isError(test) ? test : !test;
+      },
+      
+      TRUE: () => true,
+      FALSE: () => false,
+      NA: () => '#N/A',
+      ISERROR: (value) => this.isError(value),
+      ISNA: (value) => value === '#N/A',
+      ISBLANK: (value) => value === null || value === undefined,
+      
+      // 조건부 집계 함수
+      SUMIF: (range, criteria, sumRange = range) => {
+        const indexed = this.indexedAggregate(sumRange, [range, criteria]);
+        if (indexed) {
+          return indexed.error || indexed.total;
+        }
+        const indexes = this.matchingIndexes([range, criteria]);
+        return this.isError(indexes) ? indexes : this.sumAt(this.toList(sumRange), indexes);
+      },
+      
+      SUMIFS: (sumRange, ...criteriaPairs) => {
+        const indexed = this.indexedAggregate(sumRange, criteriaPairs);
+        if (indexed) {
+          return indexed.error || indexed.total;
+        }
+        const sumValues = this.toList(sumRange);
+        const indexes = this.matchingIndexes(criteriaPairs, sumValues.length);
+        return this.isError(indexes) ? indexes : this.sumAt(sumValues, indexes);
+      },
+      
+      COUNTIF: (range, criteria) => this.matchingIndexes([range, criteria]).length,
+      
+      COUNTIFS: (...criteriaPairs) => {
+        const indexed = this.indexedAggregate(criteriaPairs[0], criteriaPairs);
+        if (indexed) {
+          return indexed.count;
+        }
+        const indexes = this.matchingIndexes(criteriaPairs);
+        return this.isError(indexes) ? indexes : indexes.length;
+      },
+      
+      AVERAGEIF: (range, criteria, averageRange = range) => {
+        const indexes = this.matchingIndexes([range, criteria]);
+        return this.isError(indexes) ? indexes : this.averageAt(this.toList(averageRange), indexes);
+      },
+      
+      AVERAGEIFS: (averageRange, ...criteriaPairs) => {
+        const averageValues = this.toList(averageRange);
+        const indexes = this.matchingIndexes(criteriaPairs, averageValues.length);
+        return this.isError(indexes) ? indexes : this.averageAt(averageValues, indexes);
+      },
+      
+      // 텍스트 함수
+      LEFT: (text, numChars = 1) => {
+        const count = this.toNumber(numChars);
+        return count < 0 ? '#VALUE!' : this.toText(text).substring(0, count);
+      },
+      
+      RIGHT: (text, numChars = 1) => {
+        const str = this.toText(text);
+        const count = this.toNumber(numChars);
+        return count < 0 ? '#VALUE!' : str.substring(Math.max(str.length - count, 0));
+      },
+      
+      MID: (text, startNum, numChars) => {
+        const start = this.toNumber(startNum);
+        const count = this.toNumber(numChars);
+        if (!(start >= 1) || !(count >= 0)) {
+          return '#VALUE!';
+        }
+        return this.toText(text).substring(start - 1, start - 1 + count);
+      },
+      
+      LEN: (text) => {
+        return this.toText(text).length;
+      },
+      
+      CONCATENATE: (...args) => {
+        return args.map(arg => this.toText(arg)).join('');
+      },
+      
+      TEXT: (value, formatText) => this.formatText(value, this.toText(formatText)),
+      
+      UPPER: (text) => this.toText(text).toUpperCase(),
+      
+      LOWER: (text) => this.toText(text).toLowerCase(),
+      
+      TRIM: (text) => this.toText(text).trim().replace(/ {2,}/g, ' '),
+      
+      SUBSTITUTE: (text, oldText, newText, instanceNum) => {
+        const str = this.toText(text);
+        const search = this.toText(oldText);
+        const replacement = this.toText(newText);
+        if (search === '') {
+          return str;
+        }
+        if (instanceNum === undefined) {
+          return str.split(search).join(replacement);
+        }
+        
+        let index = -1;
+        for (let i = 0; i < this.toNumber(instanceNum); i++) {
+          index = str.indexOf(search, index + 1);
+          if (index === -1) {
+            return str;
+          }
+        }
+        return str.substring(0, index) + replacement + str.substring(index + search.length);
+      },
+      
+      FIND: (findText, withinText, startNum = 1) => {
+        const index = this.toText(withinText).indexOf(this.toText(findText), this.toNumber(startNum) - 1);
+        return index === -1 ? '#VALUE!' : index + 1;
+      },
+      
+      // 조회 함수
+      VLOOKUP: (lookupValue, tableArray, colIndexNum, rangeLookup = true) => {
+        const rows = this.toRows(tableArray, 'column');
+        const column = this.toNumber(colIndexNum);
+        if (!(column >= 1)) {
+          return '#VALUE!';
+        }
+        if (rows.length === 0 || column > rows[0].length) {
+          return '#REF!';
+        }
+        
+        const position = this.lookupPosition(lookupValue, rows.map(row => row[0]), this.toBoolean(rangeLookup) ? 1 : 0,
+          { source: tableArray, kind: 'column' });
+        return position === -1 ? '#N/A' : rows[position][column - 1];
+      },
+      
+      HLOOKUP: (lookupValue, tableArray, rowIndexNum, rangeLookup = true) => {
+        const rows = this.toRows(tableArray, 'row');
+        const row = this.toNumber(rowIndexNum);
+        if (!(row >= 1)) {
+          return '#VALUE!';
+        }
+        if (row > rows.length) {
+          return '#REF!';
+        }
+        
+        const position = this.lookupPosition(lookupValue, rows[0], this.toBoolean(rangeLookup) ? 1 : 0,
+          { source: tableArray, kind: 'row' });
+        return position === -1 ? '#N/A' : rows[row - 1][position];
+      },
+      
+      XLOOKUP: (lookupValue, lookupArray, returnArray, ifNotFound, matchMode = 0, searchMode = 1) => {
+        if (this.isError(lookupValue)) {
+          return lookupValue;
+        }
+        
+        const candidates = this.toList(lookupArray);
+        const position = this.xlookupPosition(lookupValue, candidates, this.toNumber(matchMode), this.toNumber(searchMode),
+          { source: lookupArray, kind: 'list' });
+        if (position === -1) {
+          return ifNotFound !== undefined ? ifNotFound : '#N/A';
+        }
+        
+        if (Array.isArray(returnArray) && Array.isArray(returnArray[0])) {
+          // 2차원 반환 범위: 조회 방향에 맞는 행 또는 열 전체 (한 셀이면 그 값)
+          if (returnArray.length === candidates.length) {
+            const row = returnArray[position];
+            return row.length === 1 ? row[0] : [row];
+          }
+          const column = returnArray.map(row => row[position]);
+          return column.length === 1 ? column[0] : column.map(value => [value]);
+        }
+        const values = this.toList(returnArray);
+        return position < values.length ? values[position] : '#VALUE!';
+      },
+      
+      INDEX: (array, rowNum, colNum) => {
+        const row = rowNum === undefined ? 0 : this.toNumber(rowNum);
+        const col = colNum === undefined ? 0 : this.toNumber(colNum);
+        if (this.isError(row) || this.isError(col) || row < 0 || col < 0) {
+          return '#VALUE!';
+        }
+        
+        if (!Array.isArray(array)) {
+          return row <= 1 && col <= 1 ? array : '#REF!';
+        }
+        if (!Array.isArray(array[0])) {
+          // 한 열/행 범위는 위치 하나로 지정
+          const position = col > 0 && row <= 1 ? col : row;
+          return position >= 1 && position <= array.length ? array[position - 1] : '#REF!';
+        }
+        if (array.length === 1 && array[0].length > 1 && colNum === undefined) {
+          // 한 행 범위의 INDEX(범위, n)은 n번째 열
+          return row >= 1 && row <= array[0].length ? array[0][row - 1] : '#REF!';
+        }
+        
+        if (row > array.length || col > array[0].length) {
+          return '#REF!';
+        }
+        if (row === 0) {
+          return array.map(values => [values[Math.max(col, 1) - 1]]);
+        }
+        if (col === 0 && array[0].length > 1) {
+          return [array[row - 1]];
+        }
+        return array[row - 1][Math.max(col, 1) - 1];
+      },
+      
+      MATCH: (lookupValue, lookupArray, matchType = 1) => {
+        const type = Math.sign(this.toNumber(matchType));
+        const position = this.lookupPosition(lookupValue, this.toList(lookupArray), type, { source: lookupArray, kind: 'list' });
+        return position === -1 ? '#N/A' : position + 1;
+      },
+      
+      // 날짜 함수 (날짜는 Excel 일련번호로 반환)
+      TODAY: () => {
+        const now = new Date();
+        return this.dateToSerial(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+      },
+      
+      DATE: (year, month, day) => {
+        const parts = [year, month, day].map(part => this.toNumber(part));
+        const error = parts.find(part => this.isError(part));
+        if (error) {
+          return error;
+        }
+        
+        const [y, m, d] = parts.map(part => Math.trunc(part));
+        const fullYear = y < 1900 ? y + 1900 : y;
+        const serial = this.dateToSerial(new Date(Date.UTC(fullYear, m - 1, d)));
+        return serial < 0 ? '#NUM!' : serial;
+      },
+      
+      YEAR: (date) => this.mapDate(date, value => value.getUTCFullYear()),
+      
+      MONTH: (date) => this.mapDate(date, value => value.getUTCMonth() + 1),
+      
+      DAY: (date) => this.mapDate(date, value => value.getUTCDate()),
+      
+      EOMONTH: (startDate, months) => this.mapDate(startDate, value => {
+        const offset = Math.trunc(this.toNumber(months));
+        return this.dateToSerial(new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth() + offset + 1, 0)));
+      }),
+      
+      EDATE: (startDate, months) => this.mapDate(startDate, value => {
+        const offset = Math.trunc(this.toNumber(months));
+        const lastDay = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth() + offset + 1, 0)).getUTCDate();
+        const day = Math.min(value.getUTCDate(), lastDay);
+        return this.dateToSerial(new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth() + offset, day)));
+      })
+    };
+  }
+
+  /**
+   * 함수 호출 (인수에 오류 값이 있으면 함수를 실행하지 않고 그 오류를 반환)
+   * @param {string} functionName - 함수명
+   * @param {Array} args - 평가된 인수
+   * @returns {any} 결과
+   */
+  callFunction(functionName, args) {
+    const name = functionName.toUpperCase();
+    const func = Object.prototype.hasOwnProperty.call(this.functionRegistry, name) ? this.functionRegistry[name] : null;
+    if (!func) {
+      throw this.createError('#NAME?', `Unknown function: ${functionName}`);
+    }
+    
+    if (ELEMENTWISE_FUNCTIONS.has(name) && args.some(arg => Array.isArray(arg))) {
+      return this.broadcast(args, (...values) => this.callFunction(name, values));
+    }
+    if (LOOKUP_FUNCTIONS.has(name) && Array.isArray(args[0])) {
+      return this.broadcast([args[0]], value => this.callFunction(name, [value, ...args.slice(1)]));
+    }
+    
+    if (!ERROR_AWARE_FUNCTIONS.has(name)) {
+      const error = args.find(arg => this.isError(arg));
+      if (error !== undefined) {
+        return error;
+      }
+    }
+    
+    return func(...args);
+  }
+
+  /**
+   * 이항 연산 (Excel 형 변환 규칙, 오류 전파, 0으로 나누기는 #DIV/0!)
+   * 배열 피연산자는 원소별로 계산 (분!C1:C9&분!I1:I9, A1:A9*B1 등)
+   * @param {string} operator - 연산자
+   * @param {any} left - 왼쪽 값
+   * @param {any} right - 오른쪽 값
+   * @returns {any} 결과
+   */
+  applyOperator(operator, left, right) {
+    if (Array.isArray(left) || Array.isArray(right)) {
+      return this.broadcast([left, right], (a, b) => this.applyOperator(operator, a, b));
+    }
+    if (this.isError(left)) {
+      return left;
+    }
+    if (this.isError(right)) {
+      return right;
+    }
+    
+    if (operator === '&') {
+      return this.toText(left) + this.toText(right);
+    }
+    
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      const compared = this.compareValues(left, right);
+      switch (operator) {
+        case '=': return compared === 0;
+        case '<>': return compared !== 0;
+        case '<': return compared < 0;
+        case '>': return compared > 0;
+        case '<=': return compared <= 0;
+        default: return compared >= 0;
+      }
+    }
+    
+    const a = this.toNumber(left);
+    const b = this.toNumber(right);
+    if (this.isError(a)) {
+      return a;
+    }
+    if (this.isError(b)) {
+      return b;
+    }
+    
+    switch (operator) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return b === 0 ? '#DIV/0!' : a / b;
+      case '^': {
+        // Excel은 0^0을 #NUM!으로 계산
+        if (a === 0 && b === 0) {
+          return '#NUM!';
+        }
+        const result = Math.pow(a, b);
+        return Number.isFinite(result) ? result : '#NUM!';
+      }
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+  }
+
+  /**
+   * 단항 연산 (부호 -, +와 백분율 %)
+   * @param {string} operator - 연산자
+   * @param {any} value - 피연산자
+   * @returns {any} 결과
+   */
+  applyUnary(operator, value) {
+    if (Array.isArray(value)) {
+      return this.broadcast([value], item => this.applyUnary(operator, item));
+    }
+    if (this.isError(value)) {
+      return value;
+    }
+    // Excel의 단항 +는 값을 그대로 둠
+    if (operator === '+') {
+      return value;
+    }
+    
+    const number = this.toNumber(value);
+    if (this.isError(number)) {
+      return number;
+    }
+    return operator === '-' ? 0 - number : number / 100;
+  }
+
+  /**
+   * Excel 오류 값 여부
+   * @param {any} value - 값
+   * @returns {boolean} 오류 값 여부
+   */
+  isError(value) {
+    return typeof value === 'string' && ERROR_VALUES.includes(value);
+  }
+
+  /**
+   * 오류 코드를 가진 예외 생성 (수식 구조 오류, 셀 값은 code가 됨)
+   * @param {string} code - Excel 오류 값
+   * @param {string} message - 오류 메시지
+   * @returns {Error} 예외
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * 값을 숫자로 변환 (빈 셀은 0, 변환할 수 없으면 #VALUE!)
+   * @param {any} value - 값
+   * @returns {number|string} 숫자 또는 오류 값
+   */
+  toNumber(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value === null || value === undefined) {
+      return 0;
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+      return this.dateToSerial(value);
+    }
+    if (this.isError(value)) {
+      return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value.replace(/,/g, '').trim());
+      if (Number.isFinite(number)) {
+        return number;
+      }
+      const serial = this.parseDateText(value);
+      if (serial !== null) {
+        return serial;
+      }
+    }
+    return '#VALUE!';
+  }
+
+  /**
+   * 값을 문자열로 변환 (Excel 표시 규칙)
+   * @param {any} value - 값
+   * @returns {string} 문자열
+   */
+  toText(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'number') {
+      return String(Number(value.toPrecision(15)));
+    }
+    if (value instanceof Date) {
+      return String(this.dateToSerial(value));
+    }
+    return String(value);
+  }
+
+  /**
+   * 값을 논리값으로 변환
+   * @param {any} value - 값
+   * @returns {boolean|string} 논리값 또는 오류 값
+   */
+  toBoolean(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (value === null || value === undefined) {
+      return false;
+    }
+    if (typeof value === 'number') {
+      return value !== 0;
+    }
+    if (value instanceof Date) {
+      return true;
+    }
+    if (this.isError(value)) {
+      return value;
+    }
+    const upper = String(value).toUpperCase();
+    if (upper === 'TRUE' || upper === 'FALSE') {
+      return upper === 'TRUE';
+    }
+    return '#VALUE!';
   }
 
   /**
-   * 배열 평탄화 및 필터링
+   * Excel 비교 (숫자 < 텍스트 < 논리값, 텍스트는 대소문자 무시, 빈 셀은 상대 형식의 기본값)
+   * @param {any} left - 왼쪽 값
+   * @param {any} right - 오른쪽 값
+   * @returns {number} -1, 0, 1
+   */
+  compareValues(left, right) {
+    const normalize = (value, other) => {
+      if (value === null || value === undefined) {
+        if (typeof other === 'string') {
+          return '';
+        }
+        return typeof other === 'boolean' ? false : 0;
+      }
+      return value instanceof Date ? this.dateToSerial(value) : value;
+    };
+    const rank = (value) => (typeof value === 'number' ? 0 : typeof value === 'string' ? 1 : 2);
+
+    let a = normalize(left, right);
+    let b = normalize(right, left);
+    if (rank(a) !== rank(b)) {
+      return rank(a) < rank(b) ? -1 : 1;
+    }
+    if (typeof a === 'string') {
+      a = a.toLowerCase();
+      b = b.toLowerCase();
+    }
+    if (a === b) {
+      return 0;
+    }
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * 조건 매칭
+   * @param {any} value - 값
+   * @param {any} criteria - 조건
+   * @returns {boolean} 매칭 여부
+   */
+  matchesCriteria(value, criteria) {
+    return this.compileCriteria(criteria)(value);
+  }
+
+  /**
+   * SUMIF/COUNTIFS 등의 조건을 판별 함수로 변환
+   * 숫자 조건은 숫자(숫자 텍스트 포함) 셀과 비교하고, 텍스트 조건은 대소문자를 무시하며 * ? ~ 와일드카드 지원
+   * @param {any} criteria - 조건 (예: 100, ">=100", "<>", "외래*")
+   * @returns {Function} (value) => boolean
+   */
+  compileCriteria(criteria) {
+    const isBlank = (value) => value === null || value === undefined || value === '';
+    const asNumber = (value) => {
+      if (typeof value === 'number') {
+        return value;
+      }
+      if (value instanceof Date) {
+        return this.dateToSerial(value);
+      }
+      if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+      }
+      return null;
+    };
+
+    if (typeof criteria === 'boolean') {
+      return value => value === criteria;
+    }
+    if (typeof criteria === 'number' || criteria instanceof Date) {
+      const target = asNumber(criteria);
+      return value => asNumber(value) === target;
+    }
+
+    const text = this.toText(criteria);
+    const [, operator = '=', operand] = text.match(/^(>=|<=|<>|>|<|=)?([\s\S]*)$/);
+
+    if (operand === '') {
+      if (operator === '=') {
+        return isBlank;
+      }
+      if (operator === '<>') {
+        return value => !isBlank(value);
+      }
+    }
+
+    const numeric = operand.trim() !== '' && Number.isFinite(Number(operand))
+      ? Number(operand)
+      : this.parseDateText(operand);
+    if (numeric !== null) {
+      const compare = {
+        '=': n => n === numeric,
+        '<>': n => n !== numeric,
+        '>': n => n > numeric,
+        '<': n => n < numeric,
+        '>=': n => n >= numeric,
+        '<=': n => n <= numeric
+      }[operator];
+      return value => {
+        const number = asNumber(value);
+        return number === null ? operator === '<>' : compare(number);
+      };
+    }
+
+    if (operator === '=' || operator === '<>') {
+      const pattern = this.wildcardPattern(operand);
+      const lower = operand.toLowerCase();
+      const equals = value => {
+        if (typeof value !== 'string') {
+          return false;
+        }
+        return pattern ? pattern.test(value) : value.toLowerCase() === lower;
+      };
+      return operator === '=' ? equals : value => !equals(value);
+    }
+
+    return value => typeof value === 'string' && (() => {
+      const compared = this.compareValues(value, operand);
+      switch (operator) {
+        case '>': return compared > 0;
+        case '<': return compared < 0;
+        case '>=': return compared >= 0;
+        default: return compared <= 0;
+      }
+    })();
+  }
+
+  /**
+   * 와일드카드 텍스트를 정규식으로 변환 (와일드카드가 없으면 null)
+   * @param {string} text - 조건 텍스트 (* 임의 문자열, ? 한 글자, ~ 이스케이프)
+   * @returns {RegExp|null} 정규식
+   */
+  wildcardPattern(text) {
+    if (!/[*?]/.test(text)) {
+      return null;
+    }
+
+    let pattern = '';
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '~' && i + 1 < text.length) {
+        pattern += text[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (char === '*') {
+        pattern += '[\\s\\S]*';
+      } else if (char === '?') {
+        pattern += '[\\s\\S]';
+      } else {
+        pattern += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  /**
+   * 조건 범위/조건 쌍을 모두 만족하는 위치 목록
+   * @param {Array} criteriaPairs - [범위1, 조건1, 범위2, 조건2, ...]
+   * @param {number} expectedLength - 합계/평균 범위의 길이 (모든 조건 범위와 같아야 함)
+   * @returns {Array|string} 위치 배열 또는 오류 값
+   */
+  matchingIndexes(criteriaPairs, expectedLength) {
+    if (criteriaPairs.length === 0 || criteriaPairs.length % 2 !== 0) {
+      throw this.createError('#VALUE!', 'Criteria arguments must be range/criteria pairs');
+    }
+
+    const conditions = [];
+    for (let i = 0; i < criteriaPairs.length; i += 2) {
+      conditions.push({
+        values: this.toList(criteriaPairs[i]),
+        test: this.compileCriteria(criteriaPairs[i + 1])
+      });
+    }
+
+    const length = expectedLength !== undefined ? expectedLength : conditions[0].values.length;
+    if (conditions.some(condition => condition.values.length !== length)) {
+      return '#VALUE!';
+    }
+
+    const indexes = [];
+    for (let i = 0; i < length; i++) {
+      if (conditions.every(condition => condition.test(condition.values[i]))) {
+        indexes.push(i);
+      }
+    }
+    return indexes;
+  }
+
+  /**
+   * 같은 범위 배열로 조건부 집계를 다시 하면 SumifsIndex를 만들어 이후 조회를 색인에서 처리
+   * 처음 한 번은 그대로 훑고 두 번째부터 색인을 쓰므로, 계산 패스 캐시로 범위 배열을 공유하는
+   * RecalculationEngine에서는 전체 열을 참조하는 SUMIFS 수백 개가 범위를 한 번만 훑음
+   * @param {Array} valueRange - 합계(또는 개수) 범위
+   * @param {Array} criteriaPairs - [범위1, 조건1, ...]
+   * @returns {Object|null} { total, count, error } (색인을 쓸 수 없으면 null)
+   */
+  indexedAggregate(valueRange, criteriaPairs) {
+    if (criteriaPairs.length === 0 || criteriaPairs.length % 2 !== 0 || !Array.isArray(valueRange)) {
+      return null;
+    }
+    const ranges = criteriaPairs.filter((pair, i) => i % 2 === 0);
+    const criteria = criteriaPairs.filter((pair, i) => i % 2 === 1);
+    if (!ranges.every(range => Array.isArray(range)) || criteria.some(criterion => Array.isArray(criterion))) {
+      return null;
+    }
+
+    if (!this.aggregateIndexes.has(valueRange)) {
+      this.aggregateIndexes.set(valueRange, new Map());
+    }
+    const indexes = this.aggregateIndexes.get(valueRange);
+    const signature = ranges.map(range => this.arrayId(range)).join(',');
+    if (!indexes.has(signature)) {
+      indexes.set(signature, null);
+      return null;
+    }
+
+    let index = indexes.get(signature);
+    if (index === null) {
+      const values = this.toList(valueRange);
+      const columns = ranges.map(range => this.toList(range));
+      // 크기가 다른 범위는 색인하지 않고 기존 계산(#VALUE! 등)을 따름
+      index = columns.every(column => column.length === values.length)
+        ? new SumifsIndex(values, columns, { toNumber: value => (this.isError(value) || typeof value === 'number' ? value : null) })
+        : false;
+      indexes.set(signature, index);
+    }
+    if (!index) {
+      return null;
+    }
+
+    return index.aggregate(criteria.map(criterion => {
+      let test = null;
+      return {
+        key: SumifsIndex.valueKey(criterion),
+        test: value => (test || (test = this.compileCriteria(criterion)))(value)
+      };
+    }));
+  }
+
+  arrayId(array) {
+    if (!this.arrayIds.has(array)) {
+      this.arrayIds.set(array, ++this.nextArrayId);
+    }
+    return this.arrayIds.get(array);
+  }
+
+  sumAt(values, indexes) {
+    let total = 0;
+    for (const index of indexes) {
+      const value = values[index];
+      if (this.isError(value)) {
+        return value;
+      }
+      if (typeof value === 'number') {
+        total += value;
+      }
+    }
+    return total;
+  }
+
+  averageAt(values, indexes) {
+    const nums = this.numericValues([indexes.map(index => values[index])]);
+    if (this.isError(nums)) {
+      return nums;
+    }
+    return nums.length > 0 ? nums.reduce((sum, num) => sum + num, 0) / nums.length : '#DIV/0!';
+  }
+
+  /**
+   * 정확히 일치(0), 이하 최대값(1, 오름차순), 이상 최소값(-1, 내림차순) 위치 찾기
+   * @param {any} lookupValue - 찾을 값
+   * @param {Array} values - 후보 값 (1차원)
+   * @param {number} matchType - 0, 1, -1
+   * @param {Object} index - { source: 조회 범위, kind: values를 만든 방식 } (정확히 일치는 해시 색인 사용)
+   * @returns {number} 0-based 위치 (없으면 -1)
+   */
+  lookupPosition(lookupValue, values, matchType, index = null) {
+    if (matchType === 0) {
+      const pattern = typeof lookupValue === 'string' ? this.wildcardPattern(lookupValue) : null;
+      if (!pattern && index) {
+        return this.exactPosition(lookupValue, values, index, false);
+      }
+      return values.findIndex(value => (pattern
+        ? typeof value === 'string' && pattern.test(value)
+        : this.isSameKind(value, lookupValue) && this.compareValues(value, lookupValue) === 0));
+    }
+
+    let position = -1;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (!this.isSameKind(value, lookupValue)) {
+        continue;
+      }
+      const compared = this.compareValues(value, lookupValue);
+      if (matchType > 0 ? compared > 0 : compared < 0) {
+        break;
+      }
+      position = i;
+      if (compared === 0) {
+        break;
+      }
+    }
+    return position;
+  }
+
+  /**
+   * XLOOKUP 위치 찾기 (정렬되지 않은 범위에서도 근사 일치 지원)
+   * @param {any} lookupValue - 찾을 값
+   * @param {Array} values - 후보 값
+   * @param {number} matchMode - 0 정확히, -1 정확히 또는 다음 작은 값, 1 정확히 또는 다음 큰 값, 2 와일드카드
+   * @param {number} searchMode - 1 처음부터, -1 끝부터
+   * @param {Object} index - { source, kind } (정확히 일치는 해시 색인 사용)
+   * @returns {number} 0-based 위치 (없으면 -1)
+   */
+  xlookupPosition(lookupValue, values, matchMode, searchMode, index = null) {
+    if (matchMode === 0 && index) {
+      return this.exactPosition(lookupValue, values, index, searchMode < 0);
+    }
+    const pattern = matchMode === 2 && typeof lookupValue === 'string' ? this.wildcardPattern(lookupValue) : null;
+    const indexes = values.map((value, index) => index);
+    if (searchMode < 0) {
+      indexes.reverse();
+    }
+
+    let best = -1;
+    for (const index of indexes) {
+      const value = values[index];
+      if (pattern) {
+        if (typeof value === 'string' && pattern.test(value)) {
+          return index;
+        }
+        continue;
+      }
+      if (!this.isSameKind(value, lookupValue)) {
+        continue;
+      }
+
+      const compared = this.compareValues(value, lookupValue);
+      if (compared === 0) {
+        return index;
+      }
+      const closer = best === -1 || (matchMode < 0
+        ? this.compareValues(value, values[best]) > 0
+        : this.compareValues(value, values[best]) < 0);
+      if (((matchMode < 0 && compared < 0) || (matchMode > 0 && compared > 0)) && closer) {
+        best = index;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 해시 색인으로 정확히 일치하는 위치 찾기
+   * 같은 조회 범위 배열은 한 번만 색인하므로 2,000행 × 600개 조회도 범위를 반복해서 훑지 않음
+   * @param {any} lookupValue - 찾을 값
+   * @param {Array} values - 후보 값 (1차원)
+   * @param {Object} index - { source, kind }
+   * @param {boolean} fromEnd - 마지막 위치 찾기
+   * @returns {number} 0-based 위치 (없으면 -1)
+   */
+  exactPosition(lookupValue, values, index, fromEnd) {
+    const key = this.lookupKey(lookupValue);
+    if (key === null) {
+      return -1;
+    }
+    if (!Array.isArray(index.source)) {
+      return this.lookupKey(values[0]) === key ? 0 : -1;
+    }
+
+    let indexes = this.lookupIndexes.get(index.source);
+    if (!indexes) {
+      indexes = {};
+      this.lookupIndexes.set(index.source, indexes);
+    }
+    if (!indexes[index.kind]) {
+      const first = new Map();
+      const last = new Map();
+      values.forEach((value, position) => {
+        const valueKey = this.lookupKey(value);
+        if (valueKey === null) {
+          return;
+        }
+        if (!first.has(valueKey)) {
+          first.set(valueKey, position);
+        }
+        last.set(valueKey, position);
+      });
+      indexes[index.kind] = { first, last };
+    }
+
+    const positions = fromEnd ? indexes[index.kind].last : indexes[index.kind].first;
+    return positions.has(key) ? positions.get(key) : -1;
+  }
+
+  /**
+   * 정확히 일치 비교용 키 (compareValues가 0인 같은 종류의 값은 같은 키, 빈 셀은 null)
+   * @param {any} value - 값
+   * @returns {string|null} 키
+   */
+  lookupKey(value) {
+    if (typeof value === 'number') {
+      return `n${value}`;
+    }
+    if (value instanceof Date) {
+      return `n${this.dateToSerial(value)}`;
+    }
+    if (typeof value === 'string') {
+      return `s${value.toLowerCase()}`;
+    }
+    if (typeof value === 'boolean') {
+      return `b${value}`;
+    }
+    return null;
+  }
+
+  isSameKind(value, other) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+    const kind = (v) => (typeof v === 'number' || v instanceof Date ? 'number' : typeof v);
+    return kind(value) === kind(other);
+  }
+
+  /**
+   * 반올림 (0.5는 0에서 멀어지는 방향, 음수 자릿수는 정수부 반올림)
+   * @param {any} number - 값
+   * @param {any} digits - 자릿수
+   * @param {string} mode - round | up | down
+   * @returns {number|string} 결과 또는 오류 값
+   */
+  roundNumber(number, digits, mode) {
+    const value = this.toNumber(number);
+    const places = this.toNumber(digits);
+    if (this.isError(value) || this.isError(places)) {
+      return this.isError(value) ? value : places;
+    }
+
+    const factor = Math.pow(10, Math.abs(Math.trunc(places)));
+    const scaled = places >= 0 ? Math.abs(value) * factor : Math.abs(value) / factor;
+    // 부동소수점 오차 제거 (1.005 * 100 = 100.49999...)
+    const normalized = Number(scaled.toPrecision(15));
+    const rounded = mode === 'up' ? Math.ceil(normalized) : mode === 'down' ? Math.floor(normalized) : Math.round(normalized);
+    const result = places >= 0 ? rounded / factor : rounded * factor;
+    return result === 0 ? 0 : Math.sign(value) * result;
+  }
+
+  /**
+   * TEXT 함수 서식 적용 (숫자: 0, #,##0, 0.00, 0%, 날짜: yyyy-mm-dd, yyyy년 m월 등)
+   * @param {any} value - 값
+   * @param {string} format - 서식 문자열
+   * @returns {string} 서식이 적용된 텍스트 또는 오류 값
+   */
+  formatText(value, format) {
+    const number = this.toNumber(value);
+    if (this.isError(number)) {
+      return typeof value === 'string' && !this.isError(value) ? value : number;
+    }
+    if (format === '' || format === '@' || /^general$/i.test(format)) {
+      return this.toText(value);
+    }
+
+    const section = format.split(';')[0];
+    if (/[yd]/i.test(section) || (/m/i.test(section) && !/[0#]/.test(section))) {
+      const date = this.serialToDate(number);
+      return section.replace(/y{4}|y{2}|m{1,2}|d{1,2}/gi, token => {
+        switch (token.toLowerCase()) {
+          case 'yyyy': return String(date.getUTCFullYear());
+          case 'yy': return String(date.getUTCFullYear()).slice(-2);
+          case 'mm': return String(date.getUTCMonth() + 1).padStart(2, '0');
+          case 'm': return String(date.getUTCMonth() + 1);
+          case 'dd': return String(date.getUTCDate()).padStart(2, '0');
+          default: return String(date.getUTCDate());
+        }
+      });
+    }
+
+    const numberPattern = section.match(/[#0,]*\.?[#0]*/g).find(part => /[#0]/.test(part));
+    if (!numberPattern) {
+      return section;
+    }
+
+    const scaled = section.includes('%') ? number * 100 : number;
+    const decimals = (numberPattern.split('.')[1] || '').length;
+    const rounded = this.roundNumber(scaled, decimals, 'round');
+    let [integer, fraction] = Math.abs(rounded).toFixed(decimals).split('.');
+    if (numberPattern.includes(',')) {
+      integer = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+    const formatted = (rounded < 0 ? '-' : '') + integer + (fraction ? `.${fraction}` : '');
+    return section.replace(numberPattern, formatted);
+  }
+
+  variance(args, sample, squareRoot) {
+    const nums = this.numericValues(args);
+    if (this.isError(nums)) {
+      return nums;
+    }
+    if (nums.length < (sample ? 2 : 1)) {
+      return '#DIV/0!';
+    }
+
+    const mean = nums.reduce((sum, num) => sum + num, 0) / nums.length;
+    const squares = nums.reduce((sum, num) => sum + (num - mean) * (num - mean), 0);
+    const result = squares / (nums.length - (sample ? 1 : 0));
+    return squareRoot ? Math.sqrt(result) : result;
+  }
+
+  mapNumber(value, transform) {
+    const number = this.toNumber(value);
+    return this.isError(number) ? number : transform(number);
+  }
+
+  mapDate(value, transform) {
+    const serial = this.toNumber(value);
+    if (this.isError(serial)) {
+      return serial;
+    }
+    return serial < 0 ? '#NUM!' : transform(this.serialToDate(serial));
+  }
+
+  /**
+   * 집계 함수 인수의 숫자 값 (Excel SUM 규칙)
+   * 범위 안의 텍스트, 논리값, 빈 셀은 제외하고, 직접 입력한 인수는 숫자로 변환 (SUM(1,"2")는 3, 숫자가 아닌 텍스트는 #VALUE!)
+   * 오류 값은 그대로 반환
+   * @param {Array} values - 인수 목록 (범위 인수는 배열)
+   * @returns {Array|string} 숫자 배열 또는 오류 값
+   */
+  numericValues(values) {
+    const nums = [];
+    for (const arg of values) {
+      if (!Array.isArray(arg)) {
+        const number = this.toNumber(arg);
+        if (this.isError(number)) {
+          return number;
+        }
+        nums.push(number);
+        continue;
+      }
+      for (const value of this.flatten(arg)) {
+        if (this.isError(value)) {
+          return value;
+        }
+        if (typeof value === 'number') {
+          nums.push(value);
+        } else if (value instanceof Date) {
+          nums.push(this.dateToSerial(value));
+        }
+      }
+    }
+    return nums;
+  }
+
+  /**
+   * AND/OR 인수의 논리값 (범위의 텍스트/빈 셀은 제외, 논리값이 없으면 #VALUE!)
+   * @param {Array} values - 인수
+   * @returns {Array|string} 논리값 배열 또는 오류 값
+   */
+  logicalValues(values) {
+    const logicals = [];
+    for (const value of this.flatten(values)) {
+      if (this.isError(value)) {
+        return value;
+      }
+      if (typeof value === 'boolean') {
+        logicals.push(value);
+      } else if (typeof value === 'number') {
+        logicals.push(value !== 0);
+      }
+    }
+    return logicals.length > 0 ? logicals : '#VALUE!';
+  }
+
+  /**
+   * 범위 값을 1차원 목록으로 (2차원은 행 우선)
+   * @param {any} value - 값 또는 범위
+   * @returns {Array} 목록
+   */
+  toList(value) {
+    if (!Array.isArray(value)) {
+      return [value];
+    }
+    return Array.isArray(value[0]) ? this.flatten(value) : value;
+  }
+
+  /**
+   * 범위 값을 행 배열로 (1차원 범위는 방향을 지정: column은 한 열, row는 한 행)
+   * @param {any} value - 값 또는 범위
+   * @param {string} orientation - column | row
+   * @returns {Array} 행 배열
+   */
+  toRows(value, orientation) {
+    if (!Array.isArray(value)) {
+      return [[value]];
+    }
+    if (Array.isArray(value[0])) {
+      return value;
+    }
+    return orientation === 'row' ? [value] : value.map(item => [item]);
+  }
+
+  /**
+   * 날짜를 Excel 일련번호로 (1900-03-01 이전은 1900-01-01이 1이 되도록 하루 당김)
+   */
+  dateToSerial(date) {
+    const serial = (date.getTime() - EXCEL_EPOCH) / MS_PER_DAY;
+    return date.getTime() < FIRST_SERIAL_AFTER_LEAP_BUG ? serial - 1 : serial;
+  }
+
+  /**
+   * Excel 일련번호를 날짜로 (없는 날짜인 60(1900-02-29)은 1900-02-28)
+   */
+  serialToDate(serial) {
+    const days = serial < 60 ? serial + 1 : serial;
+    return new Date(EXCEL_EPOCH + Math.round(days * MS_PER_DAY));
+  }
+
+  /**
+   * 날짜 텍스트(2024-01-31, 2024/1/31, 2024.01.31)를 일련번호로
+   * @param {string} text - 텍스트
+   * @returns {number|null} 일련번호
+   */
+  parseDateText(text) {
+    const match = String(text).trim().match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})$/);
+    if (!match) {
+      return null;
+    }
+    return this.dateToSerial(new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))));
+  }
+
+  /**
+   * 배열 평탄화
    * @param {any} values - 값들
-   * @param {Function} filter - 필터 함수
-   * @returns {Array} 평탄화되고 필터링된 배열
+   * @returns {Array} 평탄화된 배열
    */
-  flattenAndFilter(values, filter) {
-    const flatten = (arr) => {
-      const result = [];
-      for (const item of arr) {
+  flatten(values) {
+    if (!Array.isArray(values)) {
+      return [values];
+    }
+
+    const result = [];
+    const push = (array) => {
+      for (const item of array) {
         if (Array.isArray(item)) {
-          result.push(...flatten(item));
+          push(item);
         } else {
           result.push(item);
         }
       }
-      return result;
     };
-    
-    const flattened = Array.isArray(values) ? flatten(values) : [values];
-    return flattened.filter(filter);
+    push(values);
+    return result;
+  }
+
+  /**
+   * 배열 평탄화 및 필터링
+   * @param {any} values - 값들
+   * @param {Function} filter - 필터 함수
+   * @returns {Array} 평탄화되고 필터링된 배열
+   */
+  flattenAndFilter(values, filter) {
+    return this.flatten(values).filter(filter);
   }
 
   /**
@@ -686,25 +2369,18 @@ class FormulaParser {
       },
       
       getRangeValues: (startCell, endCell) => {
-        // 범위의 모든 값을 배열로 반환
-        const start = this.parseCellReference(startCell);
-        const end = this.parseCellReference(endCell);
+        // 범위의 모든 값을 배열로 반환 (전체 열/행은 데이터 범위까지)
+        const bounds = this.getRangeBounds(startCell, endCell);
+        const lastRow = Math.min(bounds.endRow, sheetData.length - 1);
+        const lastCol = Math.min(bounds.endCol, (sheetData[0] || []).length - 1);
         
         const values = [];
-        for (let row = start.row; row <= end.row; row++) {
-          for (let col = start.col; col <= end.col; col++) {
+        for (let row = bounds.startRow; row <= lastRow; row++) {
+          for (let col = bounds.startCol; col <= lastCol; col++) {
             values.push(sheetData[row]?.[col] || null);
           }
         }
         return values;
-      },
-      
-      callFunction: (functionName, args) => {
-        const func = this.functionRegistry[functionName.toUpperCase()];
-        if (!func) {
-          throw new Error(`Unknown function: ${functionName}`);
-        }
-        return func(...args);
       }
     };
   }
@@ -715,25 +2391,76 @@ class FormulaParser {
    * @returns {Object} 행/열 좌표
    */
   parseCellReference(cellRef) {
-    const match = cellRef.match(/^([A-Z]+)(\d+)$/);
+    const match = cellRef.replace(/\$/g, '').match(/^([A-Z]+)(\d+)$/);
     if (!match) {
       throw new Error(`Invalid cell reference: ${cellRef}`);
     }
     
-    const colStr = match[1];
-    const rowStr = match[2];
+    const col = this.parseColumn(match[1]);
+    const row = parseInt(match[2]) - 1; // 0-based 인덱스로 변환
     
-    // 열 문자를 숫자로 변환 (A=0, B=1, ..., AA=26, ...)
+    return { row, col };
+  }
+
+  /**
+   * 열 문자를 0-based 인덱스로 변환 (A=0, B=1, ..., AA=26, ...)
+   * @param {string} colStr - 열 문자
+   * @returns {number} 열 인덱스
+   */
+  parseColumn(colStr) {
     let col = 0;
     for (let i = 0; i < colStr.length; i++) {
       col = col * 26 + (colStr.charCodeAt(i) - 'A'.charCodeAt(0) + 1);
     }
-    col -= 1; // 0-based 인덱스로 변환
-    
-    const row = parseInt(rowStr) - 1; // 0-based 인덱스로 변환
-    
-    return { row, col };
+    return col - 1;
+  }
+
+  /**
+   * 0-based 열 인덱스를 열 문자로 변환
+   * @param {number} col - 열 인덱스
+   * @returns {string} 열 문자
+   */
+  columnToLetters(col) {
+    let letters = '';
+    let index = col + 1;
+    while (index > 0) {
+      const remainder = (index - 1) % 26;
+      letters = String.fromCharCode(65 + remainder) + letters;
+      index = Math.floor((index - 1) / 26);
+    }
+    return letters;
+  }
+
+  /**
+   * 범위의 0-based 행/열 경계 (전체 열/행은 Infinity까지)
+   * @param {string} start - 시작 (A1, G, 3)
+   * @param {string} end - 끝 (B10, G, 3)
+   * @returns {Object} { startRow, endRow, startCol, endCol }
+   */
+  getRangeBounds(start, end = start) {
+    const parsePart = (part) => {
+      const cleaned = String(part).replace(/\$/g, '');
+      if (/^[A-Z]+$/.test(cleaned)) {
+        return { row: null, col: this.parseColumn(cleaned) };
+      }
+      if (/^\d+$/.test(cleaned)) {
+        return { row: parseInt(cleaned) - 1, col: null };
+      }
+      return this.parseCellReference(cleaned);
+    };
+
+    const from = parsePart(start);
+    const to = parsePart(end);
+
+    return {
+      startRow: from.row === null ? 0 : Math.min(from.row, to.row),
+      endRow: from.row === null ? Infinity : Math.max(from.row, to.row),
+      startCol: from.col === null ? 0 : Math.min(from.col, to.col),
+      endCol: from.col === null ? Infinity : Math.max(from.col, to.col)
+    };
   }
 }
 
+FormulaParser.ERROR_VALUES = ERROR_VALUES;
+
 module.exports = FormulaParser;
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * 나이브 베이즈 텍스트 분류기
+ * 확정된 거래내역의 항목/거래처/비고 텍스트로 계정과목을 학습하는 오프라인 통계 분류기
+ * 한글은 공백 단위 어절과 음절 bi-gram으로 토큰화
+ */
+
+const TEXT_FIELDS = ['항목', 'item', '거래처', 'vendor', 'supplier', '비고', 'memo'];
+
+class NaiveBayesClassifier {
+  /**
+   * @param {Object} options - 분류기 옵션
+   * @param {number} options.alpha - 라플라스 스무딩 계수
+   * @param {number} options.ngramSize - 음절 n-gram 크기
+   */
+  constructor(options = {}) {
+    this.alpha = options.alpha || 1;
+    this.ngramSize = options.ngramSize || 2;
+    this.labels = new Map(); // 계정 → { docCount, tokenCount, tokens: Map, transactionType }
+    this.vocabulary = new Set();
+    this.totalDocs = 0;
+  }
+
+  /**
+   * 확정 거래내역으로 분류기 생성
+   * @param {Array} examples - [{ transaction, account, transactionType }]
+   * @param {Object} options - 분류기 옵션
+   * @returns {NaiveBayesClassifier} 학습된 분류기
+   */
+  static train(examples, options = {}) {
+    const classifier = new NaiveBayesClassifier(options);
+    examples.forEach((example) => classifier.learn(example.transaction, example.account, example.transactionType));
+    return classifier;
+  }
+
+  /**
+   * 거래 1건 학습
+   * @param {Object} row - 거래 데이터
+   * @param {string} account - 확정 계정과목
+   * @param {string} transactionType - 거래 유형 (revenue/expense)
+   */
+  learn(row, account, transactionType = null) {
+    const tokens = this.tokenize(row);
+    if (!account || tokens.length === 0) {
+      return;
+    }
+
+    if (!this.labels.has(account)) {
+      this.labels.set(account, {
+        docCount: 0, tokenCount: 0, tokens: new Map(), transactionType: null,
+      });
+    }
+
+    const label = this.labels.get(account);
+    label.docCount += 1;
+    label.transactionType = transactionType || label.transactionType;
+    tokens.forEach((token) => {
+      label.tokens.set(token, (label.tokens.get(token) || 0) + 1);
+      label.tokenCount += 1;
+      this.vocabulary.add(token);
+    });
+    this.totalDocs += 1;
+  }
+
+  /**
+   * 예측 가능 여부 (두 개 이상의 계정을 학습해야 확률이 의미 있음)
+   * @returns {boolean}
+   */
+  isTrained() {
+    return this.labels.size >= 2;
+  }
+
+  /**
+   * 계정과목 예측
+   * @param {Object} row - 거래 데이터
+   * @returns {Object|null} { account, probability, transactionType, tokens } (학습 전이거나 토큰이 없으면 null)
+   */
+  predict(row) {
+    const tokens = this.tokenize(row).filter((token) => this.vocabulary.has(token));
+    if (!this.isTrained() || tokens.length === 0) {
+      return null;
+    }
+
+    const vocabularySize = this.vocabulary.size;
+    const scores = [];
+
+    this.labels.forEach((label, account) => {
+      let logScore = Math.log(label.docCount / this.totalDocs);
+      tokens.forEach((token) => {
+        const count = label.tokens.get(token) || 0;
+        logScore += Math.log((count + this.alpha) / (label.tokenCount + this.alpha * vocabularySize));
+      });
+      scores.push({ account, logScore, transactionType: label.transactionType });
+    });
+
+    // log-sum-exp로 사후확률 정규화
+    const maxScore = Math.max(...scores.map((score) => score.logScore));
+    const total = scores.reduce((sum, score) => sum + Math.exp(score.logScore - maxScore), 0);
+    const best = scores.reduce((a, b) => (b.logScore > a.logScore ? b : a));
+
+    return {
+      account: best.account,
+      probability: Math.exp(best.logScore - maxScore) / total,
+      transactionType: best.transactionType,
+      tokens,
+    };
+  }
+
+  /**
+   * 거래 텍스트 토큰화 (어절 + 한글 음절 n-gram)
+   * @param {Object} row - 거래 데이터
+   * @returns {Array} 토큰 목록
+   */
+  tokenize(row) {
+    const text = TEXT_FIELDS
+      .map((field) => row[field])
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+      .replace(/[^\w가-힣\s]/g, ' ');
+
+    const tokens = [];
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+      tokens.push(`w:${word}`);
+
+      const hangul = word.replace(/[^가-힣]/g, '');
+      for (let i = 0; i + this.ngramSize <= hangul.length; i += 1) {
+        tokens.push(`g:${hangul.substr(i, this.ngramSize)}`);
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * 분류기 요약 정보
+   * @returns {Object} 학습 현황
+   */
+  getSummary() {
+    return {
+      trained: this.isTrained(),
+      totalDocs: this.totalDocs,
+      vocabularySize: this.vocabulary.size,
+      labels: Array.from(this.labels.entries()).map(([account, label]) => ({
+        account,
+        docCount: label.docCount,
+      })),
+    };
+  }
+}
+
+module.exports = NaiveBayesClassifier;
@@ -0,0 +1,144 @@
+/**
+ * SUMIFS 집계 색인
+ * 합계 범위와 조건 범위 묶음을 한 번 훑어 조건 열 값의 조합별로 미리 합산(group-by)해 두고,
+ * 같은 범위를 쓰는 SUMIFS는 조건 값만 바꿔 색인에서 답함
+ *
+ * 조건 열마다 서로 다른 값을 조건식으로 한 번씩만 검사하므로 비교 연산자(">=2")나 와일드카드 조건도
+ * 행 수가 아니라 서로 다른 값의 수만큼만 비교함
+ */
+
+// 조건 범위가 합계 범위보다 짧아 값이 없는 위치 (어떤 조건과도 일치하지 않음)
+const MISSING = Symbol('missing');
+
+class SumifsIndex {
+  /**
+   * @param {Array} sumValues - 합계 범위 값 (1차원)
+   * @param {Array<Array>} criteriaColumns - 조건 범위 값 목록 (각각 1차원)
+   * @param {Object} options - 색인 옵션
+   * @param {Function} options.toNumber - 합계 값 변환 (value, row) => 숫자, 건너뛸 값은 null, 오류 값은 문자열
+   */
+  constructor(sumValues, criteriaColumns, options = {}) {
+    if (criteriaColumns.length === 0) {
+      throw new Error('At least one criteria column is required');
+    }
+
+    this.toNumber = options.toNumber || ((value) => (typeof value === 'number' ? value : null));
+    this.rowCount = sumValues.length;
+    this.columns = criteriaColumns.map(() => ({
+      values: new Map(), // 값 키 → 대표 값
+      matches: new Map(), // 조건 키 → Set(일치하는 값 키)
+    }));
+    this.root = new Map();
+
+    for (let row = 0; row < sumValues.length; row += 1) {
+      let node = this.root;
+      criteriaColumns.forEach((column, depth) => {
+        const value = row < column.length ? column[row] : MISSING;
+        const key = SumifsIndex.valueKey(value);
+        if (!this.columns[depth].values.has(key)) {
+          this.columns[depth].values.set(key, value);
+        }
+        if (!node.has(key)) {
+          node.set(key, depth === criteriaColumns.length - 1 ? {
+            total: 0, count: 0, error: null, errorRow: -1,
+          } : new Map());
+        }
+        node = node.get(key);
+      });
+      this.addToGroup(node, sumValues[row], row);
+    }
+  }
+
+  /**
+   * 값 키 (형식과 값이 모두 같을 때만 같은 키, 대소문자/공백도 구분)
+   * @param {any} value - 셀 값
+   * @returns {string} 값 키
+   */
+  static valueKey(value) {
+    if (value === MISSING) {
+      return 'm';
+    }
+    if (value === null || value === undefined) {
+      return 'e';
+    }
+    if (value instanceof Date) {
+      return `d${value.getTime()}`;
+    }
+    return `${typeof value}:${value}`;
+  }
+
+  addToGroup(group, value, row) {
+    group.count += 1;
+    const number = this.toNumber(value, row);
+    if (typeof number === 'number') {
+      if (!Number.isNaN(number)) {
+        group.total += number;
+      }
+    } else if (typeof number === 'string' && group.error === null) {
+      group.error = number;
+      group.errorRow = row;
+    }
+  }
+
+  /**
+   * 조건에 맞는 행들의 집계
+   * @param {Array} criteria - 조건 열마다 { key: 조건 키, test: (value) => boolean }
+   * @returns {Object} { total, count, error } (error는 일치한 행 중 가장 앞의 오류 값)
+   */
+  aggregate(criteria) {
+    if (criteria.length !== this.columns.length) {
+      throw new Error(`Expected ${this.columns.length} criteria, got ${criteria.length}`);
+    }
+
+    const result = { total: 0, count: 0, error: null };
+    let errorRow = Infinity;
+    const visit = (node, depth) => {
+      if (depth === criteria.length) {
+        result.total += node.total;
+        result.count += node.count;
+        if (node.error !== null && node.errorRow < errorRow) {
+          result.error = node.error;
+          errorRow = node.errorRow;
+        }
+        return;
+      }
+
+      const matching = this.matchingKeys(depth, criteria[depth]);
+      if (matching.size < node.size) {
+        matching.forEach((key) => {
+          if (node.has(key)) {
+            visit(node.get(key), depth + 1);
+          }
+        });
+      } else {
+        node.forEach((child, key) => {
+          if (matching.has(key)) {
+            visit(child, depth + 1);
+          }
+        });
+      }
+    };
+
+    visit(this.root, 0);
+    return result;
+  }
+
+  /**
+   * 조건 열에서 조건식에 맞는 값 키 (조건 키별로 한 번만 계산)
+   */
+  matchingKeys(depth, criterion) {
+    const column = this.columns[depth];
+    if (!column.matches.has(criterion.key)) {
+      const keys = new Set();
+      column.values.forEach((value, key) => {
+        if (value !== MISSING && criterion.test(value)) {
+          keys.add(key);
+        }
+      });
+      column.matches.set(criterion.key, keys);
+    }
+    return column.matches.get(criterion.key);
+  }
+}
+
+module.exports = SumifsIndex;
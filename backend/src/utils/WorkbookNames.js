@@ -0,0 +1,661 @@
+/**
+ * 통합문서 이름 정의와 표(Excel Table)
+ * 정의된 이름(`금액합`, 시트 범위 이름 포함)과 표의 구조적 참조(`매출[금액]`, `매출[[#Totals],[금액]]`, `[@금액]`)를
+ * 일반 셀/범위 참조로 바꿔, 수식 파서/의존성 그래프/계산 엔진은 `시트!A1:B2`, `시트!G:G`, `시트!3:3` 형태만 다루게 함
+ *
+ * 이름은 Excel처럼 대소문자를 구분하지 않고, 시트 범위 이름이 같은 이름의 통합문서 범위 이름보다 우선함
+ * 정의되지 않은 이름은 그대로 두어 계산 시 #NAME?이 되고, 없는 표/열을 가리키는 구조적 참조는 #REF!로 바뀜
+ *
+ * 다른 통합문서 참조(`[전년도.xlsx]출!G10`, 파일에 저장된 형태인 `[1]출!G10`)는 함께 로드한 통합문서 묶음에서 찾아
+ * `'[전년도.xlsx]출'!G10` 시트 참조로 바꾸고, 찾지 못한 링크는 #REF!로 바꿔 context.links에 기록함
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+const FormulaParser = require('./FormulaParser');
+
+// 이름 안의 이름을 따라가는 최대 깊이 (서로 참조하는 이름 정의 방지)
+const MAX_NAME_DEPTH = 16;
+
+// 시트명! 다음에 오는 셀/범위 참조
+const REFERENCE_PATTERN = new RegExp(`^(?:${[
+  /\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?/.source, // A1, $A$1:$B$9
+  /\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}/.source, // G:G
+  /\$?\d+:\$?\d+/.source, // 3:3
+].join('|')})(?![A-Za-z0-9_.(])`);
+
+// 이름, 표 이름, 함수명, 시트명, 셀 참조
+const IDENTIFIER_PATTERN = /^[A-Za-z_\\\u0080-\uFFFF][A-Za-z0-9_.\\\u0080-\uFFFF]*/;
+
+// 링크를 찾지 못한 이유
+const LINK_ERRORS = {
+  link: '통합문서 링크 번호를 파일에서 찾을 수 없습니다',
+  workbook: '함께 로드하지 않은 통합문서입니다',
+  sheet: '통합문서에 없는 시트입니다',
+  name: '통합문서에 정의되지 않은 이름입니다',
+};
+
+// 구조적 참조의 특수 항목 → 표 영역
+const SPECIAL_ITEMS = {
+  '#all': 'all',
+  '#data': 'data',
+  '#headers': 'headers',
+  '#totals': 'totals',
+  '#this row': 'thisRow',
+};
+
+class WorkbookNames {
+  /**
+   * @param {Object} options - 옵션
+   * @param {FormulaParser} options.parser - 셀 주소 계산에 사용할 수식 파서
+   * @param {string} options.book - 다른 통합문서의 외부 통합문서로 로드했을 때의 파일명 (기본 통합문서는 null)
+   */
+  constructor(options = {}) {
+    this.parser = options.parser || new FormulaParser();
+    this.book = options.book || null;
+    this.names = new Map(); // 소문자 이름 → Map(범위 시트명, 통합문서 범위는 null → { name, refersTo, scope })
+    this.tables = new Map(); // 소문자 표 이름 → { name, sheet, bounds, columns, headerRowCount, totalsRowCount }
+    this.externalLinks = new Map(); // 수식의 [번호] → 링크된 통합문서 파일명
+    this.workbooks = new Map(); // 소문자 파일명 → { name, sheets, names, main } (함께 로드한 통합문서 묶음)
+  }
+
+  /**
+   * ExcelJS 통합문서의 이름 정의와 표 읽기
+   * ExcelJS는 범위를 가리키는 이름만 읽으므로 상수/수식 이름과 시트 범위는 addSheetJSNames로 보충
+   * @param {ExcelJS.Workbook} workbook - ExcelJS 통합문서
+   * @param {Object} options - 생성자 옵션
+   * @returns {WorkbookNames} 이름 목록
+   */
+  static fromExcelJS(workbook, options = {}) {
+    const names = new WorkbookNames(options);
+
+    (workbook.definedNames ? workbook.definedNames.model : []).forEach((definedName) => {
+      // 여러 영역을 묶은 이름은 지원하지 않음
+      if (definedName.ranges.length === 1) {
+        names.defineName(definedName.name, definedName.ranges[0]);
+      }
+    });
+
+    workbook.eachSheet((worksheet) => {
+      worksheet.getTables().forEach((table) => {
+        const model = table.table || table.model;
+        names.addTable({
+          name: model.name,
+          sheet: worksheet.name,
+          ref: model.tableRef || model.ref,
+          columns: model.columns.map((column) => column.name),
+          headerRowCount: model.headerRow === false ? 0 : 1,
+          totalsRowCount: model.totalsRow ? 1 : 0,
+        });
+      });
+    });
+
+    return names;
+  }
+
+  /**
+   * getSummary 결과로 다시 만들기 (분석 결과를 계산 요청에 함께 보낼 때 사용)
+   * @param {Object} summary - { names: [{ name, refersTo, scope }],
+   *                             tables: [{ name, sheet, ref, columns, headerRowCount, totalsRowCount }] }
+   * @param {Object} options - 생성자 옵션
+   * @returns {WorkbookNames} 이름 목록
+   */
+  static fromSummary(summary = {}, options = {}) {
+    const names = new WorkbookNames(options);
+    (summary.names || []).forEach(({ name, refersTo, scope }) => names.defineName(name, refersTo, scope));
+    (summary.tables || []).forEach((table) => names.addTable(table));
+    return names;
+  }
+
+  /**
+   * SheetJS 통합문서의 이름 정의 읽기 (표는 읽지 않음)
+   * @param {Object} workbook - XLSX.read 결과
+   * @param {Object} options - 생성자 옵션
+   * @returns {WorkbookNames} 이름 목록
+   */
+  static fromSheetJS(workbook, options = {}) {
+    return new WorkbookNames(options).addSheetJSNames(workbook);
+  }
+
+  /**
+   * SheetJS 통합문서의 이름 정의 추가 (같은 범위의 같은 이름은 덮어씀)
+   * @param {Object} workbook - XLSX.read 결과
+   * @returns {WorkbookNames} this
+   */
+  addSheetJSNames(workbook) {
+    const definedNames = (workbook.Workbook && workbook.Workbook.Names) || [];
+    definedNames.forEach((definedName) => {
+      const scope = definedName.Sheet !== undefined ? workbook.SheetNames[definedName.Sheet] : null;
+      this.defineName(definedName.Name, definedName.Ref, scope);
+    });
+    return this;
+  }
+
+  /**
+   * xlsx 파일의 외부 통합문서 링크 목록 읽기 (수식의 [1], [2]가 가리키는 파일명)
+   * 파일의 workbook.xml 외부 참조 순서가 번호이고, 각 externalLink 관계의 대상이 파일 경로
+   * @param {Buffer} buffer - xlsx 데이터
+   * @returns {WorkbookNames} this
+   */
+  addExternalLinks(buffer) {
+    const zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+    const readPart = (partPath) => {
+      const entry = XLSX.CFB.find(zip, `/${partPath}`);
+      return entry && entry.content ? Buffer.from(entry.content).toString('utf8') : '';
+    };
+    const relationships = (partPath) => {
+      const directory = path.posix.dirname(partPath);
+      const xml = readPart(`${directory}/_rels/${path.posix.basename(partPath)}.rels`);
+      return Array.from(xml.matchAll(/<Relationship\b[^>]*>/g)).map(([tag]) => {
+        const attribute = (name) => (tag.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1];
+        const target = attribute('Target') || '';
+        return {
+          id: attribute('Id'),
+          target: attribute('TargetMode') === 'External' || /^[a-z]+:/i.test(target)
+            ? target
+            : path.posix.normalize(target.startsWith('/') ? target.substring(1) : `${directory}/${target}`),
+        };
+      });
+    };
+
+    const workbookRelationships = relationships('xl/workbook.xml');
+    const referenceIds = Array.from(readPart('xl/workbook.xml').matchAll(/<externalReference\b[^>]*\br:id="([^"]+)"/g))
+      .map((match) => match[1]);
+    referenceIds.forEach((id, index) => {
+      const link = workbookRelationships.find((relationship) => relationship.id === id);
+      const target = link ? (relationships(link.target)[0] || {}).target : null;
+      if (target) {
+        this.externalLinks.set(String(index + 1), WorkbookNames.fileName(target));
+      }
+    });
+    return this;
+  }
+
+  /**
+   * 경로/URL에서 파일명만 (file:///C:/경로/%EC%A0%84.xlsx → 전.xlsx)
+   * @param {string} target - 경로
+   * @returns {string} 파일명
+   */
+  static fileName(target) {
+    let decoded = String(target);
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch (error) {
+      // 인코딩되지 않은 경로
+    }
+    return decoded.split(/[\\/]/).pop();
+  }
+
+  /**
+   * 다른 통합문서 참조 표시용 텍스트 ([전년도.xlsx]출!G10)
+   * @param {Object} link - resolveExternal이 기록한 참조
+   * @returns {string} 참조 텍스트
+   */
+  static formatLink(link) {
+    const book = link.book.startsWith('[') ? link.book : `[${link.book}]`;
+    return `${book}${link.sheet || ''}!${link.reference}`;
+  }
+
+  /**
+   * 함께 계산할 통합문서 묶음 연결 (묶음의 모든 WorkbookNames가 같은 Map을 공유)
+   * @param {Map} workbooks - 소문자 파일명 → { name, sheets: Set(시트명), names: WorkbookNames, main: 기본 통합문서 여부 }
+   * @returns {WorkbookNames} this
+   */
+  linkWorkbooks(workbooks) {
+    this.workbooks = workbooks;
+    return this;
+  }
+
+  /**
+   * 묶음에서 통합문서 찾기 (파일명 대소문자 무시, 경로는 무시)
+   * @param {string} book - 파일명
+   * @returns {Object|null} { name, sheets, names, main }
+   */
+  getWorkbook(book) {
+    return this.workbooks.get(WorkbookNames.fileName(book).toLowerCase()) || null;
+  }
+
+  /**
+   * 계산 엔진 안의 시트명 (외부 통합문서 시트는 '[파일명]시트명')
+   * @param {string} sheet - 통합문서 안의 시트명
+   * @param {string|null} book - 통합문서 파일명 (생략하면 이 통합문서)
+   * @returns {string} 시트명
+   */
+  qualifySheet(sheet, book = this.book) {
+    const workbook = book ? this.getWorkbook(book) : null;
+    if (!book || (workbook && workbook.main)) {
+      return sheet;
+    }
+    return `[${workbook ? workbook.name : book}]${sheet}`;
+  }
+
+  /**
+   * 이름 정의 (인쇄 영역 등 Excel 내부 이름은 무시)
+   * @param {string} name - 이름
+   * @param {string} refersTo - 참조 대상 (범위, 상수 또는 수식, = 생략 가능)
+   * @param {string|null} scope - 시트 범위 이름이면 시트명
+   */
+  defineName(name, refersTo, scope = null) {
+    if (!name || refersTo === undefined || refersTo === null || /^_xlnm\./i.test(name)) {
+      return;
+    }
+
+    const key = name.toLowerCase();
+    if (!this.names.has(key)) {
+      this.names.set(key, new Map());
+    }
+    this.names.get(key).set(scope || null, {
+      name,
+      refersTo: String(refersTo).replace(/^=/, ''),
+      scope: scope || null,
+    });
+  }
+
+  /**
+   * 이름 조회 (시트 범위 이름 우선)
+   * @param {string} name - 이름
+   * @param {string|null} sheet - 수식이 있는 시트
+   * @param {boolean} sheetOnly - 지정한 시트 범위에서만 찾기 (시트명!이름 형태)
+   * @returns {Object|null} { name, refersTo, scope }
+   */
+  getName(name, sheet = null, sheetOnly = false) {
+    const scopes = this.names.get(String(name).toLowerCase());
+    if (!scopes) {
+      return null;
+    }
+    if (sheet && scopes.has(sheet)) {
+      return scopes.get(sheet);
+    }
+    return !sheetOnly && scopes.has(null) ? scopes.get(null) : null;
+  }
+
+  /**
+   * 표 추가
+   * @param {Object} table - 표 정의
+   * @param {string} table.name - 표 이름
+   * @param {string} table.sheet - 시트명
+   * @param {string} table.ref - 머리글과 요약 행을 포함한 표 범위 (예: 'B2:F40')
+   * @param {Array<string>} table.columns - 열 이름 (왼쪽부터)
+   * @param {number} table.headerRowCount - 머리글 행 수 (기본 1)
+   * @param {number} table.totalsRowCount - 요약 행 수 (기본 0)
+   */
+  addTable({
+    name, sheet, ref, columns, headerRowCount = 1, totalsRowCount = 0,
+  }) {
+    const [start, end = start] = String(ref).replace(/\$/g, '').split(':');
+    this.tables.set(name.toLowerCase(), {
+      name,
+      sheet,
+      bounds: this.parser.getRangeBounds(start, end),
+      columns: columns.map((column) => String(column)),
+      headerRowCount,
+      totalsRowCount,
+    });
+  }
+
+  /**
+   * 셀을 포함하는 표 ([@금액]처럼 표 이름을 생략한 참조용)
+   * @param {string} sheet - 시트명
+   * @param {string} address - 셀 주소
+   * @returns {Object|null} 표
+   */
+  getTableAt(sheet, address) {
+    if (!sheet || !address) {
+      return null;
+    }
+    const { row, col } = this.parser.parseCellReference(String(address).replace(/\$/g, ''));
+    return Array.from(this.tables.values()).find(({ sheet: tableSheet, bounds }) => tableSheet === sheet
+      && row >= bounds.startRow && row <= bounds.endRow && col >= bounds.startCol && col <= bounds.endCol) || null;
+  }
+
+  /**
+   * 수식의 이름과 구조적 참조를 셀/범위 참조로 바꿈 (문자열 리터럴과 함수명, 셀 참조는 그대로)
+   * @param {string} formula - Excel 수식 (= 생략 가능)
+   * @param {Object} context - { sheet: 수식이 있는 시트, address: 수식이 있는 셀 (@ 참조용), links: 다른 통합문서 참조를 모을 배열 }
+   * @returns {string} 바꾼 수식
+   */
+  resolve(formula, context = {}, depth = 0) {
+    if (typeof formula !== 'string'
+      || (this.names.size === 0 && this.tables.size === 0 && !this.book && !/\[|\.xl[a-z]*'?!/i.test(formula))) {
+      return formula;
+    }
+
+    let output = '';
+    let position = 0;
+    let qualifier = null; // 바로 앞의 시트명! ({ book, sheet, start: output 안의 위치 })
+
+    while (position < formula.length) {
+      const char = formula[position];
+      const rest = formula.substring(position);
+      const afterDollar = formula[position - 1] === '$';
+      // 다른 통합문서 참조 ([1]출!G10, [전년도.xlsx]출!G10, [1]!이름)
+      const external = char === '[' ? rest.match(/^\[([^\][]+)\]([A-Za-z0-9_.\u0080-\uFFFF]*)!/) : null;
+      // 따옴표 없는 시트명 (1월!처럼 숫자로 시작하는 이름 포함)
+      const sheetName = afterDollar ? null : rest.match(/^[A-Za-z0-9_.\u0080-\uFFFF]+(?=!)/);
+      // 숫자 (1E5의 E5를 이름으로 보지 않도록 통째로 건너뜀)
+      const number = rest.match(/^\d+(?:\.\d*)?(?:[eE][+-]?\d+)?/);
+      const identifier = afterDollar ? null : rest.match(IDENTIFIER_PATTERN);
+
+      if (char === '"') {
+        // 문자열 리터럴
+        const end = this.findClosingQuote(formula, position, '"');
+        output += formula.substring(position, end);
+        position = end;
+        qualifier = null;
+      } else if (char === "'") {
+        // 따옴표로 묶은 시트명 ('매출 시트'!, 'C:\경로\[전년도.xlsx]출 시트'!)
+        const end = this.findClosingQuote(formula, position, "'");
+        const text = formula.substring(position + 1, end - 1).replace(/''/g, "'");
+        const book = formula[end] === '!' ? text.match(/^(?:.*[\\/])?\[([^\]]+)\](.*)$/) : null;
+        if (formula[end] !== '!') {
+          output += formula.substring(position, end);
+          position = end;
+          qualifier = null;
+        } else if (book) {
+          const linked = { book: book[1], sheet: book[2], start: output.length };
+          ({ output, position } = this.resolveExternal(linked, formula, end + 1, output, context, depth));
+          qualifier = null;
+        } else {
+          qualifier = { book: null, sheet: text, start: output.length };
+          output += this.book ? this.sheetPrefix(this.qualifySheet(text)) : formula.substring(position, end + 1);
+          position = end + 1;
+        }
+      } else if (external) {
+        position += external[0].length;
+        const linked = { book: external[1], sheet: external[2], start: output.length };
+        ({ output, position } = this.resolveExternal(linked, formula, position, output, context, depth));
+        qualifier = null;
+      } else if (char === '[') {
+        // 표 이름을 생략한 구조적 참조 ([@금액])
+        const end = this.findClosingBracket(formula, position);
+        const table = this.getTableAt(context.sheet, context.address);
+        output += this.resolveStructured(table, formula.substring(position + 1, end - 1), context);
+        position = end;
+        qualifier = null;
+      } else if (sheetName && /\.xl[a-z]*$/i.test(sheetName[0])) {
+        // 통합문서 이름 참조 (전년도.xlsx!금액합)
+        position += sheetName[0].length + 1;
+        const linked = { book: sheetName[0], sheet: '', start: output.length };
+        ({ output, position } = this.resolveExternal(linked, formula, position, output, context, depth));
+        qualifier = null;
+      } else if (sheetName) {
+        position += sheetName[0].length + 1;
+        qualifier = { book: null, sheet: sheetName[0], start: output.length };
+        output += this.book ? this.sheetPrefix(this.qualifySheet(sheetName[0])) : `${sheetName[0]}!`;
+      } else if (number) {
+        output += number[0];
+        position += number[0].length;
+        qualifier = null;
+      } else if (identifier) {
+        const text = identifier[0];
+        const next = formula[position + text.length];
+        position += text.length;
+
+        if (next === '[') {
+          const end = this.findClosingBracket(formula, position);
+          const table = this.tables.get(text.toLowerCase()) || null;
+          output += this.resolveStructured(table, formula.substring(position + 1, end - 1), context);
+          position = end;
+        } else {
+          const definedName = next !== '(' && next !== '$' && !/^[A-Za-z]{1,3}\d+$/.test(text)
+            ? this.getName(text, qualifier ? qualifier.sheet : context.sheet, Boolean(qualifier))
+            : null;
+          if (definedName) {
+            if (qualifier) {
+              output = output.substring(0, qualifier.start);
+            }
+            output += this.resolveName(definedName, context, depth);
+          } else {
+            output += text;
+          }
+        }
+        qualifier = null;
+      } else {
+        output += char;
+        position += 1;
+        qualifier = null;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * 다른 통합문서 참조를 묶음의 시트 참조로 바꿈 ([전년도.xlsx]출! 다음의 셀/범위 또는 이름까지 처리)
+   * @param {Object} qualifier - { book: 파일명 또는 링크 번호, sheet: 시트명 (이름 참조면 '') }
+   * @param {string} formula - 수식
+   * @param {number} position - 시트명! 다음 위치
+   * @param {string} output - 지금까지 바꾼 수식
+   * @param {Object} context - resolve의 context
+   * @param {number} depth - 이름 깊이
+   * @returns {Object} { output, position }
+   */
+  resolveExternal(qualifier, formula, position, output, context, depth) {
+    const reference = formula.substring(position).match(REFERENCE_PATTERN);
+    const identifier = reference ? null : formula.substring(position).match(IDENTIFIER_PATTERN);
+    const text = (reference || identifier || [''])[0];
+    const book = /^\d+$/.test(qualifier.book) ? this.externalLinks.get(qualifier.book) : qualifier.book;
+    const workbook = book ? this.getWorkbook(book) : null;
+    const link = {
+      book: book || `[${qualifier.book}]`,
+      sheet: qualifier.sheet || null,
+      reference: text,
+      resolved: false,
+      reason: null,
+    };
+
+    let replacement = '#REF!';
+    if (!book) {
+      link.reason = 'link';
+    } else if (!workbook) {
+      link.reason = 'workbook';
+    } else if (reference) {
+      const sheet = Array.from(workbook.sheets).find((name) => name.toLowerCase() === qualifier.sheet.toLowerCase());
+      if (sheet) {
+        link.sheet = sheet;
+        replacement = `${this.sheetPrefix(this.qualifySheet(sheet, workbook.name))}${text}`;
+      } else {
+        link.reason = 'sheet';
+      }
+    } else {
+      const definedName = identifier
+        ? workbook.names.getName(text, qualifier.sheet || null, Boolean(qualifier.sheet))
+        : null;
+      if (definedName) {
+        replacement = workbook.names.resolveName(definedName, { sheet: definedName.scope }, depth);
+      } else {
+        link.reason = 'name';
+      }
+    }
+
+    link.resolved = !link.reason;
+    if (link.reason) {
+      link.message = LINK_ERRORS[link.reason];
+    }
+    if (context.links) {
+      context.links.push(link);
+    }
+    return { output: output + replacement, position: position + text.length };
+  }
+
+  /**
+   * 이름이 가리키는 식 (범위는 그대로, 상수나 수식은 괄호로 묶음)
+   */
+  resolveName(definedName, context, depth) {
+    if (depth >= MAX_NAME_DEPTH) {
+      return '#REF!';
+    }
+
+    const scope = { ...context, sheet: definedName.scope || context.sheet };
+    const resolved = this.resolve(definedName.refersTo, scope, depth + 1);
+    const types = this.parser.tokenize(this.parser.preprocessFormula(resolved)).map((token) => token.type);
+    const isReference = types.join(' ') === 'CELL_REF RANGE CELL_REF'
+      || (types.length === 1 && ['CELL_REF', 'CELL_RANGE', 'NUMBER', 'STRING', 'ERROR'].includes(types[0]));
+    return isReference ? resolved : `(${resolved})`;
+  }
+
+  /**
+   * 구조적 참조를 범위 참조로
+   * @param {Object|null} table - 표
+   * @param {string} specifier - 대괄호 안의 내용 (예: '금액', '[#Totals],[금액]', '@금액', '[금액]:[VAT]')
+   * @param {Object} context - { sheet, address }
+   * @returns {string} 범위 참조 또는 오류 값
+   */
+  resolveStructured(table, specifier, context) {
+    if (!table) {
+      return '#REF!';
+    }
+
+    const { areas, columns } = this.parseSpecifier(specifier);
+    const { bounds } = table;
+    const dataStart = bounds.startRow + table.headerRowCount;
+    const dataEnd = bounds.endRow - table.totalsRowCount;
+    const areaRows = {
+      all: [bounds.startRow, bounds.endRow],
+      data: [dataStart, dataEnd],
+      headers: table.headerRowCount > 0 ? [bounds.startRow, dataStart - 1] : null,
+      totals: table.totalsRowCount > 0 ? [dataEnd + 1, bounds.endRow] : null,
+    };
+
+    let rows;
+    if (areas.includes('thisRow')) {
+      const row = context.address ? this.parser.parseCellReference(String(context.address).replace(/\$/g, '')).row : -1;
+      if (context.sheet !== table.sheet || row < dataStart || row > dataEnd) {
+        return '#VALUE!';
+      }
+      rows = [row, row];
+    } else {
+      const spans = (areas.length > 0 ? areas : ['data']).map((area) => areaRows[area]);
+      if (spans.some((span) => !span)) {
+        return '#REF!';
+      }
+      rows = [Math.min(...spans.map((span) => span[0])), Math.max(...spans.map((span) => span[1]))];
+    }
+    if (rows[0] > rows[1]) {
+      return '#REF!';
+    }
+
+    const columnIndexes = columns
+      .map((name) => table.columns.findIndex((column) => column.toLowerCase() === name.toLowerCase()));
+    if (columnIndexes.some((index) => index < 0)) {
+      return '#REF!';
+    }
+    const cols = columnIndexes.length > 0
+      ? [bounds.startCol + Math.min(...columnIndexes), bounds.startCol + Math.max(...columnIndexes)]
+      : [bounds.startCol, bounds.endCol];
+
+    const start = `${this.parser.columnToLetters(cols[0])}${rows[0] + 1}`;
+    const end = `${this.parser.columnToLetters(cols[1])}${rows[1] + 1}`;
+    return `${this.sheetPrefix(this.qualifySheet(table.sheet))}${start === end ? start : `${start}:${end}`}`;
+  }
+
+  /**
+   * 구조적 참조 지정자 분해
+   * @param {string} specifier - 대괄호 안의 내용
+   * @returns {Object} { areas: ['all'|'data'|'headers'|'totals'|'thisRow'], columns: [열 이름] }
+   */
+  parseSpecifier(specifier) {
+    const areas = [];
+    const columns = [];
+    const addItem = (item) => {
+      const text = item.trim();
+      const area = SPECIAL_ITEMS[text.toLowerCase()];
+      if (area) {
+        areas.push(area);
+      } else if (text.startsWith('@')) {
+        areas.push('thisRow');
+        if (text.length > 1) {
+          addItem(text.substring(1).replace(/^\[([\s\S]*)\]$/, '$1'));
+        }
+      } else if (text) {
+        columns.push(text);
+      }
+    };
+
+    const trimmed = specifier.trim();
+    if (!trimmed.startsWith('[') && !/^@\[/.test(trimmed)) {
+      addItem(this.unescapeItem(trimmed));
+      return { areas, columns };
+    }
+
+    // [항목],[항목] 또는 [열]:[열] (@[열]은 앞의 @를 이번 행으로)
+    let position = 0;
+    while (position < trimmed.length) {
+      if (trimmed[position] === '@') {
+        areas.push('thisRow');
+        position += 1;
+      } else if (trimmed[position] === '[') {
+        const end = this.findClosingBracket(trimmed, position);
+        addItem(this.unescapeItem(trimmed.substring(position + 1, end - 1)));
+        position = end;
+      } else {
+        position += 1; // , : 공백
+      }
+    }
+    return { areas, columns };
+  }
+
+  // 열 이름의 이스케이프 문자(')
+  unescapeItem(item) {
+    return item.replace(/'(.)/g, '$1');
+  }
+
+  findClosingQuote(formula, position, quote) {
+    let index = position + 1;
+    while (index < formula.length) {
+      if (formula[index] === quote) {
+        if (formula[index + 1] !== quote) {
+          return index + 1;
+        }
+        index += 1;
+      }
+      index += 1;
+    }
+    return formula.length;
+  }
+
+  findClosingBracket(formula, position) {
+    let depth = 0;
+    for (let index = position; index < formula.length; index += 1) {
+      if (formula[index] === "'") {
+        index += 1; // 이스케이프된 문자
+      } else if (formula[index] === '[') {
+        depth += 1;
+      } else if (formula[index] === ']') {
+        depth -= 1;
+        if (depth === 0) {
+          return index + 1;
+        }
+      }
+    }
+    return formula.length;
+  }
+
+  sheetPrefix(sheet) {
+    return /^[A-Za-z0-9_.가-힣]+$/.test(sheet) ? `${sheet}!` : `'${sheet.replace(/'/g, "''")}'!`;
+  }
+
+  /**
+   * 이름 정의와 표 요약
+   * @returns {Object} { names: [{ name, refersTo, scope }],
+   *                     tables: [{ name, sheet, ref, columns, headerRowCount, totalsRowCount }] }
+   */
+  getSummary() {
+    const names = [];
+    this.names.forEach((scopes) => scopes.forEach((definedName) => names.push({ ...definedName })));
+    const tables = Array.from(this.tables.values()).map((table) => ({
+      name: table.name,
+      sheet: table.sheet,
+      ref: `${this.parser.columnToLetters(table.bounds.startCol)}${table.bounds.startRow + 1}:`
+        + `${this.parser.columnToLetters(table.bounds.endCol)}${table.bounds.endRow + 1}`,
+      columns: table.columns,
+      headerRowCount: table.headerRowCount,
+      totalsRowCount: table.totalsRowCount,
+    }));
+    return { names, tables };
+  }
+}
+
+WorkbookNames.LINK_ERRORS = LINK_ERRORS;
+
+module.exports = WorkbookNames;
@@ -0,0 +1,130 @@
+/**
+ * CalculationEngine 테스트
+ * 시트 데이터에 저장된 수식 셀을 수식 파서로 계산해 SUMIFS 범위에 반영하는지, 복합 키 INDEX/MATCH,
+ * 같은 범위를 쓰는 SUMIFS의 집계 색인 공유, 표의 구조적 참조와 전체 행 범위, 찾지 못한 외부 참조 보고 검증
+ */
+
+const CalculationEngine = require('../../src/engines/CalculationEngine');
+
+describe('CalculationEngine', () => {
+  test('범위의 수식 셀은 연산자 우선순위대로 계산되고 계산할 수 없으면 오류 값이 되어야 함', () => {
+    const engine = new CalculationEngine();
+    engine.sheetData.set('분', [
+      ['월', '항목', '외래', '입원', '계'],
+      [1, '진료', 100000, 20000, '=C2+D2'],
+      [1, '검사', 5000, 0, '=C3-D3*2^2/4'],
+      [2, '진료', 300000, 0, '=E2+E3'],
+      [2, '기타', 0, 0, '=UNKNOWNFN(C5)'],
+      [2, '기타', 0, 0, '=C6/D6'],
+    ]);
+
+    expect(engine.getExcelRangeData('분!E:E')).toEqual([
+      '계', 120000, 5000, 125000, '#NAME?', '#DIV/0!',
+    ]);
+    expect(engine.executeGenericFormula({ sheet: '분', formula: 'SUM(E2:E4)*10%' })).toBe(25000);
+  });
+
+  test('INDEX/MATCH는 두 열을 이어 붙인 복합 키로 조회할 수 있어야 함', () => {
+    const engine = new CalculationEngine();
+    engine.sheetData.set('분', [
+      ['월', '', '거래처', '', '', '', '', '', '구분', '금액'],
+      [1, '', '공단', '', '', '', '', '', '외래', 1000],
+      [1, '', '공단', '', '', '', '', '', '입원', 2000],
+      [1, '', '보험사', '', '', '', '', '', '외래', 3000],
+    ]);
+    engine.sheetData.set('출', [
+      [1, '', '공단', '', '', '', '', '', '입원'],
+    ]);
+
+    const formula = (lookup) => ({
+      type: 'INDEX_MATCH',
+      sheet: '출',
+      formula: `INDEX(분!$A$2:$K$4,MATCH(${lookup},분!$C$2:$C$4&분!$I$2:$I$4,0),10)`,
+    });
+
+    expect(engine.executeINDEXMATCH(formula('출!C1&출!I1'))).toBe(2000);
+    expect(engine.executeINDEXMATCH(formula('"보험사입원"'))).toBe('#N/A');
+  });
+
+  test('같은 범위를 쓰는 SUMIFS는 1000행을 넘는 데이터도 집계 색인 하나로 계산해야 함', () => {
+    const engine = new CalculationEngine();
+    const rows = [['헤더'], ['헤더'], ['헤더']];
+    for (let i = 0; i < 3000; i += 1) {
+      const row = [(i % 12) + 1, '', '', '', i, 0, '', '', '', ['외래', '입원'][i % 2]];
+      row[6] = `=E${rows.length + 1}+F${rows.length + 1}`;
+      rows.push(row);
+    }
+    engine.sheetData.set('출', rows);
+    engine.sheetData.set('요약', [[1, '외래'], [12, '입원']]);
+
+    const sumifs = (month, category) => ({
+      sheet: '요약',
+      formula: `SUMIFS(출!$G:$G,출!$A:$A,${month},출!$J:$J,${category})`,
+    });
+    const expected = (month, category) => rows.slice(3)
+      .reduce((sum, row) => (row[0] === month && row[9] === category ? sum + row[4] : sum), 0);
+
+    expect(engine.executeSUMIFS_Enhanced(sumifs('A1', 'B1'))).toBe(expected(1, '외래'));
+    expect(engine.executeSUMIFS_Enhanced(sumifs('A2', 'B2'))).toBe(expected(12, '입원'));
+    expect(engine.executeSUMIFS_Enhanced(sumifs('A1', '"입원"'))).toBe(0);
+    expect(engine.sumifsIndexes.size).toBe(1);
+
+    // 시트 데이터가 바뀌면 색인을 다시 만듦
+    engine.sheetData.set('출', rows.slice(0, 4));
+    expect(engine.executeSUMIFS_Enhanced(sumifs('A1', 'B1'))).toBe(0);
+  });
+
+  test('표의 구조적 참조와 따옴표로 묶은 시트명, 전체 행 참조를 범위로 읽어야 함', () => {
+    const engine = new CalculationEngine();
+    engine.sheetData.set('매출 시트', [
+      ['월', '금액', '소분류'],
+      [1, 100, '외래'],
+      [1, 200, '입원'],
+      [2, 400, '외래'],
+      ['합계', '=SUBTOTAL(109,매출[금액])', ''],
+    ]);
+    engine.sheetData.set('요약', [[1, '외래']]);
+    engine.names.addTable({
+      name: '매출', sheet: '매출 시트', ref: 'A1:C5', columns: ['월', '금액', '소분류'], totalsRowCount: 1,
+    });
+
+    expect(engine.parseExcelRange("'매출 시트'!$B$2:$B$4"))
+      .toMatchObject({ sheetName: '매출 시트', startCell: 'B2', endCell: 'B4' });
+    expect(engine.getExcelRangeData('매출[금액]')).toEqual([100, 200, 400]);
+    expect(engine.getExcelRangeData("'매출 시트'!1:1")).toEqual(['월', '금액', '소분류']);
+    expect(engine.getExcelRangeData('매출[[#Totals],[금액]]')).toEqual([700]);
+    expect(engine.executeSUMIFS_Enhanced({
+      sheet: '요약',
+      cell: 'C1',
+      formula: 'SUMIFS(매출[금액],매출[월],A1,매출[소분류],B1)',
+    })).toBe(100);
+
+    // 시트 데이터에 없는 다른 통합문서 범위는 0으로 합산하지 않고 오류로 보고
+    expect(() => engine.executeSUMIFS_Enhanced({
+      sheet: '요약',
+      cell: 'C2',
+      formula: 'SUMIFS([전년도.xlsx]출!$G:$G,[전년도.xlsx]출!$A:$A,A1)',
+    })).toThrow('외부 참조 [전년도.xlsx]출!$G:$G: 함께 로드하지 않은 통합문서입니다');
+  });
+
+  test('수식 실행 진행률을 50수식마다와 마지막 수식에서 알려야 함', async () => {
+    const engine = new CalculationEngine();
+    const formulas = Array.from({ length: 120 }, (_, i) => ({
+      sheet: '요약',
+      cell: `B${i + 1}`,
+      formula: `SUMIFS(출!$G:$G,출!$A:$A,${i})`,
+    }));
+    const progress = [];
+
+    const result = await engine.executeCalculations({ classifiedTransactions: [] }, formulas, null, {
+      onProgress: (update) => progress.push(update),
+    });
+
+    expect(result.formulasExecuted).toBe(120);
+    expect(progress).toEqual([
+      { processed: 50, total: 120 },
+      { processed: 100, total: 120 },
+      { processed: 120, total: 120 },
+    ]);
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+const ClassificationRuleSet = require('../../src/models/ClassificationRuleSet');
 
 describe('ClassificationEngine', () => {
   let classificationEngine;
@@ -457,4 +458,155 @@ describe('ClassificationEngine', () => {
       expect(salaryExpense.account).toBe('급여');
     });
   });
+
+  describe('분류 설명 테스트', () => {
+    test('적용/불일치 규칙과 매칭 필드를 순서대로 기록해야 함', async () => {
+      const result = await classificationEngine.classifyTransaction({
+        날짜: '2023-12-01',
+        항목: '외래진료비',
+        금액: 45000,
+        보험유형: '의료보험',
+        진료과: '내과',
+      }, 0);
+
+      const { explanation } = result;
+      expect(explanation.ruleIds[0]).toBe('revenue.patientType.의료보험');
+      expect(explanation.steps[0].matchedFields).toEqual([
+        expect.objectContaining({ field: '보험유형', actual: '의료보험' }),
+      ]);
+      expect(explanation.steps.map((step) => step.order)).toEqual(explanation.steps.map((step, i) => i + 1));
+      expect(explanation.ruleIds).toContain('revenue.department.내과');
+    });
+
+    test('신뢰도 변화 합계가 최종 신뢰도와 같아야 함', async () => {
+      const result = await classificationEngine.classifyTransaction({
+        날짜: '2023-12-01',
+        항목: '입원 수술',
+        금액: 3000000,
+        보험유형: '건강보험',
+        진료과: '외과',
+      }, 0);
+
+      const total = result.explanation.steps.reduce((sum, step) => sum + step.confidenceDelta, 0);
+      expect(total).toBeCloseTo(result.confidence, 3);
+      expect(result.explanation.ruleIds).toContain('system.confidenceCap');
+    });
+
+    test('평가되었지만 매칭되지 않은 규칙을 기록해야 함', async () => {
+      const result = await classificationEngine.classifyTransaction({
+        날짜: '2023-12-01',
+        항목: '서류발급',
+        금액: 1000,
+        보험유형: '일반환자',
+      }, 0);
+
+      expect(result.explanation.failedRules).toContain('revenue.patientType.일반환자');
+      expect(classificationEngine.formatExplanation(result.explanation).pop()).toContain(result.account || '미분류');
+    });
+  });
+
+  describe('분할 분류 테스트', () => {
+    test('본인/공단부담금 컬럼으로 한 행을 여러 라인으로 분할해야 함', async () => {
+      const result = await classificationEngine.classifyTransactions([
+        {
+          날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 총진료비: 50000, 본인부담금: 15000, 공단부담금: 35000,
+        },
+      ], { split: true });
+
+      expect(result.classified).toHaveLength(2);
+      expect(result.classified.map((line) => [line.split.label, line.account, line.amount])).toEqual([
+        ['본인부담금', '건보수익', 15000],
+        ['공단부담금', '건보수익', 35000],
+      ]);
+      expect(result.classified.every((line) => line.split.sourceRowIndex === 0)).toBe(true);
+      expect(result.splits[0]).toEqual(expect.objectContaining({ sourceAmount: 50000, allocatedAmount: 50000 }));
+      expect(result.statistics.successRate).toBe('100.00%');
+    });
+
+    test('컬럼 합계가 원 금액과 다르면 잔액 라인을 추가해야 함', async () => {
+      const row = {
+        날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 총진료비: 52000, 본인부담금: 15000, 공단부담금: 35000,
+      };
+      const classification = await classificationEngine.classifyTransaction(row, 3);
+      const lines = classificationEngine.splitClassification(row, classification);
+
+      expect(lines).toHaveLength(3);
+      expect(lines[2].split.label).toBe('잔액');
+      expect(lines[2].split.residual).toBe(true);
+      expect(lines[2].amount).toBe(2000);
+      expect(lines.reduce((sum, line) => sum + line.amount, 0)).toBe(52000);
+    });
+
+    test('합계 컬럼이 없으면 거래 금액을, 그것도 없으면 배분 합계를 원 금액으로 봐야 함', async () => {
+      const row = {
+        날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 금액: 50000, 본인부담금: 15000, 공단부담금: 35000,
+      };
+      const classification = await classificationEngine.classifyTransaction(row, 0);
+      const lines = classificationEngine.splitClassification(row, classification);
+
+      expect(lines.map((line) => [line.split.label, line.amount])).toEqual([['본인부담금', 15000], ['공단부담금', 35000]]);
+      expect(lines[0].split.sourceAmount).toBe(50000);
+
+      const withoutAmount = {
+        날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 총진료비: '', 본인부담금: 15000, 공단부담금: 35000,
+      };
+      const allocatedOnly = classificationEngine.splitClassification(withoutAmount, classification);
+      expect(allocatedOnly.map((line) => line.amount)).toEqual([15000, 35000]);
+      expect(allocatedOnly[0].split.sourceAmount).toBe(50000);
+    });
+
+    test('설정된 비율로 배분하고 반올림 차액은 마지막 라인에 반영해야 함', async () => {
+      const engine = new ClassificationEngine({
+        ruleSet: ClassificationRuleSet.fromJSON({
+          ...ClassificationRuleSet.loadDefault().toJSON(),
+          splits: [{
+            id: 'split.invoice',
+            name: '혼합 청구',
+            allocation: 'ratio',
+            conditions: [{ field: '거래처', operator: 'equals', value: '메디팜' }],
+            lines: [
+              { label: '의약품', account: '의약품비', ratio: 0.3333 },
+              { label: '의료재료', account: '의료재료비', ratio: 0.6667 },
+            ],
+          }],
+        }),
+      });
+
+      const row = {
+        날짜: '2024-01-05', 항목: '구매', 거래처: '메디팜', 금액: 10000,
+      };
+      const lines = engine.splitClassification(row, await engine.classifyTransaction(row, 0));
+
+      expect(lines.map((line) => line.amount)).toEqual([3333, 6667]);
+      expect(lines.map((line) => line.account)).toEqual(['의약품비', '의료재료비']);
+    });
+
+    test('분할 옵션이 없으면 한 행에 하나의 계정만 배정해야 함', async () => {
+      const result = await classificationEngine.classifyTransactions([
+        {
+          날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 총진료비: 50000, 본인부담금: 15000, 공단부담금: 35000,
+        },
+      ]);
+
+      expect(result.classified).toHaveLength(1);
+      expect(result.splits).toEqual([]);
+    });
+  });
+
+  describe('진행률 알림 테스트', () => {
+    test('분류 진행률을 100행마다와 마지막 행에서 알려야 함', async () => {
+      const rows = Array.from({ length: 250 }, (_, i) => ({
+        날짜: '2024-01-05', 항목: '외래진료비', 보험유형: '건강보험', 금액: 10000 + i,
+      }));
+      const progress = [];
+
+      await classificationEngine.classifyTransactions(rows, { onProgress: (update) => progress.push(update) });
+
+      expect(progress).toEqual([
+        { processed: 100, total: 250 },
+        { processed: 200, total: 250 },
+        { processed: 250, total: 250 },
+      ]);
+    });
+  });
 });
\ No newline at end of file
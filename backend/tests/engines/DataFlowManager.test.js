@@ -0,0 +1,243 @@
+/**
+ * DataFlowManager 테스트
+ * 파이프라인 정의에 따른 실행 계획, 플러그인 단계 타입, 독립 단계 병렬 실행, 중요 단계 실패 처리와 실패한 단계의 의존 단계 건너뜀 검증
+ */
+
+const DataFlowManager = require('../../src/engines/DataFlowManager');
+const PipelineDefinition = require('../../src/models/PipelineDefinition');
+const DuplicateDetectionStep = require('../../src/engines/steps/DuplicateDetectionStep');
+
+describe('DataFlowManager', () => {
+  const rawData = [
+    {
+      날짜: '2024-01-05', 항목: '외래진료비', 금액: 45000, 거래처: '홍길동',
+    },
+    {
+      날짜: '2024-01-05', 항목: '외래진료비', 금액: 45000, 거래처: '홍길동',
+    },
+    {
+      날짜: '2024-01-06', 항목: '의약품 구입', 금액: 120000, 거래처: '한국제약',
+    },
+  ];
+
+  const createEngines = (events = [], overrides = {}) => ({
+    classificationEngine: {
+      classifyTransactions: async (data) => {
+        events.push('classification:start');
+        if (overrides.classify) await overrides.classify();
+        events.push('classification:end');
+        return {
+          classified: data.map((row) => ({ account: '외래수익', metadata: { date: row.날짜, amount: row.금액 } })),
+          uncertain: [],
+          failed: [],
+          statistics: {},
+        };
+      },
+    },
+    calculationEngine: {
+      sheetData: new Map([['출', []]]),
+      prepareSheetData: async () => {},
+      executeCalculations: async () => ({ formulasExecuted: 3, errors: [] }),
+    },
+  });
+
+  const createPipeline = (extension) => PipelineDefinition.fromJSON({
+    id: 'hospital-a',
+    version: 1,
+    name: 'A병원 파이프라인',
+    extends: 'default',
+    ...extension,
+  }).resolve(PipelineDefinition.loadDefault());
+
+  const run = (manager, engines, pipeline, hooks) => manager.executeDataFlow(
+    rawData,
+    engines.classificationEngine,
+    engines.calculationEngine,
+    { pipeline },
+    hooks,
+  );
+
+  test('기본 파이프라인은 일곱 단계를 의존성 순서로 실행해야 함', async () => {
+    const manager = new DataFlowManager();
+    const started = [];
+    const result = await run(manager, createEngines(), null, {
+      onStepUpdate: (step, update) => update.status === 'running' && started.push(step.id),
+    });
+
+    expect(result.success).toBe(true);
+    expect(started).toEqual([
+      'data_validation', 'data_preprocessing', 'account_classification', 'sheet_preparation',
+      'formula_execution', 'result_validation', 'report_generation',
+    ]);
+    expect(result.results.additionalSteps).toEqual({});
+    expect(result.statistics.completedSteps).toBe(7);
+
+    // 예상 시간은 가장 긴 의존 경로 기준
+    const plan = await manager.createExecutionPlan(rawData);
+    expect(plan.pipelineId).toBe('default');
+    expect(plan.estimatedTime).toBe(165000);
+  });
+
+  test('플러그인 단계는 의존 단계가 끝나면 다른 독립 단계와 병렬로 실행하고 결과를 additionalSteps로 전달해야 함', async () => {
+    const events = [];
+    let releaseBudget;
+    const budgetGate = new Promise((resolve) => { releaseBudget = resolve; });
+    const manager = new DataFlowManager({ stepTypes: [DuplicateDetectionStep] });
+    manager.registerStepType('budget_comparison', async (step, context) => {
+      events.push('budget:start');
+      await budgetGate;
+      events.push('budget:end');
+      return { budget: step.options.budget, rows: context.previousResults.data_preprocessing.processedCount };
+    });
+
+    const pipeline = createPipeline({
+      add: [
+        {
+          id: 'duplicate_detection',
+          name: '중복 거래 탐지',
+          type: 'duplicate_detection',
+          dependencies: ['data_preprocessing'],
+        },
+        {
+          id: 'budget_comparison',
+          name: '예산 비교',
+          type: 'budget_comparison',
+          dependencies: ['data_preprocessing'],
+          options: { budget: 1000000 },
+        },
+      ],
+      override: { report_generation: { dependencies: ['result_validation', 'budget_comparison'] } },
+    });
+
+    const engines = createEngines(events, {
+      classify: async () => {
+        // 분류가 진행되는 동안 예산 비교 단계도 실행 중
+        await new Promise((resolve) => { setImmediate(resolve); });
+        releaseBudget();
+      },
+    });
+    const result = await run(manager, engines, pipeline);
+
+    expect(result.success).toBe(true);
+    expect(events.indexOf('budget:start')).toBeLessThan(events.indexOf('classification:end'));
+    expect(events).toContain('budget:end');
+    expect(result.results.reports).toBeDefined();
+    expect(result.results.additionalSteps.budget_comparison)
+      .toEqual(expect.objectContaining({ budget: 1000000, rows: 3 }));
+    expect(result.results.additionalSteps.duplicate_detection).toEqual(expect.objectContaining({
+      checkedRows: 3,
+      duplicateGroupCount: 1,
+      duplicateRowCount: 2,
+      duplicateGroups: [expect.objectContaining({ rowIndexes: [0, 1], count: 2 })],
+    }));
+  });
+
+  test('건너뛴 단계는 실행하지 않고 그 다음 단계는 건너뛴 단계의 의존 단계 뒤에 실행해야 함', async () => {
+    const manager = new DataFlowManager();
+    const pipeline = createPipeline({ skip: ['result_validation'] });
+    const plans = [];
+
+    const result = await run(manager, createEngines(), pipeline, { onPlan: (steps) => plans.push(steps) });
+
+    expect(result.success).toBe(true);
+    expect(plans[0].map((step) => step.id)).not.toContain('result_validation');
+    expect(result.statistics.totalSteps).toBe(6);
+    expect(result.results.reports.incomeStatement).toBeDefined();
+  });
+
+  test('등록되지 않은 단계 타입과 같은 타입 중복 등록은 거부해야 함', async () => {
+    const manager = new DataFlowManager();
+    const pipeline = createPipeline({
+      add: [{
+        id: 'budget_comparison', name: '예산 비교', type: 'budget_comparison', dependencies: [],
+      }],
+    });
+
+    const result = await run(manager, createEngines(), pipeline);
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('알 수 없는 단계 타입: budget_comparison');
+    expect(() => manager.registerStepType('classification', async () => ({}))).toThrow('이미 등록된 단계 타입');
+    expect(manager.getStepTypes()).toContainEqual({ type: 'reporting', builtIn: true });
+  });
+
+  test('중요 단계가 실패하면 실행 중인 단계는 마치고 새 단계는 시작하지 않아야 함', async () => {
+    const events = [];
+    const manager = new DataFlowManager();
+    manager.registerStepType('slow_check', async () => {
+      await new Promise((resolve) => { setTimeout(resolve, 20); });
+      events.push('slow_check:end');
+      return { ok: true };
+    });
+    manager.registerStepType('broken', async () => {
+      throw new Error('외부 시스템 응답 없음');
+    });
+
+    const pipeline = createPipeline({
+      add: [
+        {
+          id: 'slow_check', name: '느린 점검', type: 'slow_check', dependencies: ['data_preprocessing'],
+        },
+        {
+          id: 'optional_check', name: '선택 점검', type: 'broken', dependencies: ['data_preprocessing'],
+        },
+        {
+          id: 'required_check', name: '필수 점검', type: 'broken', critical: true, dependencies: ['data_preprocessing'],
+        },
+      ],
+    });
+    const updates = [];
+    // 분류는 필수 점검이 실패한 뒤에 끝남
+    const engines = createEngines(events, { classify: () => new Promise((resolve) => { setTimeout(resolve, 10); }) });
+    const result = await run(manager, engines, pipeline, {
+      onStepUpdate: (step, update) => updates.push([step.id, update.status]),
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('중요 단계 실패: 필수 점검 - 외부 시스템 응답 없음');
+    expect(events).toContain('slow_check:end');
+    expect(updates).toContainEqual(['optional_check', 'failed']);
+    expect(updates).toContainEqual(['slow_check', 'completed']);
+    expect(updates.map(([stepId]) => stepId)).not.toContain('sheet_preparation');
+    expect(result.errors.map((error) => error.step)).toEqual(['optional_check', 'required_check']);
+  });
+
+  test('실패한 선택 단계에 의존하는 단계는 실행하지 않고 건너뜀으로 표시해야 함', async () => {
+    const events = [];
+    const manager = new DataFlowManager();
+    manager.registerStepType('broken', async () => {
+      throw new Error('외부 시스템 응답 없음');
+    });
+    manager.registerStepType('follow_up', async () => {
+      events.push('follow_up:start');
+      return { ok: true };
+    });
+
+    const pipeline = createPipeline({
+      add: [
+        {
+          id: 'optional_check', name: '선택 점검', type: 'broken', dependencies: ['data_preprocessing'],
+        },
+        {
+          id: 'follow_up', name: '후속 점검', type: 'follow_up', dependencies: ['optional_check'],
+        },
+        {
+          id: 'follow_up_report', name: '후속 보고', type: 'follow_up', dependencies: ['follow_up'],
+        },
+      ],
+    });
+    const updates = [];
+    const result = await run(manager, createEngines(events), pipeline, {
+      onStepUpdate: (step, update) => updates.push([step.id, update.status, update.error || null]),
+    });
+
+    // 나머지 단계는 계속 실행하고, 실패한 단계의 의존 단계만 연쇄적으로 건너뜀
+    expect(result.success).toBe(true);
+    expect(events).not.toContain('follow_up:start');
+    expect(updates).toContainEqual(['follow_up', 'skipped', '선행 단계 실패: 선택 점검']);
+    expect(updates).toContainEqual(['follow_up_report', 'skipped', '선행 단계 실패: 후속 점검']);
+    expect(updates).toContainEqual(['report_generation', 'completed', null]);
+    expect(result.statistics.skippedSteps).toEqual(['follow_up', 'follow_up_report']);
+    expect(result.results.additionalSteps).not.toHaveProperty('follow_up');
+    expect(result.errors.map((error) => error.step)).toEqual(['optional_check']);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * EnhancedCalculationEngine 테스트
+ * 전체 열 범위를 시트 사용 범위 끝까지 읽고 SUMIFS를 집계 색인으로 계산하는지, 지정 범위/전체 행/정의된 이름 검증
+ */
+
+const XLSX = require('xlsx');
+const EnhancedCalculationEngine = require('../../src/engines/EnhancedCalculationEngine');
+const WorkbookNames = require('../../src/utils/WorkbookNames');
+
+describe('EnhancedCalculationEngine', () => {
+  test('1000행을 넘는 출 시트도 전체 열로 합산하고 같은 범위의 수식은 색인을 공유해야 함', () => {
+    const rows = [['월'], [], []];
+    for (let i = 0; i < 2500; i += 1) {
+      // 중간에 빈 행이 있어도 사용 범위 끝까지 읽어야 함
+      rows.push(i === 500 ? [] : [(i % 12) + 1, '', '', '', '', '', 1000, '', '', i % 2 === 0 ? '재료비' : '급여']);
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), '출');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[1, '재료비'], [2, '급여']]), '요약');
+
+    const engine = new EnhancedCalculationEngine();
+    engine.workbook = workbook;
+
+    const sumifs = (cell, row) => ({
+      sheet: '요약',
+      cell,
+      formula: `SUMIFS(출!$G:$G,출!$A:$A,A${row},출!$J:$J,B${row})`,
+    });
+    const expected = (month, category) => rows.slice(3)
+      .filter((row) => row[0] === month && row[9] === category).length * 1000;
+
+    expect(engine.getRangeValues('출!$G:$G')).toHaveLength(2500);
+    expect(engine.executeSUMIFS(sumifs('C1', 1))).toBe(expected(1, '재료비'));
+    expect(engine.executeSUMIFS(sumifs('C2', 2))).toBe(expected(2, '급여'));
+    expect(engine.sumifsIndexes.size).toBe(1);
+  });
+
+  test('지정 범위는 범위의 행만 읽고 정의된 이름과 전체 행 참조를 해석해야 함', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['월', '', '', '', '', '', '계', '', '', '소분류'],
+      [1, '', '', '', '', '', 100, '', '', '급여'],
+      [1, '', '', '', '', '', 200, '', '', '재료비'],
+      [2, '', '', '', '', '', 400, '', '', '급여'],
+    ]), '출');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[1, '급여']]), '요약');
+    workbook.Workbook = { Names: [{ Name: '금액', Ref: '출!$G$2:$G$4' }, { Name: '월', Ref: '출!$A$2:$A$4' }] };
+
+    const engine = new EnhancedCalculationEngine();
+    engine.workbook = workbook;
+    engine.names = WorkbookNames.fromSheetJS(workbook);
+
+    expect(engine.getRangeValues("'출'!$G$3:$G$4")).toEqual([200, 400]);
+    expect(engine.getRangeValues('금액')).toEqual([100, 200, 400]);
+    expect(engine.getRangeValues("'출'!1:1")).toEqual(['월', '', '', '', '', '', '계', '', '', '소분류']);
+    expect(engine.executeSUMIFS({
+      sheet: '요약',
+      cell: 'C1',
+      formula: 'SUMIFS(금액,월,A1,출!$J$2:$J$4,B1)',
+    })).toBe(100);
+  });
+});
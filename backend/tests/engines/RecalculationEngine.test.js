@@ -0,0 +1,386 @@
+/**
+ * RecalculationEngine 테스트
+ * 통합문서 로드, 의존성 순서 계산, 입력 행 변경 시 증분 재계산, 배열 수식(복합 키 INDEX/MATCH),
+ * 전체 열 SUMIFS의 집계 색인, Excel 캐시 값과의 셀 단위 비교, 정의된 이름과 표의 구조적 참조,
+ * 함께 로드한 통합문서 사이의 외부 참조 검증
+ */
+
+const ExcelJS = require('exceljs');
+const RecalculationEngine = require('../../src/engines/RecalculationEngine');
+
+describe('RecalculationEngine', () => {
+  const summarySheet = '월별요약손익계산서(추정)';
+
+  const createWorkbook = async () => {
+    const workbook = new ExcelJS.Workbook();
+    const revenue = workbook.addWorksheet('매출내역total');
+    revenue.addRow(['월', '일', '거래처', '내역', '공급가액', 'VAT', '계', '', '', '소분류']);
+    const revenueRows = [[1, 100000, 10000, '외래'], [1, 50000, 5000, '입원'], [2, 80000, 8000, '외래']];
+    revenueRows.forEach(([month, supply, vat, category], index) => {
+      const rowNumber = index + 2;
+      revenue.getRow(rowNumber).values = [month, 1, '공단', '진료비', supply, vat, null, null, null, category];
+      // 캐시된 결과는 일부러 틀리게 저장 (재계산 결과로 바뀌어야 함)
+      revenue.getCell(`G${rowNumber}`).value = { formula: `E${rowNumber}+F${rowNumber}`, result: 0 };
+    });
+
+    const summary = workbook.addWorksheet(summarySheet);
+    summary.getCell('C2').value = 1;
+    summary.getCell('D2').value = 2;
+    summary.getCell('B3').value = '외래';
+    summary.getCell('B4').value = '입원';
+    ['C', 'D'].forEach((column) => {
+      [3, 4].forEach((row) => {
+        summary.getCell(`${column}${row}`).value = {
+          formula: `SUMIFS(매출내역total!$G:$G,매출내역total!$A:$A,${column}$2,매출내역total!$J:$J,$B${row})`,
+        };
+      });
+      summary.getCell(`${column}5`).value = { formula: `SUM(${column}3:${column}4)` };
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  };
+
+  test('통합문서를 의존성 순서대로 계산해야 함', async () => {
+    const engine = new RecalculationEngine();
+    const loaded = await engine.loadWorkbook(await createWorkbook());
+
+    expect(loaded.formulaCount).toBe(9);
+
+    const report = engine.calculate();
+
+    expect(report.evaluated).toBe(9);
+    expect(report.errors).toEqual([]);
+    expect(report.cycles).toEqual([]);
+    expect(engine.getValue(summarySheet, 'C3')).toBe(110000);
+    expect(engine.getValue(summarySheet, 'C4')).toBe(55000);
+    expect(engine.getValue(summarySheet, 'C5')).toBe(165000);
+    expect(engine.getValue(summarySheet, 'D5')).toBe(88000);
+  });
+
+  test('입력 행이 바뀌면 영향을 받는 셀만 다시 계산해야 함', async () => {
+    const engine = new RecalculationEngine();
+    await engine.loadWorkbook(await createWorkbook());
+    engine.calculate();
+
+    const result = engine.updateRow('매출내역total', 4, { E: 90000, F: 9000 });
+
+    expect(result.recalculated)
+      .toEqual(expect.arrayContaining(['매출내역total!G4', `${summarySheet}!D3`, `${summarySheet}!D5`]));
+    expect(result.recalculated).not.toContain('매출내역total!G2');
+    expect(result.changed).toEqual([
+      { cell: '매출내역total!G4', previous: 88000, value: 99000 },
+      { cell: `${summarySheet}!D3`, previous: 88000, value: 99000 },
+      { cell: `${summarySheet}!D5`, previous: 88000, value: 99000 },
+    ]);
+  });
+
+  test('배열 수식의 복합 키 INDEX/MATCH는 Excel과 같은 행을 찾고 결과 범위에 값을 나눠 담아야 함', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const source = workbook.addWorksheet('분');
+    const sourceRows = [['공단', '외래', 1000], ['공단', '입원', 2000], ['보험사', '외래', 3000], ['보험사', '입원', 4000]];
+    sourceRows.forEach(([client, category, amount], index) => {
+      const row = source.getRow(index + 1);
+      row.getCell('C').value = client;
+      row.getCell('I').value = category;
+      row.getCell('J').value = amount;
+    });
+
+    const target = workbook.addWorksheet('출');
+    [['보험사', '외래'], ['공단', '입원'], ['없음', '외래']].forEach(([client, category], index) => {
+      const rowNumber = index + 1;
+      target.getCell(`C${rowNumber}`).value = client;
+      target.getCell(`I${rowNumber}`).value = category;
+      target.getCell(`J${rowNumber}`).value = {
+        formula: `INDEX(분!$A$1:$K$4,MATCH(출!C${rowNumber}&출!I${rowNumber},분!$C$1:$C$4&분!$I$1:$I$4,0),10)`,
+        shareType: 'array',
+        ref: `J${rowNumber}`,
+        result: 0,
+      };
+    });
+    // 여러 셀에 걸친 배열 수식과 그 결과를 참조하는 수식
+    target.getCell('L1').value = {
+      formula: '분!J1:J3*2', shareType: 'array', ref: 'L1:L3', result: 0,
+    };
+    target.getCell('M1').value = { formula: 'SUM(L1:L3)', result: 0 };
+
+    const engine = new RecalculationEngine();
+    const loaded = await engine.loadWorkbook(Buffer.from(await workbook.xlsx.writeBuffer()));
+    const report = engine.calculate();
+
+    expect(loaded.formulaCount).toBe(7);
+    expect(report.errors).toEqual([]);
+    expect(['J1', 'J2', 'J3'].map((address) => engine.getValue('출', address))).toEqual([3000, 2000, '#N/A']);
+    expect(['L1', 'L2', 'L3', 'M1'].map((address) => engine.getValue('출', address))).toEqual([2000, 4000, 6000, 12000]);
+
+    const result = engine.setCellValues([{ sheet: '분', address: 'J2', value: 2500 }]);
+
+    expect(result.changed).toEqual([
+      { cell: '출!J2', previous: 2000, value: 2500 },
+      { cell: '출!L2', previous: 4000, value: 5000 },
+      { cell: '출!M1', previous: 12000, value: 13000 },
+    ]);
+  });
+
+  test('계산 결과를 Excel 캐시 값과 비교해 불일치 셀과 불일치한 선행 셀을 보고해야 함', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const expense = workbook.addWorksheet('출');
+    expense.getRow(4).values = [1, 1, '약품상사', '의약품', 1000, 100];
+    expense.getCell('G4').value = { formula: 'E4+F4', result: 1100 };
+    expense.getRow(5).values = [1, 2, '직원', '급여', 2000, 0];
+    // Excel에 저장된 뒤 입력이 바뀌어 캐시 값이 낡은 셀
+    expense.getCell('G5').value = { formula: 'E5+F5', result: 1500 };
+    expense.getCell('H4').value = { formula: 'E4/3', result: 333.3334 };
+    expense.getCell('H5').value = { formula: 'E5*2' };
+
+    const summary = workbook.addWorksheet(summarySheet);
+    summary.getCell('C3').value = { formula: 'SUM(출!G4:G5)', result: 2600 };
+    summary.getCell('C4').value = { formula: 'C3*0+1', result: 1 };
+    summary.getCell('C5').value = { formula: 'TEXT(C3,"0")', result: '2600' };
+
+    const engine = new RecalculationEngine();
+    await engine.loadWorkbook(Buffer.from(await workbook.xlsx.writeBuffer()));
+    engine.calculate();
+
+    const diff = engine.compareCachedValues({ tolerance: 0.001 });
+
+    expect(diff).toMatchObject({ compared: 6, matched: 3, uncached: 1 });
+    expect(diff.sheets).toEqual({ 출: { compared: 3, mismatched: 1 }, [summarySheet]: { compared: 3, mismatched: 2 } });
+    expect(diff.mismatches).toEqual([
+      {
+        cell: '출!G5',
+        sheet: '출',
+        address: 'G5',
+        formula: 'E5+F5',
+        value: 2000,
+        cachedValue: 1500,
+        difference: 500,
+        error: null,
+        differingPrecedents: [],
+        rootCause: true,
+      },
+      {
+        cell: `${summarySheet}!C3`,
+        sheet: summarySheet,
+        address: 'C3',
+        formula: 'SUM(출!G4:G5)',
+        value: 3100,
+        cachedValue: 2600,
+        difference: 500,
+        error: null,
+        differingPrecedents: [{ cell: '출!G5', value: 2000, cachedValue: 1500 }],
+        rootCause: false,
+      },
+      {
+        cell: `${summarySheet}!C5`,
+        sheet: summarySheet,
+        address: 'C5',
+        formula: 'TEXT(C3,"0")',
+        value: '3100',
+        cachedValue: '2600',
+        difference: null,
+        error: null,
+        differingPrecedents: [{ cell: `${summarySheet}!C3`, value: 3100, cachedValue: 2600 }],
+        rootCause: false,
+      },
+    ]);
+
+    // 허용 오차를 넓히면 일치로 봄
+    const widened = engine.compareCachedValues({ tolerance: 0, relativeTolerance: 0.2 });
+    expect(widened.mismatches.map((mismatch) => mismatch.cell))
+      .toEqual(['출!G5', `${summarySheet}!C5`]);
+  });
+
+  test('2,000행 × 600개 복합 키 조회는 조회 키 배열과 색인을 계산마다 한 번만 만들어야 함', () => {
+    const engine = new RecalculationEngine();
+    for (let row = 1; row <= 2000; row += 1) {
+      engine.setValue('분', `C${row}`, `거래처${row % 500}`);
+      engine.setValue('분', `I${row}`, `구분${Math.floor(row / 500)}`);
+      engine.setValue('분', `J${row}`, row);
+    }
+    for (let row = 1; row <= 600; row += 1) {
+      engine.setValue('출', `C${row}`, `거래처${(row * 7) % 500}`);
+      engine.setValue('출', `I${row}`, `구분${row % 4}`);
+      const lookup = `MATCH(출!C${row}&출!I${row},분!$C$1:$C$2000&분!$I$1:$I$2000,0)`;
+      engine.setFormula('출', `J${row}`, `INDEX(분!$A$1:$K$2000,${lookup},10)`);
+    }
+
+    const startTime = Date.now();
+    const report = engine.calculate();
+
+    expect(report.errors).toEqual([]);
+    expect(Date.now() - startTime).toBeLessThan(5000);
+    // 출!C1 = 거래처7, 출!I1 = 구분1 → 분 507행
+    expect(engine.getValue('출', 'J1')).toBe(507);
+    expect(engine.getValue('출', 'J4')).toBe(28);
+    expect(engine.arrayCache.size).toBe(4);
+  });
+
+  test('전체 열을 참조하는 SUMIFS 456개는 1년치 데이터에서도 한 번 만든 집계 색인으로 계산해야 함', () => {
+    const engine = new RecalculationEngine();
+    const categories = Array.from({ length: 38 }, (value, index) => `계정${index + 1}`);
+    for (let row = 4; row < 20004; row += 1) {
+      engine.setValue('출', `A${row}`, (row % 12) + 1);
+      engine.setValue('출', `G${row}`, row);
+      engine.setValue('출', `J${row}`, categories[row % categories.length]);
+    }
+    for (let month = 1; month <= 12; month += 1) {
+      engine.setValue(summarySheet, `${engine.parser.columnToLetters(month + 1)}2`, month);
+    }
+    categories.forEach((category, index) => {
+      const row = index + 3;
+      engine.setValue(summarySheet, `B${row}`, category);
+      for (let month = 1; month <= 12; month += 1) {
+        const column = engine.parser.columnToLetters(month + 1);
+        engine.setFormula(summarySheet, `${column}${row}`, `SUMIFS(출!$G:$G,출!$A:$A,${column}$2,출!$J:$J,$B${row})`);
+      }
+    });
+
+    const startTime = Date.now();
+    const report = engine.calculate();
+    const elapsed = Date.now() - startTime;
+
+    let expected = 0;
+    for (let row = 4; row < 20004; row += 1) {
+      if ((row % 12) + 1 === 2 && categories[row % categories.length] === '계정2') {
+        expected += row;
+      }
+    }
+    expect(report.evaluated).toBe(456);
+    expect(report.errors).toEqual([]);
+    // D열 = 2월, 4행 = 계정2
+    expect(engine.getValue(summarySheet, 'D4')).toBe(expected);
+    // 행마다 조건을 검사하면 수 초가 걸리는 규모
+    expect(elapsed).toBeLessThan(2000);
+  });
+
+  test('사용 범위가 한 행뿐인 시트의 여러 열 전체 범위도 행×열 모양으로 조회해야 함', () => {
+    const engine = new RecalculationEngine();
+    engine.setValue('분', 'A1', '외래');
+    engine.setValue('분', 'B1', '외래수익');
+    engine.setValue('출', 'A1', '외래');
+    engine.setFormula('출', 'B1', 'VLOOKUP(A1,분!A:B,2,0)');
+    engine.setFormula('출', 'C1', 'INDEX(분!A:B,1,2)');
+    engine.setFormula('출', 'D1', 'COUNTA(분!A:A)');
+
+    const report = engine.calculate();
+
+    expect(report.errors).toEqual([]);
+    expect(engine.getValue('출', 'B1')).toBe('외래수익');
+    expect(engine.getValue('출', 'C1')).toBe('외래수익');
+    expect(engine.getValue('출', 'D1')).toBe(1);
+    expect(engine.getRangeValues('분', 'A', 'B')).toEqual([['외래', '외래수익']]);
+  });
+
+  test('지원하지 않는 함수와 순환 참조는 셀 단위로 보고해야 함', () => {
+    const engine = new RecalculationEngine();
+    engine.setValue('출', 'A1', 10);
+    engine.setFormula('출', 'B1', 'UNKNOWNFN(A1)');
+    engine.setFormula('출', 'C1', 'D1+1');
+    engine.setFormula('출', 'D1', 'C1+1');
+    engine.setFormula('출', 'E1', 'A1*2');
+
+    const report = engine.calculate();
+
+    expect(report.errors).toEqual([{ cell: '출!B1', formula: 'UNKNOWNFN(A1)', error: 'Unknown function: UNKNOWNFN' }]);
+    expect(engine.getValue('출', 'B1')).toBe('#NAME?');
+    expect(report.cycles.map((cycle) => cycle.cells.sort())).toEqual([['출!C1', '출!D1']]);
+    expect(engine.getValue('출', 'E1')).toBe(20);
+  });
+
+  test('통합문서의 정의된 이름과 표를 읽어 구조적 참조, 이번 행 참조, 요약 행을 계산해야 함', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const revenue = workbook.addWorksheet('매출 시트');
+    revenue.addTable({
+      name: '매출',
+      ref: 'B2',
+      totalsRow: true,
+      columns: [{ name: '거래처' }, { name: '금액', totalsRowFunction: 'sum' }, { name: 'VAT' }],
+      rows: [['공단', 100000, null], ['환자', 50000, null], ['보험사', 30000, null]],
+    });
+    [3, 4, 5].forEach((row) => {
+      revenue.getCell(`D${row}`).value = { formula: row === 3 ? '[@금액]*0.1' : '매출[[#This Row],[금액]]*0.1', result: 0 };
+    });
+    workbook.definedNames.add("'매출 시트'!$C$3:$C$5", '금액범위');
+
+    const summary = workbook.addWorksheet('요약');
+    summary.getCell('A1').value = { formula: 'SUM(매출[VAT])' };
+    summary.getCell('A2').value = { formula: 'SUM(금액범위)-매출[[#Totals],[금액]]' };
+    summary.getCell('A3').value = { formula: 'COUNTA(매출[거래처])+없는표[금액]' };
+
+    const engine = new RecalculationEngine();
+    const loaded = await engine.loadWorkbook(Buffer.from(await workbook.xlsx.writeBuffer()));
+    engine.calculate();
+
+    expect(loaded.names).toEqual([{ name: '금액범위', refersTo: "'매출 시트'!$C$3:$C$5", scope: null }]);
+    expect(loaded.tables.map((table) => [table.name, table.ref, table.totalsRowCount])).toEqual([['매출', 'B2:D6', 1]]);
+    expect(engine.getValue('매출 시트', 'D4')).toBeCloseTo(5000);
+    expect(engine.getValue('매출 시트', 'C6')).toBe(180000);
+    expect(engine.getValue('요약', 'A1')).toBeCloseTo(18000);
+    expect(engine.getValue('요약', 'A2')).toBe(0);
+    expect(engine.getValue('요약', 'A3')).toBe('#REF!');
+
+    // 오류 보고와 값 비교에는 원래 수식을 그대로 보여 줌
+    expect(engine.getFormula('요약!A2')).toBe('SUM(금액범위)-매출[[#Totals],[금액]]');
+  });
+
+  test('함께 로드한 통합문서의 외부 참조를 계산하고 찾지 못한 링크와 없는 시트는 #REF!와 함께 보고해야 함', async () => {
+    const previous = new ExcelJS.Workbook();
+    const previousExpense = previous.addWorksheet('출');
+    previousExpense.getCell('G10').value = 500;
+    previousExpense.getCell('G11').value = { formula: 'G10*2', result: 1000 };
+    previous.definedNames.add('출!$G$10:$G$11', '전년합계');
+
+    const current = new ExcelJS.Workbook();
+    const summary = current.addWorksheet('요약');
+    summary.getCell('A1').value = 700;
+    summary.getCell('B1').value = { formula: 'A1-[전년도.xlsx]출!G10', result: 200 };
+    summary.getCell('B2').value = { formula: "SUM('[전년도.xlsx]출'!G10:G11)", result: 1500 };
+    summary.getCell('B3').value = { formula: 'SUM(전년도.xlsx!전년합계)', result: 1500 };
+    summary.getCell('B4').value = { formula: '[재작년.xlsx]출!G10+1', result: 301 };
+    // 없는 시트는 0이 아니라 #REF!, 값이 없는 시트는 0
+    summary.getCell('B5').value = { formula: 'SUM(없는시트!A1:A3)+없는시트!B1', result: 0 };
+    summary.getCell('B6').value = { formula: "SUM('빈 시트'!A1:A3)", result: 0 };
+    current.addWorksheet('빈 시트');
+
+    const engine = new RecalculationEngine();
+    const loaded = await engine.loadWorkbook(Buffer.from(await current.xlsx.writeBuffer()), {
+      filename: '당해.xlsx',
+      externalWorkbooks: [{ filename: '전년도.xlsx', source: Buffer.from(await previous.xlsx.writeBuffer()) }],
+    });
+    engine.calculate();
+
+    expect(loaded.externalWorkbooks).toEqual([{ name: '전년도.xlsx', sheets: ['출'] }]);
+    expect(['B1', 'B2', 'B3', 'B4', 'B5', 'B6'].map((address) => engine.getValue('요약', address)))
+      .toEqual([200, 1500, 1500, '#REF!', '#REF!', 0]);
+    expect(loaded.unresolvedLinks).toEqual([{
+      cell: '요약!B5',
+      formula: 'SUM(없는시트!A1:A3)+없는시트!B1',
+      book: null,
+      sheet: '없는시트',
+      reference: 'A1:A3',
+      reason: 'sheet',
+      message: '통합문서에 없는 시트입니다',
+    }, {
+      cell: '요약!B5',
+      formula: 'SUM(없는시트!A1:A3)+없는시트!B1',
+      book: null,
+      sheet: '없는시트',
+      reference: 'B1',
+      reason: 'sheet',
+      message: '통합문서에 없는 시트입니다',
+    }, {
+      cell: '요약!B4',
+      formula: '[재작년.xlsx]출!G10+1',
+      book: '재작년.xlsx',
+      sheet: '출',
+      reference: 'G10',
+      reason: 'workbook',
+      message: '함께 로드하지 않은 통합문서입니다',
+    }]);
+
+    // 외부 통합문서의 입력 셀이 바뀌면 참조하는 셀도 다시 계산
+    engine.setCellValues([{ sheet: '[전년도.xlsx]출', address: 'G10', value: 100 }]);
+    expect(engine.getValue('요약', 'B2')).toBe(300);
+    expect(engine.getValue('요약', 'B1')).toBe(600);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * ChartOfAccounts 테스트
+ * 계정 계층, 정상 잔액 방향, 재무제표 항목 집계, 말단 계정 매핑 검증
+ */
+
+const ChartOfAccounts = require('../../src/models/ChartOfAccounts');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('ChartOfAccounts', () => {
+  let chart;
+
+  beforeEach(() => {
+    chart = ChartOfAccounts.standard();
+  });
+
+  test('상위/하위 계층과 경로를 제공해야 함', () => {
+    expect(chart.getPath('건보입원수익')).toEqual(['의료수익', '입원수익', '건보입원수익']);
+    expect(chart.getLevel('4110')).toBe(3);
+    expect(chart.isLeaf('입원수익')).toBe(false);
+    expect(chart.getChildren('재료비').map((account) => account.name)).toEqual(['의약품비', '의료재료비']);
+  });
+
+  test('카테고리별 정상 잔액 방향을 설정해야 함', () => {
+    expect(chart.getAccount('의약품비').normalBalance).toBe('debit');
+    expect(chart.getAccount('외래수익').normalBalance).toBe('credit');
+    expect(chart.getAccount('감가상각누계액').normalBalance).toBe('credit');
+  });
+
+  test('순환 참조나 없는 상위 계정은 거부해야 함', () => {
+    expect(() => new ChartOfAccounts([
+      {
+        code: '1', name: 'A', category: 'asset', parentCode: '2',
+      },
+      {
+        code: '2', name: 'B', category: 'asset', parentCode: '1',
+      },
+    ])).toThrow('순환 참조');
+    expect(() => new ChartOfAccounts([{
+      code: '1', name: 'A', category: 'asset', parentCode: '9',
+    }])).toThrow('상위 계정');
+  });
+
+  test('임의 계층으로 집계하고 차감계정은 차감해야 함', () => {
+    const totals = chart.rollUp({
+      건보입원수익: 300, 건보외래수익: 200, 응급수익: 50, 의료장비: 1000, 감가상각누계액: 100,
+    });
+
+    expect(totals['4100'].amount).toBe(300);
+    expect(totals['4200'].amount).toBe(250);
+    expect(totals['4000'].amount).toBe(550);
+    expect(totals['1200'].amount).toBe(900);
+    expect(chart.rollUpToLevel({ 의약품비: 10, 급여: 20 }, 1).find((total) => total.code === '5000').amount).toBe(30);
+  });
+
+  test('의료기관 회계기준 재무제표 항목으로 집계해야 함', () => {
+    const lines = chart.rollUpByStatementLine({
+      건보입원수익: 300, 기타의료수익: 20, 의약품비: 80, 감가상각누계액: 100, 건물: 500,
+    });
+
+    expect(lines['IS.I.1'].amount).toBe(300);
+    expect(lines['IS.I'].amount).toBe(320);
+    expect(lines['IS.II.2'].amount).toBe(80);
+    expect(lines['BS.A.II.2'].amount).toBe(400);
+  });
+
+  test('분류 엔진 결과를 진료형태에 맞는 말단 계정으로 매핑해야 함', async () => {
+    const engine = new ClassificationEngine({ chartOfAccounts: chart });
+    const inpatient = await engine.classifyTransaction({
+      날짜: '2024-01-05', 항목: '입원 진료비', 보험유형: '건강보험', 금액: 500000,
+    }, 0);
+    const outpatient = await engine.classifyTransaction({
+      날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 금액: 30000,
+    }, 1);
+
+    expect(inpatient.account).toBe('건보수익');
+    expect(inpatient.leafAccount).toEqual({ code: '4110', name: '건보입원수익', path: ['의료수익', '입원수익', '건보입원수익'] });
+    expect(outpatient.leafAccount.name).toBe('건보외래수익');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * ClassificationRuleSet 테스트
+ * 선언형 분류 규칙 세트의 검증, 컴파일, 엔진 연동 검증
+ */
+
+const ClassificationRuleSet = require('../../src/models/ClassificationRuleSet');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('ClassificationRuleSet', () => {
+  const createRuleSetData = (overrides = {}) => ({
+    id: 'hospital-a',
+    version: 2,
+    name: 'A병원 규칙',
+    revenue: {
+      patientType: {
+        건강보험: {
+          name: 'A병원건보',
+          account: '건보수익',
+          baseConfidence: 0.95,
+          conditions: [{ field: '보험유형', operator: 'equals', value: '건강보험' }],
+        },
+      },
+    },
+    expense: {
+      expenseType: {
+        의약품: {
+          name: 'A병원의약품',
+          account: '의약품비',
+          baseConfidence: 0.9,
+          conditions: [{ field: '항목', operator: 'contains', value: ['약품', '주사제'] }],
+        },
+      },
+    },
+    ...overrides,
+  });
+
+  describe('스키마 검증', () => {
+    test('기본 규칙 세트는 유효해야 함', () => {
+      const ruleSet = ClassificationRuleSet.loadDefault();
+      expect(ruleSet.id).toBe('default');
+      expect(ruleSet.version).toBeGreaterThanOrEqual(1);
+    });
+
+    test('필수 필드가 없으면 검증 오류를 반환해야 함', () => {
+      const validation = ClassificationRuleSet.validate({ id: 'broken', revenue: {}, expense: {} });
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors.some((error) => error.startsWith('version'))).toBe(true);
+    });
+
+    test('지원하지 않는 연산자는 거부해야 함', () => {
+      const data = createRuleSetData();
+      data.revenue.patientType['건강보험'].conditions[0].operator = 'regex';
+      expect(() => ClassificationRuleSet.fromJSON(data)).toThrow('분류 규칙 세트 검증 실패');
+    });
+
+    test('YAML 규칙 파일을 파싱할 수 있어야 함', () => {
+      const content = [
+        'id: yaml-rules',
+        'version: 1',
+        'name: YAML 규칙',
+        'revenue:',
+        '  keywords:',
+        '    외래:',
+        '      name: 외래키워드',
+        '      confidenceBoost: 0.1',
+        '      conditions:',
+        '        - { field: 항목, operator: contains, value: 외래 }',
+        'expense: {}',
+      ].join('\n');
+
+      const ruleSet = ClassificationRuleSet.parse(content, 'yaml');
+      expect(ruleSet.revenue.keywords['외래'].confidenceBoost).toBe(0.1);
+    });
+  });
+
+  describe('조건 평가', () => {
+    test('중첩 조건 그룹을 평가해야 함', () => {
+      const conditions = [
+        {
+          match: 'all',
+          conditions: [
+            { field: '보험유형', operator: 'isEmpty' },
+            { field: '금액', operator: 'greaterThan', value: 0 },
+          ],
+        },
+        { field: '환자유형', operator: 'equals', value: '일반' },
+      ];
+
+      expect(ClassificationRuleSet.evaluateGroup({ 금액: 1000 }, 'any', conditions)).toBe(true);
+      expect(ClassificationRuleSet.evaluateGroup({ 보험유형: '건강보험', 금액: 1000 }, 'any', conditions)).toBe(false);
+      expect(ClassificationRuleSet.evaluateGroup({ 환자유형: '일반', 금액: -1 }, 'any', conditions)).toBe(true);
+    });
+  });
+
+  describe('엔진 연동', () => {
+    test('분류 결과에 규칙 세트 버전이 기록되어야 함', async () => {
+      const engine = new ClassificationEngine({ ruleSet: ClassificationRuleSet.fromJSON(createRuleSetData()) });
+      const result = await engine.classifyTransaction({
+        날짜: '2024-01-05',
+        항목: '외래진료비',
+        보험유형: '건강보험',
+        금액: 30000,
+      }, 0);
+
+      expect(result.account).toBe('건보수익');
+      expect(result.ruleSet).toEqual({ id: 'hospital-a', version: 2 });
+    });
+
+    test('추출한 키의 규칙만 평가하고 조건이 맞는 다른 키의 규칙으로 분류하지 않아야 함', () => {
+      const engine = new ClassificationEngine({ ruleSet: ClassificationRuleSet.fromJSON(createRuleSetData()) });
+
+      expect(engine.classifyExpense({ 항목: '의약품 구입', 금액: -30000 }).rules).toContain('A병원의약품');
+      // '주사제'는 의약품 규칙의 조건에는 맞지만 추출되는 비용 항목 키가 없음
+      const result = engine.classifyExpense({ 항목: '주사제 구입', 금액: -30000 });
+      expect(result.account).toBeNull();
+      expect(result.rules).toEqual([]);
+    });
+
+    test('런타임에 규칙 세트를 전환할 수 있어야 함', () => {
+      const engine = new ClassificationEngine();
+      engine.setRuleSet(ClassificationRuleSet.fromJSON(createRuleSetData()));
+
+      const result = engine.classifyRevenue({ 보험유형: '건강보험', 금액: 10000 });
+      expect(result.rules).toContain('A병원건보');
+      expect(engine.getRuleSetVersion().id).toBe('hospital-a');
+    });
+  });
+});
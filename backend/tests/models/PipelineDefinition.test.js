@@ -0,0 +1,87 @@
+/**
+ * PipelineDefinition 테스트
+ * 파이프라인 스키마 검증과 기본 파이프라인 확장(override/add/skip) 검증
+ */
+
+const PipelineDefinition = require('../../src/models/PipelineDefinition');
+
+describe('PipelineDefinition', () => {
+  const base = PipelineDefinition.loadDefault();
+
+  const createExtension = (overrides = {}) => PipelineDefinition.fromJSON({
+    id: 'hospital-a',
+    version: 1,
+    name: 'A병원 파이프라인',
+    extends: 'default',
+    ...overrides,
+  });
+
+  test('기본 파이프라인은 일곱 단계로 유효해야 함', () => {
+    expect(base.id).toBe('default');
+    expect(base.getSteps().map((step) => step.id)).toEqual([
+      'data_validation', 'data_preprocessing', 'account_classification', 'sheet_preparation',
+      'formula_execution', 'result_validation', 'report_generation',
+    ]);
+    expect(base.getSteps()[5]).toEqual(expect.objectContaining({ critical: false, estimatedTime: 20000, options: {} }));
+  });
+
+  test('중복 ID, 없는 단계 의존, 순환 의존, steps와 extends 동시 지정은 거부해야 함', () => {
+    const step = (id, dependencies = []) => ({
+      id, name: id, type: 'validation', dependencies,
+    });
+    const validate = (steps) => PipelineDefinition.validate({
+      id: 'p', version: 1, name: 'p', steps,
+    }).errors;
+
+    expect(validate([step('a'), step('a')])).toEqual(['a: 단계 ID가 중복됩니다']);
+    expect(validate([step('a', ['missing'])])).toEqual(['a: 없는 단계에 의존합니다 (missing)']);
+    expect(validate([step('a', ['b']), step('b', ['a'])])).toEqual(['a: 단계 의존성에 순환이 있습니다']);
+    expect(PipelineDefinition.validate({
+      id: 'p', version: 1, name: 'p', steps: [step('a')], extends: 'default',
+    }).isValid)
+      .toBe(false);
+    expect(() => createExtension().getSteps()).toThrow('resolve');
+  });
+
+  test('상속한 파이프라인에 단계 변경, 추가, 건너뛰기를 적용해야 함', () => {
+    const pipeline = createExtension({
+      override: { formula_execution: { estimatedTime: 90000 } },
+      add: [{
+        id: 'duplicate_detection',
+        name: '중복 거래 탐지',
+        type: 'duplicate_detection',
+        dependencies: ['data_preprocessing'],
+        options: { fields: ['날짜', '금액'] },
+      }],
+      skip: ['result_validation'],
+    }).resolve(base);
+
+    const steps = pipeline.getSteps();
+    expect(steps.map((step) => step.id)).toEqual([
+      'data_validation', 'data_preprocessing', 'account_classification', 'sheet_preparation',
+      'formula_execution', 'report_generation', 'duplicate_detection',
+    ]);
+    // 건너뛴 단계에 의존하던 단계는 건너뛴 단계의 의존 단계를 대신 의존
+    expect(steps.find((step) => step.id === 'report_generation').dependencies).toEqual(['formula_execution']);
+    expect(steps.find((step) => step.id === 'formula_execution').estimatedTime).toBe(90000);
+    expect(steps.find((step) => step.id === 'duplicate_detection'))
+      .toEqual(expect.objectContaining({ critical: false }));
+
+    // 저장 형식은 확장 내용만
+    expect(pipeline.toJSON()).toEqual(expect.objectContaining({ extends: 'default', skip: ['result_validation'] }));
+    expect(pipeline.toJSON().steps).toBeUndefined();
+    expect(base.getSteps()).toHaveLength(7);
+  });
+
+  test('상속한 파이프라인에 없는 단계를 바꾸거나 건너뛰면 오류가 나야 함', () => {
+    expect(() => createExtension({ skip: ['budget_comparison'] }).resolve(base))
+      .toThrow('skip: 없는 단계입니다 (budget_comparison)');
+    expect(() => createExtension({ override: { budget_comparison: { critical: true } } }).resolve(base))
+      .toThrow('override.budget_comparison');
+    expect(() => createExtension({
+      add: [{
+        id: 'budget_comparison', name: '예산 비교', type: 'budget', dependencies: ['unknown_step'],
+      }],
+    }).resolve(base)).toThrow('budget_comparison: 없는 단계에 의존합니다 (unknown_step)');
+  });
+});
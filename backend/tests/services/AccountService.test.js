@@ -0,0 +1,110 @@
+/**
+ * AccountService 테스트
+ * 계정과목 추가/수정/통합/삭제 제한, Excel 가져오기/내보내기 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const AccountService = require('../../src/services/AccountService');
+const ClassificationRuleSet = require('../../src/models/ClassificationRuleSet');
+
+describe('AccountService', () => {
+  let accountsDir;
+  let service;
+
+  beforeEach(() => {
+    accountsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    service = new AccountService({ accountsDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(accountsDir, { recursive: true, force: true });
+  });
+
+  test('병원별 계정을 추가하고 다른 병원에는 영향이 없어야 함', () => {
+    const account = service.createAccount('hospital-a', {
+      code: '5390',
+      name: '도서인쇄비',
+      category: 'expense',
+      parentCode: '5300',
+      statementLine: 'IS.II.3',
+      keywords: ['도서', '인쇄'],
+    });
+
+    expect(account.normalBalance).toBe('debit');
+    expect(service.getChart('hospital-a').getPath('5390')).toEqual(['의료비용', '관리운영비', '도서인쇄비']);
+    expect(service.getAccount('hospital-b', '5390')).toBeNull();
+
+    expect(() => service.createAccount('hospital-a', {
+      code: '5391', name: '도서인쇄비', category: 'expense', parentCode: '5300',
+    }))
+      .toThrow('중복된 계정과목명');
+    expect(() => service.createAccount('hospital-a', {
+      code: '5392', name: '수선비', category: 'expense', parentCode: '1100',
+    }))
+      .toThrow('카테고리가 다릅니다');
+  });
+
+  test('이름을 바꿔도 이전 이름으로 말단 계정을 찾을 수 있어야 함', () => {
+    service.updateAccount('hospital-a', '5370', { name: '직원교육비' });
+    const chart = service.getChart('hospital-a');
+
+    expect(chart.getAccount('5370').name).toBe('직원교육비');
+    expect(chart.resolveLeaf('교육훈련비').code).toBe('5370');
+  });
+
+  test('통합된 계정은 비활성화되고 통합 대상 계정으로 매핑되어야 함', () => {
+    const { source, target } = service.mergeAccounts('hospital-a', '5380', '5370');
+    const chart = service.getChart('hospital-a');
+
+    expect(source.isActive).toBe(false);
+    expect(source.mergedInto).toBe('5370');
+    expect(target.aliases.map((alias) => alias.name)).toContain('접대비');
+    expect(chart.resolveLeaf('접대비').code).toBe('5370');
+    expect(service.listAccounts('hospital-a').map((account) => account.code)).not.toContain('5380');
+  });
+
+  test('규칙이나 분류 이력이 참조하는 계정은 삭제할 수 없어야 함', () => {
+    const ruleSet = ClassificationRuleSet.loadDefault();
+    service.registerReferenceProvider((hospitalId, account) => {
+      const refs = ruleSet.getAccountReferences()[account.name] || [];
+      return [{ source: '규칙 세트', count: refs.length, details: refs }];
+    });
+
+    expect(service.findReferences(null, '5210')[0].details).toContain('split.drugAndSupplies:의약품');
+    expect(() => service.deleteAccount(null, '5210')).toThrow('사용 중인 계정은 삭제할 수 없습니다');
+    expect(() => service.deleteAccount(null, '5200')).toThrow('하위 계정이 있어');
+
+    service.createAccount(null, {
+      code: '5390', name: '도서인쇄비', category: 'expense', parentCode: '5300',
+    });
+    service.deleteAccount(null, '5390');
+    expect(service.getAccount(null, '5390')).toBeNull();
+  });
+
+  test('하위 계정이 사용 중이면 상위 계정을 비활성화할 수 없어야 함', () => {
+    expect(() => service.deactivateAccount(null, '5300')).toThrow('사용 중인 하위 계정');
+    expect(service.deactivateAccount(null, '5330').isActive).toBe(false);
+  });
+
+  test('Excel로 내보낸 계정과목표를 수정해 다시 가져올 수 있어야 함', async () => {
+    const buffer = await service.exportToExcel('hospital-a');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.getWorksheet('계정과목표');
+    expect(worksheet.getRow(1).getCell(1).value).toBe('코드');
+
+    worksheet.addRow(['5390', '도서인쇄비', '비용', '관리비', '5300', '차변', 'IS.II.3', '도서 구입 및 인쇄', '도서, 인쇄', 'Y']);
+    const result = await service.importFromExcel('hospital-a', Buffer.from(await workbook.xlsx.writeBuffer()));
+
+    expect(result.added).toBe(1);
+    expect(result.removed).toBe(0);
+    const imported = service.getAccount('hospital-a', '5390');
+    expect(imported.category).toBe('expense');
+    expect(imported.keywords).toEqual(['도서', '인쇄']);
+    expect(service.getAccount('hospital-a', '4110').aliases.length).toBeGreaterThan(0);
+  });
+});
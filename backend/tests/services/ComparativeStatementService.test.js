@@ -0,0 +1,125 @@
+/**
+ * ComparativeStatementService 테스트
+ * 전월/전년 동월/당기 누적 비교와 증감률, 결과 없는 기간 표시, 비교 손익계산서 Excel 내보내기 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const ComparativeStatementService = require('../../src/services/ComparativeStatementService');
+const FiscalPeriodService = require('../../src/services/FiscalPeriodService');
+const ExcelService = require('../../src/services/ExcelService');
+
+describe('ComparativeStatementService', () => {
+  let periodsDir;
+  let fiscalPeriodService;
+  let service;
+
+  const transaction = (account, amount, transactionType = 'revenue') => ({
+    account,
+    amount,
+    transactionType,
+    originalData: { 항목: account, 금액: amount },
+  });
+
+  const record = (period, transactions) => fiscalPeriodService
+    .recordRun('h1', period, { classifiedTransactions: transactions });
+
+  beforeEach(() => {
+    periodsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'comparative-'));
+    fiscalPeriodService = new FiscalPeriodService({ periodsDir });
+    service = new ComparativeStatementService({ fiscalPeriodService });
+
+    // 회계연도는 3월 시작
+    fiscalPeriodService.updateSettings('h1', { fiscalYearStartMonth: 3 });
+    record('2023-03', [transaction('외래수익', 100000), transaction('인건비', 40000, 'expense')]);
+    record('2023-04', [transaction('외래수익', 120000)]);
+    record('2024-03', [transaction('외래수익', 150000), transaction('인건비', 50000, 'expense')]);
+    record('2024-04', [
+      transaction('외래수익', 180000),
+      transaction('입원수익', 20000),
+      transaction('인건비', 60000, 'expense'),
+    ]);
+    fiscalPeriodService.closePeriod('h1', '2023-03');
+    fiscalPeriodService.closePeriod('h1', '2024-03');
+  });
+
+  afterEach(() => {
+    fs.rmSync(periodsDir, { recursive: true, force: true });
+  });
+
+  test('당월을 전월, 전년 동월과 비교하고 회계연도 시작 월부터 누적해야 함', () => {
+    const statement = service.buildComparativeIncomeStatement('h1', '2024-04');
+
+    expect(statement)
+      .toEqual(expect.objectContaining({ fiscalYear: 2024, fiscalMonth: 2, fiscalYearStart: '2024-03' }));
+    expect(statement.columns.map((column) => [column.key, column.from, column.to])).toEqual([
+      ['current', '2024-04', '2024-04'],
+      ['priorMonth', '2024-03', '2024-03'],
+      ['sameMonthLastYear', '2023-04', '2023-04'],
+      ['yearToDate', '2024-03', '2024-04'],
+      ['priorYearToDate', '2023-03', '2023-04'],
+    ]);
+
+    const outpatient = statement.revenue.find((line) => line.account === '외래수익');
+    expect(outpatient.amounts).toEqual({
+      current: 180000,
+      priorMonth: 150000,
+      sameMonthLastYear: 120000,
+      yearToDate: 330000,
+      priorYearToDate: 220000,
+    });
+    expect(outpatient.variances).toEqual({
+      monthOverMonth: { amount: 30000, percent: 20 },
+      yearOverYear: { amount: 60000, percent: 50 },
+      yearToDateOverPriorYear: { amount: 110000, percent: 50 },
+    });
+
+    // 비교 기간에 없던 계정은 증감률 없음
+    expect(statement.revenue.map((line) => line.account)).toEqual(['외래수익', '입원수익']);
+    expect(statement.revenue[1].variances.monthOverMonth).toEqual({ amount: 20000, percent: null });
+    expect(statement.expenses[0].amounts.sameMonthLastYear).toBe(0);
+
+    expect(statement.totals.netIncome.amounts)
+      .toEqual(expect.objectContaining({ current: 140000, yearToDate: 240000 }));
+    expect(statement.totals.netIncome.variances.yearOverYear).toEqual({ amount: 20000, percent: 16.7 });
+    expect(statement.missingPeriods).toEqual([]);
+    expect(statement.openPeriods).toEqual(['2023-04', '2024-04']);
+  });
+
+  test('결과가 없는 기간은 0으로 계산하고 missingPeriods로 알려야 함', () => {
+    const statement = service.buildComparativeIncomeStatement('h1', '2024-05');
+
+    expect(statement.missingPeriods).toEqual(['2023-05', '2024-05']);
+    expect(statement.totals.revenue.amounts).toEqual({
+      current: 0,
+      priorMonth: 200000,
+      sameMonthLastYear: 0,
+      yearToDate: 350000,
+      priorYearToDate: 220000,
+    });
+    expect(statement.totals.revenue.variances.monthOverMonth).toEqual({ amount: -200000, percent: -100 });
+    expect(() => service.buildComparativeIncomeStatement('h1', '2024-5')).toThrow('YYYY-MM 형식');
+  });
+
+  test('비교 손익계산서를 열별 금액과 증감액/증감률 시트로 내보내야 함', async () => {
+    const statement = service.buildComparativeIncomeStatement('h1', '2024-04');
+    const buffer = await new ExcelService().createExcelBuffer({ comparativeIncomeStatement: statement });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.getWorksheet('비교손익계산서');
+
+    expect(worksheet.getRow(1).values.slice(1, 7)).toEqual([
+      '계정과목', '당월 (2024-04)', '전월 (2024-03)', '전년 동월 (2023-04)', '당기 누적 (2024-03~2024-04)', '전기 누적 (2023-03~2023-04)',
+    ]);
+
+    const rows = [];
+    worksheet.eachRow((row) => rows.push(row.values.slice(1)));
+    expect(rows).toContainEqual(['외래수익', 180000, 150000, 120000, 330000, 220000, 30000, 20, 60000, 50, 110000, 50]);
+    expect(rows.find((row) => row[0] === '당기순이익').slice(0, 2)).toEqual(['당기순이익', 140000]);
+    expect(rows).toContainEqual(['마감하지 않은 기간: 2023-04, 2024-04']);
+    expect(worksheet.getColumn(8).numFmt).toBe('0.0"%"');
+  });
+});
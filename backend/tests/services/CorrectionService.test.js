@@ -0,0 +1,111 @@
+/**
+ * CorrectionService 테스트
+ * 분류 정정 저장, 학습 규칙 도출, 엔진 적용과 설명 기록, 병원 ID 없는 기본 범위 분리 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CorrectionService = require('../../src/services/CorrectionService');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('CorrectionService', () => {
+  let correctionsDir;
+  let service;
+
+  beforeEach(() => {
+    correctionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'corrections-'));
+    service = new CorrectionService({ correctionsDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(correctionsDir, { recursive: true, force: true });
+  });
+
+  const correction = (transaction, correctedAccount) => ({
+    transaction: { 날짜: '2024-01-10', 금액: 50000, ...transaction },
+    originalAccount: '일반수익',
+    correctedAccount,
+    transactionType: 'expense',
+  });
+
+  test('정정 내역을 병원별로 저장해야 함', () => {
+    service.recordCorrections('hospital-a', [correction({ 거래처: '메디칼상사', 항목: '거즈' }, '의료재료비')]);
+
+    expect(service.loadCorrections('hospital-a')).toHaveLength(1);
+    expect(service.loadCorrections('hospital-b')).toHaveLength(0);
+  });
+
+  test('필수 값이 없는 정정은 거부해야 함', () => {
+    expect(() => service.recordCorrections(null, [{ transaction: {} }])).toThrow('correctedAccount');
+    expect(() => service.recordCorrections('../etc', [correction({}, '의약품비')])).toThrow('잘못된 병원 ID');
+  });
+
+  test('거래처 및 반복 키워드에서 학습 규칙을 도출해야 함', () => {
+    const { learnedRules } = service.recordCorrections(null, [
+      correction({ 거래처: '메디칼상사', 항목: '봉합사 구입' }, '의료재료비'),
+      correction({ 거래처: '한빛메디', 항목: '봉합사 추가' }, '의료재료비'),
+    ]);
+
+    const vendorRule = learnedRules.find((rule) => rule.id === 'learned.vendor.메디칼상사');
+    expect(vendorRule.account).toBe('의료재료비');
+    expect(learnedRules.find((rule) => rule.id === 'learned.keyword.봉합사').support).toBe(2);
+    expect(learnedRules.find((rule) => rule.id === 'learned.keyword.구입')).toBeUndefined();
+  });
+
+  test('정정 계정이 엇갈리는 거래처는 규칙을 만들지 않아야 함', () => {
+    const rules = service.deriveLearnedRules([
+      correction({ 거래처: '종합상사', 항목: '소모품' }, '의료재료비'),
+      correction({ 거래처: '종합상사', 항목: '사무용품' }, '일반관리비'),
+    ]);
+
+    expect(rules.some((rule) => rule.type === 'vendor')).toBe(false);
+  });
+
+  test('엔진이 다음 실행에서 학습 규칙을 적용하고 보고해야 함', async () => {
+    service.recordCorrections(null, [correction({ 거래처: '메디칼상사', 항목: '거즈' }, '의료재료비')]);
+    const engine = new ClassificationEngine({ learnedRules: service.getLearnedRules() });
+
+    const result = await engine.classifyTransactions([
+      {
+        날짜: '2024-02-01', 거래처: '메디칼상사', 항목: '붕대', 금액: 120000,
+      },
+      {
+        날짜: '2024-02-01', 보험유형: '건강보험', 항목: '외래', 금액: 30000,
+      },
+    ]);
+
+    expect(result.classified[0].account).toBe('의료재료비');
+    expect(result.classified[0].transactionType).toBe('expense');
+    expect(result.classified[0].learnedRules).toEqual(['learned.vendor.메디칼상사']);
+    expect(result.learnedRuleReport).toEqual([
+      expect.objectContaining({ id: 'learned.vendor.메디칼상사', firedCount: 1, rowIndexes: [0] }),
+    ]);
+  });
+
+  test('키워드 학습 규칙은 설명에 항목 포함(contains) 조건으로 기록해야 함', async () => {
+    service.recordCorrections(null, [
+      correction({ 거래처: '메디칼상사', 항목: '봉합사 구입' }, '의료재료비'),
+      correction({ 거래처: '한빛메디', 항목: '봉합사 추가' }, '의료재료비'),
+    ]);
+    const engine = new ClassificationEngine({ learnedRules: service.getLearnedRules() });
+
+    const [row] = (await engine.classifyTransactions([{
+      날짜: '2024-02-01', 거래처: '새상사', 항목: '봉합사 보충', 금액: 80000,
+    }])).classified;
+    const step = row.explanation.steps.find((entry) => entry.group === 'learned');
+    expect(step.ruleId).toBe('learned.keyword.봉합사');
+    expect(step.matchedFields).toEqual([{
+      field: '항목', operator: 'contains', value: '봉합사', actual: '봉합사 보충',
+    }]);
+  });
+
+  test("병원 ID 'default'는 병원 ID 없이 저장한 정정과 학습 규칙을 공유하지 않아야 함", () => {
+    service.recordCorrections(null, [correction({ 거래처: '메디칼상사', 항목: '거즈' }, '의료재료비')]);
+
+    expect(service.loadCorrections('default')).toHaveLength(0);
+    expect(service.getLearnedRules('default')).toEqual([]);
+    expect(service.getLearnedRules()).toHaveLength(1);
+    expect(() => service.getLearnedRules('@default')).toThrow('잘못된 병원 ID');
+  });
+});
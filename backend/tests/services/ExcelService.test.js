@@ -0,0 +1,164 @@
+/**
+ * ExcelService 테스트
+ * 자동화 Excel 양식에 분류 결과를 기록하고 수식 셀을 계산 값으로 채우는 내보내기(round-trip),
+ * 수식 분석의 다른 통합문서 참조 추출 검증
+ */
+
+const ExcelJS = require('exceljs');
+const ExcelService = require('../../src/services/ExcelService');
+
+describe('ExcelService', () => {
+  const summarySheet = '월별요약손익계산서(추정)';
+
+  const createAutomationWorkbook = async () => {
+    const workbook = new ExcelJS.Workbook();
+
+    const revenue = workbook.addWorksheet('매출내역total');
+    revenue.getRow(1).values = [' 매출내역 Total'];
+    revenue.getRow(3).values = ['월', '일', '거래처', '내역', '공급가액', 'VAT', '계', '거래수단', '거래증빙', '소분류'];
+    revenue.getRow(4).values = [12, 31, '이전 거래처', '이전 내역', 1, 0, null, '', '', '외래수익'];
+    revenue.getCell('G4').value = { formula: 'E4+F4', result: 1 };
+
+    const expense = workbook.addWorksheet('출');
+    expense.getRow(1).values = [' 지출내역 Total'];
+    expense.mergeCells('A1:J1');
+    expense.getRow(3).values = ['월', '일', '거래처', '내역', '공급가액', 'VAT', '계', '소분류', '대분류', '계정과목'];
+    [4, 5, 6].forEach((rowNumber) => {
+      expense.getRow(rowNumber).values = [12, rowNumber, '이전 거래처', '이전 내역', 100, 10, null, '', '', '이전계정'];
+      expense.getCell(`G${rowNumber}`).value = { formula: `E${rowNumber}+F${rowNumber}`, result: 110 };
+    });
+    expense.getCell('E4').numFmt = '#,##0';
+    expense.getCell('G4').font = { bold: true };
+    expense.getRow(4).height = 18;
+
+    const detail = workbook.addWorksheet('분');
+    detail.getRow(1).values = ['거래일', '월', '일', '거래처', '내역', '공급가액', 'VAT', '거래수단', '거래증빙', '소분류', '비고'];
+
+    const summary = workbook.addWorksheet(summarySheet);
+    summary.getCell('B3').value = '급여';
+    summary.getCell('B4').value = '외래수익';
+    summary.getCell('C2').value = 1;
+    summary.getCell('C3').value = { formula: 'SUMIFS(출!$G:$G,출!$A:$A,C$2,출!$J:$J,$B3)', result: 0 };
+    summary.getCell('C4').value = {
+      formula: 'SUMIFS(매출내역total!$G:$G,매출내역total!$A:$A,C$2,매출내역total!$J:$J,$B4)',
+      result: 0,
+    };
+    summary.getCell('C5').value = { formula: 'C4-C3', result: 0 };
+    summary.getCell('C6').value = { formula: 'C3/0', result: 0 };
+    summary.getCell('C5').numFmt = '#,##0;[Red]-#,##0';
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  };
+
+  const classifiedTransactions = [
+    {
+      originalData: { 거래처: '직원', 내역: '1월 급여' },
+      account: '급여',
+      transactionType: 'expense',
+      metadata: { amount: 3000000, date: '2024-01-25' },
+    },
+    {
+      originalData: { 거래처: '약품상사', 내역: '의약품' },
+      account: '의약품비',
+      transactionType: 'expense',
+      metadata: { amount: 500000, date: '2024-02-03' },
+    },
+    {
+      originalData: { 거래처: '국민건강보험공단', 내역: '외래 진료비' },
+      account: '외래수익',
+      transactionType: 'revenue',
+      metadata: { amount: 4200000, date: '2024-01-31' },
+    },
+  ];
+
+  const readWorkbook = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    return workbook;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('입력 시트에 분류 결과를 기록하고 수식을 유지한 채 계산 값을 채워야 함', async () => {
+    const service = new ExcelService();
+    const template = await createAutomationWorkbook();
+    const { buffer, report } = await service.exportAutomationWorkbook(template, classifiedTransactions);
+    const workbook = await readWorkbook(buffer);
+    const expense = workbook.getWorksheet('출');
+    const summary = workbook.getWorksheet(summarySheet);
+
+    expect(report.sheets['출']).toEqual({ startRow: 4, rowCount: 2, formulaColumns: ['G'] });
+    expect(report.sheets['매출내역total'].rowCount).toBe(1);
+    expect(report.sheets['분'].rowCount).toBe(3);
+    expect(report.skippedSheets).toEqual([]);
+
+    // 입력 행과 행에 맞게 옮긴 수식
+    expect(expense.getRow(4).values.slice(1, 6)).toEqual([1, 25, '직원', '1월 급여', 3000000]);
+    expect(expense.getCell('J5').value).toBe('의약품비');
+    expect(expense.getCell('G5').value).toEqual({ formula: 'E5+F5', result: 500000 });
+    expect(workbook.getWorksheet('분').getCell('A2').value).toEqual(new Date('2024-01-25'));
+
+    // 이전 데이터 중 남는 행은 비움
+    expect(expense.getCell('C6').value).toBeNull();
+    expect(expense.getCell('G6').value).toBeNull();
+
+    // 계산 값 (SUMIFS는 새로 기록한 입력 행 기준)
+    expect(summary.getCell('C3').value)
+      .toEqual({ formula: 'SUMIFS(출!$G:$G,출!$A:$A,C$2,출!$J:$J,$B3)', result: 3000000 });
+    expect(summary.getCell('C4').result).toBe(4200000);
+    expect(summary.getCell('C5').result).toBe(1200000);
+    expect(summary.getCell('C6').value).toEqual({ formula: 'C3/0', result: { error: '#DIV/0!' } });
+    expect(report.formulaCells).toBe(7);
+
+    // 서식, 병합 셀, 행 높이 유지 (새 행은 양식 행 서식을 따름)
+    expect(expense.getCell('A1').isMerged).toBe(true);
+    expect(expense.getCell('J1').master.address).toBe('A1');
+    expect(expense.getCell('E5').numFmt).toBe('#,##0');
+    expect(expense.getCell('G5').font).toEqual({ bold: true });
+    expect(expense.getRow(5).height).toBe(18);
+    expect(summary.getCell('C5').numFmt).toBe('#,##0;[Red]-#,##0');
+  });
+
+  test('keepFormulas가 false면 수식 셀을 계산 값으로 바꾸고, 없는 입력 시트는 건너뛰어야 함', async () => {
+    const template = await readWorkbook(await createAutomationWorkbook());
+    template.removeWorksheet(template.getWorksheet('분').id);
+
+    const service = new ExcelService();
+    const { buffer, report } = await service.exportAutomationWorkbook(
+      Buffer.from(await template.xlsx.writeBuffer()),
+      classifiedTransactions,
+      { keepFormulas: false },
+    );
+    const workbook = await readWorkbook(buffer);
+    const summary = workbook.getWorksheet(summarySheet);
+
+    expect(report.skippedSheets).toEqual(['분']);
+    expect(workbook.getWorksheet('출').getCell('G4').value).toBe(3000000);
+    expect(summary.getCell('C5').value).toBe(1200000);
+    expect(summary.getCell('C6').value).toEqual({ error: '#DIV/0!' });
+  });
+
+  test('상대 행 참조만 옮기고 고정 행, 문자열, 시트명은 그대로 둬야 함', () => {
+    const service = new ExcelService();
+
+    expect(service.shiftFormulaRows('E4+F4', 3)).toBe('E7+F7');
+    expect(service.shiftFormulaRows('SUMIFS(분!$F:$F,분!$D$2:$D$900,C4,\'Q1 2024\'!A1,"A1")&LOG10(B$2)', 2))
+      .toBe('SUMIFS(분!$F:$F,분!$D$2:$D$900,C6,\'Q1 2024\'!A3,"A1")&LOG10(B$2)');
+  });
+
+  test('수식 분석은 다른 통합문서 참조를 링크된 파일명의 시트 참조로 추출해야 함', () => {
+    const service = new ExcelService();
+    service.workbookNames.externalLinks.set('1', '전년도.xlsx');
+
+    const analysis = service.analyzeFormula("[1]출!G10-'C:\\자료\\[전년도 결산.xlsx]매출 시트'!$B$3+출!A1", '요약', 'C1');
+
+    expect(analysis.references).toEqual(['[1]출!G10', "'C:\\자료\\[전년도 결산.xlsx]매출 시트'!$B$3", '출!A1']);
+    expect(analysis.externalReferences).toEqual(['[전년도.xlsx]출!G10', '[전년도 결산.xlsx]매출 시트!$B$3']);
+  });
+});
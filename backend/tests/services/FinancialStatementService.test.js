@@ -0,0 +1,226 @@
+/**
+ * FinancialStatementService 테스트
+ * 기초 잔액 가져오기, 분개 반영 재무상태표 작성 및 대차 일치, 간접법 현금흐름표 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const FinancialStatementService = require('../../src/services/FinancialStatementService');
+const JournalService = require('../../src/services/JournalService');
+const AccountService = require('../../src/services/AccountService');
+const ExcelService = require('../../src/services/ExcelService');
+
+describe('FinancialStatementService', () => {
+  let dataDir;
+  let journalService;
+  let service;
+
+  const openingBalances = {
+    asOf: '2023-12-31',
+    balances: {
+      1110: 5000000,
+      1210: 20000000,
+      1290: 2000000, // 감가상각누계액 (차감계정)
+      2210: 10000000,
+      3100: 13000000,
+    },
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'statements-'));
+    const accountService = new AccountService({ accountsDir: path.join(dataDir, 'accounts') });
+    journalService = new JournalService({ journalDir: path.join(dataDir, 'journal'), accountService });
+    service = new FinancialStatementService({
+      openingBalancesDir: path.join(dataDir, 'opening-balances'),
+      accountService,
+      journalService,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('차변/대변 합계가 맞지 않는 기초 잔액은 거부해야 함', () => {
+    expect(() => service.setOpeningBalances(null, {
+      asOf: '2023-12-31',
+      balances: { 1110: 1000, 3100: 900 },
+    })).toThrow('차변/대변 합계가 일치하지 않습니다');
+
+    expect(() => service.setOpeningBalances(null, {
+      asOf: '2023-12-31',
+      balances: { 1100: 1000, 3100: 1000 },
+    })).toThrow('말단 계정에만');
+  });
+
+  test('Excel 차변/대변 열에서 기초 잔액을 가져와야 함', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('기초잔액');
+    worksheet.addRow(['계정과목명', '차변', '대변']);
+    worksheet.addRow(['현금및현금성자산', 3000000, null]);
+    worksheet.addRow(['감가상각누계액', null, 500000]);
+    worksheet.addRow(['의료장비', 2500000, null]);
+    worksheet.addRow(['기본금', null, 5000000]);
+
+    const result = await service.importOpeningBalances(null, Buffer.from(await workbook.xlsx.writeBuffer()), {
+      asOf: '2023-12-31',
+    });
+
+    expect(result.balances).toEqual({
+      1110: 3000000, 1290: 500000, 1220: 2500000, 3100: 5000000,
+    });
+  });
+
+  test('기초 잔액과 당기 분개로 자산 = 부채 + 자본이 성립해야 함', () => {
+    service.setOpeningBalances(null, openingBalances);
+
+    journalService.addAdjustingEntry(null, {
+      date: '2023-12-31',
+      description: '기초일 분개 (제외 대상)',
+      lines: [{ accountCode: '5310', debit: 999 }, { accountCode: '1110', credit: 999 }],
+    });
+    journalService.addAdjustingEntry(null, {
+      date: '2024-01-15',
+      description: '외래 수납',
+      lines: [{ accountCode: '1110', debit: 800000 }, { accountCode: '4210', credit: 800000 }],
+    });
+    journalService.addAdjustingEntry(null, {
+      date: '2024-01-31',
+      description: '1월 임차료 미지급',
+      lines: [{ accountCode: '5310', debit: 300000 }, { accountCode: '2140', credit: 300000 }],
+    });
+
+    const balanceSheet = service.buildBalanceSheet(null, { asOf: '2024-01-31' });
+
+    expect(balanceSheet.netIncome).toBe(500000);
+    expect(balanceSheet.totals).toEqual({
+      assets: 23800000,
+      liabilities: 10300000,
+      equity: 13500000,
+      liabilitiesAndEquity: 23800000,
+    });
+    expect(balanceSheet.check.isBalanced).toBe(true);
+
+    const tangible = balanceSheet.assets.children[1].children.find((line) => line.code === 'BS.A.II.2');
+    expect(tangible.amount).toBe(18000000);
+    expect(tangible.accounts.find((account) => account.code === '1290').amount).toBe(-2000000);
+
+    const retained = balanceSheet.equity.children.find((line) => line.code === 'BS.E.III');
+    expect(retained.accounts).toEqual([{ code: null, name: '당기순이익', amount: 500000 }]);
+  });
+
+  test('전기 전 분류 거래를 포함하고 마지막 거래일을 기준일로 사용해야 함', () => {
+    service.setOpeningBalances(null, openingBalances);
+
+    const balanceSheet = service.buildBalanceSheet(null, {
+      transactions: [{
+        originalData: { 날짜: '2024-02-03', 항목: '외래', 금액: 50000 },
+        rowIndex: 0,
+        account: '자보수익',
+        leafAccount: { code: '4250' },
+        transactionType: 'revenue',
+      }],
+    });
+
+    expect(balanceSheet.asOf).toBe('2024-02-03');
+    expect(balanceSheet.netIncome).toBe(50000);
+    expect(balanceSheet.check.isBalanced).toBe(true);
+    expect(journalService.listEntries(null)).toHaveLength(0);
+  });
+
+  test('간접법 현금흐름표는 당기순이익을 조정해 현금 증감과 일치해야 함', () => {
+    service.setOpeningBalances(null, openingBalances);
+
+    journalService.addAdjustingEntry(null, {
+      date: '2024-01-15',
+      description: '외래 수납 (공단 청구분 포함)',
+      lines: [
+        { accountCode: '1110', debit: 600000 },
+        { accountCode: '1120', debit: 400000 },
+        { accountCode: '4210', credit: 1000000 },
+      ],
+    });
+    journalService.addAdjustingEntry(null, {
+      date: '2024-01-20',
+      description: '의료장비 구입',
+      lines: [{ accountCode: '1220', debit: 3000000 }, { accountCode: '1110', credit: 3000000 }],
+    });
+    journalService.addAdjustingEntry(null, {
+      date: '2024-01-25',
+      description: '차입금 상환',
+      lines: [{ accountCode: '2210', debit: 1000000 }, { accountCode: '1110', credit: 1000000 }],
+    });
+    journalService.addAdjustingEntry(null, {
+      date: '2024-01-31',
+      description: '1월 감가상각',
+      lines: [{ accountCode: '5910', debit: 200000 }, { accountCode: '1290', credit: 200000 }],
+    });
+
+    const cashFlow = service.buildCashFlowStatement(null, { asOf: '2024-01-31' });
+
+    expect(cashFlow.period).toEqual({ from: '2023-12-31', to: '2024-01-31' });
+    expect(cashFlow.netIncome).toBe(800000);
+    expect(cashFlow.operating.items.map((item) => [item.name, item.kind, item.amount])).toEqual([
+      ['당기순이익', 'netIncome', 800000],
+      ['의료미수금의 증가', 'workingCapital', -400000],
+      ['감가상각누계액의 증가', 'nonCash', 200000],
+    ]);
+    expect(cashFlow.operating.amount).toBe(600000);
+    expect(cashFlow.investing.amount).toBe(-3000000);
+    expect(cashFlow.financing.items.map((item) => [item.name, item.amount])).toEqual([['장기차입금의 감소', -1000000]]);
+    expect(cashFlow.netChange).toBe(-3400000);
+    expect(cashFlow.endingCash - cashFlow.beginningCash).toBe(-3400000);
+    expect(cashFlow.check.isBalanced).toBe(true);
+
+    // 리포트 단계의 당기순이익이 분개와 다르면 차이로 드러나야 함
+    const mismatched = service.buildCashFlowStatement(null, { from: '2024-01-01', netIncome: 700000 });
+    expect(mismatched.period.from).toBe('2023-12-31');
+    expect(mismatched.check).toEqual({ isBalanced: false, difference: -100000 });
+  });
+
+  test('재무상태표를 Excel 시트로 내보낼 수 있어야 함', async () => {
+    service.setOpeningBalances(null, openingBalances);
+    const balanceSheet = service.buildBalanceSheet(null);
+
+    const outputPath = path.join(dataDir, 'report.xlsx');
+    await new ExcelService().createExcelFile({ balanceSheet }, outputPath);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(outputPath);
+    const values = [];
+    workbook.getWorksheet('재무상태표').eachRow((row) => values.push([row.getCell(1).value, row.getCell(2).value]));
+
+    expect(values).toContainEqual(['자산총계', 23000000]);
+    expect(values).toContainEqual(['부채와자본총계', 23000000]);
+  });
+
+  test('손익계산서와 현금흐름표를 같은 통합문서로 내보낼 수 있어야 함', async () => {
+    service.setOpeningBalances(null, openingBalances);
+    const incomeStatement = { revenue: { 자보수익: 50000 }, expenses: {}, netIncome: 50000 };
+    const cashFlowStatement = service.buildCashFlowStatement(null, {
+      transactions: [{
+        originalData: { 날짜: '2024-02-03', 항목: '외래', 금액: 50000 },
+        rowIndex: 0,
+        account: '자보수익',
+        leafAccount: { code: '4250' },
+        transactionType: 'revenue',
+      }],
+      netIncome: incomeStatement.netIncome,
+    });
+
+    const outputPath = path.join(dataDir, 'report.xlsx');
+    await new ExcelService().createExcelFile({ incomeStatement, cashFlowStatement }, outputPath);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(outputPath);
+    const values = [];
+    workbook.getWorksheet('현금흐름표').eachRow((row) => values.push([row.getCell(1).value, row.getCell(2).value]));
+
+    expect(workbook.worksheets.map((worksheet) => worksheet.name)).toEqual(['손익계산서', '현금흐름표']);
+    expect(values).toContainEqual(['  당기순이익', 50000]);
+    expect(values).toContainEqual(['Ⅳ. 현금의 증가(감소)', 50000]);
+    expect(values).toContainEqual(['Ⅵ. 기말의 현금', 5050000]);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * FiscalPeriodService 테스트
+ * 실행 기록 누적(재가져오기 중복 제외, 같은 실행은 한 번만 기록), 월 마감 스냅샷 고정, 사유 필수 마감 해제, 마감 월 가져오기/분개 차단, 회계연도 시작 월, 마감 기간이 쓰는 계정의 삭제 차단 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FiscalPeriodService = require('../../src/services/FiscalPeriodService');
+const FinancialStatementService = require('../../src/services/FinancialStatementService');
+const JournalService = require('../../src/services/JournalService');
+const AccountService = require('../../src/services/AccountService');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('FiscalPeriodService', () => {
+  let dataDir;
+  let accountService;
+  let journalService;
+  let service;
+  const engine = new ClassificationEngine();
+
+  const januaryRows = [
+    {
+      날짜: '2024-01-05', 항목: '외래진료비', 금액: 45000, 보험유형: '건강보험', 진료과: '내과',
+    },
+    {
+      날짜: '2024-01-05', 항목: '외래진료비', 금액: 45000, 보험유형: '건강보험', 진료과: '내과',
+    },
+    {
+      날짜: '2024-01-20', 항목: '입원진료비', 금액: 280000, 보험유형: '건강보험', 진료과: '외과',
+    },
+  ];
+
+  const classify = async (rows) => (await engine.classifyTransactions(rows)).classified;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'periods-'));
+    accountService = new AccountService({ accountsDir: path.join(dataDir, 'accounts') });
+    journalService = new JournalService({
+      journalDir: path.join(dataDir, 'journal'),
+      accountService,
+      periodLock: (hospitalId, date) => service.findClosedPeriod(hospitalId, date),
+    });
+    service = new FiscalPeriodService({
+      periodsDir: path.join(dataDir, 'periods'),
+      journalService,
+      financialStatementService: new FinancialStatementService({
+        openingBalancesDir: path.join(dataDir, 'opening-balances'),
+        accountService,
+        journalService,
+      }),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('같은 파일을 다시 가져오면 이미 누적한 행은 한 번만 반영해야 함', async () => {
+    const transactions = await classify(januaryRows);
+
+    const first = service.recordRun('h1', '2024-01', {
+      runId: 'job-1',
+      source: 'jan.xlsx',
+      classifiedTransactions: transactions,
+    });
+    expect(first).toEqual(expect.objectContaining({ transactionCount: 3, added: 3, duplicates: 0 }));
+
+    // 파일 안의 같은 내용 두 행은 서로 다른 행으로 보고, 다시 가져온 행만 중복 처리
+    const second = service.recordRun('h1', '2024-01', { runId: 'job-2', classifiedTransactions: transactions });
+    expect(second).toEqual(expect.objectContaining({ added: 0, duplicates: 3 }));
+
+    const period = service.getPeriod('h1', '2024-01');
+    expect(period.transactionCount).toBe(3);
+    expect(period.runs.map((run) => run.runId)).toEqual(['job-1', 'job-2']);
+
+    // 재개한 작업이 같은 runId로 다시 기록하면 자기 실행을 중복으로 보지 않고 처음 기록을 그대로 사용
+    expect(service.recordRun('h1', '2024-01', { runId: 'job-1', classifiedTransactions: transactions })).toEqual(first);
+    expect(service.getPeriod('h1', '2024-01').runs.map((run) => run.runId)).toEqual(['job-1', 'job-2']);
+    expect(service.getStatements('h1', '2024-01').incomeStatement).toEqual(expect.objectContaining({
+      revenue: { 건보수익: 370000 },
+      netIncome: 370000,
+    }));
+  });
+
+  test('마감한 월의 재무제표는 이후 분개가 바뀌어도 고정되고, 마감 해제는 사유와 함께 이력에 남아야 함', async () => {
+    service.recordRun('h1', '2024-01', { classifiedTransactions: await classify(januaryRows) });
+    journalService.addAdjustingEntry('h1', {
+      date: '2024-01-31',
+      description: '1월 관리비 지급',
+      lines: [{ accountCode: '5310', debit: 100000 }, { accountCode: '1110', credit: 100000 }],
+    });
+
+    const closed = service.closePeriod('h1', '2024-01', { closedBy: '회계팀장', note: '1월 결산' });
+    expect(closed).toEqual(expect.objectContaining({ status: 'closed', closedBy: '회계팀장', transactionCount: 3 }));
+    expect(() => service.closePeriod('h1', '2024-01')).toThrow('이미 마감된 회계기간입니다');
+
+    const frozen = service.getStatements('h1', '2024-01');
+    expect(frozen.frozen).toBe(true);
+    expect(frozen.incomeStatement.netIncome).toBe(370000);
+    expect(frozen.trialBalance.totals.debit).toBe(100000);
+
+    // 마감 월에는 분개와 실행 기록을 추가할 수 없음
+    expect(() => journalService.addAdjustingEntry('h1', {
+      date: '2024-01-31',
+      lines: [{ accountCode: '5310', debit: 50000 }, { accountCode: '1110', credit: 50000 }],
+    })).toThrow('마감된 회계기간에는 분개할 수 없습니다: 2024-01');
+    expect(() => service.recordRun('h1', '2024-01', { classifiedTransactions: [] })).toThrow('마감된 회계기간입니다');
+    const { entries, skipped } = journalService.generateEntries('h1', await classify(januaryRows.slice(2)));
+    expect(entries).toHaveLength(0);
+    expect(skipped[0].reason).toContain('2024-01');
+
+    expect(() => service.reopenPeriod('h1', '2024-01', { reason: '  ' })).toThrow('마감 해제 사유(reason)가 필요합니다');
+    const reopened = service.reopenPeriod('h1', '2024-01', { reason: '누락된 카드 매출 반영', reopenedBy: '회계팀장' });
+    expect(reopened.status).toBe('open');
+    expect(reopened.history.map((entry) => [entry.action, entry.reason])).toEqual([
+      ['close', '1월 결산'],
+      ['reopen', '누락된 카드 매출 반영'],
+    ]);
+
+    // 다시 연 월은 현재 분개 기준으로 작성
+    journalService.addAdjustingEntry('h1', {
+      date: '2024-01-31',
+      lines: [{ accountCode: '5310', debit: 50000 }, { accountCode: '1110', credit: 50000 }],
+    });
+    const live = service.getStatements('h1', '2024-01');
+    expect(live.frozen).toBe(false);
+    expect(live.trialBalance.totals.debit).toBe(150000);
+  });
+
+  test('마감된 월과 실행 회계기간 밖의 행은 가져오지 않아야 함', () => {
+    service.closePeriod('h1', '2024-01');
+    const rows = [
+      ...januaryRows,
+      { 날짜: '2024-02-03', 항목: '외래진료비', 금액: 30000 },
+      { 날짜: '2024.03.02', 항목: '외래진료비', 금액: 20000 },
+      { 항목: '잡수익', 금액: 1000 },
+    ];
+
+    const result = service.checkImport('h1', rows, { period: '2024-02' });
+    expect(result.accepted).toEqual([rows[3], rows[5]]);
+    expect(result.rejected.map((row) => [row.rowIndex, row.period])).toEqual([
+      [0, '2024-01'], [1, '2024-01'], [2, '2024-01'], [4, '2024-03'],
+    ]);
+    expect(result.rejected[0].reason).toBe('마감된 회계기간의 거래입니다 (2024-01)');
+
+    // 회계기간을 지정하지 않으면 마감된 월만 제외, 다른 병원은 영향 없음
+    expect(service.checkImport('h1', rows).accepted).toHaveLength(3);
+    expect(service.checkImport('h2', rows).rejected).toEqual([]);
+    expect(() => service.checkImport('h1', rows, { period: '2024-01' })).toThrow('마감된 회계기간입니다: 2024-01');
+    expect(() => service.checkImport('h1', rows, { period: '2024-13' })).toThrow('YYYY-MM 형식');
+  });
+
+  test('마감된 회계기간의 분류 거래가 쓰는 계정은 삭제할 수 없어야 함', () => {
+    const accountNames = (account) => new Set([account.name, ...account.aliases.map((alias) => alias.name)]);
+    accountService.registerReferenceProvider((hospitalId, account) => {
+      const { count, periods } = service.countAccountTransactions(hospitalId, accountNames(account));
+      return [{ source: '회계기간 분류 거래', count, details: periods }];
+    });
+    accountService.createAccount('h1', {
+      code: '5390', name: '도서인쇄비', category: 'expense', parentCode: '5300',
+    });
+    accountService.createAccount('h1', {
+      code: '5391', name: '신문구독료', category: 'expense', parentCode: '5300',
+    });
+
+    service.recordRun('h1', '2024-01', {
+      classifiedTransactions: [{
+        account: '도서인쇄비', amount: 30000, transactionType: 'expense', originalData: { 항목: '의학서적' },
+      }],
+    });
+    service.closePeriod('h1', '2024-01');
+
+    expect(accountService.findReferences('h1', '5390')).toEqual([
+      { source: '회계기간 분류 거래', count: 1, details: ['2024-01 (마감)'] },
+    ]);
+    expect(() => accountService.deleteAccount('h1', '5390')).toThrow('사용 중인 계정은 삭제할 수 없습니다 (회계기간 분류 거래)');
+    expect(accountService.deleteAccount('h1', '5391').code).toBe('5391');
+  });
+
+  test('회계연도 시작 월에 따라 회계연도와 월 순번을 정하고, 마감한 기간이 있으면 바꿀 수 없어야 함', () => {
+    service.updateSettings('h1', { fiscalYearStartMonth: 3 });
+
+    expect(service.describePeriod('h1', '2025-02')).toEqual({
+      period: '2025-02',
+      fiscalYear: 2024,
+      fiscalMonth: 12,
+      fiscalYearStart: '2024-03',
+      from: '2025-02-01',
+      to: '2025-02-28',
+    });
+    expect(service.describePeriod('h1', '2024-03').fiscalMonth).toBe(1);
+    expect(service.describePeriod('h2', '2024-02').to).toBe('2024-02-29');
+
+    service.closePeriod('h1', '2024-03');
+    expect(service.listPeriods('h1').map((period) => [period.period, period.status])).toEqual([['2024-03', 'closed']]);
+    expect(() => service.updateSettings('h1', { fiscalYearStartMonth: 1 })).toThrow('마감된 회계기간이 있으면');
+    expect(() => service.updateSettings('h2', { fiscalYearStartMonth: 13 })).toThrow('1~12');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * JournalService 테스트
+ * 분류 결과 분개 생성(대차 일치), 수정분개, 총계정원장/시산표 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JournalService = require('../../src/services/JournalService');
+const JournalEntry = require('../../src/models/JournalEntry');
+const AccountService = require('../../src/services/AccountService');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('JournalService', () => {
+  let dataDir;
+  let service;
+  const engine = new ClassificationEngine();
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    service = new JournalService({
+      journalDir: path.join(dataDir, 'journal'),
+      accountService: new AccountService({ accountsDir: path.join(dataDir, 'accounts') }),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('차변과 대변 합계가 다르면 분개를 만들 수 없어야 함', () => {
+    expect(() => JournalEntry.create({
+      date: '2024-01-31',
+      lines: [
+        { accountCode: '5310', debit: 1000 },
+        { accountCode: '1110', credit: 900 },
+      ],
+    })).toThrow('일치하지 않습니다');
+
+    expect(() => JournalEntry.create({
+      date: '2024-01-31',
+      lines: [
+        { accountCode: '5310', debit: 1000, credit: 1000 },
+        { accountCode: '1110', credit: 1000 },
+      ],
+    })).toThrow('차변 또는 대변 중 하나');
+  });
+
+  test('분할 분류된 수익은 현금/미수금 차변과 수익 대변의 복합 분개가 되어야 함', async () => {
+    const result = await engine.classifyTransactions([
+      {
+        날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 총진료비: 50000, 본인부담금: 15000, 공단부담금: 35000,
+      },
+    ], { split: true });
+
+    const { entries, skipped } = service.generateEntries(null, result.classified);
+
+    expect(skipped).toEqual([]);
+    expect(entries).toHaveLength(1);
+    expect(entries[0].getTotals()).toEqual({ debit: 50000, credit: 50000 });
+    expect(entries[0].lines.filter((line) => line.debit > 0).map((line) => [line.accountName, line.debit])).toEqual([
+      ['현금및현금성자산', 15000],
+      ['의료미수금', 35000],
+    ]);
+    const creditLines = entries[0].lines.filter((line) => line.credit > 0);
+    expect(creditLines.every((line) => line.accountName === '건보외래수익')).toBe(true);
+  });
+
+  test('같은 거래를 다시 전기하면 중복으로 건너뛰어야 함', () => {
+    const classified = [{
+      originalData: {
+        날짜: '2024.01.10', 항목: '의약품 구입', 거래처: '한국제약', 공급가액: 120000, 결제방법: '외상',
+      },
+      rowIndex: 0,
+      account: '의약품비',
+      transactionType: 'expense',
+    }];
+
+    const first = service.generateEntries(null, classified);
+    const second = service.generateEntries(null, classified);
+
+    expect(first.entries[0].lines.map((line) => [line.accountName, line.debit, line.credit])).toEqual([
+      ['의약품비', 120000, 0],
+      ['미지급금', 0, 120000],
+    ]);
+    expect(first.entries[0].date).toBe('2024-01-10');
+    expect(second.entries).toHaveLength(0);
+    expect(second.duplicates).toBe(1);
+    expect(service.listEntries(null)).toHaveLength(1);
+  });
+
+  test('수정분개와 역분개가 원장과 시산표에 반영되어야 함', () => {
+    service.addAdjustingEntry(null, {
+      date: '2024-01-31',
+      description: '1월 임차료 미지급',
+      lines: [
+        { accountCode: '5310', debit: 300000 },
+        { accountName: '미지급비용', credit: 300000 },
+      ],
+      reason: '월말 결산',
+    });
+    const entry = service.addAdjustingEntry(null, {
+      date: '2024-02-29',
+      description: '2월 임차료 미지급',
+      lines: [
+        { accountCode: '5310', debit: 300000 },
+        { accountCode: '2140', credit: 300000 },
+      ],
+    });
+    service.reverseEntry(null, entry.id, { reason: '중복 입력' });
+
+    expect(() => service.reverseEntry(null, entry.id)).toThrow('이미 취소된 분개');
+    expect(() => service.addAdjustingEntry(null, {
+      date: '2024-01-31',
+      lines: [{ accountCode: '5300', debit: 100 }, { accountCode: '1110', credit: 100 }],
+    })).toThrow('말단 계정에만');
+
+    const [ledger] = service.getGeneralLedger(null, { accountCode: '5310', from: '2024-02-01' });
+    expect(ledger.openingBalance).toBe(300000);
+    expect(ledger.lines.map((line) => line.balance)).toEqual([600000, 300000]);
+    expect(ledger.closingBalance).toBe(300000);
+
+    const trialBalance = service.getTrialBalance(null);
+    expect(trialBalance.isBalanced).toBe(true);
+    expect(trialBalance.accounts.find((row) => row.code === '2140')).toEqual(expect.objectContaining({
+      balance: 300000,
+      creditBalance: 300000,
+    }));
+    expect(service.countAccountLines(null, '5310')).toBe(3);
+  });
+});
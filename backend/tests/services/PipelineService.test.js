@@ -0,0 +1,69 @@
+/**
+ * PipelineService 테스트
+ * 파이프라인 저장/버전 확인, 상속 적용, 병원별 지정 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PipelineService = require('../../src/services/PipelineService');
+
+describe('PipelineService', () => {
+  let pipelinesDir;
+  let service;
+
+  beforeEach(() => {
+    pipelinesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipelines-'));
+    service = new PipelineService({ pipelinesDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(pipelinesDir, { recursive: true, force: true });
+  });
+
+  const extension = (overrides = {}) => ({
+    id: 'hospital-a',
+    version: 1,
+    name: 'A병원 파이프라인',
+    extends: 'default',
+    skip: ['result_validation'],
+    ...overrides,
+  });
+
+  test('병원에 지정한 파이프라인을 상속 적용해 조회하고, 미지정 병원은 기본 파이프라인을 사용해야 함', () => {
+    const saved = service.savePipeline(extension());
+    expect(saved.getSteps()).toHaveLength(6);
+    expect(JSON.parse(fs.readFileSync(path.join(pipelinesDir, 'hospital-a.json'), 'utf8')).steps).toBeUndefined();
+
+    expect(service.assignPipeline('h1', 'hospital-a'))
+      .toEqual({ hospitalId: 'h1', pipelineId: 'hospital-a', version: 1 });
+    expect(service.getPipelineForHospital('h1').getSteps().map((step) => step.id)).not.toContain('result_validation');
+    expect(service.getPipelineForHospital('h2').id).toBe('default');
+    expect(service.listPipelines().map((summary) => [summary.id, summary.stepCount]))
+      .toEqual([['default', 7], ['hospital-a', 6]]);
+  });
+
+  test('다른 저장 파이프라인을 상속할 수 있고, 버전이 늘지 않거나 기본 파이프라인을 덮어쓰면 거부해야 함', () => {
+    service.savePipeline(extension());
+    const child = service.importPipeline([
+      'id: hospital-a-ward',
+      'version: 1',
+      'name: A병원 병동',
+      'extends: hospital-a',
+      'add:',
+      '  - id: duplicate_detection',
+      '    name: 중복 거래 탐지',
+      '    type: duplicate_detection',
+      '    dependencies: [data_preprocessing]',
+    ].join('\n'), 'yaml');
+
+    expect(child.getSteps().map((step) => step.id))
+      .toEqual(expect.arrayContaining(['duplicate_detection', 'report_generation']));
+    expect(child.getSteps()).toHaveLength(7);
+
+    expect(() => service.savePipeline(extension())).toThrow('현재 버전(1)보다 커야 합니다');
+    expect(() => service.savePipeline(extension({ id: 'default' }))).toThrow('기본 파이프라인은 덮어쓸 수 없습니다');
+    expect(() => service.savePipeline(extension({ id: 'orphan', extends: 'missing' }))).toThrow('파이프라인을 찾을 수 없습니다');
+    expect(() => service.assignPipeline('h1', 'missing')).toThrow('파이프라인을 찾을 수 없습니다');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * ProgressHub 테스트
+ * 진행률 이벤트 순번 보관과 놓친 이벤트 재전송, 스냅샷 대체, SSE/WebSocket 전달 검증
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const { WebSocket } = require('ws');
+const ProgressHub = require('../../src/services/ProgressHub');
+
+describe('ProgressHub', () => {
+  const createHub = (options = {}) => new ProgressHub({
+    snapshot: (channel) => (channel === 'job-1' ? { id: 'job-1', status: 'running', progress: 43 } : null),
+    ...options,
+  });
+
+  test('마지막으로 받은 이벤트 이후를 재전송하고, 재전송할 수 없으면 현재 상태 스냅샷을 보내야 함', () => {
+    const hub = createHub({ maxEvents: 3 });
+    hub.publish('job-1', 'step_started', { stepId: 'data_validation' });
+    hub.publish('job-1', 'step_completed', { stepId: 'data_validation' });
+    hub.publish('job-1', 'step_started', { stepId: 'data_preprocessing' });
+
+    const received = [];
+    const unsubscribe = hub.subscribe('job-1', (event) => received.push([event.id, event.type]), { lastEventId: '1' });
+    hub.publish('job-1', 'classification_progress', { processed: 100, total: 250 });
+    expect(received).toEqual([[2, 'step_completed'], [3, 'step_started'], [4, 'classification_progress']]);
+
+    // 구독 해제 후에는 전달하지 않음
+    unsubscribe();
+    hub.publish('job-1', 'classification_progress', { processed: 200, total: 250 });
+    expect(received).toHaveLength(3);
+
+    // 보관 범위(3건)를 벗어났거나 모르는 번호(서버 재시작 전 번호)면 스냅샷부터
+    const resync = (lastEventId) => {
+      const events = [];
+      hub.subscribe('job-1', (event) => events.push(event), { lastEventId })();
+      return events;
+    };
+    expect(resync(1)).toEqual([
+      expect.objectContaining({ id: 5, type: 'snapshot', data: expect.objectContaining({ progress: 43 }) }),
+    ]);
+    expect(resync(57)[0].type).toBe('snapshot');
+    expect(resync(undefined)[0].type).toBe('snapshot');
+    expect(resync(2).map((event) => event.id)).toEqual([3, 4, 5]);
+    expect(hub.getEvents('job-1', 3).map((event) => event.id)).toEqual([4, 5]);
+  });
+
+  test('구독자가 없는 오래된 채널부터 삭제해야 함', () => {
+    const hub = createHub({ maxChannels: 2 });
+    hub.publish('a', 'job', {});
+    const unsubscribe = hub.subscribe('b', () => {});
+    hub.publish('c', 'job', {});
+
+    expect(Array.from(hub.channels.keys())).toEqual(['b', 'c']);
+    unsubscribe();
+  });
+
+  test('SSE 응답은 Last-Event-ID 이후 이벤트를 id/event/data 형식으로 보내고 연결이 끊기면 구독을 해제해야 함', () => {
+    const hub = createHub();
+    hub.publish('job-1', 'step_started', { stepId: 'data_validation' });
+    hub.publish('job-1', 'step_completed', { stepId: 'data_validation' });
+
+    const req = Object.assign(new EventEmitter(), { headers: { 'last-event-id': '1' }, query: {} });
+    const chunks = [];
+    const res = { writeHead: jest.fn(), write: (chunk) => chunks.push(chunk) };
+
+    hub.streamEvents(req, res, 'job-1');
+    hub.publish('job-1', 'job', { id: 'job-1', status: 'completed' });
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(chunks[0]).toBe('retry: 3000\n\n');
+    expect(chunks.slice(1).map((chunk) => chunk.split('\n').slice(0, 2).join('|'))).toEqual([
+      'id: 2|event: step_completed',
+      'id: 3|event: job',
+    ]);
+    const message = JSON.parse(chunks[2].split('\n')[2].replace('data: ', ''));
+    expect(message).toEqual(expect.objectContaining({
+      id: 3, type: 'job', jobId: 'job-1', data: { id: 'job-1', status: 'completed' },
+    }));
+
+    req.emit('close');
+    expect(hub.channels.get('job-1').listeners.size).toBe(0);
+  });
+
+  test('WebSocket 구독은 놓친 이벤트부터 받고 이후 이벤트를 계속 받으며, 없는 작업은 구독하지 않아야 함', async () => {
+    const hub = createHub();
+    const server = http.createServer();
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+    hub.attachWebSocket(server, { path: '/api/workflow/progress' });
+
+    hub.publish('job-1', 'step_started', { stepId: 'formula_execution' });
+    hub.publish('job-1', 'calculation_progress', { processed: 50, total: 120 });
+
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/workflow/progress`);
+    const messages = [];
+    const received = new Promise((resolve) => {
+      socket.on('message', (raw) => {
+        messages.push(JSON.parse(raw.toString()));
+        if (messages.length === 5) resolve();
+      });
+    });
+    await new Promise((resolve) => { socket.on('open', resolve); });
+
+    socket.send('잘못된 메시지');
+    socket.send(JSON.stringify({ type: 'subscribe', jobId: 'missing-job' }));
+    socket.send(JSON.stringify({ type: 'subscribe', jobId: 'job-1', lastEventId: 1 }));
+    await new Promise((resolve) => { setTimeout(resolve, 50); });
+    hub.publish('job-1', 'calculation_progress', { processed: 100, total: 120 });
+    hub.publish('job-2', 'calculation_progress', { processed: 1, total: 1 });
+    hub.publish('job-1', 'step_completed', { stepId: 'formula_execution' });
+    await received;
+
+    expect(messages[0]).toEqual({ type: 'error', message: '메시지는 JSON이어야 합니다' });
+    expect(messages[1]).toEqual({ type: 'error', jobId: 'missing-job', message: '워크플로우 작업을 찾을 수 없습니다: missing-job' });
+    expect(hub.channels.has('missing-job')).toBe(false);
+    expect(messages.slice(2).map((message) => [message.id, message.type, message.data.processed])).toEqual([
+      [2, 'calculation_progress', 50],
+      [3, 'calculation_progress', 100],
+      [4, 'step_completed', undefined],
+    ]);
+
+    socket.close();
+    hub.close();
+    await new Promise((resolve) => { server.close(resolve); });
+  });
+});
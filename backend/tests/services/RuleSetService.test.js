@@ -0,0 +1,71 @@
+/**
+ * RuleSetService 테스트
+ * 규칙 세트 저장/버전 확인, 병원별 지정, 손상된 규칙 파일의 덮어쓰기 방지 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RuleSetService = require('../../src/services/RuleSetService');
+
+describe('RuleSetService', () => {
+  let rulesDir;
+  let service;
+
+  beforeEach(() => {
+    rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    service = new RuleSetService({ rulesDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+  });
+
+  const ruleSetData = (overrides = {}) => ({
+    id: 'hospital-a',
+    version: 1,
+    name: 'A병원 규칙',
+    revenue: {
+      patientType: {
+        건강보험: {
+          name: 'A병원건보',
+          account: '건보수익',
+          conditions: [{ field: '보험유형', operator: 'equals', value: '건강보험' }],
+        },
+      },
+    },
+    expense: {
+      expenseType: {
+        의약품: {
+          name: 'A병원의약품',
+          account: '의약품비',
+          conditions: [{ field: '항목', operator: 'contains', value: '약품' }],
+        },
+      },
+    },
+    ...overrides,
+  });
+
+  test('병원에 지정한 규칙 세트를 조회하고, 같은 ID는 버전이 커야 저장해야 함', () => {
+    service.saveRuleSet(ruleSetData());
+    expect(() => service.saveRuleSet(ruleSetData())).toThrow('현재 버전(1)보다 커야 합니다');
+    expect(service.saveRuleSet(ruleSetData({ version: 2 })).version).toBe(2);
+
+    expect(service.assignRuleSet('h1', 'hospital-a'))
+      .toEqual({ hospitalId: 'h1', ruleSetId: 'hospital-a', version: 2 });
+    expect(service.getRuleSetForHospital('h1').id).toBe('hospital-a');
+    expect(service.getRuleSetForHospital('h2').id).toBe(service.defaultRuleSet.id);
+
+    expect(service.findRuleSet('hospital-b')).toBeNull();
+    expect(() => service.getRuleSet('hospital-b')).toThrow('규칙 세트를 찾을 수 없습니다: hospital-b');
+  });
+
+  test('손상된 규칙 파일은 없는 것으로 보지 않고 오류를 내며 덮어쓰지 않아야 함', () => {
+    const file = path.join(rulesDir, 'hospital-a.json');
+    fs.writeFileSync(file, '{ "id": "hospital-a", "version": 3,');
+
+    expect(() => service.findRuleSet('hospital-a')).toThrow(SyntaxError);
+    expect(() => service.saveRuleSet(ruleSetData())).toThrow(SyntaxError);
+    expect(fs.readFileSync(file, 'utf8')).toBe('{ "id": "hospital-a", "version": 3,');
+  });
+});
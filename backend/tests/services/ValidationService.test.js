@@ -0,0 +1,74 @@
+/**
+ * ValidationService 테스트
+ * 분할 거래 금액 대사 검증 (분류 엔진이 채운 잔액 라인 포함)
+ */
+
+const ValidationService = require('../../src/services/ValidationService');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('ValidationService', () => {
+  let validationService;
+
+  beforeEach(() => {
+    validationService = new ValidationService();
+  });
+
+  const splitLine = (account, amount, sourceAmount = 50000) => ({
+    originalData: { 날짜: '2024-01-05', 항목: '외래', 금액: sourceAmount },
+    account,
+    amount,
+    split: { sourceRowIndex: 0, sourceAmount },
+  });
+
+  test('분할 라인 합계가 원 거래 금액과 같으면 균형이어야 함', () => {
+    const reconciliation = validationService.reconcileSplits({
+      classified: [splitLine('건보수익', 15000), splitLine('건보수익', 35000)],
+    });
+
+    expect(reconciliation.isBalanced).toBe(true);
+    expect(reconciliation.splitRows).toBe(1);
+    expect(reconciliation.splitLines).toBe(2);
+  });
+
+  test('컬럼 배분 합계가 원 금액과 다르면 분류 엔진이 채운 잔액 라인이 있어도 불균형으로 보고해야 함', async () => {
+    const result = await new ClassificationEngine().classifyTransactions([
+      {
+        날짜: '2024-01-05', 항목: '외래', 보험유형: '건강보험', 총진료비: 50000, 본인부담금: 15000, 공단부담금: 35000,
+      },
+      {
+        날짜: '2024-01-06', 항목: '외래', 보험유형: '건강보험', 총진료비: 52000, 본인부담금: 15000, 공단부담금: 35000,
+      },
+    ], { split: true });
+
+    const reconciliation = validationService.reconcileSplits(result);
+
+    expect(reconciliation.splitRows).toBe(2);
+    expect(reconciliation.balancedRows).toBe(1);
+    expect(reconciliation.unbalancedRows).toEqual([expect.objectContaining({
+      sourceRowIndex: 1,
+      sourceAmount: 52000,
+      allocatedAmount: 50000,
+      residualAmount: 2000,
+      difference: 2000,
+    })]);
+    expect(reconciliation.isBalanced).toBe(false);
+  });
+
+  test('분할 합계가 다르면 분류 검증에서 이슈로 보고해야 함', async () => {
+    const result = await validationService.validateResults(
+      { classification: { classifiedTransactions: [splitLine('의약품비', 20000), splitLine('의료재료비', 20000)] } },
+      {
+        classification: {
+          transactions: [{
+            날짜: '2024-01-05', 항목: '외래', 금액: 50000, 계정과목: '의료재료비',
+          }],
+        },
+      },
+    );
+
+    const { classification } = result.validationDetails;
+    expect(classification.correctClassifications).toBe(1);
+    expect(classification.splitReconciliation.unbalancedRows[0].difference).toBe(10000);
+    expect(result.issues.map((issue) => issue.type)).toContain('CLASSIFICATION_SPLIT_UNBALANCED');
+  });
+});
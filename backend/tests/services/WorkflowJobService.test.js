@@ -0,0 +1,189 @@
+/**
+ * WorkflowJobService 테스트
+ * 작업 접수와 단계별 상태 저장, 서버 재시작 후 마지막 완료 단계 다음부터 재개(첫 실행의 결정 재사용), 대기/실행 중 작업 취소,
+ * 진행률 이벤트 발행 검증
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowJobService = require('../../src/services/WorkflowJobService');
+const DataFlowManager = require('../../src/engines/DataFlowManager');
+const ProgressHub = require('../../src/services/ProgressHub');
+
+describe('WorkflowJobService', () => {
+  let jobsDir;
+
+  beforeEach(() => {
+    jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+  });
+
+  const rawData = [
+    { 날짜: '2024-01-05', 항목: '외래진료비', 금액: 45000 },
+    { 날짜: '2024-01-06', 항목: '의약품 구입', 금액: 120000 },
+  ];
+
+  // 단계별 호출 횟수를 세는 가짜 엔진으로 DataFlowManager 실행
+  const createRunner = (overrides = {}) => {
+    const calls = { classify: 0, calculate: 0 };
+    const classificationEngine = {
+      classifyTransactions: async (data, options = {}) => {
+        calls.classify += 1;
+        if (options.onProgress) options.onProgress({ processed: data.length, total: data.length });
+        if (overrides.classify) await overrides.classify();
+        return {
+          classified: data.map((row) => ({ account: '외래수익', metadata: { date: row.날짜, amount: row.금액 } })),
+          uncertain: [],
+          failed: [],
+          statistics: {},
+        };
+      },
+    };
+    const calculationEngine = {
+      sheetData: new Map([['출', []]]),
+      prepareSheetData: async () => {},
+      executeCalculations: async () => {
+        calls.calculate += 1;
+        if (overrides.calculate) await overrides.calculate();
+        return { formulasExecuted: 3, errors: [] };
+      },
+    };
+    const runner = (input, hooks) => new DataFlowManager()
+      .executeDataFlow(rawData, classificationEngine, calculationEngine, input.options, hooks);
+    return { runner, calls };
+  };
+
+  const waitUntil = async (condition, attempts = 100) => {
+    if (attempts > 0 && !condition()) {
+      await new Promise((resolve) => { setImmediate(resolve); });
+      await waitUntil(condition, attempts - 1);
+    }
+  };
+
+  test('작업을 접수해 일곱 단계를 실행하고 단계마다 상태를 저장해야 함', async () => {
+    const { runner, calls } = createRunner();
+    const progressHub = new ProgressHub();
+    const service = new WorkflowJobService({ jobsDir, runner, progressHub });
+
+    const submitted = service.submit({ rawDataFilePath: '/data/raw.xlsx', options: { hospitalId: 'h1' } });
+    expect(submitted.status).toBe('queued');
+    expect(() => service.submit({})).toThrow('rawDataFilePath');
+
+    await service.worker;
+
+    const job = service.getJob(submitted.id);
+    expect(job.status).toBe('completed');
+    expect(job.progress).toBe(100);
+    expect(job.steps).toHaveLength(7);
+    expect(job.steps.every((step) => step.status === 'completed')).toBe(true);
+    expect(job.results).toBeUndefined();
+    expect(job.result.success).toBe(true);
+    expect(calls).toEqual({ classify: 1, calculate: 1 });
+
+    // 단계 결과는 작업 파일에 저장
+    expect(Object.keys(service.loadJob(submitted.id).results)).toContain('account_classification');
+    expect(service.listJobs({ status: 'completed' }).map((entry) => entry.id)).toEqual([submitted.id]);
+
+    // 작업 ID 채널로 단계 시작/종료와 단계 안의 진행률 발행
+    const events = progressHub.getEvents(submitted.id);
+    const stepEvents = events.filter((event) => event.type !== 'job');
+    expect(stepEvents.slice(0, 6).map((event) => [event.type, event.data.stepId])).toEqual([
+      ['step_started', 'data_validation'],
+      ['step_completed', 'data_validation'],
+      ['step_started', 'data_preprocessing'],
+      ['step_completed', 'data_preprocessing'],
+      ['step_started', 'account_classification'],
+      ['classification_progress', 'account_classification'],
+    ]);
+    expect(stepEvents[5].data).toEqual(expect.objectContaining({ processed: 2, total: 2, percent: 100 }));
+    expect(stepEvents[1].data).toEqual(expect.objectContaining({ index: 1, total: 7, progress: 14 }));
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({
+      type: 'job',
+      data: expect.objectContaining({ status: 'completed', progress: 100 }),
+    }));
+    expect(events[events.length - 1].data.result).toBeUndefined();
+  });
+
+  test('실행 중 멈춘 작업은 새 작업자에서 마지막 완료 단계 다음부터 재개해야 함', async () => {
+    // 첫 작업자는 수식 실행 단계에서 멈춘 채 종료된 것으로 간주
+    let reachedCalculation = false;
+    const crashed = createRunner({ calculate: () => { reachedCalculation = true; return new Promise(() => {}); } });
+    const first = new WorkflowJobService({ jobsDir, runner: crashed.runner });
+    const { id } = first.submit({ rawDataFilePath: '/data/raw.xlsx' });
+    await waitUntil(() => reachedCalculation);
+
+    const stored = first.loadJob(id);
+    expect(stored.status).toBe('running');
+    expect(stored.currentStep).toBe('formula_execution');
+    expect(Object.keys(stored.results)).toEqual([
+      'data_validation', 'data_preprocessing', 'account_classification', 'sheet_preparation',
+    ]);
+
+    const resumed = createRunner();
+    const second = new WorkflowJobService({ jobsDir, runner: resumed.runner });
+    expect(second.resumePendingJobs()).toEqual([id]);
+    await second.worker;
+
+    const job = second.getJob(id);
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(2);
+    expect(job.steps.map((step) => step.status)).toEqual(Array(7).fill('completed'));
+    expect(resumed.calls).toEqual({ classify: 0, calculate: 1 });
+  });
+
+  test('재개한 작업은 첫 실행에서 정한 결정을 다시 계산하지 않고 그대로 써야 함', async () => {
+    let reachedCalculation = false;
+    const crashed = createRunner({ calculate: () => { reachedCalculation = true; return new Promise(() => {}); } });
+    const decide = jest.fn(() => ({ rejected: [1] }));
+    const withDecision = (runner) => (input, hooks) => {
+      expect(hooks.remember('importCheck', decide)).toEqual({ rejected: [1] });
+      return runner(input, hooks);
+    };
+    const first = new WorkflowJobService({ jobsDir, runner: withDecision(crashed.runner) });
+    const { id } = first.submit({ rawDataFilePath: '/data/raw.xlsx' });
+    await waitUntil(() => reachedCalculation);
+    expect(first.loadJob(id).decisions).toEqual({ importCheck: { rejected: [1] } });
+
+    const second = new WorkflowJobService({ jobsDir, runner: withDecision(createRunner().runner) });
+    second.resumePendingJobs();
+    await second.worker;
+
+    expect(second.getJob(id).status).toBe('completed');
+    expect(second.getJob(id).decisions).toBeUndefined();
+    expect(decide).toHaveBeenCalledTimes(1);
+  });
+
+  test('대기 중인 작업은 바로, 실행 중인 작업은 다음 단계 전에 취소하고 다시 실행할 수 있어야 함', async () => {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const { runner, calls } = createRunner({ classify: () => gate });
+    const service = new WorkflowJobService({ jobsDir, runner });
+
+    const running = service.submit({ rawDataFilePath: '/data/a.xlsx' });
+    const queued = service.submit({ rawDataFilePath: '/data/b.xlsx' });
+    await waitUntil(() => calls.classify === 1);
+
+    expect(service.cancel(queued.id).status).toBe('cancelled');
+    expect(service.cancel(running.id).cancelRequested).toBe(true);
+    release();
+    await service.worker;
+
+    const cancelled = service.getJob(running.id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.steps.filter((step) => step.status === 'completed').map((step) => step.id))
+      .toEqual(['data_validation', 'data_preprocessing', 'account_classification']);
+    expect(calls.calculate).toBe(0);
+    expect(() => service.cancel(running.id)).toThrow('이미 종료된 작업');
+    expect(service.cancel('missing-job')).toBeNull();
+
+    service.retry(running.id);
+    await service.worker;
+    expect(service.getJob(running.id).status).toBe('completed');
+    expect(calls).toEqual({ classify: 1, calculate: 1 });
+    expect(service.getJob(queued.id).status).toBe('cancelled');
+  });
+});
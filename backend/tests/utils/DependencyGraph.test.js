@@ -0,0 +1,61 @@
+/**
+ * DependencyGraph 테스트
+ * 시트 지정/전체 열 참조 추출, 위상 정렬 계산 순서, 순환 참조 보고, 변경 영향 범위 검증
+ */
+
+const DependencyGraph = require('../../src/utils/DependencyGraph');
+
+describe('DependencyGraph', () => {
+  const summarySheet = '월별요약손익계산서(추정)';
+
+  test('출!G 수식이 전체 열을 참조하는 SUMIFS보다 먼저 계산되어야 함', () => {
+    const graph = new DependencyGraph();
+    graph.setFormula(summarySheet, 'C3', 'SUMIFS(출!$G:$G,출!$A:$A,C$2)');
+    graph.setFormula(summarySheet, 'D3', `'${summarySheet}'!C3*2`);
+    graph.setFormula('출', 'G4', 'E4+F4');
+    graph.setFormula('출', 'G5', 'E5+F5');
+
+    const { order, cycles } = graph.getEvaluationOrder();
+
+    expect(cycles).toEqual([]);
+    expect(order.indexOf('출!G4')).toBeLessThan(order.indexOf(`${summarySheet}!C3`));
+    expect(order.indexOf('출!G5')).toBeLessThan(order.indexOf(`${summarySheet}!C3`));
+    expect(order.indexOf(`${summarySheet}!C3`)).toBeLessThan(order.indexOf(`${summarySheet}!D3`));
+    expect(graph.getPrecedents(`${summarySheet}!C3`)).toEqual(['출!G:G', '출!A:A', `${summarySheet}!C2`]);
+    expect(graph.getDependents('출!G4')).toEqual([`${summarySheet}!C3`]);
+  });
+
+  test('순환 참조는 경로와 함께 보고하고 후행 셀은 계산을 보류해야 함', () => {
+    const graph = new DependencyGraph();
+    graph.setFormula('분', 'A1', 'C1+1');
+    graph.setFormula('분', 'B1', 'A1*2');
+    graph.setFormula('분', 'C1', 'B1');
+    graph.setFormula('분', 'D1', 'C1');
+    graph.setFormula('분', 'E1', 'SUM(E:E)');
+
+    const { order, cycles, blocked } = graph.getEvaluationOrder();
+
+    expect(order).toEqual([]);
+    expect(cycles).toHaveLength(2);
+    expect(cycles[0].cells.sort()).toEqual(['분!A1', '분!B1', '분!C1']);
+    expect(cycles[0].path[0]).toBe(cycles[0].path[cycles[0].path.length - 1]);
+    expect(cycles[1]).toEqual({ cells: ['분!E1'], path: ['분!E1', '분!E:E', '분!E1'] });
+    expect(blocked).toEqual(['분!D1']);
+  });
+
+  test('입력 셀 변경 시 전이적으로 영향을 받는 수식만 dirty로 표시해야 함', () => {
+    const graph = new DependencyGraph();
+    graph.setFormula('출', 'G4', 'E4+F4');
+    graph.setFormula('출', 'G5', 'E5+F5');
+    graph.setFormula(summarySheet, 'C3', 'SUMIFS(출!$G:$G,출!$A:$A,C$2)');
+    graph.setFormula(summarySheet, 'C4', 'C3*0.1');
+    graph.setFormula(summarySheet, 'C9', 'B9');
+
+    const dirty = Array.from(graph.collectDirty(['출!E4'])).filter((key) => graph.hasFormula(key));
+    expect(dirty).toEqual(['출!G4', `${summarySheet}!C3`, `${summarySheet}!C4`]);
+
+    graph.removeFormula(summarySheet, 'C3');
+    expect(graph.getDependents('출!G4')).toEqual([]);
+    expect(graph.getSummary()).toEqual(expect.objectContaining({ formulaCount: 4, rangeCount: 0, depth: 1 }));
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * FormulaParser 테스트
+ * Excel 연산자 우선순위 파싱, 확장된 함수 레지스트리(반올림, SUBTOTAL, 조건부 집계, 조회, 날짜/텍스트)와
+ * Excel 오류 값 전파, AST 해석기의 단계별 평가 기록, 배열 연산(브로드캐스트)과 배열 상수 검증
+ */
+
+const FormulaParser = require('../../src/utils/FormulaParser');
+const RecalculationEngine = require('../../src/engines/RecalculationEngine');
+
+describe('FormulaParser', () => {
+  /**
+   * 시트 값을 채운 뒤 수식 하나를 계산
+   * @param {string} formula - 수식
+   * @param {Object} cells - { 주소: 값 }
+   * @returns {any} 계산 결과
+   */
+  const evaluate = (formula, cells = {}) => {
+    const engine = new RecalculationEngine();
+    Object.entries(cells).forEach(([address, value]) => engine.setValue('출', address, value));
+    engine.setFormula('출', 'Z100', formula);
+    engine.calculate();
+    return engine.getValue('출', 'Z100');
+  };
+
+  const table = {
+    A1: '외래',
+    B1: 100,
+    C1: 1,
+    A2: '입원',
+    B2: 250,
+    C2: 1,
+    A3: '외래',
+    B3: 50,
+    C3: 2,
+    A4: '검진',
+    B4: null,
+    C4: 2,
+  };
+
+  test('연산자는 Excel 우선순위와 왼쪽 결합으로 파싱해야 함', () => {
+    const parser = new FormulaParser();
+    const parse = (formula) => parser.parseTokens(parser.tokenize(parser.preprocessFormula(formula)));
+
+    expect(parse('=E4+F4')).toEqual({
+      type: 'BinaryOperation',
+      operator: '+',
+      left: { type: 'CellReference', value: 'E4', sheet: null },
+      right: { type: 'CellReference', value: 'F4', sheet: null },
+    });
+    // 부호가 %보다 먼저 결합: -A1% = (-A1)%
+    expect(parse('-A1%')).toEqual({
+      type: 'UnaryOperation',
+      operator: '%',
+      operand: { type: 'UnaryOperation', operator: '-', operand: { type: 'CellReference', value: 'A1', sheet: null } },
+    });
+    expect(parse('1+2&"x"=A1').operator).toBe('=');
+    expect(() => parse('A1+')).toThrow('Unexpected end of input');
+    expect(() => parse('SUM(A1 B1)')).toThrow('Expected closing parenthesis');
+    expect(() => parse('(A1+1))')).toThrow('Unexpected token');
+
+    expect(evaluate('406780+52080')).toBe(458860);
+    expect(evaluate('2+3*4^2/8-1')).toBe(7);
+    expect(evaluate('-2^2')).toBe(4);
+    expect(evaluate('2^3^2')).toBe(64);
+    expect(evaluate('0^0')).toBe('#NUM!');
+    expect(evaluate('10-4-3')).toBe(3);
+    expect(evaluate('2*-3')).toBe(-6);
+    expect(evaluate('50%*A1', { A1: 300 })).toBe(150);
+    expect(evaluate('1+2&3')).toBe('33');
+    expect(evaluate('A1&"원"="1000원"', { A1: 1000 })).toBe(true);
+    expect(evaluate('A1<=1E3', { A1: 1000 })).toBe(true);
+    expect(evaluate('"say ""hi"""')).toBe('say "hi"');
+    expect(evaluate('IF(A1<>"",-A1,#N/A)', { A1: 5 })).toBe(-5);
+    expect(evaluate('IF(A1<>"",-A1,#N/A)')).toBe('#N/A');
+  });
+
+  test('반올림 계열과 SUBTOTAL 함수 번호를 Excel과 같게 계산해야 함', () => {
+    expect(evaluate('ROUND(1.005,2)')).toBe(1.01);
+    expect(evaluate('ROUND(-2.5,0)')).toBe(-3);
+    expect(evaluate('ROUNDDOWN(A1*0.1,-1)', { A1: 12345 })).toBe(1230);
+    expect(evaluate('ROUNDUP(1.201,1)')).toBe(1.3);
+    expect(evaluate('SUBTOTAL(9,B1:B4)', table)).toBe(400);
+    expect(evaluate('SUBTOTAL(101,B1:B4)', table)).toBe(400 / 3);
+    expect(evaluate('SUBTOTAL(3,A1:A4)', table)).toBe(4);
+    expect(evaluate('SUBTOTAL(12,B1:B4)', table)).toBe('#VALUE!');
+    expect(evaluate('SUMPRODUCT(B1:B3,C1:C3)', table)).toBe(450);
+    // 크기가 다른 배열은 채우거나 자르지 않고 #VALUE!
+    expect(evaluate('SUMPRODUCT(B1:B3,C1:C2)', table)).toBe('#VALUE!');
+    expect(evaluate('SUMPRODUCT(B1:C2,C1:C4)', table)).toBe('#VALUE!');
+  });
+
+  test('집계 함수는 직접 입력한 인수를 숫자로 변환하고 참조/범위의 텍스트만 제외해야 함', () => {
+    expect(evaluate('SUM(1,"2")')).toBe(3);
+    expect(evaluate('SUM(TRUE,1)')).toBe(2);
+    expect(evaluate('AVERAGE("1,000",3000)')).toBe(2000);
+    expect(evaluate('MAX(A1:A3,"x")', { A1: 1, A2: 5, A3: 3 })).toBe('#VALUE!');
+    expect(evaluate('MIN(1,"x")')).toBe('#VALUE!');
+    // 참조한 셀의 텍스트와 논리값은 제외
+    expect(evaluate('SUM(A1,B1)', { A1: '2', B1: 10 })).toBe(10);
+    expect(evaluate('SUM(A1,B1,2)', { A1: '외래', B1: true })).toBe(2);
+    expect(evaluate('MAX(A1:A4)', table)).toBe(0);
+    expect(evaluate('SUM(A1)', { A1: '#N/A' })).toBe('#N/A');
+    expect(evaluate('SUBTOTAL(9,A1,B1)', { A1: '외래', B1: 100 })).toBe(100);
+
+    // 이름, INDEX, 참조를 고르는 IF도 참조로 계산 (직접 입력한 값으로 보지 않음)
+    const engine = new RecalculationEngine();
+    engine.names.defineName('이름', "'매출 시트'!$A$1");
+    engine.names.defineName('상수', '"5"');
+    engine.setValue('매출 시트', 'A1', '5');
+    engine.setValue('매출 시트', 'A2', 10);
+    engine.setFormula('출', 'A1', 'SUM(이름)');
+    engine.setFormula('출', 'A2', "SUM(INDEX('매출 시트'!A1:A2,1),IF(TRUE,'매출 시트'!A1),1)");
+    engine.setFormula('출', 'A3', "MAX(INDEX('매출 시트'!A1:A2,0))");
+    engine.setFormula('출', 'A4', 'SUM(상수)');
+    engine.calculate();
+    expect(['A1', 'A2', 'A3', 'A4'].map((address) => engine.getValue('출', address))).toEqual([0, 1, 10, 5]);
+  });
+
+  test('조건부 집계는 여러 조건, 비교 연산자, 와일드카드를 지원해야 함', () => {
+    expect(evaluate('SUMIFS(B1:B4,A1:A4,"외래",C1:C4,">=2")', table)).toBe(50);
+    expect(evaluate('COUNTIFS(A1:A4,"외*",B1:B4,">60")', table)).toBe(1);
+    expect(evaluate('AVERAGEIFS(B1:B4,A1:A4,"외래")', table)).toBe(75);
+    expect(evaluate('AVERAGEIFS(B1:B4,A1:A4,"없음")', table)).toBe('#DIV/0!');
+    expect(evaluate('COUNTIF(B1:B4,"")', table)).toBe(1);
+    expect(evaluate('SUMIF(C1:C4,1,B1:B4)', table)).toBe(350);
+    expect(evaluate('SUMIFS(B1:B4,A1:A3,"외래")', table)).toBe('#VALUE!');
+  });
+
+  test('조회 함수는 찾지 못하면 #N/A를 반환해야 함', () => {
+    expect(evaluate('VLOOKUP("입원",A1:C4,2,FALSE)', table)).toBe(250);
+    expect(evaluate('VLOOKUP("없음",A1:C4,2,0)', table)).toBe('#N/A');
+    expect(evaluate('VLOOKUP(15,E1:F3,2)', {
+      E1: 0, F1: 'A', E2: 10, F2: 'B', E3: 20, F3: 'C',
+    })).toBe('B');
+    expect(evaluate('HLOOKUP("입원",A6:C7,2,FALSE)', {
+      A6: '외래', B6: '입원', C6: '검진', A7: 1, B7: 2, C7: 3,
+    })).toBe(2);
+    expect(evaluate('INDEX(A1:C4,MATCH("검진",A1:A4,0),2)', table)).toBe(null);
+    expect(evaluate('INDEX(B1:B4,MATCH(250,B1:B4,0))', table)).toBe(250);
+    expect(evaluate('XLOOKUP("외래",A1:A4,B1:B4,0,0,-1)', table)).toBe(50);
+    expect(evaluate('XLOOKUP("기타",A1:A4,B1:B4,"없음")', table)).toBe('없음');
+    expect(evaluate('XLOOKUP(120,B1:B3,A1:A3,"없음",1)', table)).toBe('입원');
+    expect(evaluate('_xlfn.XLOOKUP("입원",A1:A4,C1:C4)', table)).toBe(1);
+  });
+
+  test('날짜와 텍스트 함수는 Excel 일련번호를 기준으로 동작해야 함', () => {
+    expect(evaluate('DATE(2024,2,1)')).toBe(45323);
+    // Excel의 1900-02-29(일련번호 60) 이전 날짜
+    expect(evaluate('DATE(1900,1,1)')).toBe(1);
+    expect(evaluate('DATE(1900,2,28)')).toBe(59);
+    expect(evaluate('DATE(1900,3,1)')).toBe(61);
+    expect(evaluate('YEAR(1)&"-"&MONTH(1)&"-"&DAY(1)')).toBe('1900-1-1');
+    expect(evaluate('EOMONTH(A1,1)', { A1: new Date(Date.UTC(2024, 0, 15)) })).toBe(45351);
+    expect(evaluate('MONTH(EOMONTH(DATE(2023,12,31),2))')).toBe(2);
+    expect(evaluate('YEAR("2024-03-01")')).toBe(2024);
+    expect(evaluate('TEXT(EOMONTH(DATE(2024,1,1),0),"yyyy-mm-dd")')).toBe('2024-01-31');
+    expect(evaluate('TEXT(1234567.891,"#,##0.00")')).toBe('1,234,567.89');
+    expect(evaluate('TEXT(0.256,"0.0%")')).toBe('25.6%');
+    expect(evaluate('LEFT(A1,2)&MID(A1,6,2)&RIGHT(A1)', { A1: '2024-01' })).toBe('20011');
+    expect(evaluate('AND(B1>0,OR(C1=2,NOT(FALSE)))', table)).toBe(true);
+  });
+
+  test('오류 값은 연산과 함수를 거쳐 전파되고 IFERROR로 처리할 수 있어야 함', () => {
+    expect(evaluate('A1/B1', { A1: 10, B1: 0 })).toBe('#DIV/0!');
+    expect(evaluate('SUM(A1:A3)+1', { A1: 1, A2: '#N/A', A3: 3 })).toBe('#N/A');
+    expect(evaluate('IFERROR(A1/B1,0)', { A1: 10, B1: 0 })).toBe(0);
+    expect(evaluate('IFNA(VLOOKUP("없음",A1:C4,2,0),"미등록")', table)).toBe('미등록');
+    expect(evaluate('IF(B1>0,A1/B1,"")', { A1: 10, B1: 0 })).toBe('');
+    expect(evaluate('ROUND(A1&"원",0)', { A1: 10 })).toBe('#VALUE!');
+    expect(evaluate('COUNT(A1:A3)', { A1: 1, A2: '#N/A', A3: 3 })).toBe(2);
+    expect(evaluate('"a"="A"')).toBe(true);
+    expect(new FormulaParser().isError('#REF!')).toBe(true);
+  });
+
+  test('범위끼리의 연산은 원소별로 계산하고 크기가 1인 차원은 늘려서 맞춰야 함', () => {
+    expect(evaluate('SUM(B1:B3*C1:C3)', table)).toBe(450);
+    expect(evaluate('SUM((A1:A4="외래")*B1:B4)', table)).toBe(150);
+    expect(evaluate('SUM(IF(C1:C4=1,B1:B4,0))', table)).toBe(350);
+    expect(evaluate('SUM(IFERROR(1/(C1:C4-1),0))', table)).toBe(2);
+    expect(evaluate('SUM(LEN(A1:A4))', table)).toBe(8);
+    expect(evaluate('SUM(-B1:B3)', table)).toBe(-400);
+    expect(evaluate('INDEX(A1:A3&"-"&C1:C3,2)', table)).toBe('입원-1');
+    expect(evaluate('MATCH("외래2",A1:A4&C1:C4,0)', table)).toBe(3);
+    expect(evaluate('INDEX(A1:C1,3)', table)).toBe(1);
+    expect(evaluate('SUM(B1:B3+C1:C2)', table)).toBe('#N/A');
+    // 셀 하나에 담을 때는 왼쪽 위 값
+    expect(evaluate('B1:B3*2', table)).toBe(200);
+  });
+
+  test('배열 상수는 행 배열로 파싱해 범위처럼 원소별로 계산해야 함', () => {
+    const parser = new FormulaParser();
+    const parse = (formula) => parser.parseTokens(parser.tokenize(parser.preprocessFormula(formula)));
+
+    expect(parse('{1,-2;"a",TRUE}')).toEqual({ type: 'ArrayConstant', values: [[1, -2], ['a', true]] });
+    expect(() => parse('{1,2;3}')).toThrow('same number of columns');
+    expect(() => parse('{1,A1}')).toThrow('Array constants may only contain');
+
+    expect(evaluate('SUM({1,2,3})')).toBe(6);
+    expect(evaluate('INDEX({1,2;3,4},2,1)')).toBe(3);
+    expect(evaluate('SUM({1,2;3,4}*{10;100})')).toBe(730);
+    expect(evaluate('SUM(B1:B3*{1;2;3})', table)).toBe(750);
+    expect(evaluate('VLOOKUP("b",{"a",1;"b",2},2,0)')).toBe(2);
+    // 배열 상수 안의 텍스트와 논리값은 범위처럼 집계에서 제외
+    expect(evaluate('SUM({1,"2",TRUE})')).toBe(1);
+    expect(new RecalculationEngine().traceFormula('출', '=SUM({1,2}*2)').steps[0].formula).toBe('=SUM({2,4})');
+  });
+
+  test('정확히 일치 조회는 같은 조회 범위를 한 번만 색인해야 함', () => {
+    const parser = new FormulaParser();
+    const keys = [['A'], ['b'], [3], ['a']];
+
+    expect(parser.callFunction('MATCH', ['B', keys, 0])).toBe(2);
+    expect(parser.callFunction('MATCH', ['a', keys, 0])).toBe(1);
+    expect(parser.callFunction('MATCH', [new Date(Date.UTC(1900, 0, 3)), keys, 0])).toBe(3);
+    expect(parser.callFunction('XLOOKUP', ['a', keys, [[1], [2], [3], [4]], '없음', 0, -1])).toBe(4);
+    expect(parser.callFunction('MATCH', ['?', keys, 0])).toBe(1);
+    expect(parser.callFunction('MATCH', [null, keys, 0])).toBe('#N/A');
+    expect(parser.callFunction('MATCH', [['b', 'c'], keys, 0])).toEqual([[2], ['#N/A']]);
+    expect(Object.keys(parser.lookupIndexes.get(keys))).toEqual(['list']);
+  });
+
+  test('AST 해석기는 수식 텍스트를 코드로 실행하지 않고 선택된 IF 인수만 평가해야 함', () => {
+    expect(evaluate('"\'); throw new Error(\'x\'); (\'"&A1', { A1: 1 })).toBe("'); throw new Error('x'); ('1");
+    expect(evaluate('CONSTRUCTOR(1)')).toBe('#NAME?');
+    expect(evaluate('IF(TRUE,1,UNKNOWNFN())')).toBe(1);
+    expect(evaluate('IFERROR(A1,UNKNOWNFN())', { A1: 3 })).toBe(3);
+  });
+
+  test('평가 과정은 단계별 중간 수식과 오류가 처음 생긴 노드를 기록해야 함', () => {
+    const engine = new RecalculationEngine();
+    engine.setValue('분', 'E4', 100);
+    engine.setValue('분', 'F4', '미정');
+    engine.setValue('분', 'B1', 0);
+
+    const trace = engine.traceFormula('분', '=ROUND((E4+F4)/B1,0)+IF(B1>0,E4/B1,-E4%)');
+
+    expect(trace.value).toBe('#VALUE!');
+    expect(trace.steps.map((step) => step.formula)).toEqual([
+      '=ROUND((100+F4)/B1,0)+IF(B1>0,E4/B1,-E4%)',
+      '=ROUND((100+"미정")/B1,0)+IF(B1>0,E4/B1,-E4%)',
+      '=ROUND(#VALUE!/B1,0)+IF(B1>0,E4/B1,-E4%)',
+      '=ROUND(#VALUE!/0,0)+IF(B1>0,E4/B1,-E4%)',
+      '=ROUND(#VALUE!,0)+IF(B1>0,E4/B1,-E4%)',
+      '=#VALUE!+IF(B1>0,E4/B1,-E4%)',
+      '=#VALUE!+IF(0>0,E4/B1,-E4%)',
+      '=#VALUE!+IF(FALSE,E4/B1,-E4%)',
+      '=#VALUE!+IF(FALSE,E4/B1,-100%)',
+      '=#VALUE!+IF(FALSE,E4/B1,-100%)',
+      '=#VALUE!+IF(FALSE,E4/B1,-1)',
+      '=#VALUE!+-1',
+      '=#VALUE!',
+    ]);
+    expect(trace.errors).toEqual([
+      { expression: 'E4+F4', value: '#VALUE!', message: '값의 형식이 연산이나 함수에 맞지 않습니다' },
+    ]);
+
+    const unknown = engine.traceFormula('분', '=SUM(E4,NOPE(B1))');
+    expect(unknown.value).toBe('#NAME?');
+    expect(unknown.errors).toEqual([{ expression: 'NOPE(B1)', value: '#NAME?', message: 'Unknown function: NOPE' }]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * NaiveBayesClassifier 테스트
+ * 한글 토큰화, 확률 예측, 분류 엔진 대체 분류 검증
+ */
+
+const NaiveBayesClassifier = require('../../src/utils/NaiveBayesClassifier');
+const ClassificationEngine = require('../../src/engines/ClassificationEngine');
+
+describe('NaiveBayesClassifier', () => {
+  const examples = [
+    { transaction: { 항목: '수술용 봉합사', 거래처: '메디칼상사' }, account: '의료재료비', transactionType: 'expense' },
+    { transaction: { 항목: '멸균 거즈', 거래처: '메디칼상사' }, account: '의료재료비', transactionType: 'expense' },
+    { transaction: { 항목: '일회용 주사기', 비고: '소모성 재료' }, account: '의료재료비', transactionType: 'expense' },
+    { transaction: { 항목: '전산 유지보수', 거래처: '한빛시스템' }, account: '지급수수료', transactionType: 'expense' },
+    { transaction: { 항목: '장비 점검 수수료', 거래처: '한빛시스템' }, account: '지급수수료', transactionType: 'expense' },
+  ];
+
+  test('어절과 한글 음절 bi-gram으로 토큰화해야 함', () => {
+    const tokens = new NaiveBayesClassifier().tokenize({ 항목: '봉합사 구입', 비고: 'A-1' });
+
+    expect(tokens).toEqual(expect.arrayContaining(['w:봉합사', 'g:봉합', 'g:합사', 'w:구입', 'w:a']));
+  });
+
+  test('한 계정만 학습된 경우 예측하지 않아야 함', () => {
+    const classifier = NaiveBayesClassifier.train(examples.slice(0, 2));
+    expect(classifier.isTrained()).toBe(false);
+    expect(classifier.predict({ 항목: '봉합사' })).toBeNull();
+  });
+
+  test('처음 보는 표현도 음절 n-gram으로 계정을 예측해야 함', () => {
+    const classifier = NaiveBayesClassifier.train(examples);
+    const prediction = classifier.predict({ 항목: '봉합사세트', 비고: '재료 구매' });
+
+    expect(prediction.account).toBe('의료재료비');
+    expect(prediction.probability).toBeGreaterThan(0.5);
+    expect(prediction.probability).toBeLessThanOrEqual(1);
+    expect(prediction.transactionType).toBe('expense');
+  });
+
+  test('규칙 신뢰도가 임계값 미만일 때만 통계 분류를 사용해야 함', async () => {
+    const engine = new ClassificationEngine({ statisticalClassifier: NaiveBayesClassifier.train(examples) });
+
+    const fallback = await engine.classifyTransaction({
+      날짜: '2024-03-01', 항목: '서버 유지보수', 거래처: '한빛시스템', 공급가액: 200000,
+    }, 0);
+    expect(fallback.classificationMethod).toBe('statistical');
+    expect(fallback.account).toBe('지급수수료');
+    expect(fallback.ruleConfidence).toBeLessThan(engine.confidenceThreshold);
+    expect(fallback.confidence).toBe(fallback.statisticalPrediction.probability);
+
+    const ruleBased = await engine.classifyTransaction({
+      날짜: '2024-03-01', 항목: '외래', 보험유형: '건강보험', 금액: 30000,
+    }, 1);
+    expect(ruleBased.classificationMethod).toBe('rule');
+    expect(ruleBased.statisticalPrediction).toBeNull();
+  });
+});
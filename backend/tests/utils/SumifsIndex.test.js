@@ -0,0 +1,57 @@
+/**
+ * SumifsIndex 테스트
+ * 조건 열 조합별 사전 집계 결과가 행 단위 검사와 같은지, 조건 검사를 값별로 한 번만 하는지 검증
+ */
+
+const SumifsIndex = require('../../src/utils/SumifsIndex');
+
+describe('SumifsIndex', () => {
+  const criterion = (value, test = (cell) => cell === value) => ({ key: SumifsIndex.valueKey(value), test });
+
+  test('조건 열 값 조합별로 합계와 개수를 행 단위 검사와 같게 집계해야 함', () => {
+    const months = [];
+    const categories = [];
+    const amounts = [];
+    for (let row = 0; row < 5000; row += 1) {
+      months.push((row % 12) + 1);
+      categories.push(['외래', '입원', '검진'][row % 3]);
+      amounts.push(row % 7 === 0 ? '메모' : row);
+    }
+    const index = new SumifsIndex(amounts, [months, categories]);
+
+    const matches = (row, month, category) => months[row] === month && categories[row] === category;
+    const expected = (month, category) => amounts.reduce(
+      (sum, amount, row) => (matches(row, month, category) && typeof amount === 'number' ? sum + amount : sum),
+      0,
+    );
+
+    expect(index.aggregate([criterion(3), criterion('입원')]).total).toBe(expected(3, '입원'));
+    expect(index.aggregate([criterion(12), criterion('외래')]).total).toBe(expected(12, '외래'));
+    expect(index.aggregate([criterion(13), criterion('외래')])).toEqual({ total: 0, count: 0, error: null });
+
+    const firstHalf = index.aggregate([criterion('<=6', (month) => month <= 6), criterion('*', () => true)]);
+    expect(firstHalf.count).toBe(months.filter((month) => month <= 6).length);
+  });
+
+  test('조건식은 열마다 서로 다른 값에 한 번씩만 검사해야 함', () => {
+    const test = jest.fn((value) => value === '외래');
+    const index = new SumifsIndex([1, 2, 3, 4], [['외래', '입원', '외래', '외래']]);
+
+    expect(index.aggregate([{ key: 's외래', test }]).total).toBe(8);
+    expect(index.aggregate([{ key: 's외래', test }]).total).toBe(8);
+    expect(test).toHaveBeenCalledTimes(2);
+  });
+
+  test('조건 범위가 짧으면 남는 행은 제외하고 오류 값은 일치한 행 중 가장 앞의 것을 반환해야 함', () => {
+    const toNumber = (value) => (typeof value === 'string' && value.startsWith('#') ? value : value);
+    const index = new SumifsIndex(
+      [10, '#N/A', 30, '#DIV/0!', 50],
+      [['A', 'B', 'A', 'A', 'A'], ['x', 'x', 'x', 'x']],
+      { toNumber },
+    );
+
+    expect(index.aggregate([criterion('A'), criterion('x')])).toEqual({ total: 40, count: 3, error: '#DIV/0!' });
+    expect(index.aggregate([criterion('*', () => true), criterion('x')]).error).toBe('#N/A');
+    expect(() => index.aggregate([criterion('A')])).toThrow('Expected 2 criteria, got 1');
+  });
+});
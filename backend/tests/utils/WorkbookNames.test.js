@@ -0,0 +1,148 @@
+/**
+ * WorkbookNames 테스트
+ * 정의된 이름(시트 범위 우선, 상수/수식 이름, 이름 안의 이름)과 표의 구조적 참조를
+ * 셀/범위 참조로 바꾸는지, SheetJS 이름 정의를 읽는지, 다른 통합문서 참조를 묶음에서 찾고 링크 번호를 읽는지 검증
+ */
+
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const WorkbookNames = require('../../src/utils/WorkbookNames');
+
+describe('WorkbookNames', () => {
+  const createNames = () => {
+    const names = new WorkbookNames();
+    names.defineName('금액범위', "='매출 시트'!$C$3:$C$5");
+    names.defineName('금액합', 'SUM(금액범위)');
+    names.defineName('세율', '0.1');
+    names.defineName('세율', '0.2', '요약');
+    names.defineName('_xlnm.Print_Area', '요약!$A$1:$D$20');
+    names.addTable({
+      name: '매출', sheet: '매출 시트', ref: 'B2:D6', columns: ['거래처', '금액', 'VAT'], totalsRowCount: 1,
+    });
+    return names;
+  };
+
+  test('정의된 이름은 시트 범위 이름을 우선해 범위나 괄호로 묶은 식으로 바꿔야 함', () => {
+    const names = createNames();
+
+    expect(names.resolve('금액합*세율', { sheet: '출' })).toBe("(SUM('매출 시트'!$C$3:$C$5))*0.1");
+    expect(names.resolve('=세율+요약!세율', { sheet: '요약' })).toBe('=0.2+0.2');
+    expect(names.resolve('출!세율', { sheet: '요약' })).toBe('출!세율');
+    expect(names.resolve('IF(A1="세율",세율,SUM(세율1))&"금액범위"', { sheet: '출' }))
+      .toBe('IF(A1="세율",0.1,SUM(세율1))&"금액범위"');
+    expect(names.getName('print_area')).toBeNull();
+
+    // 서로를 가리키는 이름은 무한히 따라가지 않음
+    names.defineName('순환', '순환+1');
+    expect(names.resolve('순환')).toContain('#REF!');
+  });
+
+  test('표의 구조적 참조는 열, 특수 항목, 이번 행에 맞는 범위로 바꿔야 함', () => {
+    const names = createNames();
+
+    expect(names.resolve('SUM(매출[금액])')).toBe("SUM('매출 시트'!C3:C5)");
+    expect(names.resolve('매출[[#Totals],[금액]]')).toBe("'매출 시트'!C6");
+    expect(names.resolve('ROWS(매출[#All])+ROWS(매출[[#Headers],[#Data]])'))
+      .toBe("ROWS('매출 시트'!B2:D6)+ROWS('매출 시트'!B2:D5)");
+    expect(names.resolve('SUM(매출[[금액]:[VAT]])')).toBe("SUM('매출 시트'!C3:D5)");
+    expect(names.resolve('[@금액]*세율', { sheet: '매출 시트', address: 'D4' })).toBe("'매출 시트'!C4*0.1");
+    expect(names.resolve('매출[[#This Row],[금액]]', { sheet: '매출 시트', address: 'D4' })).toBe("'매출 시트'!C4");
+    expect(names.resolve('매출[@금액]', { sheet: '요약', address: 'A1' })).toBe('#VALUE!');
+    expect(names.resolve('매출[없는열]+없는표[금액]')).toBe('#REF!+#REF!');
+  });
+
+  test('SheetJS 이름 정의는 시트 번호를 시트 범위로 읽고 요약에서 다시 만들 수 있어야 함', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[1]]), '출');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[1]]), '요약');
+    workbook.Workbook = {
+      Names: [
+        { Name: '기준월', Ref: '요약!$A$1' },
+        { Name: '기준월', Ref: '출!$A$1', Sheet: 0 },
+        { Name: '_xlnm._FilterDatabase', Ref: '출!$A$1:$J$10', Sheet: 0 },
+      ],
+    };
+
+    const names = WorkbookNames.fromSheetJS(workbook);
+    expect(names.resolve('기준월', { sheet: '출' })).toBe('출!$A$1');
+    expect(names.resolve('기준월', { sheet: '요약' })).toBe('요약!$A$1');
+
+    const restored = WorkbookNames.fromSummary(createNames().getSummary());
+    expect(restored.resolve('SUM(매출[금액])*세율')).toBe("SUM('매출 시트'!C3:C5)*0.1");
+    expect(restored.getSummary().tables[0]).toEqual({
+      name: '매출', sheet: '매출 시트', ref: 'B2:D6', columns: ['거래처', '금액', 'VAT'], headerRowCount: 1, totalsRowCount: 1,
+    });
+  });
+
+  test('다른 통합문서 참조는 묶음의 시트와 이름으로 바꾸고 찾지 못한 링크는 #REF!로 기록해야 함', () => {
+    const current = new WorkbookNames();
+    current.externalLinks.set('1', '전년도.xlsx');
+    const previous = new WorkbookNames({ book: '전년도.xlsx' });
+    previous.defineName('전년합계', '출!$G$4:$G$9');
+    previous.addTable({
+      name: '매출', sheet: '출', ref: 'A3:B6', columns: ['월', '금액'],
+    });
+
+    const workbooks = new Map([
+      ['당해.xlsx', {
+        name: '당해.xlsx', sheets: new Set(['요약']), names: current, main: true,
+      }],
+      ['전년도.xlsx', {
+        name: '전년도.xlsx', sheets: new Set(['출', '매출 시트']), names: previous, main: false,
+      }],
+    ]);
+    current.linkWorkbooks(workbooks);
+    previous.linkWorkbooks(workbooks);
+
+    const links = [];
+    const resolve = (formula) => current.resolve(formula, { sheet: '요약', links });
+    expect(resolve('A1-[1]출!G10')).toBe("A1-'[전년도.xlsx]출'!G10");
+    expect(resolve("SUM('C:\\자료\\[전년도.xlsx]매출 시트'!$B:$B)")).toBe("SUM('[전년도.xlsx]매출 시트'!$B:$B)");
+    expect(resolve('SUM(전년도.xlsx!전년합계)+[당해.xlsx]요약!A1')).toBe("SUM('[전년도.xlsx]출'!$G$4:$G$9)+요약!A1");
+    expect(resolve('"[1]출!G10"&[2]출!G10')).toBe('"[1]출!G10"&#REF!');
+    expect(resolve('[재작년.xlsx]출!G10+[1]분!A1+[1]!없는이름')).toBe('#REF!+#REF!+#REF!');
+    const unresolved = links.filter((link) => !link.resolved);
+    expect(unresolved.map((link) => [WorkbookNames.formatLink(link), link.reason])).toEqual([
+      ['[2]출!G10', 'link'],
+      ['[재작년.xlsx]출!G10', 'workbook'],
+      ['[전년도.xlsx]분!A1', 'sheet'],
+      ['[전년도.xlsx]!없는이름', 'name'],
+    ]);
+
+    // 외부 통합문서 안의 수식은 자기 시트도 '[파일명]시트'로 가리킴
+    expect(previous.resolve('A1+출!B2+매출[금액]', { sheet: '출' })).toBe("A1+'[전년도.xlsx]출'!B2+'[전년도.xlsx]출'!B4:B6");
+  });
+
+  test('xlsx 파일의 외부 참조 목록에서 수식의 링크 번호가 가리키는 파일명을 읽어야 함', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('요약').getCell('A1').value = { formula: '[1]출!G10*2', result: 20 };
+
+    // Excel이 저장하는 외부 링크 파트 추가
+    const zip = XLSX.CFB.read(Buffer.from(await workbook.xlsx.writeBuffer()), { type: 'buffer' });
+    const replacePart = (partPath, search, replacement) => {
+      const part = XLSX.CFB.find(zip, partPath);
+      part.content = Buffer.from(Buffer.from(part.content).toString().replace(search, replacement));
+    };
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    replacePart(
+      '/xl/workbook.xml',
+      '</workbook>',
+      '<externalReferences><externalReference r:id="rId90"/></externalReferences></workbook>',
+    );
+    replacePart(
+      '/xl/_rels/workbook.xml.rels',
+      '</Relationships>',
+      `<Relationship Id="rId90" Type="${relationships}/externalLink" `
+      + 'Target="externalLinks/externalLink1.xml"/></Relationships>',
+    );
+    XLSX.CFB.utils.cfb_add(zip, '/xl/externalLinks/externalLink1.xml', Buffer.from('<externalLink/>'));
+    XLSX.CFB.utils.cfb_add(zip, '/xl/externalLinks/_rels/externalLink1.xml.rels', Buffer.from(
+      `<Relationships><Relationship Id="rId1" Type="${relationships}/externalLinkPath" `
+      + `Target="file:///C:/${encodeURIComponent('자료')}/${encodeURIComponent('전년도.xlsx')}" `
+      + 'TargetMode="External"/></Relationships>',
+    ));
+
+    const names = new WorkbookNames().addExternalLinks(XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer' }));
+    expect(Array.from(names.externalLinks.entries())).toEqual([['1', '전년도.xlsx']]);
+  });
+});
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { FileSearch, CheckCircle, AlertCircle, AlertTriangle, RefreshCw, Link } from 'lucide-react';
+import { useAPI } from '../hooks/useAPI';
+import { CellDiffResult, CellMismatch, UnresolvedLink } from '../types';
+
+interface CellDiffViewProps {
+  disabled?: boolean;
+}
+
+const formatValue = (value: any) => {
+  if (value === null || value === undefined || value === '') return '(빈 값)';
+  if (typeof value === 'number') return value.toLocaleString('ko-KR', { maximumFractionDigits: 6 });
+  return String(value);
+};
+
+// 링크 번호를 찾지 못한 참조는 book이 이미 '[2]' 형태, 이 통합문서의 없는 시트 참조는 book이 null
+const formatLink = (link: UnresolvedLink) => {
+  const book = link.book === null ? '' : link.book.startsWith('[') ? link.book : `[${link.book}]`;
+  return `${book}${link.sheet || ''}!${link.reference}`;
+};
+
+const CellDiffView: React.FC<CellDiffViewProps> = ({ disabled = false }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [externalFiles, setExternalFiles] = useState<File[]>([]);
+  const [tolerance, setTolerance] = useState('0.000001');
+  const [relativeTolerance, setRelativeTolerance] = useState('0');
+  const [sheetFilter, setSheetFilter] = useState('all');
+  const [rootCauseOnly, setRootCauseOnly] = useState(false);
+  const [result, setResult] = useState<CellDiffResult | null>(null);
+
+  const { loading, diffWorkbook } = useAPI();
+
+  const handleCompare = async () => {
+    if (!file) return;
+    try {
+      const diff = await diffWorkbook(file, {
+        tolerance: Number(tolerance) || 0,
+        relativeTolerance: Number(relativeTolerance) || 0
+      }, externalFiles);
+      setResult(diff);
+      setSheetFilter('all');
+    } catch (error) {
+      setResult(null);
+    }
+  };
+
+  const mismatches = (result?.mismatches || []).filter((mismatch: CellMismatch) =>
+    (sheetFilter === 'all' || mismatch.sheet === sheetFilter) && (!rootCauseOnly || mismatch.rootCause)
+  );
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-4 flex items-center" style={{ color: '#1f2937' }}>
+        <FileSearch className="w-6 h-6 mr-2" style={{ color: '#2563eb' }} />
+        Excel 캐시 값 비교
+      </h2>
+      <p className="text-sm mb-4" style={{ color: '#4b5563' }}>
+        자동화 Excel의 모든 수식을 계산해 Excel에 저장된 값과 셀 단위로 비교합니다.
+      </p>
+
+      <div className="flex items-center space-x-4 mb-4" style={{ flexWrap: 'wrap' }}>
+        <input
+          type="file"
+          accept=".xlsx"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+        />
+        <label className="text-sm flex items-center space-x-2">
+          <Link className="w-4 h-4" style={{ color: '#4b5563' }} />
+          <span>참조 통합문서</span>
+          <input
+            type="file"
+            accept=".xlsx"
+            multiple
+            onChange={(e) => setExternalFiles(Array.from(e.target.files || []))}
+          />
+        </label>
+        <label className="text-sm flex items-center space-x-2">
+          <span>허용 오차</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={tolerance}
+            onChange={(e) => setTolerance(e.target.value)}
+            className="border rounded px-3 py-1"
+            style={{ width: '120px' }}
+          />
+        </label>
+        <label className="text-sm flex items-center space-x-2">
+          <span>상대 오차</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={relativeTolerance}
+            onChange={(e) => setRelativeTolerance(e.target.value)}
+            className="border rounded px-3 py-1"
+            style={{ width: '100px' }}
+          />
+        </label>
+        <button
+          onClick={handleCompare}
+          disabled={disabled || loading || !file}
+          className="btn-primary flex items-center space-x-2"
+        >
+          {loading ? (
+            <RefreshCw className="w-5 h-5" style={{ animation: 'spin 1s linear infinite' }} />
+          ) : (
+            <FileSearch className="w-5 h-5" />
+          )}
+          <span>비교 실행</span>
+        </button>
+      </div>
+
+      {result && (
+        <div>
+          {/* 요약 */}
+          <div className="grid grid-cols-1 md-grid-cols-4 mb-4" style={{ gap: '16px' }}>
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+              <h3 className="font-semibold mb-2" style={{ color: '#1e40af' }}>비교한 수식 셀</h3>
+              <p className="text-2xl font-bold">{result.compared.toLocaleString()}</p>
+            </div>
+            <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+              <h3 className="font-semibold mb-2" style={{ color: '#166534' }}>일치</h3>
+              <p className="text-2xl font-bold">{result.matched.toLocaleString()}</p>
+            </div>
+            <div className={`${result.mismatchCount > 0 ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'} border rounded-lg p-4`}>
+              <h3 className="font-semibold mb-2" style={{ color: result.mismatchCount > 0 ? '#991b1b' : '#166534' }}>불일치</h3>
+              <p className="text-2xl font-bold">{result.mismatchCount.toLocaleString()}</p>
+            </div>
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+              <h3 className="font-semibold mb-2" style={{ color: '#854d0e' }}>캐시 값 없음</h3>
+              <p className="text-2xl font-bold">{result.uncached.toLocaleString()}</p>
+            </div>
+          </div>
+
+          {/* 외부 참조 */}
+          {result.workbook.externalWorkbooks.length > 0 && (
+            <p className="text-sm mb-4" style={{ color: '#4b5563' }}>
+              함께 계산한 통합문서: {result.workbook.externalWorkbooks.map((workbook) => workbook.name).join(', ')}
+            </p>
+          )}
+          {result.workbook.unresolvedLinks.length > 0 && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg mb-4">
+              <div className="flex items-center space-x-2 mb-2">
+                <AlertTriangle className="w-5 h-5 text-yellow-600" />
+                <span className="font-medium text-yellow-600">
+                  찾지 못한 참조 {result.workbook.unresolvedLinks.length.toLocaleString()}건 (#REF!로 계산됨)
+                </span>
+              </div>
+              {result.workbook.unresolvedLinks.map((link, index) => (
+                <div key={`${link.cell}-${index}`} className="text-sm">
+                  <span className="font-medium">{link.cell}</span>: {formatLink(link)} - {link.message}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {result.mismatchCount === 0 ? (
+            <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <CheckCircle className="w-5 h-5 text-green-600" />
+              <span className="text-green-600 font-medium">모든 수식 셀이 Excel 값과 일치합니다.</span>
+            </div>
+          ) : (
+            <div>
+              {/* 필터 */}
+              <div className="flex items-center space-x-4 mb-4">
+                <select
+                  value={sheetFilter}
+                  onChange={(e) => setSheetFilter(e.target.value)}
+                  className="border rounded px-3 py-1 text-sm"
+                >
+                  <option value="all">전체 시트</option>
+                  {Object.entries(result.sheets)
+                    .filter(([, sheet]) => sheet.mismatched > 0)
+                    .map(([name, sheet]) => (
+                      <option key={name} value={name}>{name} ({sheet.mismatched})</option>
+                    ))}
+                </select>
+                <label className="text-sm flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={rootCauseOnly}
+                    onChange={(e) => setRootCauseOnly(e.target.checked)}
+                  />
+                  <span>불일치 시작 셀만 보기</span>
+                </label>
+                {result.truncated && (
+                  <span className="text-sm text-yellow-600">
+                    불일치 {result.mismatchCount.toLocaleString()}건 중 {result.mismatches.length.toLocaleString()}건만 표시합니다.
+                  </span>
+                )}
+              </div>
+
+              {/* 불일치 목록 */}
+              <div className="overflow-x-auto">
+                <table className="min-w-full border rounded-lg text-sm">
+                  <thead>
+                    <tr>
+                      <th className="px-4 py-2">셀</th>
+                      <th className="px-4 py-2">수식</th>
+                      <th className="px-4 py-2">계산 값</th>
+                      <th className="px-4 py-2">Excel 값</th>
+                      <th className="px-4 py-2">차이</th>
+                      <th className="px-4 py-2">불일치한 선행 셀</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {mismatches.map((mismatch) => (
+                      <tr key={mismatch.cell} className="hover:bg-gray-50">
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          <div className="flex items-center space-x-2">
+                            {mismatch.rootCause && <AlertCircle className="w-4 h-4 text-red-600" />}
+                            <span className="font-medium">{mismatch.cell}</span>
+                          </div>
+                        </td>
+                        <td className="px-4 py-2">
+                          <code>={mismatch.formula}</code>
+                          {mismatch.error && (
+                            <div className="text-red-600" style={{ fontSize: '12px' }}>{mismatch.error}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-blue-600">{formatValue(mismatch.value)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatValue(mismatch.cachedValue)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          {mismatch.difference !== null ? formatValue(mismatch.difference) : '-'}
+                        </td>
+                        <td className="px-4 py-2">
+                          {mismatch.differingPrecedents.length === 0 ? (
+                            <span className="text-red-600">없음 (불일치 시작)</span>
+                          ) : (
+                            mismatch.differingPrecedents.map((precedent) => (
+                              <div key={precedent.cell} className="whitespace-nowrap">
+                                {precedent.cell}: {formatValue(precedent.value)} ≠ {formatValue(precedent.cachedValue)}
+                              </div>
+                            ))
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CellDiffView;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { BarChart3, Download, RefreshCw, AlertTriangle } from 'lucide-react';
+import { useAPI } from '../hooks/useAPI';
+import { ComparativeIncomeStatement, ComparativeLine } from '../types';
+
+interface ComparativeStatementViewProps {
+  disabled?: boolean;
+}
+
+// 지난달 (YYYY-MM)
+const previousMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatAmount = (value: number) => value.toLocaleString('ko-KR');
+
+const formatPercent = (percent: number | null) =>
+  percent === null ? '-' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+
+const varianceColor = (amount: number) => (amount > 0 ? '#16a34a' : amount < 0 ? '#dc2626' : '#4b5563');
+
+const ComparativeStatementView: React.FC<ComparativeStatementViewProps> = ({ disabled = false }) => {
+  const [period, setPeriod] = useState(previousMonth());
+  const [hospitalId, setHospitalId] = useState('');
+  const [statement, setStatement] = useState<ComparativeIncomeStatement | null>(null);
+
+  const { loading, getComparativeStatement, downloadComparativeStatement } = useAPI();
+
+  const handleLoad = async () => {
+    try {
+      setStatement(await getComparativeStatement(period, hospitalId));
+    } catch (error) {
+      setStatement(null);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      await downloadComparativeStatement(period, hospitalId);
+    } catch (error) {
+      // 오류는 useAPI의 error로 표시
+    }
+  };
+
+  const renderLine = (line: ComparativeLine, bold = false) => (
+    <tr key={line.account} className="hover:bg-gray-50" style={bold ? { fontWeight: 600 } : undefined}>
+      <td className="px-4 py-2 whitespace-nowrap">{line.account}</td>
+      {statement!.columns.map((column) => (
+        <td key={column.key} className="px-4 py-2 whitespace-nowrap" style={{ textAlign: 'right' }}>
+          {formatAmount(line.amounts[column.key])}
+        </td>
+      ))}
+      {statement!.variances.map((variance) => {
+        const { amount, percent } = line.variances[variance.key];
+        return (
+          <td
+            key={variance.key}
+            className="px-4 py-2 whitespace-nowrap"
+            style={{ textAlign: 'right', color: varianceColor(amount) }}
+          >
+            {formatAmount(amount)} ({formatPercent(percent)})
+          </td>
+        );
+      })}
+    </tr>
+  );
+
+  const renderSection = (title: string, lines: ComparativeLine[], total: ComparativeLine) => (
+    <>
+      <tr>
+        <td
+          colSpan={1 + statement!.columns.length + statement!.variances.length}
+          className="px-4 py-2 font-semibold bg-gray-50"
+        >
+          {title}
+        </td>
+      </tr>
+      {lines.map((line) => renderLine(line))}
+      {renderLine(total, true)}
+    </>
+  );
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-bold mb-4 flex items-center" style={{ color: '#1f2937' }}>
+        <BarChart3 className="w-6 h-6 mr-2" style={{ color: '#2563eb' }} />
+        비교 손익계산서
+      </h2>
+      <p className="text-sm mb-4" style={{ color: '#4b5563' }}>
+        회계기간에 누적된 결과로 당월을 전월, 전년 동월, 당기 누적(회계연도 시작 월부터)과 비교합니다.
+      </p>
+
+      <div className="flex items-center space-x-4 mb-4" style={{ flexWrap: 'wrap' }}>
+        <label className="text-sm flex items-center space-x-2">
+          <span>회계기간</span>
+          <input
+            type="month"
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="border rounded px-3 py-1"
+          />
+        </label>
+        <label className="text-sm flex items-center space-x-2">
+          <span>병원 ID</span>
+          <input
+            type="text"
+            value={hospitalId}
+            placeholder="default"
+            onChange={(e) => setHospitalId(e.target.value.trim())}
+            className="border rounded px-3 py-1"
+            style={{ width: '140px' }}
+          />
+        </label>
+        <button
+          onClick={handleLoad}
+          disabled={disabled || loading || !period}
+          className="btn-primary flex items-center space-x-2"
+        >
+          {loading ? (
+            <RefreshCw className="w-5 h-5" style={{ animation: 'spin 1s linear infinite' }} />
+          ) : (
+            <BarChart3 className="w-5 h-5" />
+          )}
+          <span>조회</span>
+        </button>
+        <button
+          onClick={handleDownload}
+          disabled={disabled || !period}
+          className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          <Download className="w-5 h-5" />
+          <span>Excel 내보내기</span>
+        </button>
+      </div>
+
+      {statement && (
+        <div>
+          <p className="text-sm mb-4" style={{ color: '#4b5563' }}>
+            {statement.fiscalYear} 회계연도 {statement.fiscalMonth}번째 월 (회계연도 시작 {statement.fiscalYearStart})
+          </p>
+
+          {(statement.missingPeriods.length > 0 || statement.openPeriods.length > 0) && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg mb-4">
+              <div className="flex items-center space-x-2">
+                <AlertTriangle className="w-5 h-5 text-yellow-600" />
+                <span className="font-medium text-yellow-600">비교 기간 확인</span>
+              </div>
+              {statement.missingPeriods.length > 0 && (
+                <div className="text-sm">결과가 없는 기간 (0으로 계산): {statement.missingPeriods.join(', ')}</div>
+              )}
+              {statement.openPeriods.length > 0 && (
+                <div className="text-sm">마감하지 않은 기간 (값이 바뀔 수 있음): {statement.openPeriods.join(', ')}</div>
+              )}
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full border rounded-lg text-sm">
+              <thead>
+                <tr>
+                  <th className="px-4 py-2">계정과목</th>
+                  {statement.columns.map((column) => (
+                    <th key={column.key} className="px-4 py-2 whitespace-nowrap">
+                      {column.label}
+                      <div style={{ fontSize: '12px', fontWeight: 400 }}>
+                        {column.from === column.to ? column.from : `${column.from} ~ ${column.to}`}
+                      </div>
+                    </th>
+                  ))}
+                  {statement.variances.map((variance) => (
+                    <th key={variance.key} className="px-4 py-2 whitespace-nowrap">{variance.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {renderSection('수익', statement.revenue, statement.totals.revenue)}
+                {renderSection('비용', statement.expenses, statement.totals.expenses)}
+                {renderLine(statement.totals.netIncome, true)}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparativeStatementView;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { Activity, Server, AlertCircle, PlayCircle, RefreshCw, Clock } from 'lucide-react';
+import { Activity, Server, AlertCircle, PlayCircle, RefreshCw, Clock, XCircle } from 'lucide-react';
 import { useAPI } from '../hooks/useAPI';
-import { DashboardState } from '../types';
+import { DashboardState, ProgressData, WorkflowJob, WorkflowProgressEvent } from '../types';
 import FileUploader from './FileUploader';
 import ProgressCard from './ProgressCard';
 import ClassificationResults from './ClassificationResults';
@@ -24,6 +24,11 @@ const Dashboard: React.FC = () => {
   }>({});
 
   const [serverStatus, setServerStatus] = useState<'checking' | 'online' | 'offline'>('checking');
+  const [activeJob, setActiveJob] = useState<WorkflowJob | null>(null);
+  const [stepProgress, setStepProgress] = useState<{
+    classification: ProgressData | null;
+    calculation: ProgressData | null;
+  }>({ classification: null, calculation: null });
 
   const { 
     loading, 
@@ -31,6 +36,7 @@ const Dashboard: React.FC = () => {
     healthCheck, 
     runDemoWorkflow, 
     processExcelWorkflow,
+    cancelWorkflowJob,
     getValidationHistory
   } = useAPI();
 
@@ -135,7 +141,23 @@ const Dashboard: React.FC = () => {
       const rawDataPath = '/path/to/raw/data.xlsx'; // 실제 업로드 구현 필요
       const automationPath = selectedFiles.automation ? '/path/to/automation.xlsx' : undefined;
 
-      const result = await processExcelWorkflow(rawDataPath, automationPath);
+      setStepProgress({ classification: null, calculation: null });
+      const result = await processExcelWorkflow(rawDataPath, automationPath, (job) => {
+        setActiveJob(job);
+        const currentStep = job.steps.find(step => step.id === job.currentStep);
+        setState(prev => ({
+          ...prev,
+          progress: {
+            stage: 'processing',
+            progress: job.progress,
+            message: job.status === 'queued'
+              ? '작업 대기 중...'
+              : currentStep ? `${currentStep.name} 중...` : `${job.completedSteps}/${job.steps.length} 단계 완료`,
+            details: { processed: job.completedSteps, total: job.steps.length, currentItem: currentStep?.name }
+          }
+        }));
+      }, handleProgressEvent);
+      setActiveJob(null);
       
       const validationHistory = await getValidationHistory(1);
       const latestValidation = validationHistory?.[0];
@@ -148,16 +170,58 @@ const Dashboard: React.FC = () => {
         progress: null
       }));
 
-    } catch (error) {
+    } catch (error: any) {
+      setActiveJob(null);
       setState(prev => ({
         ...prev,
         isProcessing: false,
-        error: 'Excel 파일 처리 중 오류가 발생했습니다.',
+        error: `Excel 파일 처리 중 오류가 발생했습니다. ${error?.message || ''}`.trim(),
         progress: null
       }));
     }
   };
 
+  // 분류(100행마다)/계산(50수식마다) 진행률 이벤트를 진행률 카드에 반영
+  const handleProgressEvent = (event: WorkflowProgressEvent) => {
+    if (!('stepId' in event.data)) return;
+    const key = event.data.stepId === 'account_classification' ? 'classification'
+      : event.data.stepId === 'formula_execution' ? 'calculation' : null;
+    if (!key) return;
+
+    switch (event.type) {
+      case 'step_started':
+        setStepProgress(prev => ({ ...prev, [key]: { stage: key, progress: 0, message: `${event.data.stepName} 시작` } }));
+        break;
+      case 'classification_progress':
+      case 'calculation_progress':
+        setStepProgress(prev => ({
+          ...prev,
+          [key]: {
+            stage: key,
+            progress: event.data.percent,
+            message: `${event.data.processed.toLocaleString()}/${event.data.total.toLocaleString()} ${key === 'classification' ? '행' : '수식'} 처리`,
+            details: { processed: event.data.processed, total: event.data.total }
+          }
+        }));
+        break;
+      case 'step_completed':
+        setStepProgress(prev => ({ ...prev, [key]: { stage: key, progress: 100, message: '완료' } }));
+        break;
+      default:
+        break;
+    }
+  };
+
+  // 실행 중인 워크플로우 작업 취소
+  const handleCancelJob = async () => {
+    if (!activeJob) return;
+    try {
+      setActiveJob(await cancelWorkflowJob(activeJob.id));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: '작업 취소 중 오류가 발생했습니다.' }));
+    }
+  };
+
   // 결과 초기화
   const handleReset = () => {
     setState({
@@ -273,10 +337,22 @@ const Dashboard: React.FC = () => {
         {/* 진행률 표시 */}
         {state.isProcessing && (
           <div className="mb-8">
-            <h2 className="text-xl font-bold text-gray-800 mb-6 flex items-center">
-              <Clock className="w-6 h-6 mr-2 text-blue-600" />
-              실시간 진행률
-            </h2>
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-xl font-bold text-gray-800 flex items-center">
+                <Clock className="w-6 h-6 mr-2 text-blue-600" />
+                실시간 진행률
+              </h2>
+              {activeJob && (
+                <button
+                  onClick={handleCancelJob}
+                  disabled={activeJob.cancelRequested || activeJob.status === 'cancelled'}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <XCircle className="w-5 h-5" />
+                  <span>{activeJob.cancelRequested ? '취소 요청됨' : '작업 취소'}</span>
+                </button>
+              )}
+            </div>
             
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <ProgressCard 
@@ -286,21 +362,43 @@ const Dashboard: React.FC = () => {
                 isComplete={true}
               />
               
-              <ProgressCard 
-                title="📊 분류 진행률"
-                progress={state.progress}
-                isComplete={state.progress?.progress === 100}
-              />
-              
-              <ProgressCard 
-                title="⚡ 계산 진행률"
-                progress={state.progress && state.progress.progress > 60 ? {
-                  stage: 'calculation',
-                  progress: Math.min((state.progress.progress - 60) * 2.5, 100),
-                  message: 'SUMIFS 계산 중...'
-                } : null}
-                isComplete={state.progress?.progress === 100}
-              />
+              {state.currentStage === 'processing' ? (
+                <>
+                  <ProgressCard 
+                    title="📊 분류 진행률"
+                    progress={stepProgress.classification}
+                    isComplete={stepProgress.classification?.progress === 100}
+                    isError={activeJob?.steps.find(step => step.id === 'account_classification')?.status === 'failed'}
+                    error={activeJob?.steps.find(step => step.id === 'account_classification')?.error || undefined}
+                  />
+                  
+                  <ProgressCard 
+                    title="⚡ 계산 진행률"
+                    progress={stepProgress.calculation}
+                    isComplete={stepProgress.calculation?.progress === 100}
+                    isError={activeJob?.steps.find(step => step.id === 'formula_execution')?.status === 'failed'}
+                    error={activeJob?.steps.find(step => step.id === 'formula_execution')?.error || undefined}
+                  />
+                </>
+              ) : (
+                <>
+                  <ProgressCard 
+                    title="📊 분류 진행률"
+                    progress={state.progress}
+                    isComplete={state.progress?.progress === 100}
+                  />
+                  
+                  <ProgressCard 
+                    title="⚡ 계산 진행률"
+                    progress={state.progress && state.progress.progress > 60 ? {
+                      stage: 'calculation',
+                      progress: Math.min((state.progress.progress - 60) * 2.5, 100),
+                      message: 'SUMIFS 계산 중...'
+                    } : null}
+                    isComplete={state.progress?.progress === 100}
+                  />
+                </>
+              )}
             </div>
           </div>
         )}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { Activity, Server, AlertCircle, PlayCircle, RefreshCw, CheckCircle } from 'lucide-react';
 import { useAPI } from '../hooks/useAPI';
+import CellDiffView from './CellDiffView';
+import ComparativeStatementView from './ComparativeStatementView';
 
 const SimpleDashboard: React.FC = () => {
   const [serverStatus, setServerStatus] = useState<'checking' | 'online' | 'offline'>('checking');
@@ -155,6 +157,16 @@ const SimpleDashboard: React.FC = () => {
           </div>
         )}
 
+        {/* Excel 캐시 값 비교 */}
+        {!isProcessing && !results && (
+          <CellDiffView disabled={serverStatus !== 'online'} />
+        )}
+
+        {/* 비교 손익계산서 */}
+        {!isProcessing && !results && (
+          <ComparativeStatementView disabled={serverStatus !== 'online'} />
+        )}
+
         {/* 로딩 표시 */}
         {isProcessing && (
           <div className="card text-center">
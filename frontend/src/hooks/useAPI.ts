@@ -1,6 +1,14 @@
 import { useState, useCallback } from 'react';
 import axios, { AxiosResponse } from 'axios';
-import { WorkflowResult, ProgressData } from '../types';
+import {
+  WorkflowResult,
+  WorkflowJob,
+  WorkflowProgressEvent,
+  WorkflowProgressEventType,
+  ProgressData,
+  CellDiffResult,
+  ComparativeIncomeStatement
+} from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
@@ -22,6 +30,62 @@ apiClient.interceptors.response.use(
   }
 );
 
+// 파일을 Base64 문자열로 읽기 (fileData 업로드용)
+const readFileAsBase64 = (file: File): Promise<string> => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const JOB_POLL_INTERVAL = 1000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+const WORKFLOW_EVENT_TYPES: WorkflowProgressEventType[] = [
+  'snapshot',
+  'job',
+  'step_started',
+  'step_completed',
+  'step_failed',
+  'step_skipped',
+  'classification_progress',
+  'calculation_progress',
+];
+
+// 작업이 끝날 때까지 진행률 스트림을 받고, 스트림이 끊기면 상태 조회로 대신함
+const waitForJob = (
+  jobId: string,
+  onJobUpdate?: (job: WorkflowJob) => void,
+  onProgressEvent?: (event: WorkflowProgressEvent) => void
+): Promise<WorkflowJob> => new Promise((resolve, reject) => {
+  const pollJob = async () => {
+    try {
+      while (true) {
+        const response: AxiosResponse = await apiClient.get(`/api/workflow/jobs/${jobId}`);
+        const job: WorkflowJob = response.data.data;
+        onJobUpdate?.(job);
+        if (FINISHED_JOB_STATUSES.includes(job.status)) return resolve(job);
+        await new Promise(wait => setTimeout(wait, JOB_POLL_INTERVAL));
+      }
+    } catch (err) {
+      reject(err);
+    }
+  };
+
+  const unsubscribe = subscribeToJobProgress(jobId, (event) => {
+    onProgressEvent?.(event);
+    if (event.type === 'job' || event.type === 'snapshot') {
+      onJobUpdate?.(event.data);
+      if (FINISHED_JOB_STATUSES.includes(event.data.status)) {
+        unsubscribe();
+        resolve(event.data);
+      }
+    }
+  }, () => {
+    unsubscribe();
+    pollJob();
+  });
+});
+
 export const useAPI = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -56,10 +120,12 @@ export const useAPI = () => {
     }
   }, []);
 
-  // Excel 파일 처리 워크플로우
+  // Excel 파일 처리 워크플로우 (작업 접수 후 진행률 스트림으로 끝날 때까지 대기)
   const processExcelWorkflow = useCallback(async (
     rawDataFilePath: string, 
-    automationExcelPath?: string
+    automationExcelPath?: string,
+    onJobUpdate?: (job: WorkflowJob) => void,
+    onProgressEvent?: (event: WorkflowProgressEvent) => void
   ): Promise<WorkflowResult> => {
     try {
       setLoading(true);
@@ -68,7 +134,19 @@ export const useAPI = () => {
         rawDataFilePath,
         automationExcelPath,
       });
-      return response.data.data;
+
+      const submitted: WorkflowJob = response.data.data;
+      onJobUpdate?.(submitted);
+      await waitForJob(submitted.id, onJobUpdate, onProgressEvent);
+
+      // 진행률 이벤트에는 최종 결과가 없으므로 작업을 다시 조회
+      const jobResponse: AxiosResponse = await apiClient.get(`/api/workflow/jobs/${submitted.id}`);
+      const job: WorkflowJob = jobResponse.data.data;
+
+      if (job.status !== 'completed' || !job.result) {
+        throw new Error(job.error || (job.status === 'cancelled' ? '작업이 취소되었습니다' : 'Excel 처리 실패'));
+      }
+      return job.result;
     } catch (err: any) {
       setError(err.response?.data?.error || err.message || 'Excel 처리 실패');
       throw err;
@@ -77,6 +155,18 @@ export const useAPI = () => {
     }
   }, []);
 
+  // 워크플로우 작업 취소 (실행 중이면 지금 단계가 끝난 뒤 멈춤)
+  const cancelWorkflowJob = useCallback(async (jobId: string): Promise<WorkflowJob> => {
+    try {
+      setError(null);
+      const response: AxiosResponse = await apiClient.post(`/api/workflow/jobs/${jobId}/cancel`);
+      return response.data.data;
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || '작업 취소 실패');
+      throw err;
+    }
+  }, []);
+
   // 분류 실행
   const runClassification = useCallback(async (transactions: any[]) => {
     try {
@@ -160,17 +250,91 @@ export const useAPI = () => {
     }
   }, []);
 
+  // 자동화 Excel의 수식 계산 결과와 Excel 캐시 값 비교
+  const diffWorkbook = useCallback(async (
+    file: File,
+    options: { tolerance?: number; relativeTolerance?: number } = {},
+    externalFiles: File[] = []
+  ): Promise<CellDiffResult> => {
+    try {
+      setLoading(true);
+      setError(null);
+      const fileData = await readFileAsBase64(file);
+      const externalWorkbooks = await Promise.all(externalFiles.map(async (externalFile) => ({
+        filename: externalFile.name,
+        fileData: await readFileAsBase64(externalFile),
+      })));
+      const response: AxiosResponse = await apiClient.post('/api/calculation/diff', {
+        fileData,
+        filename: file.name,
+        externalWorkbooks,
+        ...options,
+      });
+      return response.data.data;
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || '캐시 값 비교 실패');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // 비교 손익계산서 (전월, 전년 동월, 당기 누적 대비)
+  const getComparativeStatement = useCallback(async (
+    period: string,
+    hospitalId?: string
+  ): Promise<ComparativeIncomeStatement> => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response: AxiosResponse = await apiClient.get(`/api/periods/${period}/comparative`, {
+        params: { hospitalId: hospitalId || undefined },
+      });
+      return response.data.data;
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || '비교 손익계산서 조회 실패');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // 비교 손익계산서 Excel 내려받기
+  const downloadComparativeStatement = useCallback(async (period: string, hospitalId?: string) => {
+    try {
+      setError(null);
+      const response: AxiosResponse<Blob> = await apiClient.get(`/api/periods/${period}/comparative/export`, {
+        params: { hospitalId: hospitalId || undefined },
+        responseType: 'blob',
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `비교손익계산서_${hospitalId || 'default'}_${period}.xlsx`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      setError(err.message || '비교 손익계산서 내보내기 실패');
+      throw err;
+    }
+  }, []);
+
   return {
     loading,
     error,
     healthCheck,
     runDemoWorkflow,
     processExcelWorkflow,
+    cancelWorkflowJob,
     runClassification,
     runCalculation,
     runValidation,
     getValidationHistory,
     getAccuracyTrend,
+    diffWorkbook,
+    getComparativeStatement,
+    downloadComparativeStatement,
   };
 };
 
@@ -200,4 +364,35 @@ export const subscribeToProgress = (
   return () => {
     eventSource.close();
   };
-};
\ No newline at end of file
+};
+
+// 워크플로우 작업 진행률 구독 (SSE)
+// 연결이 끊기면 EventSource가 마지막 이벤트 번호(Last-Event-ID)로 다시 연결해 놓친 이벤트를 받음
+export const subscribeToJobProgress = (
+  jobId: string,
+  onEvent: (event: WorkflowProgressEvent) => void,
+  onError: (error: string) => void
+) => {
+  const eventSource = new EventSource(`${API_BASE_URL}/api/workflow/jobs/${jobId}/events`);
+
+  WORKFLOW_EVENT_TYPES.forEach((type) => {
+    eventSource.addEventListener(type, (message) => {
+      try {
+        onEvent(JSON.parse((message as MessageEvent).data));
+      } catch (err) {
+        console.error('Progress parsing error:', err);
+      }
+    });
+  });
+
+  eventSource.onerror = () => {
+    // CONNECTING이면 브라우저가 자동으로 다시 연결함
+    if (eventSource.readyState === EventSource.CLOSED) {
+      onError('실시간 진행률 연결 실패');
+    }
+  };
+
+  return () => {
+    eventSource.close();
+  };
+};
@@ -71,6 +71,7 @@ export interface WorkflowResult {
   success: boolean;
   summary: {
     inputTransactions: number;
+    rejectedTransactions?: number; // 마감된 월 또는 다른 회계기간이라 제외한 행 수
     classifiedTransactions: number;
     formulasExecuted: number;
     processingTime: number;
@@ -79,11 +80,88 @@ export interface WorkflowResult {
   classification?: ClassificationResult;
   calculations?: CalculationResult;
   reports?: any[];
+  additionalSteps?: Record<string, any>; // 파이프라인에 추가한 플러그인 단계 결과 (단계 ID별)
+  period?: { period: string; run: FiscalPeriodRun | null } | null; // 실행을 연결한 회계기간
+  rejectedRows?: Array<{ rowIndex: number; period: string; reason: string }>;
   excelAnalysis?: any;
   statistics?: any;
   errors?: string[];
 }
 
+export interface FiscalPeriodRun {
+  runId: string;
+  source: string | null;
+  transactionCount: number;
+  added: number;
+  duplicates: number;
+  rejected: number;
+  recordedAt: string;
+}
+
+export type WorkflowJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface WorkflowJobStep {
+  id: string;
+  name: string;
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'skipped';
+  error: string | null;
+  completedAt: string | null;
+}
+
+export interface WorkflowJob {
+  id: string;
+  status: WorkflowJobStatus;
+  input: {
+    rawDataFilePath: string;
+    automationExcelPath: string | null;
+    options: Record<string, any>;
+  };
+  steps: WorkflowJobStep[];
+  currentStep: string | null;
+  progress: number;
+  attempts: number;
+  completedSteps: number;
+  cancelRequested?: boolean;
+  result?: WorkflowResult | null;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+export type WorkflowProgressEventType =
+  | 'snapshot'
+  | 'job'
+  | 'step_started'
+  | 'step_completed'
+  | 'step_failed'
+  | 'step_skipped'
+  | 'classification_progress'
+  | 'calculation_progress';
+
+export interface WorkflowStepEventData {
+  stepId: string;
+  stepName: string;
+  index: number;
+  total: number;
+  progress: number;
+  error: string | null;
+}
+
+export interface WorkflowCountEventData {
+  stepId: string;
+  stepName: string;
+  processed: number;
+  total: number;
+  percent: number;
+}
+
+export type WorkflowProgressEvent =
+  | { id: number; type: 'snapshot' | 'job'; jobId: string; timestamp: string; data: WorkflowJob }
+  | { id: number; type: 'step_started' | 'step_completed' | 'step_failed' | 'step_skipped'; jobId: string; timestamp: string; data: WorkflowStepEventData }
+  | { id: number; type: 'classification_progress' | 'calculation_progress'; jobId: string; timestamp: string; data: WorkflowCountEventData };
+
 export interface ProgressData {
   stage: string;
   progress: number;
@@ -102,4 +180,87 @@ export interface DashboardState {
   results: WorkflowResult | null;
   validation: ValidationResult | null;
   error: string | null;
-}
\ No newline at end of file
+}
+export interface CellDiffPrecedent {
+  cell: string;
+  value: any;
+  cachedValue: any;
+}
+
+export interface CellMismatch {
+  cell: string;
+  sheet: string;
+  address: string;
+  formula: string;
+  value: any;
+  cachedValue: any;
+  difference: number | null;
+  error: string | null;
+  differingPrecedents: CellDiffPrecedent[];
+  rootCause: boolean;
+}
+
+export interface UnresolvedLink {
+  cell: string;
+  formula: string;
+  book: string | null;
+  sheet: string | null;
+  reference: string;
+  reason: 'link' | 'workbook' | 'sheet' | 'name';
+  message: string;
+}
+
+export interface CellDiffResult {
+  workbook: {
+    sheets: string[];
+    formulaCount: number;
+    cellCount: number;
+    externalWorkbooks: Array<{ name: string; sheets: string[] }>;
+    unresolvedLinks: UnresolvedLink[];
+  };
+  calculation: {
+    evaluated: number;
+    cycles: Array<{ cells: string[]; path: string[] }>;
+    processingTime: number;
+  };
+  compared: number;
+  matched: number;
+  uncached: number;
+  sheets: {
+    [sheet: string]: {
+      compared: number;
+      mismatched: number;
+    };
+  };
+  mismatchCount: number;
+  mismatches: CellMismatch[];
+  truncated: boolean;
+}
+
+export type ComparativeColumnKey = 'current' | 'priorMonth' | 'sameMonthLastYear' | 'yearToDate' | 'priorYearToDate';
+export type ComparativeVarianceKey = 'monthOverMonth' | 'yearOverYear' | 'yearToDateOverPriorYear';
+
+export interface ComparativeLine {
+  account: string;
+  amounts: Record<ComparativeColumnKey, number>;
+  variances: Record<ComparativeVarianceKey, { amount: number; percent: number | null }>; // 기준이 0이면 percent null
+}
+
+export interface ComparativeIncomeStatement {
+  hospitalId: string | null;
+  period: string;
+  fiscalYear: number;
+  fiscalMonth: number;
+  fiscalYearStart: string;
+  columns: Array<{ key: ComparativeColumnKey; label: string; from: string; to: string }>;
+  variances: Array<{ key: ComparativeVarianceKey; label: string; target: ComparativeColumnKey; base: ComparativeColumnKey }>;
+  revenue: ComparativeLine[];
+  expenses: ComparativeLine[];
+  totals: {
+    revenue: ComparativeLine;
+    expenses: ComparativeLine;
+    netIncome: ComparativeLine;
+  };
+  missingPeriods: string[]; // 결과가 없어 0으로 계산한 기간
+  openPeriods: string[]; // 마감하지 않은 기간
+}